@@ -16,10 +16,13 @@ import RegisterScreen from './screens/RegisterScreen';
 import AdminScreen from './screens/AdminScreen';
 
 // Import utilities
-import { initializeDefaultVerbs } from './utils/storage';
 import { onAuthStateChange, getSession } from './utils/authService';
 import { checkIsAdmin } from './utils/adminService';
-import { initializeUserVerbs } from './utils/cloudStorage';
+import { syncActivePromptTemplate, mergeGuestData, saveDeviceTimeZone } from './utils/cloudStorage';
+import { VERB_BACKENDS, setVerbBackend, initializeVerbs, migrateLegacyVerbs } from './utils/verbRepository';
+import { startBackgroundSync } from './utils/syncService';
+import { startRealtimeSync, stopRealtimeSync, refreshDataStore } from './utils/dataStore';
+import { loadGuestMode, endGuestMode, isGuestMode, onGuestModeChange } from './utils/guestMode';
 
 // Create navigators
 const Tab = createBottomTabNavigator();
@@ -29,9 +32,10 @@ const Stack = createNativeStackNavigator();
  * Auth Navigator - Shown when user is NOT logged in
  * Contains Login and Register screens
  */
-function AuthNavigator() {
+function AuthNavigator({ initialRouteName }) {
   return (
     <Stack.Navigator
+      initialRouteName={initialRouteName}
       screenOptions={{
         headerShown: false, // Hide header for auth screens
       }}
@@ -43,7 +47,7 @@ function AuthNavigator() {
 }
 
 /**
- * Main Navigator - Shown when user IS logged in
+ * Main Navigator - Shown when user IS logged in (or using the app as a guest)
  * Contains the tab navigation (Home, Practice, Settings, Admin)
  * Admin tab only visible to admin users
  */
@@ -129,24 +133,53 @@ export default function App() {
   const [error, setError] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isAdmin, setIsAdmin] = useState(false);
+  const [isGuest, setIsGuest] = useState(false);
+  const [authRoute, setAuthRoute] = useState('Login');
 
   // Check if user is admin and initialize their verbs
   const onUserAuthenticated = async () => {
+    // An account replaces guest mode
+    if (isGuestMode()) {
+      await endGuestMode();
+    }
+
     // Check admin status
     const adminStatus = await checkIsAdmin();
     setIsAdmin(adminStatus);
     
+    // Move practice done as a guest into the account they just registered
+    // (before initializing, so the guest's verbs keep their practice counts)
+    setVerbBackend(VERB_BACKENDS.SUPABASE);
+    await mergeGuestData();
+
     // Initialize user verbs from default verbs (if they don't have any)
-    await initializeUserVerbs();
+    await initializeVerbs();
+
+    // Upload verbs an older version of the app kept on this device
+    await migrateLegacyVerbs();
+
+    // Use the prompt template chosen by the admins
+    await syncActivePromptTemplate();
+
+    // Count days in the user's time zone (the first device's, until changed)
+    await saveDeviceTimeZone();
+
+    // Load the user's data and follow changes from their other devices
+    await startRealtimeSync();
+  };
+
+  // Guests keep their verbs (and everything else) on the device
+  const onGuestStarted = async () => {
+    setVerbBackend(VERB_BACKENDS.LOCAL);
+    await initializeVerbs();
+    await saveDeviceTimeZone();
+    await refreshDataStore();
   };
 
   // Initialize app and set up auth listener
   useEffect(() => {
     const initializeApp = async () => {
       try {
-        // Initialize default verbs (for local storage)
-        await initializeDefaultVerbs();
-        
         // Check if user is already logged in
         const session = await getSession();
         setIsAuthenticated(session !== null);
@@ -154,6 +187,9 @@ export default function App() {
         // Initialize user data if logged in
         if (session) {
           await onUserAuthenticated();
+        } else if (await loadGuestMode()) {
+          await onGuestStarted();
+          setIsGuest(true);
         }
         
         setIsLoading(false);
@@ -175,16 +211,38 @@ export default function App() {
       if (session) {
         await onUserAuthenticated();
       } else {
+        // Signed out: close the realtime subscriptions and drop the user's data
+        stopRealtimeSync();
         setIsAdmin(false);
       }
     });
 
-    // Cleanup subscription on unmount
+    // Subscribe to guest mode starting ("Try without an account") or ending
+    const unsubscribeGuest = onGuestModeChange(async (guest, options) => {
+      if (guest) {
+        await onGuestStarted();
+      } else {
+        stopRealtimeSync();
+        setVerbBackend(VERB_BACKENDS.SUPABASE);
+        setAuthRoute(options.toRegister ? 'Register' : 'Login');
+      }
+      setIsGuest(guest);
+    });
+
+    // Cleanup subscriptions on unmount
     return () => {
       unsubscribe();
+      unsubscribeGuest();
     };
   }, []);
 
+  // Send practice saved offline while someone is signed in
+  useEffect(() => {
+    if (isAuthenticated) {
+      return startBackgroundSync();
+    }
+  }, [isAuthenticated]);
+
   // Show loading screen while initializing
   if (isLoading) {
     return (
@@ -208,8 +266,10 @@ export default function App() {
   // Main app UI - show auth or main based on login state
   return (
     <NavigationContainer>
-      {isAuthenticated ? <MainNavigator isAdmin={isAdmin} /> : <AuthNavigator />}
-      <StatusBar style={isAuthenticated ? "light" : "dark"} />
+      {isAuthenticated || isGuest
+        ? <MainNavigator isAdmin={isAdmin} />
+        : <AuthNavigator initialRouteName={authRoute} />}
+      <StatusBar style={isAuthenticated || isGuest ? "light" : "dark"} />
     </NavigationContainer>
   );
 }
@@ -3,6 +3,10 @@
  * 
  * Tests how multiple components work together:
  * - aiService.js → grokProvider.js → security.js, costTracking.js
+ * - aiService.js → openai/anthropic/local providers (shared prompt and parsing)
+ * - aiService.js fallback chain → costTracking.js budget checks
+ * - shared.js retries, timeouts and the aiErrors.js taxonomy
+ * - aiService.js → prompts.js (the active prompt template)
  * 
  * INTEGRATION TESTS vs UNIT TESTS:
  * - Unit tests: Test ONE function in isolation (like we did before)
@@ -19,7 +23,16 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
 // Mock the fetch API (we don't want to make real API calls in tests)
 global.fetch = jest.fn();
 
-import { evaluateSentence, getAvailableProviders } from '../utils/aiService';
+import {
+  AI_ERROR_TYPES,
+  AIServiceError,
+  evaluateSentence,
+  getAvailableProviders,
+  getFallbackChain,
+  getPromptTemplates,
+  isProviderHealthy,
+  resetProviderHealth,
+} from '../utils/aiService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // ============================================
@@ -265,4 +278,526 @@ describe('End-to-End Flow', () => {
     expect(result.grammarIssues).toContain('Subject-verb agreement');
     expect(result.alternativePhrasings).toHaveLength(1);
   });
+
+  // Test 9: Tense-specific rules reach the prompt
+  test('should describe the required tense and its rules in the prompt', async () => {
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === '@ai_provider') return Promise.resolve('grok');
+      if (key === '@api_keys') return Promise.resolve(JSON.stringify({ grok: 'test-key' }));
+      return Promise.resolve(null);
+    });
+
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({
+        choices: [{ message: { content: JSON.stringify({ isCorrect: true }) } }],
+      })
+    });
+
+    await evaluateSentence('manger', 'Impératif', 'Mange ta soupe');
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    const prompt = body.messages[1].content;
+    expect(prompt).toContain('Required tense: Impératif (Orders, advice and instructions');
+    expect(prompt).toContain('Tense notes: The impératif has no subject pronoun');
+  });
+});
+
+// ============================================
+// Test Suite for the other providers
+// ============================================
+
+describe('Other providers', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockStorage = (provider, apiKeys, providerConfig = null) => {
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === '@ai_provider') return Promise.resolve(provider);
+      if (key === '@api_keys') return Promise.resolve(JSON.stringify(apiKeys));
+      if (key === '@provider_config') return Promise.resolve(providerConfig && JSON.stringify(providerConfig));
+      return Promise.resolve(null);
+    });
+  };
+
+  const feedback = JSON.stringify({ isCorrect: true, verbAnalysis: 'Bien conjugué' });
+
+  // Test 10: Every provider is listed for the Settings picker
+  test('should list OpenAI, Anthropic, a local server and the demo mock', () => {
+    const ids = getAvailableProviders().map(p => p.id);
+    expect(ids).toEqual(['grok', 'openai', 'anthropic', 'local', 'mock']);
+    expect(getAvailableProviders().find(p => p.id === 'local').requiresApiKey).toBe(false);
+  });
+
+  // Test 11: OpenAI uses the chat completions contract
+  test('should call OpenAI with the shared prompt', async () => {
+    mockStorage('openai', { openai: 'sk-test' });
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: feedback } }] })
+    });
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://api.openai.com/v1/chat/completions',
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'Authorization': 'Bearer sk-test' })
+      })
+    );
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain('Required tense: Présent');
+    expect(result.isCorrect).toBe(true);
+  });
+
+  // Test 12: Anthropic uses the Messages API and content blocks
+  test('should call Anthropic and read the text content block', async () => {
+    mockStorage('anthropic', { anthropic: 'sk-ant-test' });
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({
+        content: [{ type: 'text', text: feedback }],
+        usage: { input_tokens: 120, output_tokens: 60 }
+      })
+    });
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(options.headers['x-api-key']).toBe('sk-ant-test');
+    const body = JSON.parse(options.body);
+    expect(body.system).toContain('French language teacher');
+    expect(body.messages[0].content).toContain('Verb (infinitive): manger');
+    expect(result.isCorrect).toBe(true);
+    expect(result.verbAnalysis).toBe('Bien conjugué');
+  });
+
+  test('should surface Anthropic error messages', async () => {
+    mockStorage('anthropic', { anthropic: 'bad-key' });
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 401,
+      json: () => Promise.resolve({ type: 'error', error: { message: 'invalid x-api-key' } })
+    });
+
+    await expect(
+      evaluateSentence('manger', 'Présent', 'Je mange une pomme')
+    ).rejects.toThrow('invalid x-api-key');
+  });
+
+  // Test 13: A local server works without a key, at the configured URL
+  test('should call the local server without an API key', async () => {
+    mockStorage('local', {}, { local: { baseUrl: 'http://192.168.1.20:8080/v1/', model: 'mistral' } });
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: feedback } }] })
+    });
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://192.168.1.20:8080/v1/chat/completions');
+    expect(options.headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(options.body).model).toBe('mistral');
+    expect(result.isCorrect).toBe(true);
+  });
+
+  test('should default the local server to Ollama', async () => {
+    mockStorage('local', {});
+    global.fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: feedback } }] })
+    });
+
+    await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+  });
+});
+
+// ============================================
+// Test Suite for provider fallback
+// ============================================
+
+// Mock helpers shared by the fallback and retry suites
+const mockGrokAndOpenAI = (extra = {}) => {
+  AsyncStorage.getItem.mockImplementation((key) => {
+    if (key === '@ai_provider') return Promise.resolve('grok');
+    if (key === '@api_keys') return Promise.resolve(JSON.stringify({ grok: 'xai-key', openai: 'sk-key' }));
+    if (key in extra) return Promise.resolve(JSON.stringify(extra[key]));
+    return Promise.resolve(null);
+  });
+};
+
+const failure = (status, headers = {}) => ({
+  ok: false,
+  status,
+  headers: { get: (name) => headers[name.toLowerCase()] || null },
+  json: () => Promise.resolve({ error: { message: `Upstream error ${status}` } })
+});
+
+const success = {
+  ok: true,
+  json: () => Promise.resolve({
+    choices: [{ message: { content: JSON.stringify({ isCorrect: true }) } }],
+  })
+};
+
+// Queue the same fetch result several times (first try + retries)
+const mockFetchTimes = (result, times) => {
+  for (let i = 0; i < times; i++) {
+    global.fetch.mockResolvedValueOnce(result);
+  }
+};
+
+// Run a call to completion, fast-forwarding backoff delays and timeouts
+const settle = async (promise) => {
+  const outcome = promise.then(value => ({ value }), error => ({ error }));
+  await jest.runAllTimersAsync();
+  return outcome;
+};
+
+// Each transient failure is retried twice before giving up on a provider
+const ATTEMPTS_PER_PROVIDER = 3;
+
+describe('Provider fallback', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    resetProviderHealth();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Test 14: Only configured providers join the chain, selected one first
+  test('should build the chain from configured providers', async () => {
+    mockGrokAndOpenAI({ '@provider_config': { local: { baseUrl: 'http://localhost:8080/v1' } } });
+
+    expect(await getFallbackChain('grok')).toEqual(['grok', 'openai', 'local']);
+  });
+
+  // Test 15: A 5xx moves on to the next provider and records who answered
+  test('should fall back to the next provider on a server error', async () => {
+    mockGrokAndOpenAI();
+    mockFetchTimes(failure(503), ATTEMPTS_PER_PROVIDER);
+    global.fetch.mockResolvedValueOnce(success);
+
+    const { value: result } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(global.fetch.mock.calls[ATTEMPTS_PER_PROVIDER][0]).toBe('https://api.openai.com/v1/chat/completions');
+    expect(result.provider).toBe('openai');
+    expect(result.fallbackFrom).toEqual(['grok']);
+    expect(isProviderHealthy('grok')).toBe(false);
+  });
+
+  test('should record the provider without fallbackFrom when the first one answers', async () => {
+    mockGrokAndOpenAI();
+    global.fetch.mockResolvedValueOnce(success);
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(result.provider).toBe('grok');
+    expect(result).not.toHaveProperty('fallbackFrom');
+  });
+
+  test('should find a fallback\'s answer in the cache next time', async () => {
+    // Keep what the feedback cache writes
+    const stored = {};
+    mockGrokAndOpenAI();
+    const readSettings = AsyncStorage.getItem.getMockImplementation();
+    AsyncStorage.getItem.mockImplementation((key) =>
+      key in stored ? Promise.resolve(stored[key]) : readSettings(key)
+    );
+    AsyncStorage.setItem.mockImplementation((key, value) => {
+      stored[key] = value;
+      return Promise.resolve();
+    });
+    mockFetchTimes(failure(503), ATTEMPTS_PER_PROVIDER);
+    global.fetch.mockResolvedValueOnce(success);
+
+    const { value: first } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+    const { value: second } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(first.provider).toBe('openai');
+    // Grok is skipped while it cools down, so OpenAI's cached answer is used
+    expect(second).toMatchObject({ cached: true, provider: 'openai' });
+    expect(second).not.toHaveProperty('fallbackFrom');
+    expect(global.fetch).toHaveBeenCalledTimes(ATTEMPTS_PER_PROVIDER + 1);
+
+    // Once Grok is healthy again it answers, not OpenAI's cache
+    jest.advanceTimersByTime(2 * 60 * 1000 + 1);
+    global.fetch.mockResolvedValueOnce(success);
+    const { value: third } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(third.provider).toBe('grok');
+    expect(third).not.toHaveProperty('cached');
+    expect(global.fetch.mock.calls[ATTEMPTS_PER_PROVIDER + 1][0]).toBe('https://api.x.ai/v1/chat/completions');
+  });
+
+  // Test 16: Unhealthy providers are tried last
+  test('should skip a provider that just failed', async () => {
+    mockGrokAndOpenAI();
+    mockFetchTimes(failure(429), ATTEMPTS_PER_PROVIDER);
+    mockFetchTimes(success, 2);
+
+    await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+    const { value: second } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(global.fetch).toHaveBeenCalledTimes(ATTEMPTS_PER_PROVIDER + 2);
+    expect(global.fetch.mock.calls[ATTEMPTS_PER_PROVIDER + 1][0]).toBe('https://api.openai.com/v1/chat/completions');
+    expect(second.provider).toBe('openai');
+    expect(await getFallbackChain('grok')).toEqual(['openai', 'grok']);
+  });
+
+  // Test 17: Invalid keys don't trigger a fallback
+  test('should not fall back on an invalid key', async () => {
+    mockGrokAndOpenAI();
+    global.fetch.mockResolvedValueOnce(failure(401));
+
+    await expect(
+      evaluateSentence('manger', 'Présent', 'Je mange une pomme')
+    ).rejects.toThrow('Upstream error 401');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(isProviderHealthy('grok')).toBe(true);
+  });
+
+  // Test 18: The budget applies to fallbacks too
+  test('should not fall back once the budget is used up', async () => {
+    mockGrokAndOpenAI({
+      '@cost_tracking': { totalRequests: 10, totalCost: 2, dailyCost: 2, weeklyCost: 2, monthlyCost: 2, requests: [] },
+    });
+    mockFetchTimes(failure(500), ATTEMPTS_PER_PROVIDER);
+
+    const { error } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(error.message).toBe('Upstream error 500');
+    expect(global.fetch).toHaveBeenCalledTimes(ATTEMPTS_PER_PROVIDER);
+  });
+
+  test('should throw the last error when every provider fails', async () => {
+    mockGrokAndOpenAI();
+    mockFetchTimes(failure(502), ATTEMPTS_PER_PROVIDER);
+    for (let i = 0; i < ATTEMPTS_PER_PROVIDER; i++) {
+      global.fetch.mockRejectedValueOnce(new TypeError('Network request failed'));
+    }
+
+    const { error } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(error.type).toBe(AI_ERROR_TYPES.NETWORK);
+    expect(error.message).toBe('Network request failed');
+    expect(isProviderHealthy('openai')).toBe(false);
+  });
+});
+
+// ============================================
+// Test Suite for retries, timeouts and error types
+// ============================================
+
+describe('Retries and error types', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    resetProviderHealth();
+    // Only Grok is configured, so there is nothing to fall back to
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === '@ai_provider') return Promise.resolve('grok');
+      if (key === '@api_keys') return Promise.resolve(JSON.stringify({ grok: 'xai-key' }));
+      return Promise.resolve(null);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Test 19: Transient failures are retried, then succeed
+  test('should retry a 5xx and a network failure before succeeding', async () => {
+    global.fetch
+      .mockResolvedValueOnce(failure(500))
+      .mockRejectedValueOnce(new TypeError('Network request failed'))
+      .mockResolvedValueOnce(success);
+
+    const { value: result } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result.isCorrect).toBe(true);
+  });
+
+  // Test 20: Retry-After is honoured
+  test('should wait for Retry-After on a 429', async () => {
+    global.fetch
+      .mockResolvedValueOnce(failure(429, { 'retry-after': '3' }))
+      .mockResolvedValueOnce(success);
+
+    const pending = evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+    await jest.advanceTimersByTimeAsync(2900);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(200);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    await expect(pending).resolves.toMatchObject({ isCorrect: true });
+  });
+
+  test('should give up after the retries with a quota error', async () => {
+    mockFetchTimes(failure(429), ATTEMPTS_PER_PROVIDER);
+
+    const { error } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(global.fetch).toHaveBeenCalledTimes(ATTEMPTS_PER_PROVIDER);
+    expect(error).toBeInstanceOf(AIServiceError);
+    expect(error.type).toBe(AI_ERROR_TYPES.QUOTA);
+    expect(error.status).toBe(429);
+  });
+
+  // Test 21: A hung request is aborted
+  test('should abort a request that never answers', async () => {
+    global.fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('Aborted')));
+    }));
+
+    const { error } = await settle(evaluateSentence('manger', 'Présent', 'Je mange une pomme'));
+
+    expect(error.type).toBe(AI_ERROR_TYPES.TIMEOUT);
+    expect(global.fetch).toHaveBeenCalledTimes(1); // Timeouts aren't retried
+    global.fetch.mockReset();
+  });
+
+  // Test 22: Every failure has a type
+  test('should type auth, configuration, input and response errors', async () => {
+    global.fetch
+      .mockResolvedValueOnce(failure(403))
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ choices: [] }) });
+
+    await expect(evaluateSentence('manger', 'Présent', 'Je mange une pomme'))
+      .rejects.toMatchObject({ type: AI_ERROR_TYPES.AUTH, status: 403 });
+    await expect(evaluateSentence('manger', 'Présent', 'Je mange une pomme'))
+      .rejects.toMatchObject({ type: AI_ERROR_TYPES.INVALID_RESPONSE });
+    await expect(evaluateSentence('manger', 'Présent', ''))
+      .rejects.toMatchObject({ type: AI_ERROR_TYPES.INVALID_INPUT });
+
+    AsyncStorage.getItem.mockResolvedValue(null);
+    await expect(evaluateSentence('manger', 'Présent', 'Je mange une pomme'))
+      .rejects.toMatchObject({ type: AI_ERROR_TYPES.NOT_CONFIGURED });
+  });
+});
+
+// ============================================
+// Test Suite for unreadable answers
+// ============================================
+
+describe('Unreadable answers', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetProviderHealth();
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === '@ai_provider') return Promise.resolve('grok');
+      if (key === '@api_keys') return Promise.resolve(JSON.stringify({ grok: 'xai-key' }));
+      return Promise.resolve(null);
+    });
+  });
+
+  const reply = (content) => ({
+    ok: true,
+    json: () => Promise.resolve({ choices: [{ message: { content } }] })
+  });
+
+  // Test 23: One re-ask when repair isn't enough
+  test('should ask the model again once when the answer is not JSON', async () => {
+    global.fetch
+      .mockResolvedValueOnce(reply('The verb is correct, well done!'))
+      .mockResolvedValueOnce(reply('{"isCorrect": true, "encouragement": "Bravo"}'));
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    const messages = JSON.parse(global.fetch.mock.calls[1][1].body).messages;
+    expect(messages[2]).toEqual({ role: 'assistant', content: 'The verb is correct, well done!' });
+    expect(messages[3].content).toContain('ONLY the JSON object');
+    expect(result.isCorrect).toBe(true);
+    expect(result.reasked).toBe(true);
+  });
+
+  test('should not re-ask when the answer can be repaired', async () => {
+    global.fetch.mockResolvedValueOnce(reply('```json\n{"isCorrect": false, "grammarIssues": ["accord",],}\n```'));
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result.isCorrect).toBe(false);
+    expect(result.grammarIssues).toEqual(['accord']);
+  });
+
+  // Test 24: Still unreadable → no verdict
+  test('should return ungraded feedback when both answers are unreadable', async () => {
+    global.fetch
+      .mockResolvedValueOnce(reply('Incorrect.'))
+      .mockResolvedValueOnce(reply('Sorry, incorrect.'));
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result.parseError).toBe(true);
+    expect(result.isCorrect).toBeNull();
+  });
+});
+
+// ============================================
+// Test Suite for prompt templates
+// ============================================
+
+describe('Prompt templates', () => {
+
+  const configure = (promptId) => {
+    AsyncStorage.getItem.mockImplementation((key) => {
+      if (key === '@ai_provider') return Promise.resolve('grok');
+      if (key === '@api_keys') return Promise.resolve(JSON.stringify({ grok: 'xai-key' }));
+      if (key === '@prompt_template') return Promise.resolve(promptId);
+      return Promise.resolve(null);
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetProviderHealth();
+    global.fetch.mockResolvedValueOnce(success);
+  });
+
+  // Test 25: The chosen template is sent and recorded
+  test('should send the active template and record its version', async () => {
+    configure('verb_focus');
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    const messages = JSON.parse(global.fetch.mock.calls[0][1].body).messages;
+    expect(messages[0].content).toContain('French examiner');
+    expect(messages[1].content).toContain('Check the conjugation of one verb');
+    expect(result.promptId).toBe('verb_focus');
+    expect(result.promptVersion).toBe(4);
+  });
+
+  // Test 26: Nothing synced yet, or a template that no longer exists
+  test('should fall back to the default template', async () => {
+    configure('removed_template');
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    const messages = JSON.parse(global.fetch.mock.calls[0][1].body).messages;
+    expect(messages[0].content).toContain('French language teacher');
+    expect(result.promptId).toBe('detailed');
+  });
+
+  test('should list the templates for the Admin screen', () => {
+    const templates = getPromptTemplates();
+
+    expect(templates.map(t => t.id)).toEqual(['detailed', 'verb_focus']);
+    expect(templates[0]).not.toHaveProperty('build');
+  });
 });
@@ -0,0 +1,88 @@
+/**
+ * Tests for calendar.js
+ * Testing that days and weeks follow the user's time zone, across DST
+ * changes and on both sides of UTC
+ */
+
+import {
+  getCalendarSettings,
+  getDayKey,
+  addDays,
+  daysBetween,
+  getDayOfWeek,
+  getWeekRange,
+  isValidTimeZone,
+} from '../utils/calendar';
+
+// ============================================
+// Test Suite for days
+// ============================================
+
+describe('days', () => {
+
+  // Test 1: One instant, three days
+  test('should give the day in the user\'s zone, east and west of UTC', () => {
+    const instant = '2026-03-05T23:30:00Z';
+    expect(getDayKey(instant, 'UTC')).toBe('2026-03-05');
+    expect(getDayKey(instant, 'Asia/Tokyo')).toBe('2026-03-06'); // 08:30 the next morning
+    expect(getDayKey('2026-03-05T05:30:00Z', 'America/New_York')).toBe('2026-03-05'); // 00:30
+    expect(getDayKey('2026-03-05T04:30:00Z', 'America/New_York')).toBe('2026-03-04'); // 23:30 the evening before
+  });
+
+  // Test 2: Day arithmetic ignores DST
+  test('should move by whole days across DST changes', () => {
+    expect(addDays('2026-03-28', 1)).toBe('2026-03-29'); // Europe springs forward on the 29th
+    expect(addDays('2026-03-29', 1)).toBe('2026-03-30');
+    expect(addDays('2026-11-01', -1)).toBe('2026-10-31'); // The US falls back on 1 November
+    expect(daysBetween('2026-03-01', '2026-04-01')).toBe(31);
+    expect(daysBetween('2026-10-26', '2026-10-24')).toBe(-2);
+
+    // 23:30 in Paris, the nights before and after the change
+    expect(getDayKey('2026-03-28T22:30:00Z', 'Europe/Paris')).toBe('2026-03-28');
+    expect(getDayKey('2026-03-29T21:30:00Z', 'Europe/Paris')).toBe('2026-03-29');
+  });
+});
+
+// ============================================
+// Test Suite for weeks
+// ============================================
+
+describe('getWeekRange', () => {
+
+  // Test 3: First day of the week
+  test('should start the week on the chosen day', () => {
+    const wednesday = new Date('2026-03-11T12:00:00Z');
+    expect(getDayOfWeek('2026-03-11')).toBe(3);
+
+    expect(getWeekRange({ timeZone: 'UTC', firstDayOfWeek: 1 }, wednesday)).toEqual({ start: '2026-03-09', end: '2026-03-15' });
+    expect(getWeekRange({ timeZone: 'UTC', firstDayOfWeek: 0 }, wednesday)).toEqual({ start: '2026-03-08', end: '2026-03-14' });
+    expect(getWeekRange({ timeZone: 'UTC', firstDayOfWeek: 3 }, wednesday)).toEqual({ start: '2026-03-11', end: '2026-03-17' });
+  });
+
+  // Test 4: Sunday night UTC is already Monday in Sydney
+  test('should use the user\'s zone to find today', () => {
+    const sundayNightUtc = new Date('2026-03-15T22:00:00Z');
+    expect(getWeekRange({ timeZone: 'UTC', firstDayOfWeek: 1 }, sundayNightUtc).start).toBe('2026-03-09');
+    expect(getWeekRange({ timeZone: 'Australia/Sydney', firstDayOfWeek: 1 }, sundayNightUtc).start).toBe('2026-03-16');
+    expect(getWeekRange({ timeZone: 'America/Los_Angeles', firstDayOfWeek: 1 }, sundayNightUtc).start).toBe('2026-03-09');
+  });
+});
+
+// ============================================
+// Test Suite for the settings
+// ============================================
+
+describe('getCalendarSettings', () => {
+
+  // Test 5: Saved values, or safe defaults
+  test('should read the settings and fall back for missing or unknown values', () => {
+    expect(getCalendarSettings({ time_zone: 'Europe/Paris', first_day_of_week: 0 }))
+      .toEqual({ timeZone: 'Europe/Paris', firstDayOfWeek: 0 });
+
+    const fallback = getCalendarSettings({ time_zone: 'Mars/Olympus', first_day_of_week: 9 });
+    expect(isValidTimeZone(fallback.timeZone)).toBe(true);
+    expect(fallback.timeZone).not.toBe('Mars/Olympus');
+    expect(fallback.firstDayOfWeek).toBe(1);
+    expect(getCalendarSettings(null).firstDayOfWeek).toBe(1);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for conjugator.js
+ * Testing offline conjugation of regular, spelling-change and irregular verbs
+ */
+
+import {
+  conjugate,
+  getConjugationTable,
+  getPastParticiple,
+  getAuxiliary,
+  getAcceptedForms,
+  hasTense,
+  isValidConjugation,
+} from '../utils/conjugator';
+import { DEFAULT_VERBS } from '../data/defaultVerbs';
+import { TENSES } from '../data/tenses';
+
+// ============================================
+// Test Suite for conjugate
+// ============================================
+
+describe('conjugate', () => {
+
+  // Test 1: Regular -er verb in the present
+  test('should conjugate regular -er verbs in the present', () => {
+    expect(conjugate('parler', 'present')).toEqual(
+      ['parle', 'parles', 'parle', 'parlons', 'parlez', 'parlent']
+    );
+  });
+
+  // Test 2: Regular -ir and -re groups
+  test('should conjugate regular -ir and -re verbs', () => {
+    expect(conjugate('finir', 'present')).toEqual(
+      ['finis', 'finis', 'finit', 'finissons', 'finissez', 'finissent']
+    );
+    expect(conjugate('attendre', 'present')).toEqual(
+      ['attends', 'attends', 'attend', 'attendons', 'attendez', 'attendent']
+    );
+  });
+
+  // Test 3: Spelling-change verbs
+  test('should apply -ger and -cer spelling rules', () => {
+    expect(conjugate('manger', 'present')[3]).toBe('mangeons');
+    expect(conjugate('manger', 'imparfait')).toEqual(
+      ['mangeais', 'mangeais', 'mangeait', 'mangions', 'mangiez', 'mangeaient']
+    );
+    expect(conjugate('commencer', 'present')[3]).toBe('commençons');
+    expect(conjugate('commencer', 'imparfait')[0]).toBe('commençais');
+  });
+
+  test('should change the stem of acheter, appeler and préférer', () => {
+    expect(conjugate('acheter', 'present')).toEqual(
+      ['achète', 'achètes', 'achète', 'achetons', 'achetez', 'achètent']
+    );
+    expect(conjugate('acheter', 'futur_simple')[0]).toBe('achèterai');
+    expect(conjugate('appeler', 'present')[0]).toBe('appelle');
+    expect(conjugate('préférer', 'present')[0]).toBe('préfère');
+    expect(conjugate('préférer', 'futur_simple')[0]).toBe('préférerai');
+  });
+
+  // Test 4: Irregular verbs
+  test('should conjugate irregular verbs', () => {
+    expect(conjugate('être', 'present')).toEqual(
+      ['suis', 'es', 'est', 'sommes', 'êtes', 'sont']
+    );
+    expect(conjugate('être', 'imparfait')[0]).toBe('étais');
+    expect(conjugate('aller', 'futur_simple')[0]).toBe('irai');
+    expect(conjugate('faire', 'present')[4]).toBe('faites');
+    expect(conjugate('pouvoir', 'futur_simple')[3]).toBe('pourrons');
+  });
+
+  test('should conjugate compounds of irregular verbs', () => {
+    expect(conjugate('comprendre', 'present')[5]).toBe('comprennent');
+    expect(conjugate('devenir', 'futur_simple')[0]).toBe('deviendrai');
+    expect(conjugate('connaître', 'present')[2]).toBe('connaît');
+  });
+
+  // Test 5: Passé composé with both auxiliaries
+  test('should build the passé composé with avoir and être', () => {
+    expect(conjugate('manger', 'passe_compose')[0]).toBe('ai mangé');
+    expect(conjugate('aller', 'passe_compose')).toEqual([
+      'suis allé', 'es allé', 'est allé', 'sommes allés', 'êtes allés', 'sont allés',
+    ]);
+    expect(conjugate('prendre', 'passe_compose')[2]).toBe('a pris');
+  });
+
+  // Test 6: Advanced tenses
+  test('should conjugate the conditionnel and subjonctif', () => {
+    expect(conjugate('aller', 'conditionnel_present')[0]).toBe('irais');
+    expect(conjugate('acheter', 'conditionnel_present')[3]).toBe('achèterions');
+    expect(conjugate('prendre', 'subjonctif_present')).toEqual(
+      ['prenne', 'prennes', 'prenne', 'prenions', 'preniez', 'prennent']
+    );
+    expect(conjugate('finir', 'subjonctif_present')[0]).toBe('finisse');
+    expect(conjugate('faire', 'subjonctif_present')[3]).toBe('fassions');
+  });
+
+  test('should conjugate the passé simple', () => {
+    expect(conjugate('manger', 'passe_simple')).toEqual(
+      ['mangeai', 'mangeas', 'mangea', 'mangeâmes', 'mangeâtes', 'mangèrent']
+    );
+    expect(conjugate('attendre', 'passe_simple')[2]).toBe('attendit');
+    expect(conjugate('être', 'passe_simple')[2]).toBe('fut');
+    expect(conjugate('venir', 'passe_simple')[3]).toBe('vînmes');
+    expect(conjugate('dire', 'passe_simple')[0]).toBe('dis');
+  });
+
+  test('should conjugate the impératif for tu, nous and vous only', () => {
+    expect(conjugate('parler', 'imperatif')).toEqual(
+      [null, 'parle', null, 'parlons', 'parlez', null]
+    );
+    expect(conjugate('aller', 'imperatif')[1]).toBe('va');
+    expect(conjugate('finir', 'imperatif')[1]).toBe('finis');
+    expect(conjugate('être', 'imperatif')[4]).toBe('soyez');
+  });
+
+  test('should build the other compound tenses from the auxiliary tense', () => {
+    expect(conjugate('manger', 'plus_que_parfait')[0]).toBe('avais mangé');
+    expect(conjugate('partir', 'futur_anterieur')[3]).toBe('serons partis');
+    expect(conjugate('voir', 'conditionnel_passe')[2]).toBe('aurait vu');
+  });
+
+  // Test 7: Every default verb works in every tense
+  test('should conjugate every default verb in every tense', () => {
+    DEFAULT_VERBS.forEach(({ verb }) => {
+      TENSES.forEach(tense => {
+        if (!hasTense(verb, tense.id)) return; // pouvoir has no impératif
+        const forms = conjugate(verb, tense.id);
+        expect(forms).toHaveLength(6);
+        const expectedPersons = tense.id === 'imperatif' ? 3 : 6;
+        expect(forms.filter(Boolean)).toHaveLength(expectedPersons);
+      });
+    });
+  });
+
+  // Test 8: Edge cases
+  test('should return null for words that are not infinitives', () => {
+    expect(conjugate('bonjour', 'present')).toBeNull();
+    expect(conjugate('', 'present')).toBeNull();
+  });
+
+  test('should throw for unknown tenses', () => {
+    expect(() => conjugate('parler', 'aoriste')).toThrow('Unsupported tense');
+  });
+
+  test('should ignore case and surrounding whitespace', () => {
+    expect(conjugate('  Parler ', 'present')[0]).toBe('parle');
+  });
+});
+
+// ============================================
+// Test Suite for helpers
+// ============================================
+
+describe('getPastParticiple and getAuxiliary', () => {
+
+  test('should return past participles', () => {
+    expect(getPastParticiple('parler')).toBe('parlé');
+    expect(getPastParticiple('finir')).toBe('fini');
+    expect(getPastParticiple('attendre')).toBe('attendu');
+    expect(getPastParticiple('vivre')).toBe('vécu');
+  });
+
+  test('should return être for movement verbs', () => {
+    expect(getAuxiliary('aller')).toBe('être');
+    expect(getAuxiliary('tomber')).toBe('être');
+    expect(getAuxiliary('manger')).toBe('avoir');
+  });
+});
+
+describe('getConjugationTable', () => {
+
+  test('should elide je before a vowel', () => {
+    const table = getConjugationTable('aimer', 'present');
+    expect(table[0].text).toBe("j'aime");
+    expect(table[3].text).toBe('nous aimons');
+    expect(table[5].label).toBe('ils/elles');
+  });
+
+  test('should list the impératif without pronouns', () => {
+    const table = getConjugationTable('aimer', 'imperatif');
+    expect(table.map(row => row.text)).toEqual(['aime', 'aimons', 'aimez']);
+  });
+});
+
+describe('hasTense', () => {
+
+  test('should only exclude tenses a known verb lacks', () => {
+    expect(hasTense('pouvoir', 'imperatif')).toBe(false);
+    expect(hasTense('pouvoir', 'present')).toBe(true);
+    expect(hasTense('se lever', 'imperatif')).toBe(true);
+  });
+});
+
+describe('isValidConjugation', () => {
+
+  test('should accept forms with or without a pronoun', () => {
+    expect(isValidConjugation('manger', 'present', 'mangeons')).toBe(true);
+    expect(isValidConjugation('manger', 'present', 'Nous mangeons')).toBe(true);
+    expect(isValidConjugation('manger', 'passe_compose', "j’ai mangé")).toBe(true);
+  });
+
+  test('should reject wrong conjugations', () => {
+    expect(isValidConjugation('manger', 'present', 'mangons')).toBe(false);
+    expect(isValidConjugation('manger', 'imparfait', 'mange')).toBe(false);
+  });
+
+  test('should accept participle agreement with être', () => {
+    expect(isValidConjugation('aller', 'passe_compose', 'elle est allée')).toBe(true);
+    expect(getAcceptedForms('sortir', 'passe_compose')[0]).toContain('ai sorti');
+  });
+});
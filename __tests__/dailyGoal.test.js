@@ -0,0 +1,124 @@
+/**
+ * Tests for dailyGoal.js
+ * Testing the goal setting and its changes, today's progress, the goal
+ * history and the goal streak (days in the user's time zone)
+ */
+
+import {
+  DEFAULT_DAILY_GOAL,
+  getDailyGoal,
+  parseDailyGoal,
+  getGoalProgress,
+  recordGoalChange,
+  getGoalOnDay,
+  calculateGoalHistory,
+  calculateGoalStreak,
+} from '../utils/dailyGoal';
+
+const day = (key, sessions) => ({ day: key, sessions, graded: sessions, accuracy: 100 });
+
+// ============================================
+// Test Suite for the setting
+// ============================================
+
+describe('daily goal setting', () => {
+
+  // Test 1: Saved goal, or the default
+  test('should read the saved goal and fall back to the default', () => {
+    expect(getDailyGoal({ daily_goal: 20 })).toBe(20);
+    expect(getDailyGoal({ daily_goal: 0 })).toBe(DEFAULT_DAILY_GOAL);
+    expect(getDailyGoal({ daily_goal: 500 })).toBe(DEFAULT_DAILY_GOAL);
+    expect(getDailyGoal(null)).toBe(DEFAULT_DAILY_GOAL);
+  });
+
+  // Test 2: Typed goals must be whole numbers in range
+  test('should only accept whole numbers from 1 to 100', () => {
+    expect(parseDailyGoal(' 15 ')).toBe(15);
+    expect(parseDailyGoal('100')).toBe(100);
+    expect(parseDailyGoal('0')).toBeNull();
+    expect(parseDailyGoal('101')).toBeNull();
+    expect(parseDailyGoal('7.5')).toBeNull();
+    expect(parseDailyGoal('-3')).toBeNull();
+    expect(parseDailyGoal('')).toBeNull();
+  });
+
+  // Test 3: Today's progress
+  test('should report progress towards today\'s goal', () => {
+    expect(getGoalProgress(4, 10)).toEqual({ sessions: 4, goal: 10, remaining: 6, ratio: 0.4, met: false });
+    expect(getGoalProgress(12, 10)).toEqual({ sessions: 12, goal: 10, remaining: 0, ratio: 1, met: true });
+  });
+});
+
+// ============================================
+// Test Suite for the history and the goal streak
+// ============================================
+
+describe('goal history', () => {
+
+  // 21:00 UTC on Wednesday 11 March: still the 11th in Paris, the 12th in Tokyo
+  const now = new Date('2026-03-11T21:00:00Z');
+  const days = [
+    day('2026-03-06', 10),
+    day('2026-03-07', 3), // Practised, but under the goal
+    day('2026-03-08', 10),
+    day('2026-03-09', 12),
+    day('2026-03-10', 10),
+    day('2026-03-11', 4),
+  ];
+
+  // Test 4: The last days, ending today in the user's zone
+  test('should list the last days and whether the goal was met', () => {
+    const history = calculateGoalHistory(days, 10, 'Europe/Paris', now, 7);
+
+    expect(history.map(entry => entry.day)).toEqual([
+      '2026-03-05', '2026-03-06', '2026-03-07', '2026-03-08', '2026-03-09', '2026-03-10', '2026-03-11',
+    ]);
+    expect(history.map(entry => entry.met)).toEqual([false, true, false, true, true, true, false]);
+    expect(history[6]).toEqual({ day: '2026-03-11', sessions: 4, goal: 10, met: false, today: true });
+
+    expect(calculateGoalHistory(days, 10, 'Asia/Tokyo', now, 7)[6]).toMatchObject({ day: '2026-03-12', sessions: 0 });
+  });
+
+  // Test 5: Separate from the practice streak
+  test('should count days in a row with the goal met', () => {
+    // Today (4 of 10) is in progress: the run ending yesterday is current
+    expect(calculateGoalStreak(days, 10, 'Europe/Paris', now)).toEqual({ current: 3, best: 3 });
+
+    // A lower goal: every day counts, today included
+    expect(calculateGoalStreak(days, 3, 'Europe/Paris', now)).toEqual({ current: 6, best: 6 });
+
+    // In Tokyo it's already the 12th: yesterday (the 11th) missed the goal
+    expect(calculateGoalStreak(days, 10, 'Asia/Tokyo', now)).toEqual({ current: 0, best: 3 });
+  });
+  // Test 6: Past days keep the goal they had
+  test('should judge each day against the goal in effect that day', () => {
+    // 10 a day until the 9th, then 12, then 4 from today
+    let changes = recordGoalChange([], 10, 12, '2026-03-09');
+    changes = recordGoalChange(changes, 12, 4, '2026-03-11');
+    const settings = { daily_goal: 4, daily_goal_changes: changes };
+    const goalOn = key => getGoalOnDay(settings, key);
+
+    expect(['2026-03-01', '2026-03-09', '2026-03-10', '2026-03-11'].map(goalOn)).toEqual([10, 12, 12, 4]);
+
+    const history = calculateGoalHistory(days, goalOn, 'Europe/Paris', now, 7);
+    expect(history.map(entry => entry.goal)).toEqual([10, 10, 10, 10, 12, 12, 4]);
+    // The 10th (10 sessions) missed its goal of 12; today's 4 meet the new goal
+    expect(history.map(entry => entry.met)).toEqual([false, true, false, true, true, false, true]);
+    expect(calculateGoalStreak(days, goalOn, 'Europe/Paris', now)).toEqual({ current: 1, best: 2 });
+  });
+
+  // Test 7: Changes on the same day are one change
+  test('should log one change per day', () => {
+    const changes = recordGoalChange([{ day: '2026-03-01', from: 10, to: 20 }], 20, 30, '2026-03-11');
+    expect(recordGoalChange(changes, 30, 5, '2026-03-11')).toEqual([
+      { day: '2026-03-01', from: 10, to: 20 },
+      { day: '2026-03-11', from: 20, to: 5 },
+    ]);
+    // Back to the morning's goal: nothing changed that day
+    expect(recordGoalChange(changes, 30, 20, '2026-03-11')).toEqual([{ day: '2026-03-01', from: 10, to: 20 }]);
+
+    // Without changes, every day has the saved goal
+    expect(getGoalOnDay({ daily_goal: 15 }, '2020-01-01')).toBe(15);
+    expect(getGoalOnDay(null, '2020-01-01')).toBe(DEFAULT_DAILY_GOAL);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for dataStore.js
+ * Testing that realtime changes keep the shared store current, and that
+ * signing out closes the subscriptions
+ */
+
+jest.mock('../utils/supabase', () => {
+  const channel = {
+    handlers: [],
+    on: jest.fn(function (type, filter, handler) {
+      this.handlers.push({ filter, handler });
+      return this;
+    }),
+    subscribe: jest.fn(function () { return this; }),
+  };
+  return {
+    channel,
+    supabase: {
+      auth: {
+        getUser: jest.fn(() => Promise.resolve({ data: { user: { id: 'user-1' } } })),
+      },
+      channel: jest.fn(() => channel),
+      removeChannel: jest.fn(),
+    },
+  };
+});
+
+jest.mock('../utils/verbRepository', () => ({
+  getVerbs: jest.fn(),
+}));
+
+jest.mock('../utils/cloudStorage', () => ({
+  getPracticeHistory: jest.fn(),
+  getUserSettings: jest.fn(),
+}));
+
+import { supabase, channel } from '../utils/supabase';
+import { getVerbs } from '../utils/verbRepository';
+import { getPracticeHistory, getUserSettings } from '../utils/cloudStorage';
+import {
+  applyRowChange,
+  getDataStore,
+  subscribeToDataStore,
+  startRealtimeSync,
+  stopRealtimeSync,
+} from '../utils/dataStore';
+
+const session = (id, createdAt) => ({ id, user_id: 'user-1', verb_text: 'manger', created_at: createdAt });
+const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// Deliver a change the way Supabase would, to the handlers listening for it
+const emit = (table, payload) => {
+  channel.handlers
+    .filter(({ filter }) => filter.table === table && (filter.event === '*' || filter.event === payload.eventType))
+    .forEach(({ handler }) => handler(payload));
+};
+
+beforeEach(() => {
+  stopRealtimeSync();
+  jest.clearAllMocks();
+  channel.handlers = [];
+  getVerbs.mockResolvedValue({ success: true, verbs: [{ id: 'v1', verb: 'manger', is_default: true }] });
+  getPracticeHistory.mockResolvedValue({ success: true, sessions: [session('s1', '2026-03-01T10:00:00Z')] });
+  getUserSettings.mockResolvedValue({ success: true, settings: { id: 'set-1', enabled_tenses: ['present'] } });
+});
+
+// ============================================
+// Test Suite for applyRowChange
+// ============================================
+
+describe('applyRowChange', () => {
+
+  const rows = [session('s2', '2026-03-02T10:00:00Z'), session('s1', '2026-03-01T10:00:00Z')];
+
+  // Test 1: Inserts, updates and deletes by id
+  test('should insert, update and delete rows by id', () => {
+    const inserted = applyRowChange(rows, { eventType: 'INSERT', new: session('s3', '2026-03-03T10:00:00Z') }, byNewest);
+    expect(inserted.map(r => r.id)).toEqual(['s3', 's2', 's1']);
+
+    const updated = applyRowChange(rows, { eventType: 'UPDATE', new: { ...rows[1], verb_text: 'boire' } }, byNewest);
+    expect(updated.map(r => r.verb_text)).toEqual(['manger', 'boire']);
+
+    expect(applyRowChange(rows, { eventType: 'DELETE', old: { id: 's2' } }, byNewest)).toEqual([rows[1]]);
+  });
+
+  // Test 2: Repeated inserts and other users' deletes change nothing
+  test('should ignore repeated inserts and unknown deletes', () => {
+    const again = applyRowChange(rows, { eventType: 'INSERT', new: rows[0] }, byNewest);
+    expect(again).toEqual(rows);
+    expect(applyRowChange(rows, { eventType: 'DELETE', old: { id: 'not-mine' } }, byNewest)).toBe(rows);
+  });
+});
+
+// ============================================
+// Test Suite for the realtime store
+// ============================================
+
+describe('realtime store', () => {
+
+  // Test 3: Subscribes to the user's rows in the three tables
+  test('should load the data and subscribe to the user\'s tables', async () => {
+    await startRealtimeSync();
+
+    expect(supabase.channel).toHaveBeenCalledWith('user-data:user-1');
+    const filtered = channel.handlers.filter(({ filter }) => filter.filter === 'user_id=eq.user-1');
+    expect(filtered.map(({ filter }) => filter.table)).toEqual(['user_verbs', 'practice_sessions', 'user_settings']);
+
+    expect(getDataStore()).toMatchObject({
+      status: 'ready',
+      verbs: [{ id: 'v1' }],
+      sessions: [{ id: 's1' }],
+      settings: { enabled_tenses: ['present'] },
+    });
+
+    // Already following this user
+    await startRealtimeSync();
+    expect(supabase.channel).toHaveBeenCalledTimes(1);
+  });
+
+  // Test 4: Practice on another device shows up at once
+  test('should apply changes from other devices and tell listeners', async () => {
+    await startRealtimeSync();
+    const listener = jest.fn();
+    const unsubscribe = subscribeToDataStore(listener);
+
+    emit('practice_sessions', { eventType: 'INSERT', new: session('s2', '2026-03-02T10:00:00Z') });
+    emit('user_settings', { eventType: 'UPDATE', new: { id: 'set-1', enabled_tenses: ['present', 'imparfait'] } });
+    emit('user_verbs', { eventType: 'DELETE', old: { id: 'v1' } });
+
+    const state = getDataStore();
+    expect(state.sessions.map(s => s.id)).toEqual(['s2', 's1']);
+    expect(state.settings.enabled_tenses).toEqual(['present', 'imparfait']);
+    expect(state.verbs).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(3);
+    unsubscribe();
+  });
+
+  // Test 5: Only the recent sessions are kept
+  test('should load and keep only the recent sessions', async () => {
+    const recent = Array.from({ length: 50 }, (_, i) => session(`s${i}`, new Date(Date.UTC(2026, 2, 1, 0, 50 - i)).toISOString()));
+    getPracticeHistory.mockResolvedValue({ success: true, sessions: recent });
+    await startRealtimeSync();
+
+    expect(getPracticeHistory).toHaveBeenCalledWith(50);
+    emit('practice_sessions', { eventType: 'INSERT', new: session('new', '2026-03-02T10:00:00Z') });
+
+    const { sessions } = getDataStore();
+    expect(sessions).toHaveLength(50);
+    expect(sessions[0].id).toBe('new');
+    expect(sessions.map(s => s.id)).not.toContain('s49');
+  });
+
+  // Test 6: Signing out closes the channel and forgets the data
+  test('should close the subscriptions and clear the store on sign-out', async () => {
+    await startRealtimeSync();
+
+    stopRealtimeSync();
+
+    expect(supabase.removeChannel).toHaveBeenCalledWith(channel);
+    expect(getDataStore()).toMatchObject({ status: 'idle', verbs: [], sessions: [], settings: null });
+  });
+});
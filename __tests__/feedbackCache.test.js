@@ -0,0 +1,153 @@
+/**
+ * Tests for feedbackCache.js
+ * Testing keys, TTL, LRU eviction, counters, and the cache in front of aiService
+ */
+
+// The package's in-memory AsyncStorage, so the cache really persists between calls
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+global.fetch = jest.fn();
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MAX_CACHE_ENTRIES,
+  CACHE_TTL_MS,
+  buildCacheKey,
+  cacheFeedback,
+  getCachedFeedback,
+  getCacheStats,
+} from '../utils/feedbackCache';
+import { evaluateSentence } from '../utils/aiService';
+
+const keyParts = {
+  provider: 'grok',
+  model: 'grok-4-fast-non-reasoning',
+  promptVersion: 'v1',
+  verb: 'manger',
+  tense: 'Présent',
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+// ============================================
+// Test Suite for cache keys
+// ============================================
+
+describe('buildCacheKey', () => {
+
+  // Test 1: Whitespace and case don't matter
+  test('should normalize whitespace and case in the sentence', () => {
+    expect(buildCacheKey({ ...keyParts, sentence: '  Je  MANGE une pomme ' }))
+      .toBe(buildCacheKey({ ...keyParts, sentence: 'je mange une pomme' }));
+  });
+
+  // Test 2: Every other part matters
+  test('should separate providers, models and prompt versions', () => {
+    const base = buildCacheKey({ ...keyParts, sentence: 'Je mange' });
+    expect(buildCacheKey({ ...keyParts, provider: 'openai', sentence: 'Je mange' })).not.toBe(base);
+    expect(buildCacheKey({ ...keyParts, model: 'grok-4', sentence: 'Je mange' })).not.toBe(base);
+    expect(buildCacheKey({ ...keyParts, promptVersion: 'v2', sentence: 'Je mange' })).not.toBe(base);
+    expect(buildCacheKey({ ...keyParts, tense: 'Imparfait', sentence: 'Je mange' })).not.toBe(base);
+  });
+});
+
+// ============================================
+// Test Suite for storage, TTL and eviction
+// ============================================
+
+describe('getCachedFeedback / cacheFeedback', () => {
+
+  // Test 3: Hits and misses are counted, savings add up
+  test('should count hits, misses and saved cost', async () => {
+    await cacheFeedback('k', { isCorrect: true, usage: { cost: 0.002 } }, 1000);
+
+    expect(await getCachedFeedback('missing', 2000)).toBeNull();
+    expect(await getCachedFeedback('k', 2000)).toMatchObject({ isCorrect: true });
+    expect(await getCachedFeedback('k', 3000)).toMatchObject({ isCorrect: true });
+
+    const stats = await getCacheStats();
+    expect(stats.hits).toBe(2);
+    expect(stats.misses).toBe(1);
+    expect(stats.savedCost).toBeCloseTo(0.004, 6);
+  });
+
+  // Test 4: Entries expire
+  test('should miss once the TTL has passed', async () => {
+    await cacheFeedback('k', { isCorrect: true }, 0);
+
+    expect(await getCachedFeedback('k', CACHE_TTL_MS + 1)).toBeNull();
+  });
+
+  // Test 5: Least recently used entries go first
+  test('should evict the least recently used entry when full', async () => {
+    for (let i = 0; i < MAX_CACHE_ENTRIES; i++) {
+      await cacheFeedback(`k${i}`, { isCorrect: true }, i);
+    }
+    // Touch the oldest entry so k1 becomes the least recently used
+    await getCachedFeedback('k0', MAX_CACHE_ENTRIES);
+    await cacheFeedback('new', { isCorrect: false }, MAX_CACHE_ENTRIES + 1);
+
+    expect(await getCachedFeedback('k0', MAX_CACHE_ENTRIES + 2)).not.toBeNull();
+    expect(await getCachedFeedback('k1', MAX_CACHE_ENTRIES + 2)).toBeNull();
+    expect(await getCachedFeedback('new', MAX_CACHE_ENTRIES + 2)).not.toBeNull();
+  });
+});
+
+// ============================================
+// Test Suite for the cache in front of aiService
+// ============================================
+
+describe('evaluateSentence with the cache', () => {
+
+  beforeEach(async () => {
+    await AsyncStorage.setItem('@ai_provider', 'grok');
+    await AsyncStorage.setItem('@api_keys', JSON.stringify({ grok: 'xai-key' }));
+  });
+
+  const reply = {
+    ok: true,
+    json: () => Promise.resolve({
+      choices: [{ message: { content: JSON.stringify({ isCorrect: true }) } }],
+      usage: { prompt_tokens: 1000, completion_tokens: 500 },
+    })
+  };
+
+  // Test 6: The same sentence isn't billed twice
+  test('should answer a resubmitted sentence from the cache', async () => {
+    global.fetch.mockResolvedValueOnce(reply);
+
+    const first = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+    const second = await evaluateSentence('manger', 'Présent', '  je mange  une pomme');
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(first.cached).toBeUndefined();
+    expect(second.cached).toBe(true);
+    expect(second.isCorrect).toBe(true);
+    expect((await getCacheStats()).savedCost).toBeGreaterThan(0);
+  });
+
+  test('should not cache unreadable answers', async () => {
+    const unreadable = {
+      ok: true,
+      json: () => Promise.resolve({ choices: [{ message: { content: 'Correct!' } }] })
+    };
+    global.fetch
+      .mockResolvedValueOnce(unreadable)
+      .mockResolvedValueOnce(unreadable)
+      .mockResolvedValueOnce(reply);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+    const retried = await evaluateSentence('manger', 'Présent', 'Je mange une pomme');
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(retried.cached).toBeUndefined();
+    jest.restoreAllMocks();
+  });
+});
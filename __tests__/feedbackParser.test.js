@@ -0,0 +1,151 @@
+/**
+ * Tests for feedbackParser.js
+ * Testing JSON extraction, repair and schema validation of AI feedback
+ */
+
+import {
+  extractJson,
+  repairJson,
+  validateFeedback,
+  parseAIResponse,
+} from '../utils/aiProviders/feedbackParser';
+
+// Keep the expected parse failures out of the test output
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+// ============================================
+// Test Suite for extractJson / repairJson
+// ============================================
+
+describe('extractJson', () => {
+
+  // Test 1: Code fences and surrounding prose are dropped
+  test('should pull the object out of fences and prose', () => {
+    expect(extractJson('```json\n{"isCorrect": true}\n```')).toBe('{"isCorrect": true}');
+    expect(extractJson('Here is my evaluation: {"isCorrect": false} Hope it helps!'))
+      .toBe('{"isCorrect": false}');
+  });
+});
+
+describe('repairJson', () => {
+
+  // Test 2: Common LLM mistakes
+  test('should fix trailing commas, smart quotes and Python literals', () => {
+    const broken = '{“isCorrect”: True, "grammarIssues": ["accord",], "suggestion": None,}';
+    expect(JSON.parse(repairJson(broken))).toEqual({
+      isCorrect: true,
+      grammarIssues: ['accord'],
+      suggestion: null,
+    });
+  });
+
+  test('should escape line breaks inside strings', () => {
+    const broken = '{"isCorrect": false, "verbAnalysis": "Line one\nLine two"}';
+    expect(JSON.parse(repairJson(broken)).verbAnalysis).toBe('Line one\nLine two');
+  });
+});
+
+// ============================================
+// Test Suite for validateFeedback
+// ============================================
+
+describe('validateFeedback', () => {
+
+  // Test 3: Types are coerced when the meaning is clear
+  test('should coerce booleans, strings and string arrays', () => {
+    const { valid, feedback } = validateFeedback({
+      isCorrect: 'false',
+      correctConjugation: 'mangeons',
+      grammarIssues: 'Missing article',
+      alternativePhrasings: ['Nous mangeons une pomme', ''],
+      suggestion: 42,
+    });
+
+    expect(valid).toBe(true);
+    expect(feedback.isCorrect).toBe(false);
+    expect(feedback.grammarIssues).toEqual(['Missing article']);
+    expect(feedback.alternativePhrasings).toEqual(['Nous mangeons une pomme']);
+    expect(feedback.suggestion).toBe('42');
+    expect(feedback.verbAnalysis).toBe('');
+  });
+
+  // Test 4: isCorrect is required
+  test('should reject a missing or unclear verdict', () => {
+    expect(validateFeedback({ verbAnalysis: 'Good' }).valid).toBe(false);
+    expect(validateFeedback({ isCorrect: 'maybe' }).valid).toBe(false);
+    expect(validateFeedback(['not', 'an', 'object']).valid).toBe(false);
+  });
+
+  test('should default optional fields of the wrong type and report them', () => {
+    const { valid, feedback, errors } = validateFeedback({
+      isCorrect: true,
+      grammarIssues: { first: 'accord' },
+    });
+
+    expect(valid).toBe(true);
+    expect(feedback.grammarIssues).toEqual([]);
+    expect(errors).toEqual(['grammarIssues should be a string[]']);
+  });
+
+  test('should clamp and round category scores', () => {
+    const { feedback, errors } = validateFeedback({
+      isCorrect: true,
+      scores: { conjugation: '95', grammar: 120, vocabulary: 72.6, naturalness: 'high' },
+    });
+
+    expect(feedback.scores).toEqual({ conjugation: 95, grammar: 100, vocabulary: 73, naturalness: null });
+    expect(errors).toEqual([]);
+    expect(validateFeedback({ isCorrect: true }).feedback.scores).toBeNull();
+    expect(validateFeedback({ isCorrect: true, scores: [90] }).feedback.scores).toBeNull();
+  });
+
+  test('should keep usable issue spans', () => {
+    const { feedback } = validateFeedback({
+      isCorrect: false,
+      issues: [
+        { start: '3', end: 8, text: 'mange', category: 'conjugation', type: 'person_ending', replacement: 'mangeons' },
+        { text: 'un', category: 'gender', type: 'typo' },
+        'not an object',
+        { category: 'spelling' },
+      ],
+    });
+
+    expect(feedback.issues).toEqual([
+      { start: 3, end: 8, text: 'mange', category: 'conjugation', type: 'person_ending', replacement: 'mangeons', explanation: '' },
+      { start: null, end: null, text: 'un', category: 'other', type: null, replacement: '', explanation: '' },
+    ]);
+  });
+});
+
+// ============================================
+// Test Suite for parseAIResponse
+// ============================================
+
+describe('parseAIResponse', () => {
+
+  // Test 5: Repaired answers are flagged
+  test('should parse a repaired answer', () => {
+    const result = parseAIResponse('Sure! {"isCorrect": true, "encouragement": "Bravo",}');
+
+    expect(result.isCorrect).toBe(true);
+    expect(result.encouragement).toBe('Bravo');
+    expect(result.repaired).toBe(true);
+    expect(result.parseError).toBeUndefined();
+  });
+
+  // Test 6: Unreadable answers have no verdict
+  test('should not guess a verdict from the text', () => {
+    const result = parseAIResponse('The sentence is incorrect, the verb should be mangeons.');
+
+    expect(result.parseError).toBe(true);
+    expect(result.isCorrect).toBeNull();
+    expect(result.fullFeedback).toContain('incorrect');
+  });
+});
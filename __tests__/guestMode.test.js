@@ -0,0 +1,185 @@
+/**
+ * Tests for guestMode.js, guestStorage.js and the merge on register
+ * Testing that guests can practise with everything on the device, and that
+ * registering moves their data into the new account
+ */
+
+// The package's in-memory AsyncStorage, so guest data really persists between calls
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../utils/supabase', () => {
+  const upserts = [];
+  return {
+    upserts,
+    supabase: {
+      auth: {
+        getUser: jest.fn(),
+        getSession: jest.fn(() => Promise.resolve({ data: { session: null } })),
+        signUp: jest.fn(),
+      },
+      from: jest.fn((table) => ({
+        upsert: jest.fn((rows) => {
+          upserts.push({ table, rows });
+          return Promise.resolve({ error: null });
+        }),
+      })),
+    },
+  };
+});
+
+jest.mock('../utils/verbStores/supabaseVerbStore', () => ({
+  importVerbs: jest.fn(),
+  getVerbs: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase, upserts } from '../utils/supabase';
+import * as supabaseVerbStore from '../utils/verbStores/supabaseVerbStore';
+import { startGuestMode, endGuestMode, isGuestMode, getGuestMergeEmail } from '../utils/guestMode';
+import { hasGuestData } from '../utils/guestStorage';
+import { VERB_BACKENDS, setVerbBackend, initializeVerbs, getVerbs } from '../utils/verbRepository';
+import {
+  getPracticeHistory,
+  getPracticeStats,
+  getVerbReviews,
+  saveUserSettings,
+  mergeGuestData,
+} from '../utils/cloudStorage';
+import { recordPracticeAttempt } from '../utils/syncService';
+import { register } from '../utils/authService';
+
+const attemptFor = (verb, isCorrect) => ({
+  verbId: verb.id,
+  verbText: verb.verb,
+  tense: 'present',
+  userSentence: `Je ${verb.verb}.`,
+  isCorrect,
+  scores: null,
+  mistakeTypes: [],
+  aiFeedback: null,
+});
+
+// Start a guest session with the default verbs and one attempt
+const practiseAsGuest = async () => {
+  await startGuestMode();
+  setVerbBackend(VERB_BACKENDS.LOCAL);
+  await initializeVerbs();
+  const { verbs } = await getVerbs();
+  await recordPracticeAttempt(attemptFor(verbs[0], true));
+  return verbs;
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  upserts.length = 0;
+  jest.clearAllMocks();
+  if (isGuestMode()) {
+    await endGuestMode();
+  }
+});
+
+// ============================================
+// Test Suite for practising as a guest
+// ============================================
+
+describe('guest practice', () => {
+
+  // Test 1: Attempts are saved on the device, with the review schedule
+  test('should save attempts, history, reviews and stats on the device', async () => {
+    const verbs = await practiseAsGuest();
+    await recordPracticeAttempt(attemptFor(verbs[1], false));
+
+    const history = await getPracticeHistory();
+    expect(history.success).toBe(true);
+    expect(history.sessions.map(s => s.verb_text)).toEqual([verbs[1].verb, verbs[0].verb]);
+    expect(history.sessions[0]).toMatchObject({ user_id: null, client_id: expect.any(String), is_correct: false });
+
+    const { reviews } = await getVerbReviews();
+    expect(reviews).toHaveLength(2);
+
+    const { stats } = await getPracticeStats();
+    expect(stats).toMatchObject({ totalSessions: 2, correctSessions: 1, accuracy: 50 });
+
+    const { verbs: updated } = await getVerbs();
+    expect(updated.find(v => v.id === verbs[0].id).practice_count).toBe(1);
+
+    // Nothing reached Supabase
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  // Test 2: Registering remembers which account gets the data
+  test('should mark guest data for merge when registering', async () => {
+    await practiseAsGuest();
+    await endGuestMode({ toRegister: true });
+    supabase.auth.signUp.mockResolvedValue({ data: { user: { id: 'user-1' }, session: {} }, error: null });
+
+    await register('Student@School.fr', 'secret1');
+    expect(await getGuestMergeEmail()).toBe('student@school.fr');
+
+    // A failed sign-up forgets it again
+    supabase.auth.signUp.mockResolvedValue({ data: {}, error: { message: 'User already registered' } });
+    await register('student@school.fr', 'secret1');
+    expect(await getGuestMergeEmail()).toBeNull();
+  });
+});
+
+// ============================================
+// Test Suite for mergeGuestData
+// ============================================
+
+describe('mergeGuestData', () => {
+
+  const registerAs = async (email) => {
+    supabase.auth.signUp.mockResolvedValue({ data: { user: { id: 'user-1' }, session: {} }, error: null });
+    await register(email, 'secret1');
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1', email } } });
+    setVerbBackend(VERB_BACKENDS.SUPABASE);
+  };
+
+  // Test 3: Only into the account the guest registered
+  test('should not merge into another account', async () => {
+    await practiseAsGuest();
+    await saveUserSettings({ enabled_tenses: ['present'] });
+    await endGuestMode({ toRegister: true });
+    await registerAs('student@school.fr');
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-2', email: 'teacher@school.fr' } } });
+
+    expect(await mergeGuestData()).toEqual({ success: true, merged: false });
+    expect(supabaseVerbStore.importVerbs).not.toHaveBeenCalled();
+    expect(await hasGuestData()).toBe(true);
+  });
+
+  // Test 4: Verbs, sessions, reviews and settings move, with the account's verb ids
+  test('should move guest data into the new account and clear it', async () => {
+    const verbs = await practiseAsGuest();
+    await saveUserSettings({ enabled_tenses: ['present'] });
+    await endGuestMode({ toRegister: true });
+    await registerAs('student@school.fr');
+
+    supabaseVerbStore.importVerbs.mockResolvedValue({ success: true, imported: verbs.length, skipped: 0 });
+    supabaseVerbStore.getVerbs.mockResolvedValue({
+      success: true,
+      verbs: verbs.map((v, i) => ({ ...v, id: `cloud-${i}` })),
+    });
+
+    const result = await mergeGuestData();
+
+    expect(result).toEqual({ success: true, merged: true, verbs: verbs.length, sessions: 1 });
+    expect(supabaseVerbStore.importVerbs).toHaveBeenCalledWith(verbs.map(v => expect.objectContaining({ verb: v.verb })));
+
+    const byTable = Object.fromEntries(upserts.map(({ table, rows }) => [table, rows]));
+    expect(byTable.practice_sessions).toEqual([
+      expect.objectContaining({ user_id: 'user-1', verb_id: 'cloud-0', verb_text: verbs[0].verb }),
+    ]);
+    expect(byTable.practice_sessions[0].id).toBeUndefined();
+    expect(byTable.verb_reviews).toEqual([
+      expect.objectContaining({ user_id: 'user-1', verb_id: 'cloud-0', tense: 'present', repetitions: 1 }),
+    ]);
+    expect(byTable.user_settings).toMatchObject({ user_id: 'user-1', enabled_tenses: ['present'] });
+
+    expect(await hasGuestData()).toBe(false);
+    expect(await getGuestMergeEmail()).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for heatmap.js
+ * Testing the per-day counts, the colours and the week-by-week layout of
+ * the practice calendar on StatisticsScreen
+ */
+
+import {
+  HEATMAP_WEEKS,
+  HEATMAP_PALETTES,
+  EMPTY_DAY_COLOR,
+  getActivityLevel,
+  getDayColor,
+  getHeatmapRange,
+  calculatePracticeDays,
+  buildHeatmap,
+  formatDayKey,
+} from '../utils/heatmap';
+
+const paris = { timeZone: 'Europe/Paris', firstDayOfWeek: 1 };
+const NOW = new Date('2026-03-11T12:00:00Z'); // Wednesday
+
+// ============================================
+// Test Suite for colours
+// ============================================
+
+describe('colours', () => {
+
+  // Test 1: Shade by sessions, colour by accuracy
+  test('should shade by session count and colour by accuracy', () => {
+    expect([0, 1, 2, 3, 5, 6, 10, 40].map(getActivityLevel)).toEqual([0, 1, 1, 2, 2, 3, 4, 4]);
+
+    expect(getDayColor(undefined)).toBe(EMPTY_DAY_COLOR);
+    expect(getDayColor({ sessions: 1, graded: 1, accuracy: 100 })).toBe(HEATMAP_PALETTES.good.colors[0]);
+    expect(getDayColor({ sessions: 12, graded: 12, accuracy: 60 })).toBe(HEATMAP_PALETTES.fair.colors[3]);
+    expect(getDayColor({ sessions: 3, graded: 3, accuracy: 20 })).toBe(HEATMAP_PALETTES.poor.colors[1]);
+    expect(getDayColor({ sessions: 2, graded: 0, accuracy: 0 })).toBe(HEATMAP_PALETTES.ungraded.colors[0]);
+  });
+});
+
+// ============================================
+// Test Suite for calculatePracticeDays
+// ============================================
+
+describe('calculatePracticeDays', () => {
+
+  // Test 2: Grouped by day in the user's zone
+  test('should count sessions and accuracy per day in the user\'s zone', () => {
+    const sessions = [
+      { created_at: '2026-03-09T22:30:00Z', is_correct: true }, // 23:30 on the 9th in Paris
+      { created_at: '2026-03-09T23:30:00Z', is_correct: false }, // 00:30 on the 10th
+      { created_at: '2026-03-10T08:00:00Z', is_correct: true },
+      { created_at: '2026-03-10T09:00:00Z', is_correct: null },
+    ];
+
+    expect(calculatePracticeDays(sessions, 'boolean', 'Europe/Paris')).toEqual([
+      { day: '2026-03-09', sessions: 1, graded: 1, accuracy: 100 },
+      { day: '2026-03-10', sessions: 3, graded: 2, accuracy: 50 },
+    ]);
+  });
+});
+
+// ============================================
+// Test Suite for buildHeatmap
+// ============================================
+
+describe('buildHeatmap', () => {
+
+  // Test 3: A year of week columns ending with this week
+  test('should lay out 53 weeks ending with the current week', () => {
+    const days = [{ day: '2026-03-10', sessions: 4, graded: 4, accuracy: 75 }];
+    const { weeks, dayNames } = buildHeatmap(days, paris, NOW);
+
+    expect(weeks).toHaveLength(HEATMAP_WEEKS);
+    expect(weeks.every(week => week.length === 7)).toBe(true);
+    expect(dayNames).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+
+    const thisWeek = weeks[HEATMAP_WEEKS - 1];
+    expect(thisWeek[0].day).toBe('2026-03-09');
+    expect(thisWeek[1].data).toEqual(days[0]);
+    expect(thisWeek.map(cell => cell.future)).toEqual([false, false, false, true, true, true, true]);
+
+    expect(getHeatmapRange(paris, NOW)).toEqual({ from: weeks[0][0].day, to: '2026-03-11' });
+    expect(weeks[0][0].day).toBe('2025-03-10');
+  });
+
+  // Test 4: Sunday-first weeks and month labels
+  test('should follow the first day of the week and label months', () => {
+    const { weeks, months, dayNames } = buildHeatmap([], { ...paris, firstDayOfWeek: 0 }, NOW);
+
+    expect(dayNames[0]).toBe('Sun');
+    expect(weeks[HEATMAP_WEEKS - 1][0].day).toBe('2026-03-08');
+    expect(months.map(month => month.name)).toEqual([
+      'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar',
+    ]);
+    const march = months[months.length - 1];
+    expect(weeks[march.week].some(cell => cell.day === '2026-03-01')).toBe(true);
+  });
+
+  // Test 5: Day labels
+  test('should label a day key', () => {
+    expect(formatDayKey('2026-03-05')).toBe('Thu 5 Mar 2026');
+  });
+});
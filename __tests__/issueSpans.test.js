@@ -0,0 +1,152 @@
+/**
+ * Tests for issueSpans.js
+ * Testing how mistakes are located in the user's sentence
+ */
+
+import {
+  tokenizeWithOffsets,
+  alignIssueSpans,
+  diffWordSpans,
+  getSentenceHighlights,
+} from '../utils/issueSpans';
+
+const sentence = 'Hier, nous avons mangé des pommes.';
+
+// ============================================
+// Test Suite for alignIssueSpans
+// ============================================
+
+describe('alignIssueSpans', () => {
+
+  // Test 1: Correct offsets are kept
+  test('should keep spans whose offsets match their text', () => {
+    const spans = alignIssueSpans(sentence, [
+      { start: 11, end: 16, text: 'avons', category: 'conjugation', replacement: 'sommes' },
+    ]);
+
+    expect(spans).toEqual([{
+      start: 11,
+      end: 16,
+      text: 'avons',
+      category: 'conjugation',
+      replacement: 'sommes',
+      explanation: '',
+    }]);
+  });
+
+  // Test 2: Miscounted offsets are re-anchored on the text
+  test('should move spans to where their text actually is', () => {
+    const spans = alignIssueSpans(sentence, [
+      { start: 20, end: 26, text: 'mangé', replacement: 'mangées' },
+      { start: null, end: null, text: 'DES' },
+    ]);
+
+    expect(spans.map(s => [s.start, s.end, s.text])).toEqual([[17, 22, 'mangé'], [23, 26, 'des']]);
+  });
+
+  // Test 3: Spans that can't be placed or overlap are dropped
+  test('should drop unplaceable and overlapping spans', () => {
+    const spans = alignIssueSpans(sentence, [
+      { start: 0, end: 99 },
+      { start: 5, end: 8, text: 'mangeons' },
+      { start: 11, end: 22, text: 'avons mangé' },
+      { start: 17, end: 22, text: 'mangé' },
+    ]);
+
+    expect(spans.map(s => s.text)).toEqual(['avons mangé']);
+  });
+
+  test('should compare with the last span kept, not the last one dropped', () => {
+    // B is dropped inside A; C still overlaps A
+    const spans = alignIssueSpans(sentence, [
+      { start: 0, end: 10 },
+      { start: 5, end: 8 },
+      { start: 9, end: 12 },
+    ]);
+
+    expect(spans.map(s => [s.start, s.end])).toEqual([[0, 10]]);
+  });
+});
+
+// ============================================
+// Test Suite for diffWordSpans
+// ============================================
+
+describe('diffWordSpans', () => {
+
+  // Test 4: Full sentences: every changed word
+  test('should mark replaced and extra words', () => {
+    const spans = diffWordSpans('Je mange un pomme très.', 'Je mange une pomme.');
+
+    expect(spans.map(s => [s.text, s.replacement])).toEqual([['un', 'une'], ['très', '']]);
+  });
+
+  // Test 5: Partial targets only mark the closest words
+  test('should only mark the words a conjugation replaces', () => {
+    const spans = diffWordSpans('Nous finis le travail', 'nous finissons', { partial: true });
+    expect(spans.map(s => [s.start, s.text, s.replacement])).toEqual([[5, 'finis', 'finissons']]);
+
+    const noAnchor = diffWordSpans('Demain, je fais les courses.', 'ferai', { partial: true });
+    expect(noAnchor.map(s => s.text)).toEqual(['fais']);
+  });
+
+  test("should keep elided words together", () => {
+    expect(tokenizeWithOffsets("J’ai mangé").map(t => t.word)).toEqual(["j'", 'ai', 'mangé']);
+  });
+});
+
+// ============================================
+// Test Suite for getSentenceHighlights
+// ============================================
+
+describe('getSentenceHighlights', () => {
+
+  // Test 6: AI spans first, then the diff fallbacks
+  test('should prefer the AI spans', () => {
+    const result = getSentenceHighlights(sentence, {
+      isCorrect: false,
+      correctConjugation: 'nous sommes',
+      issues: [{ start: 11, end: 16, text: 'avons', category: 'conjugation' }],
+    });
+
+    expect(result.source).toBe('ai');
+    expect(result.spans).toHaveLength(1);
+  });
+
+  test('should diff against correctConjugation when no span lines up', () => {
+    const result = getSentenceHighlights('Nous finis le travail', {
+      isCorrect: false,
+      correctConjugation: 'nous finissons',
+      issues: [{ start: 40, end: 45, text: 'finit' }],
+    });
+
+    expect(result.source).toBe('diff');
+    expect(result.spans[0]).toMatchObject({ text: 'finis', replacement: 'finissons', category: 'conjugation' });
+  });
+
+  test('should only use alternative phrasings that are close to the sentence', () => {
+    const close = getSentenceHighlights('Je mange un pomme.', {
+      isCorrect: false,
+      alternativePhrasings: ['Je mange une pomme.'],
+    });
+    expect(close.spans.map(s => s.replacement)).toEqual(['une']);
+
+    const rephrased = getSentenceHighlights('Je mange un pomme.', {
+      isCorrect: false,
+      alternativePhrasings: ['Une pomme, voilà mon repas.'],
+    });
+    expect(rephrased).toEqual({ source: null, spans: [] });
+  });
+
+  test('should not underline alternative phrasings of a correct answer', () => {
+    const result = getSentenceHighlights('Je mange une pomme.', {
+      isCorrect: true,
+      alternativePhrasings: ['Je mange une belle pomme.'],
+    });
+    expect(result).toEqual({ source: null, spans: [] });
+  });
+
+  test('should not highlight unreadable answers', () => {
+    expect(getSentenceHighlights(sentence, { parseError: true }).spans).toEqual([]);
+  });
+});
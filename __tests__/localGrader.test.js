@@ -0,0 +1,148 @@
+/**
+ * Tests for localGrader.js
+ * Testing the instant verb check that runs before the AI call
+ */
+
+import {
+  tokenize,
+  checkSentence,
+  isBlockingCheck,
+  buildLocalFeedback,
+  CHECK_STATUS,
+} from '../utils/localGrader';
+
+// ============================================
+// Test Suite for tokenize
+// ============================================
+
+describe('tokenize', () => {
+
+  test('should split elided words and strip punctuation', () => {
+    expect(tokenize("J’ai mangé une pomme.")).toEqual(["j'", 'ai', 'mangé', 'une', 'pomme']);
+  });
+});
+
+// ============================================
+// Test Suite for checkSentence
+// ============================================
+
+describe('checkSentence', () => {
+
+  // Test 1: Correct sentences
+  test('should accept a correct present sentence', () => {
+    const result = checkSentence('manger', 'present', 'Nous mangeons des pommes.');
+    expect(result.status).toBe(CHECK_STATUS.CORRECT);
+    expect(result.subjectPerson).toBe('nous');
+  });
+
+  test('should accept a correct passé composé with negation', () => {
+    const result = checkSentence('manger', 'passe_compose', "Je n'ai jamais mangé de escargots.");
+    expect(result.status).toBe(CHECK_STATUS.CORRECT);
+    expect(result.foundForm).toBe('ai mangé');
+  });
+
+  test('should accept participle agreement with être', () => {
+    const result = checkSentence('aller', 'passe_compose', 'Elles sont allées au marché.');
+    expect(result.status).toBe(CHECK_STATUS.CORRECT);
+  });
+
+  test('should accept noun subjects without checking the person', () => {
+    const result = checkSentence('parler', 'present', 'Marie parle français.');
+    expect(result.status).toBe(CHECK_STATUS.CORRECT);
+  });
+
+  // Test 2: Missing verb
+  test('should detect a missing verb', () => {
+    const result = checkSentence('manger', 'present', 'Je bois du café.');
+    expect(result.status).toBe(CHECK_STATUS.MISSING_VERB);
+    expect(isBlockingCheck(result)).toBe(true);
+  });
+
+  // Test 3: Wrong tense
+  test('should detect the wrong tense', () => {
+    const result = checkSentence('manger', 'futur_simple', "Hier, j'ai mangé une pomme.");
+    expect(result.status).toBe(CHECK_STATUS.WRONG_TENSE);
+    expect(result.foundTense).toBe('passe_compose');
+    expect(result.expectedForm).toBe('je mangerai');
+    expect(isBlockingCheck(result)).toBe(true);
+  });
+
+  test('should not read "il a dit" as the present', () => {
+    const result = checkSentence('dire', 'present', 'Il a dit bonjour.');
+    expect(result.status).toBe(CHECK_STATUS.WRONG_TENSE);
+  });
+
+  test('should flag a verb left in the infinitive', () => {
+    const result = checkSentence('manger', 'futur_simple', 'Je vais manger une pomme.');
+    expect(result.status).toBe(CHECK_STATUS.WRONG_TENSE);
+    expect(result.foundTense).toBe('infinitive');
+  });
+
+  // Test 4: Wrong person and auxiliary (left for the AI to explain)
+  test('should detect a wrong person ending', () => {
+    const result = checkSentence('manger', 'present', 'Nous mange des pommes.');
+    expect(result.status).toBe(CHECK_STATUS.WRONG_PERSON);
+    expect(result.expectedForm).toBe('nous mangeons');
+    expect(isBlockingCheck(result)).toBe(false);
+  });
+
+  test('should find the subject behind object pronouns', () => {
+    const result = checkSentence('donner', 'present', 'Il nous donne un livre.');
+    expect(result.status).toBe(CHECK_STATUS.CORRECT);
+    expect(result.subjectPerson).toBe('il');
+  });
+
+  test('should detect the wrong auxiliary', () => {
+    const result = checkSentence('aller', 'passe_compose', "J'ai allé au cinéma.");
+    expect(result.status).toBe(CHECK_STATUS.WRONG_AUXILIARY);
+    expect(isBlockingCheck(result)).toBe(false);
+  });
+
+  // Test 5: Advanced tenses
+  test('should check the plus-que-parfait and subjonctif', () => {
+    expect(checkSentence('partir', 'plus_que_parfait', 'Ils étaient déjà partis.').status)
+      .toBe(CHECK_STATUS.CORRECT);
+    expect(checkSentence('faire', 'subjonctif_present', "Il faut que tu fasses tes devoirs.").status)
+      .toBe(CHECK_STATUS.CORRECT);
+
+    const result = checkSentence('faire', 'subjonctif_present', 'Il faut que tu fais tes devoirs.');
+    expect(result.status).toBe(CHECK_STATUS.WRONG_TENSE);
+    expect(result.expectedForm).toBe('tu fasses');
+  });
+
+  test('should expect the impératif without a subject', () => {
+    expect(checkSentence('manger', 'imperatif', 'Mange ta soupe !').status)
+      .toBe(CHECK_STATUS.CORRECT);
+    expect(checkSentence('manger', 'imperatif', 'Nous mangeons ensemble.').status)
+      .toBe(CHECK_STATUS.WRONG_PERSON);
+  });
+
+  // Test 6: Verbs the conjugator can't handle
+  test('should leave pronominal verbs unverified', () => {
+    const result = checkSentence('se lever', 'present', 'Je me lève tôt.');
+    expect(result.status).toBe(CHECK_STATUS.UNVERIFIED);
+    expect(isBlockingCheck(result)).toBe(false);
+  });
+});
+
+// ============================================
+// Test Suite for buildLocalFeedback
+// ============================================
+
+describe('buildLocalFeedback', () => {
+
+  test('should build feedback shaped like the AI response', () => {
+    const check = checkSentence('manger', 'present', 'Je bois du café.');
+    const feedback = buildLocalFeedback('manger', 'present', check);
+
+    expect(feedback).toMatchObject({
+      isCorrect: false,
+      verbAnalysis: check.message,
+      grammarIssues: [],
+      alternativePhrasings: [],
+      source: 'local',
+      localCheck: check,
+    });
+    expect(feedback.suggestion).toContain('nous mangeons');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for mastery.js
+ * Testing the recent accuracy of each verb/tense pair, the matrix layout
+ * and the weakest verbs, weakest tenses and never practised lists
+ */
+
+import { HEATMAP_PALETTES } from '../utils/heatmap';
+import {
+  calculateMastery,
+  fromDatabaseMastery,
+  buildMasteryMatrix,
+  getMasteryColor,
+  getConfidence,
+  isWeakPair,
+  rankWeakVerbs,
+  rankWeakTenses,
+  getNeverPractised,
+} from '../utils/mastery';
+
+// One session per day, newest last
+const session = (verb, tense, isCorrect, day) => ({
+  verb_text: verb,
+  tense,
+  is_correct: isCorrect,
+  created_at: `2026-03-${String(day).padStart(2, '0')}T10:00:00Z`,
+});
+
+const verbs = [
+  { id: 'v-pouvoir', verb: 'pouvoir' },
+  { id: 'v-manger', verb: 'manger' },
+  { id: 'v-finir', verb: 'finir' },
+];
+
+// ============================================
+// Test Suite for calculateMastery
+// ============================================
+
+describe('calculateMastery', () => {
+
+  // Test 1: Only the latest graded answers count
+  test('should use the latest graded answers of each pair', () => {
+    const sessions = [
+      // Four early mistakes, then six right answers: the last five are all right
+      ...[1, 2, 3, 4].map(day => session('manger', 'present', false, day)),
+      ...[5, 6, 7, 8, 9, 10].map(day => session('manger', 'present', true, day)),
+      session('manger', 'present', null, 11), // Ungraded: counted, not scored
+      session('finir', 'imparfait', false, 3),
+    ];
+
+    const pairs = calculateMastery(sessions, 'boolean', 5);
+
+    expect(pairs).toEqual([
+      {
+        verbText: 'finir',
+        tense: 'imparfait',
+        sessions: 1,
+        graded: 1,
+        recentGraded: 1,
+        recentAccuracy: 0,
+        lastPracticedAt: '2026-03-03T10:00:00Z',
+      },
+      {
+        verbText: 'manger',
+        tense: 'present',
+        sessions: 11,
+        graded: 10,
+        recentGraded: 5,
+        recentAccuracy: 100,
+        lastPracticedAt: '2026-03-11T10:00:00Z',
+      },
+    ]);
+    expect(calculateMastery(sessions)[1].recentAccuracy).toBe(60); // Last 10 graded
+  });
+
+  // Test 2: Database rows take the same shape
+  test('should convert get_verb_tense_mastery rows', () => {
+    expect(fromDatabaseMastery([{
+      verb_text: 'manger',
+      tense: 'present',
+      sessions: 3,
+      graded: 2,
+      recent_graded: 2,
+      recent_accuracy: 50,
+      last_practiced_at: '2026-03-11T10:00:00Z',
+    }])).toEqual([{
+      verbText: 'manger',
+      tense: 'present',
+      sessions: 3,
+      graded: 2,
+      recentGraded: 2,
+      recentAccuracy: 50,
+      lastPracticedAt: '2026-03-11T10:00:00Z',
+    }]);
+    expect(fromDatabaseMastery(null)).toEqual([]);
+  });
+});
+
+// ============================================
+// Test Suite for colours
+// ============================================
+
+describe('getMasteryColor', () => {
+
+  // Test 3: Colour from accuracy, shade from confidence
+  test('should colour by recent accuracy and shade by confidence', () => {
+    expect(getConfidence(0)).toBe(0);
+    expect(getConfidence(2)).toBeCloseTo(0.4);
+    expect(getConfidence(12)).toBe(1);
+
+    expect(getMasteryColor({ sessions: 8, recentGraded: 8, recentAccuracy: 90 })).toBe(HEATMAP_PALETTES.good.colors[3]);
+    expect(getMasteryColor({ sessions: 1, recentGraded: 1, recentAccuracy: 100 })).toBe(HEATMAP_PALETTES.good.colors[0]);
+    expect(getMasteryColor({ sessions: 3, recentGraded: 3, recentAccuracy: 33 })).toBe(HEATMAP_PALETTES.poor.colors[1]);
+    expect(getMasteryColor({ sessions: 2, recentGraded: 0, recentAccuracy: 0 })).toBe(HEATMAP_PALETTES.ungraded.colors[0]);
+
+    expect(isWeakPair({ recentGraded: 3, recentAccuracy: 79 })).toBe(true);
+    expect(isWeakPair({ recentGraded: 3, recentAccuracy: 80 })).toBe(false);
+    expect(isWeakPair({ recentGraded: 0, recentAccuracy: 0 })).toBe(false);
+    expect(isWeakPair(undefined)).toBe(false);
+  });
+});
+
+// ============================================
+// Test Suite for the matrix and its lists
+// ============================================
+
+describe('buildMasteryMatrix', () => {
+
+  const pairs = calculateMastery([
+    session('manger', 'present', true, 1),
+    session('manger', 'present', true, 2),
+    session('manger', 'imparfait', false, 3),
+    session('manger', 'imparfait', true, 4),
+    session('finir', 'present', false, 5),
+    session('finir', 'present', false, 6),
+    session('finir', 'present', true, 7),
+    session('pouvoir', 'present', true, 8),
+    session('oublié', 'present', false, 9), // A verb since deleted
+  ]);
+  const matrix = buildMasteryMatrix(pairs, verbs, ['present', 'imparfait', 'imperatif']);
+
+  // Test 4: The user's verbs × enabled tenses
+  test('should lay out the user\'s verbs and enabled tenses', () => {
+    expect(matrix.tenses.map(tense => tense.id)).toEqual(['present', 'imparfait', 'imperatif']);
+    expect(matrix.rows.map(row => row.verb.verb)).toEqual(['finir', 'manger', 'pouvoir']);
+
+    const pouvoir = matrix.rows[2];
+    expect(pouvoir.cells[0].pair).toMatchObject({ sessions: 1, recentAccuracy: 100 });
+    expect(pouvoir.cells[2]).toEqual({ tenseId: 'imperatif', pair: undefined, available: false });
+  });
+
+  // Test 5: Weakest verbs and tenses point at their weakest pair
+  test('should rank the weakest verbs and tenses', () => {
+    expect(rankWeakVerbs(matrix).map(item => [item.verb.verb, item.accuracy, item.weakest.tenseId])).toEqual([
+      ['finir', 33, 'present'],
+      ['manger', 75, 'imparfait'],
+      ['pouvoir', 100, 'present'],
+    ]);
+
+    const tenses = rankWeakTenses(matrix);
+    expect(tenses.map(item => [item.tense.id, item.accuracy, item.recentGraded])).toEqual([
+      ['imparfait', 50, 2],
+      ['present', 67, 6],
+    ]);
+    expect(tenses[1].weakest.verb.verb).toBe('finir');
+    expect(rankWeakVerbs(matrix, 1)).toHaveLength(1);
+  });
+
+  // Test 6: Pairs that exist but were never practised
+  test('should list the pairs never practised', () => {
+    expect(getNeverPractised(matrix).map(pair => `${pair.verb.verb}:${pair.tenseId}`)).toEqual([
+      'finir:imparfait',
+      'finir:imperatif',
+      'manger:imperatif',
+      'pouvoir:imparfait', // pouvoir has no impératif
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for mistakeTaxonomy.js
+ * Testing how mistakes are classified, summarised and practised
+ */
+
+import {
+  classifyIssue,
+  getMistakeTypes,
+  getSessionMistakeTypes,
+  summarizeMistakes,
+  applyMistakeFocus,
+  canPracticeMistake,
+} from '../utils/mistakeTaxonomy';
+import { CHECK_STATUS } from '../utils/localGrader';
+
+const NOW = new Date('2026-03-31T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// ============================================
+// Test Suite for classifyIssue
+// ============================================
+
+describe('classifyIssue', () => {
+
+  // Test 1: The AI's type wins when it is in the taxonomy
+  test('should keep a known type from the AI', () => {
+    expect(classifyIssue({ text: 'a', replacement: 'est', category: 'other', type: 'wrong_auxiliary' }))
+      .toBe('wrong_auxiliary');
+    expect(classifyIssue({ text: 'mange', replacement: 'mangeons', category: 'conjugation', type: 'typo' }))
+      .toBe('verb_form');
+  });
+
+  // Test 2: Guessing from the text and its replacement
+  test('should classify issues without a type', () => {
+    const cases = [
+      [{ text: 'a allé', replacement: 'est allée', category: 'conjugation' }, 'wrong_auxiliary'],
+      [{ text: 'sont venu', replacement: 'sont venus', category: 'agreement' }, 'participle_agreement'],
+      [{ text: 'petit', replacement: 'petite', category: 'agreement' }, 'gender_agreement'],
+      [{ text: 'pomme', replacement: 'pommes', category: 'agreement' }, 'number_agreement'],
+      [{ text: 'tres', replacement: 'très', category: 'spelling' }, 'missing_accent'],
+      [{ text: 'je ai', replacement: "j'ai", category: 'spelling' }, 'elision'],
+      [{ text: 'mangons', replacement: 'mangeons', category: 'conjugation' }, 'verb_form'],
+      [{ text: 'pas ne', replacement: 'ne pas', category: 'word_order' }, 'word_order'],
+      [{ text: 'maison', category: 'vocabulary' }, 'vocabulary'],
+      [{ text: 'x' }, 'other'],
+    ];
+
+    cases.forEach(([issue, expected]) => {
+      expect(classifyIssue(issue)).toBe(expected);
+    });
+  });
+});
+
+// ============================================
+// Test Suite for getMistakeTypes
+// ============================================
+
+describe('getMistakeTypes', () => {
+
+  // Test 3: Types of a whole piece of feedback
+  test('should list each type once in taxonomy order', () => {
+    const types = getMistakeTypes({
+      isCorrect: false,
+      issues: [
+        { text: 'tres', replacement: 'très', category: 'spelling' },
+        { text: 'a', replacement: 'est', category: 'conjugation' },
+        { text: 'tres', replacement: 'très', category: 'spelling' },
+      ],
+    });
+
+    expect(types).toEqual(['wrong_auxiliary', 'missing_accent']);
+  });
+
+  // Test 4: The local check fills in when nothing was located
+  test('should fall back to the local check and never leave a wrong answer untyped', () => {
+    expect(getMistakeTypes({
+      isCorrect: false,
+      issues: [],
+      source: 'local',
+      localCheck: { status: CHECK_STATUS.WRONG_TENSE },
+    })).toEqual(['wrong_tense']);
+
+    expect(getMistakeTypes({ isCorrect: false, issues: [] })).toEqual(['verb_form']);
+    expect(getMistakeTypes({ isCorrect: true, issues: [] })).toEqual([]);
+    expect(getMistakeTypes({ isCorrect: null, parseError: true })).toEqual([]);
+    expect(getMistakeTypes(null)).toEqual([]);
+  });
+
+  // Test 5: Sessions saved before the column existed
+  test('should read the column or classify the saved feedback', () => {
+    expect(getSessionMistakeTypes({ mistake_types: ['elision'], ai_feedback: null })).toEqual(['elision']);
+    expect(getSessionMistakeTypes({
+      mistake_types: null,
+      ai_feedback: { isCorrect: false, issues: [{ text: 'je ai', replacement: "j'ai" }] },
+    })).toEqual(['elision']);
+  });
+});
+
+// ============================================
+// Test Suite for summarizeMistakes
+// ============================================
+
+describe('summarizeMistakes', () => {
+
+  const session = (days, types, isCorrect = types.length === 0) => ({
+    created_at: daysAgo(days),
+    is_correct: isCorrect,
+    mistake_types: types,
+  });
+
+  // Test 6: Most frequent types with their weekly trend
+  test('should rank types and follow them week by week', () => {
+    const sessions = [
+      // Three and more weeks ago: auxiliary mistakes every time
+      session(30, ['wrong_auxiliary']),
+      session(25, ['wrong_auxiliary']),
+      session(22, ['wrong_auxiliary', 'missing_accent']),
+      // Last weeks: fewer auxiliary mistakes, more accents
+      session(12, ['missing_accent']),
+      session(10, []),
+      session(3, ['missing_accent']),
+      session(1, ['wrong_auxiliary']),
+      { created_at: daysAgo(1), is_correct: null, mistake_types: ['elision'] }, // Ungraded: ignored
+    ];
+
+    const top = summarizeMistakes(sessions, { now: NOW, weeks: 6 });
+
+    expect(top.map(t => t.id)).toEqual(['wrong_auxiliary', 'missing_accent']);
+    expect(top[0]).toMatchObject({ name: 'Wrong auxiliary', count: 4, share: 57, trend: 'better' });
+    expect(top[0].weekly).toEqual([
+      { sessions: 0, count: 0 },
+      { sessions: 1, count: 1 },
+      { sessions: 2, count: 2 },
+      { sessions: 0, count: 0 },
+      { sessions: 2, count: 0 },
+      { sessions: 2, count: 1 },
+    ]);
+    expect(top[1]).toMatchObject({ count: 3, trend: 'worse' });
+  });
+
+  test('should return nothing without graded sessions', () => {
+    expect(summarizeMistakes([], { now: NOW })).toEqual([]);
+    expect(summarizeMistakes([session(1, [])], { now: NOW })).toEqual([]);
+  });
+});
+
+// ============================================
+// Test Suite for applyMistakeFocus
+// ============================================
+
+describe('applyMistakeFocus', () => {
+
+  const verbs = [
+    { id: 1, verb: 'manger' },
+    { id: 2, verb: 'aller' },
+    { id: 3, verb: 'finir' },
+  ];
+  const tenses = ['present', 'passe_compose', 'imparfait'];
+
+  // Test 7: Narrowing verbs and tenses
+  test('should narrow practice to what the mistake is about', () => {
+    expect(applyMistakeFocus('wrong_auxiliary', verbs, tenses)).toEqual({
+      verbs: [{ id: 2, verb: 'aller' }],
+      tenseIds: ['passe_compose'],
+    });
+    expect(applyMistakeFocus('person_ending', verbs, tenses).tenseIds).toEqual(['present', 'imparfait']);
+    expect(canPracticeMistake('spelling')).toBe(false);
+    expect(applyMistakeFocus('spelling', verbs, tenses)).toEqual({ verbs, tenseIds: tenses });
+  });
+
+  test('should drop a restriction that leaves nothing', () => {
+    const result = applyMistakeFocus('wrong_auxiliary', [{ id: 1, verb: 'manger' }], ['present']);
+    expect(result).toEqual({ verbs: [{ id: 1, verb: 'manger' }], tenseIds: ['present'] });
+  });
+});
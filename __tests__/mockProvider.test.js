@@ -0,0 +1,146 @@
+/**
+ * Tests for the mock AI provider
+ * Canned feedback from the local rules, and simulated provider failures
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn(),
+  getItem: jest.fn(),
+  removeItem: jest.fn(),
+}));
+
+global.fetch = jest.fn();
+
+import { evaluateSentence } from '../utils/aiService';
+import * as mockProvider from '../utils/aiProviders/mockProvider';
+import { getPromptTemplate } from '../utils/aiProviders/prompts';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Select the mock provider with a scenario, and no latency
+const useMock = (scenario) => {
+  AsyncStorage.getItem.mockImplementation((key) => {
+    if (key === '@ai_provider') return Promise.resolve('mock');
+    if (key === '@provider_config') {
+      return Promise.resolve(JSON.stringify({ mock: { scenario, latencyMs: 0 } }));
+    }
+    return Promise.resolve(null);
+  });
+};
+
+// ============================================
+// Test Suite for canned feedback
+// ============================================
+
+describe('Mock provider feedback', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Test 1: Works without an API key or network
+  test('should answer without an API key or a fetch call', async () => {
+    useMock('success');
+
+    const result = await evaluateSentence('manger', 'Présent', 'Nous mangeons une pomme');
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(result.isCorrect).toBe(true);
+    expect(result.parseError).toBeUndefined();
+    expect(result.encouragement).toBeTruthy();
+  });
+
+  // Test 2: Wrong conjugations get the expected form
+  test('should correct a wrong person from the local rules', async () => {
+    useMock('success');
+
+    const result = await evaluateSentence('finir', 'Présent', 'Nous finis le travail');
+
+    expect(result.isCorrect).toBe(false);
+    expect(result.correctConjugation).toBe('nous finissons');
+    expect(result.suggestion).toContain('finissons');
+    expect(result.scores).toEqual({ conjugation: 40, grammar: null, vocabulary: null, naturalness: null });
+  });
+
+  // Test 3: Same input, same output
+  test('should be deterministic', async () => {
+    useMock('success');
+
+    const first = await evaluateSentence('aller', 'Futur Simple', 'Je irai au marché');
+    const second = await evaluateSentence('aller', 'Futur Simple', 'Je irai au marché');
+
+    const { timestamp: t1, ...rest1 } = first;
+    const { timestamp: t2, ...rest2 } = second;
+    expect(rest1).toEqual(rest2);
+  });
+
+  // Test 4: Input validation still applies
+  test('should reject empty input like the real providers', async () => {
+    useMock('success');
+
+    await expect(evaluateSentence('manger', 'Présent', '')).rejects.toThrow('Invalid input');
+  });
+
+  test("should apply the prompt template's extra checks", async () => {
+    const grade = (templateId, sentence) => mockProvider.evaluateSentence(
+      'venir', 'passe_compose', sentence, null,
+      { latencyMs: 0, promptTemplate: getPromptTemplate(templateId) }
+    );
+
+    // Only the detailed template checks participle agreement
+    expect((await grade('verb_focus', 'Ils sont venu hier.')).isCorrect).toBe(true);
+
+    const detailed = await grade('detailed', 'Ils sont venu hier.');
+    expect(detailed.isCorrect).toBe(false);
+    expect(detailed.correctConjugation).toBe('ils sont venus');
+    expect(detailed.issues).toEqual([
+      expect.objectContaining({ text: 'venu', replacement: 'venus', type: 'participle_agreement' }),
+    ]);
+    expect(detailed.scores.grammar).toBe(50);
+
+    expect((await grade('detailed', 'Elles sont venues hier.')).isCorrect).toBe(true);
+    expect((await grade('detailed', 'Elle est venu hier.')).correctConjugation).toBe('elle est venue');
+  });
+});
+
+// ============================================
+// Test Suite for simulated failures
+// ============================================
+
+describe('Mock provider scenarios', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Test 5: Each scenario produces the error PracticeScreen looks for
+  test('should simulate an invalid key', async () => {
+    useMock('unauthorized');
+    await expect(
+      evaluateSentence('manger', 'Présent', 'Je mange')
+    ).rejects.toThrow('API Error: 401');
+  });
+
+  test('should simulate rate limiting', async () => {
+    useMock('rate_limit');
+    await expect(
+      evaluateSentence('manger', 'Présent', 'Je mange')
+    ).rejects.toThrow('API Error: 429');
+  });
+
+  test('should simulate a timeout', async () => {
+    useMock('timeout');
+    await expect(
+      evaluateSentence('manger', 'Présent', 'Je mange')
+    ).rejects.toThrow('timed out');
+  });
+
+  // Test 6: Malformed JSON goes through the normal parsing fallback
+  test('should return flagged feedback for malformed JSON', async () => {
+    useMock('malformed');
+
+    const result = await evaluateSentence('manger', 'Présent', 'Je mange');
+
+    expect(result.parseError).toBe(true);
+    expect(result.fullFeedback).toContain('"isCorrect"');
+  });
+});
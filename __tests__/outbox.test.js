@@ -0,0 +1,208 @@
+/**
+ * Tests for outbox.js and syncService.js
+ * Testing that practice made offline is kept, replayed in order, and not duplicated
+ */
+
+// In-memory AsyncStorage, so the outbox really persists between calls
+jest.mock('@react-native-async-storage/async-storage', () => {
+  let store = {};
+  return {
+    getItem: jest.fn((key) => Promise.resolve(key in store ? store[key] : null)),
+    setItem: jest.fn((key, value) => { store[key] = value; return Promise.resolve(); }),
+    removeItem: jest.fn((key) => { delete store[key]; return Promise.resolve(); }),
+    clear: () => { store = {}; },
+  };
+});
+
+jest.mock('../utils/supabase', () => ({
+  supabase: {
+    auth: {
+      getSession: jest.fn(() => Promise.resolve({ data: { session: { user: { id: 'user-1' } } } })),
+    },
+  },
+}));
+
+jest.mock('../utils/cloudStorage', () => ({
+  recordPractice: jest.fn(),
+  savePracticeSession: jest.fn(),
+}));
+
+jest.mock('../utils/verbStores/supabaseVerbStore', () => ({
+  incrementPracticeCount: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  OPERATION_TYPES,
+  generateUUID,
+  createOperation,
+  countPending,
+  replayOperations,
+  mergeOutbox,
+  MAX_REJECTIONS,
+} from '../utils/outbox';
+import { recordPracticeAttempt, flushOutbox, getSyncStatus } from '../utils/syncService';
+import { recordPractice, savePracticeSession } from '../utils/cloudStorage';
+import { incrementPracticeCount } from '../utils/verbStores/supabaseVerbStore';
+import { getOutbox, saveOutbox, getFailedOperations } from '../utils/storage';
+
+const offline = { success: false, error: 'Network request failed' };
+const rejected = { success: false, error: 'new row violates row-level security policy' };
+
+beforeEach(() => {
+  AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+// ============================================
+// Test Suite for the outbox helpers
+// ============================================
+
+describe('outbox', () => {
+
+  // Test 1: Client-generated ids
+  test('should generate distinct version 4 UUIDs', () => {
+    const ids = new Set(Array.from({ length: 50 }, generateUUID));
+    expect(ids.size).toBe(50);
+    ids.forEach(id => {
+      expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    });
+  });
+
+  // Test 2: Replay order and stopping at the first failure
+  test('should replay in order and keep everything from the first failure on', async () => {
+    const operations = ['a', 'b', 'c'].map(verbId =>
+      createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId }, 'user-1')
+    );
+    const sent = [];
+    const handlers = {
+      [OPERATION_TYPES.PRACTICE_COUNT]: async (operation) => {
+        sent.push(operation.payload.verbId);
+        return operation.payload.verbId === 'b' ? offline : { success: true };
+      },
+    };
+
+    const { remaining, synced, error } = await replayOperations(operations, handlers, 'user-1');
+
+    expect(sent).toEqual(['a', 'b']);
+    expect(synced).toBe(1);
+    expect(error).toBe('Network request failed');
+    expect(remaining.map(op => op.payload.verbId)).toEqual(['b', 'c']);
+    expect(remaining[0]).toMatchObject({ attempts: 1, lastError: 'Network request failed' });
+  });
+
+  // Test 3: Other users' operations wait for them
+  test('should only replay the signed-in user\'s operations', async () => {
+    const mine = createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId: 'a' }, 'user-1');
+    const theirs = createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId: 'b' }, 'user-2');
+    const handler = jest.fn(async () => ({ success: true }));
+
+    const { remaining } = await replayOperations([theirs, mine], { [OPERATION_TYPES.PRACTICE_COUNT]: handler }, 'user-1');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(remaining).toEqual([theirs]);
+    expect(countPending([theirs, mine], 'user-1')).toBe(1);
+  });
+
+  // Test 4: Operations queued during a replay
+  test('should keep operations queued while replaying', () => {
+    const [a, b, c] = ['a', 'b', 'c'].map(verbId =>
+      createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId }, 'user-1')
+    );
+    expect(mergeOutbox([a, b], [b], [a, b, c])).toEqual([b, c]);
+  });
+});
+
+// ============================================
+// Test Suite for syncService
+// ============================================
+
+describe('syncService', () => {
+
+  const attempt = {
+    verbId: 'verb-1',
+    verbText: 'manger',
+    tense: 'present',
+    userSentence: 'Je mange.',
+    isCorrect: true,
+  };
+
+  // Test 5: Online: one operation, sent right away with its id
+  test('should send the attempt as one operation when online', async () => {
+    recordPractice.mockResolvedValue({ success: true });
+
+    const result = await recordPracticeAttempt(attempt);
+
+    expect(result).toEqual({ success: true, synced: true, pending: 0 });
+    expect(recordPractice).toHaveBeenCalledTimes(1);
+    const { session, operationId } = recordPractice.mock.calls[0][0];
+    expect(session).toMatchObject({ ...attempt, createdAt: expect.any(String) });
+    expect(operationId).toEqual(expect.any(String));
+    expect((await getSyncStatus()).lastSyncAt).not.toBeNull();
+  });
+
+  // Test 6: Offline: kept, then replayed with the same id
+  test('should keep offline attempts and replay them with the same id', async () => {
+    recordPractice.mockResolvedValue(offline);
+
+    const result = await recordPracticeAttempt(attempt);
+    expect(result).toEqual({ success: true, synced: false, pending: 1 });
+
+    const status = await getSyncStatus();
+    expect(status).toMatchObject({ pending: 1, lastError: 'Network request failed' });
+
+    // Back online
+    recordPractice.mockResolvedValue({ success: true });
+    const flushed = await flushOutbox();
+
+    expect(flushed).toEqual({ synced: 1, pending: 0, error: null });
+    expect(recordPractice.mock.calls[1][0].operationId).toBe(recordPractice.mock.calls[0][0].operationId);
+    expect(await getOutbox()).toEqual([]);
+  });
+
+  // Test 7: Operations queued by earlier versions are still sent
+  test('should replay count and session operations from earlier versions', async () => {
+    const count = createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId: 'verb-1' }, 'user-1');
+    const saved = createOperation(OPERATION_TYPES.PRACTICE_SESSION, attempt, 'user-1');
+    await saveOutbox([count, saved]);
+    incrementPracticeCount.mockResolvedValue({ success: true });
+    savePracticeSession.mockResolvedValue({ success: true });
+
+    expect(await flushOutbox()).toEqual({ synced: 2, pending: 0, error: null });
+    expect(incrementPracticeCount).toHaveBeenCalledWith('verb-1', count.id);
+    expect(savePracticeSession).toHaveBeenCalledWith({ ...attempt, clientId: saved.id });
+  });
+  // Test 8: An operation the server keeps rejecting doesn't block the rest
+  test('should set aside an operation the server keeps rejecting', async () => {
+    const [broken, count, saved] = [
+      createOperation(OPERATION_TYPES.PRACTICE_ATTEMPT, attempt, 'user-1'),
+      createOperation(OPERATION_TYPES.PRACTICE_COUNT, { verbId: 'verb-1' }, 'user-1'),
+      createOperation(OPERATION_TYPES.PRACTICE_SESSION, attempt, 'user-1'),
+    ];
+    await saveOutbox([broken, count, saved]);
+    recordPractice.mockResolvedValue(rejected);
+    incrementPracticeCount.mockResolvedValue({ success: true });
+    savePracticeSession.mockResolvedValue({ success: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Going offline in between doesn't count as a rejection
+    recordPractice.mockResolvedValueOnce(offline);
+    await flushOutbox();
+    expect((await getOutbox())[0]).toMatchObject({ attempts: 1, rejections: 0 });
+
+    // Until then it is retried, and the operations after it wait
+    for (let i = 1; i < MAX_REJECTIONS; i++) {
+      expect(await flushOutbox()).toEqual({ synced: 0, pending: 3, error: rejected.error });
+    }
+    expect(incrementPracticeCount).not.toHaveBeenCalled();
+
+    expect(await flushOutbox()).toEqual({ synced: 2, pending: 0, error: null });
+    expect(recordPractice).toHaveBeenCalledTimes(MAX_REJECTIONS + 1);
+    expect(await getOutbox()).toEqual([]);
+    expect(await getFailedOperations()).toEqual([
+      { ...broken, attempts: MAX_REJECTIONS + 1, rejections: MAX_REJECTIONS, lastError: rejected.error },
+    ]);
+    expect(await getSyncStatus()).toMatchObject({ pending: 0, failed: 1, failedError: rejected.error });
+    console.error.mockRestore();
+  });
+});
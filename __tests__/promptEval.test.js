@@ -0,0 +1,92 @@
+/**
+ * Tests for promptEval.js
+ * Testing the comparison of two prompt templates on fixture sentences
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn(),
+  getItem: jest.fn(),
+  removeItem: jest.fn(),
+}));
+
+import { comparePromptTemplates, formatPromptReport } from '../utils/promptEval';
+import { PROMPT_TEMPLATES, getPromptTemplate, getPromptKey } from '../utils/aiProviders/prompts';
+import { buildPrompt } from '../utils/aiProviders/shared';
+import { evaluateSentence } from '../utils/aiProviders/mockProvider';
+
+const fixtures = [
+  { verb: 'manger', tense: 'present', sentence: 'Nous mangeons une pomme.', expected: true },
+  { verb: 'faire', tense: 'futur_simple', sentence: 'Demain, je fais les courses.', expected: false },
+];
+
+const [detailed, verbFocus] = PROMPT_TEMPLATES;
+
+const withMock = (fixture, template) => evaluateSentence(
+  fixture.verb, fixture.tense, fixture.sentence, null, { latencyMs: 0, promptTemplate: template }
+);
+
+// ============================================
+// Test Suite for the template registry
+// ============================================
+
+describe('prompt templates', () => {
+
+  // Test 1: Every template asks for the JSON contract
+  test('should build a prompt with the sentence and the JSON format', () => {
+    PROMPT_TEMPLATES.forEach(template => {
+      const prompt = buildPrompt('manger', 'present', 'Je mange.', template);
+      expect(prompt).toContain('Je mange.');
+      expect(prompt).toContain('Required tense: Présent');
+      expect(prompt).toContain('"isCorrect"');
+      expect(template.system).toBeTruthy();
+    });
+  });
+
+  test('should fall back to the default template for unknown ids', () => {
+    expect(getPromptTemplate('nope').id).toBe('detailed');
+    expect(getPromptTemplate(null).id).toBe('detailed');
+    expect(getPromptKey(verbFocus)).toBe('verb_focus@v4');
+  });
+});
+
+// ============================================
+// Test Suite for comparePromptTemplates
+// ============================================
+
+describe('comparePromptTemplates', () => {
+
+  // Test 2: Replay through the mock provider
+  test('should grade every fixture with both templates', async () => {
+    const report = await comparePromptTemplates(fixtures, [detailed, verbFocus], withMock);
+
+    expect(report.templates).toEqual(['detailed@v4', 'verb_focus@v4']);
+    expect(report.results.map(r => r.verdicts)).toEqual([[true, true], [false, false]]);
+    expect(report.agreement).toBe(2);
+    expect(report.summary[0]).toEqual({ key: 'detailed@v4', matched: 2, graded: 2, ungraded: 0 });
+  });
+
+  // Test 3: Disagreements, unreadable answers and failures
+  test('should report disagreements and ungraded sentences', async () => {
+    const evaluate = async (fixture, template) => {
+      if (template === verbFocus && fixture.verb === 'faire') {
+        throw new Error('boom');
+      }
+      return template === detailed
+        ? { isCorrect: true }
+        : { isCorrect: null, parseError: true };
+    };
+
+    const report = await comparePromptTemplates(fixtures, [detailed, verbFocus], evaluate);
+
+    expect(report.results[0].verdicts).toEqual([true, null]);
+    expect(report.results[1].errors).toEqual([null, 'boom']);
+    expect(report.agreement).toBe(0);
+    expect(report.summary[0]).toMatchObject({ matched: 1, graded: 2 });
+    expect(report.summary[1]).toMatchObject({ graded: 0, ungraded: 2 });
+
+    const text = formatPromptReport(report);
+    expect(text).toContain('detailed@v4 vs verb_focus@v4');
+    expect(text).toContain('verb_focus@v4 failed: boom');
+    expect(text).toContain('Same verdict on 0/2 sentences');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for cloudStorage.recordPractice and backfillMistakeTypes
+ * Testing that a practice attempt is sent as one record_practice call, that
+ * the older save/count functions go through it, and that sessions saved
+ * before mistake_types existed get their types filled in
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+  removeItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../utils/supabase', () => ({
+  supabase: {
+    auth: {
+      getUser: jest.fn(() => Promise.resolve({ data: { user: { id: 'user-1' } } })),
+    },
+    rpc: jest.fn(),
+    from: jest.fn(),
+  },
+}));
+
+import { supabase } from '../utils/supabase';
+import { recordPractice, savePracticeSession, backfillMistakeTypes } from '../utils/cloudStorage';
+import { incrementPracticeCount } from '../utils/verbStores/supabaseVerbStore';
+
+const attempt = {
+  verbId: 'verb-1',
+  verbText: 'manger',
+  tense: 'present',
+  userSentence: 'Je mange.',
+  isCorrect: true,
+  scores: null,
+  mistakeTypes: ['agreement'],
+  aiFeedback: 'Très bien',
+  createdAt: '2026-03-01T10:00:00.000Z',
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  supabase.rpc.mockResolvedValue({
+    data: { duplicate: false, session: { id: 's1' }, practice_count: 4 },
+    error: null,
+  });
+});
+
+describe('recordPractice', () => {
+
+  // Test 1: Session and count in one call
+  test('should record the session and the count in one call', async () => {
+    const result = await recordPractice({ session: attempt, operationId: 'op-1' });
+
+    expect(result).toEqual({ success: true, session: { id: 's1' }, practiceCount: 4 });
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('record_practice', {
+      p_operation_id: 'op-1',
+      p_verb_id: 'verb-1',
+      p_session: expect.objectContaining({
+        created_at: attempt.createdAt,
+        verb_text: 'manger',
+        tense: 'present',
+        is_correct: true,
+        mistake_types: ['agreement'],
+      }),
+      p_count: true,
+    });
+  });
+
+  // Test 2: An attempt the server already has
+  test('should report a replayed attempt as a duplicate', async () => {
+    supabase.rpc.mockResolvedValue({ data: { duplicate: true }, error: null });
+
+    const result = await recordPractice({ session: attempt, operationId: 'op-1' });
+    expect(result).toMatchObject({ success: true, duplicate: true });
+  });
+
+  // Test 3: The older functions are wrappers around it
+  test('should save sessions and count practice through record_practice', async () => {
+    await savePracticeSession({ ...attempt, clientId: 'op-2' });
+    await incrementPracticeCount('verb-1', 'op-3');
+
+    expect(supabase.rpc.mock.calls.map(([name, params]) => [name, params.p_operation_id, params.p_count]))
+      .toEqual([['record_practice', 'op-2', false], ['record_practice', 'op-3', true]]);
+    expect(supabase.rpc.mock.calls[1][1].p_session).toBeNull();
+  });
+
+  // Test 4: Errors are reported, not thrown
+  test('should return the error when the call fails', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'permission denied' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await recordPractice({ session: attempt });
+    expect(result).toEqual({ success: false, error: 'permission denied' });
+    console.error.mockRestore();
+  });
+});
+
+// ============================================
+// Test Suite for backfillMistakeTypes
+// ============================================
+
+describe('backfillMistakeTypes', () => {
+
+  // Test 5: Older sessions are classified from their feedback, once
+  test('should classify sessions without mistake types and save them', async () => {
+    const olderSessions = [
+      { id: 's1', ai_feedback: { isCorrect: false, issues: [{ text: 'ete', replacement: 'été', category: 'spelling' }] } },
+      { id: 's2', ai_feedback: { isCorrect: true, issues: [] } },
+    ];
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      is: jest.fn(() => query),
+      limit: jest.fn(() => Promise.resolve({ data: olderSessions, error: null })),
+    };
+    supabase.from.mockReturnValue(query);
+    supabase.rpc.mockResolvedValue({ data: 2, error: null });
+
+    expect(await backfillMistakeTypes()).toEqual({ success: true, updated: 2 });
+    expect(query.is).toHaveBeenCalledWith('mistake_types', null);
+    expect(supabase.rpc).toHaveBeenCalledWith('set_session_mistake_types', {
+      p_sessions: [{ id: 's1', mistake_types: ['missing_accent'] }, { id: 's2', mistake_types: [] }],
+    });
+
+    // Nothing more to ask while the app stays open
+    expect(await backfillMistakeTypes()).toEqual({ success: true, updated: 0 });
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+  });
+});
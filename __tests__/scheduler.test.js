@@ -0,0 +1,148 @@
+/**
+ * Tests for scheduler.js
+ * Testing SM-2 scheduling and picking the next (verb, tense) pair
+ */
+
+import {
+  createReviewState,
+  scheduleReview,
+  isDue,
+  getEndOfDay,
+  pickNextReview,
+} from '../utils/scheduler';
+
+const NOW = new Date('2025-03-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// Test Suite for scheduleReview
+// ============================================
+
+describe('scheduleReview', () => {
+
+  // Test 1: Growing intervals on correct answers
+  test('should follow the SM-2 intervals 1, 6, then interval × ease', () => {
+    const first = scheduleReview(null, true, NOW);
+    expect(first.interval_days).toBe(1);
+    expect(first.repetitions).toBe(1);
+    expect(new Date(first.due_at).getTime()).toBe(NOW.getTime() + DAY_MS);
+
+    const second = scheduleReview(first, true, NOW);
+    expect(second.interval_days).toBe(6);
+
+    const third = scheduleReview(second, true, NOW);
+    expect(third.interval_days).toBe(Math.round(6 * second.ease));
+    expect(third.repetitions).toBe(3);
+  });
+
+  // Test 2: Mistakes reset the pair
+  test('should reset repetitions and bring the pair back soon after a mistake', () => {
+    const learned = { ...createReviewState(), repetitions: 4, interval_days: 30 };
+    const next = scheduleReview(learned, false, NOW);
+
+    expect(next.repetitions).toBe(0);
+    expect(next.interval_days).toBe(0);
+    expect(next.lapses).toBe(1);
+    expect(new Date(next.due_at).getTime()).toBeGreaterThan(NOW.getTime());
+    expect(new Date(next.due_at).getTime()).toBeLessThan(NOW.getTime() + DAY_MS);
+  });
+
+  // Test 3: Ease bounds
+  test('should lower the ease on mistakes but never below 1.3', () => {
+    let state = null;
+    for (let i = 0; i < 10; i++) {
+      state = scheduleReview(state, false, NOW);
+    }
+    expect(state.ease).toBeCloseTo(1.3);
+  });
+});
+
+// ============================================
+// Test Suite for isDue and getEndOfDay
+// ============================================
+
+describe('isDue and getEndOfDay', () => {
+
+  test('should treat past and missing due dates as due', () => {
+    expect(isDue({ due_at: '2025-03-09T00:00:00Z' }, NOW)).toBe(true);
+    expect(isDue({ due_at: null }, NOW)).toBe(true);
+    expect(isDue({ due_at: '2025-03-11T00:00:00Z' }, NOW)).toBe(false);
+  });
+
+  test('should return the end of the local day', () => {
+    const endOfDay = getEndOfDay(NOW);
+    expect(endOfDay.getHours()).toBe(23);
+    expect(endOfDay.getDate()).toBe(new Date(NOW).getDate());
+  });
+});
+
+// ============================================
+// Test Suite for pickNextReview
+// ============================================
+
+describe('pickNextReview', () => {
+  const verbs = [
+    { id: 'v1', verb: 'manger' },
+    { id: 'v2', verb: 'aller' },
+  ];
+  const tenseIds = ['present', 'futur_simple'];
+  const review = (verbId, tense, dueAt) => ({ verb_id: verbId, tense, due_at: dueAt });
+
+  // Test 1: Most overdue first
+  test('should pick the most overdue review', () => {
+    const reviews = [
+      review('v1', 'present', '2025-03-09T00:00:00Z'),
+      review('v2', 'futur_simple', '2025-03-01T00:00:00Z'),
+    ];
+    const next = pickNextReview(verbs, reviews, tenseIds, NOW);
+
+    expect(next.verb.verb).toBe('aller');
+    expect(next.tenseId).toBe('futur_simple');
+    expect(next.isNew).toBe(false);
+  });
+
+  // Test 2: New pairs when nothing is due
+  test('should pick a pair never practised when nothing is due', () => {
+    const reviews = [review('v1', 'present', '2025-03-20T00:00:00Z')];
+    const next = pickNextReview(verbs, reviews, tenseIds, NOW, () => 0);
+
+    expect(next.isNew).toBe(true);
+    expect(next.verb.id).toBe('v1');
+    expect(next.tenseId).toBe('futur_simple');
+  });
+
+  // Test 3: Everything scheduled in the future
+  test('should fall back to the soonest review when every pair is scheduled', () => {
+    const reviews = [
+      review('v1', 'present', '2025-03-20T00:00:00Z'),
+      review('v1', 'futur_simple', '2025-03-15T00:00:00Z'),
+      review('v2', 'present', '2025-03-12T00:00:00Z'),
+      review('v2', 'futur_simple', '2025-03-30T00:00:00Z'),
+    ];
+    const next = pickNextReview(verbs, reviews, tenseIds, NOW);
+
+    expect(next.verb.id).toBe('v2');
+    expect(next.tenseId).toBe('present');
+  });
+
+  // Test 4: Reviews outside the selection are ignored
+  test('should ignore reviews for deleted verbs or other tenses', () => {
+    const reviews = [
+      review('deleted', 'present', '2025-03-01T00:00:00Z'),
+      review('v1', 'imparfait', '2025-03-01T00:00:00Z'),
+    ];
+    const next = pickNextReview(verbs, reviews, tenseIds, NOW, () => 0);
+
+    expect(next.isNew).toBe(true);
+    expect(tenseIds).toContain(next.tenseId);
+  });
+
+  test('should skip tenses a verb does not have', () => {
+    const next = pickNextReview([{ id: 'v3', verb: 'pouvoir' }], [], ['imperatif', 'present'], NOW, () => 0);
+    expect(next.tenseId).toBe('present');
+  });
+
+  test('should return null without verbs', () => {
+    expect(pickNextReview([], [], tenseIds, NOW)).toBeNull();
+  });
+});
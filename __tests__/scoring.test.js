@@ -0,0 +1,91 @@
+/**
+ * Tests for scoring.js
+ * Testing the weighted rubric score and both ways of computing accuracy
+ */
+
+import {
+  getWeightedScore,
+  getSessionScores,
+  toScoreColumns,
+  calculateAccuracy,
+} from '../utils/scoring';
+
+const session = (isCorrect, scores = {}) => ({
+  is_correct: isCorrect,
+  score_conjugation: scores.conjugation ?? null,
+  score_grammar: scores.grammar ?? null,
+  score_vocabulary: scores.vocabulary ?? null,
+  score_naturalness: scores.naturalness ?? null,
+});
+
+// ============================================
+// Test Suite for getWeightedScore
+// ============================================
+
+describe('getWeightedScore', () => {
+
+  // Test 1: Conjugation weighs the most
+  test('should weight the categories', () => {
+    expect(getWeightedScore({ conjugation: 100, grammar: 100, vocabulary: 100, naturalness: 100 })).toBe(100);
+    expect(getWeightedScore({ conjugation: 100, grammar: 0, vocabulary: 0, naturalness: 0 })).toBe(40);
+    expect(getWeightedScore({ conjugation: 0, grammar: 100, vocabulary: 100, naturalness: 100 })).toBe(60);
+  });
+
+  // Test 2: Missing categories
+  test('should rescale over the scored categories', () => {
+    expect(getWeightedScore({ conjugation: 80, grammar: null })).toBe(80);
+    expect(getWeightedScore({ conjugation: null })).toBeNull();
+    expect(getWeightedScore(null)).toBeNull();
+  });
+});
+
+// ============================================
+// Test Suite for the practice_sessions columns
+// ============================================
+
+describe('score columns', () => {
+
+  // Test 3: Round trip through the columns
+  test('should map feedback scores to columns and back', () => {
+    const columns = toScoreColumns({ conjugation: 90, grammar: 70, vocabulary: 80 });
+
+    expect(columns).toEqual({
+      score_conjugation: 90,
+      score_grammar: 70,
+      score_vocabulary: 80,
+      score_naturalness: null,
+    });
+    expect(getSessionScores(columns)).toEqual({ conjugation: 90, grammar: 70, vocabulary: 80, naturalness: null });
+    expect(toScoreColumns(undefined).score_conjugation).toBeNull();
+    expect(getSessionScores(session(true))).toBeNull();
+  });
+});
+
+// ============================================
+// Test Suite for calculateAccuracy
+// ============================================
+
+describe('calculateAccuracy', () => {
+
+  const sessions = [
+    session(true, { conjugation: 100, grammar: 60, vocabulary: 80, naturalness: 50 }), // 77
+    session(false, { conjugation: 40, grammar: 100, vocabulary: 100, naturalness: 100 }), // 76
+    session(true), // Saved before scores: 100
+    session(null), // Not graded
+  ];
+
+  // Test 4: Pass/fail ignores the scores
+  test('should compute the share of correct answers', () => {
+    expect(calculateAccuracy(sessions, 'boolean')).toBe(67);
+  });
+
+  // Test 5: Weighted falls back to the verdict for unscored sessions
+  test('should average the weighted scores', () => {
+    expect(calculateAccuracy(sessions, 'weighted')).toBe(84);
+  });
+
+  test('should return 0 when nothing is graded', () => {
+    expect(calculateAccuracy([session(null)], 'weighted')).toBe(0);
+    expect(calculateAccuracy([])).toBe(0);
+  });
+});
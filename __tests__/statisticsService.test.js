@@ -0,0 +1,362 @@
+/**
+ * Tests for statisticsService.js
+ * Testing that signed-in users' statistics come from the database function
+ * (not from downloading every session), and that guests get the same
+ * statistics computed on the device
+ */
+
+jest.mock('../utils/supabase', () => ({
+  supabase: {
+    rpc: jest.fn(),
+    from: jest.fn(),
+  },
+}));
+
+jest.mock('../utils/guestMode', () => ({
+  isGuestMode: jest.fn(() => false),
+}));
+
+jest.mock('../utils/guestStorage', () => ({
+  getPracticeSessions: jest.fn(),
+}));
+
+jest.mock('../utils/verbRepository', () => ({
+  getVerbs: jest.fn(),
+}));
+
+jest.mock('../utils/cloudStorage', () => ({
+  backfillMistakeTypes: jest.fn(() => Promise.resolve({ success: true, updated: 0 })),
+}));
+
+import { supabase } from '../utils/supabase';
+import { isGuestMode } from '../utils/guestMode';
+import { getPracticeSessions } from '../utils/guestStorage';
+import { getVerbs } from '../utils/verbRepository';
+import { backfillMistakeTypes } from '../utils/cloudStorage';
+import {
+  getStatistics,
+  fromDatabaseStatistics,
+  calculateStatistics,
+  getPracticeHeatmap,
+  getMastery,
+  getTodaySessionCount,
+} from '../utils/statisticsService';
+
+// What get_practice_statistics returns
+const databaseStats = {
+  total_sessions: 120,
+  overall_accuracy: 74,
+  total_verbs: 52,
+  week_sessions: 9,
+  week_accuracy: 81,
+  days_practiced_this_week: 3,
+  most_practiced_verbs: [{ verb: 'être', count: 20 }, { verb: 'avoir', count: 12 }],
+  tenses: [
+    { id: 'unknown_tense', total: 2, graded: 2, correct: 1, accuracy: 50 },
+    { id: 'passe_compose', total: 40, graded: 39, correct: 25, accuracy: 64 },
+    { id: 'present', total: 78, graded: 78, correct: 63, accuracy: 81 },
+  ],
+  current_streak: 3,
+  best_streak: 11,
+  mistakes: {
+    graded: 100,
+    counts: { wrong_auxiliary: 12, missing_accent: 30 },
+    weeks: [
+      { weeks_ago: 0, sessions: 9, counts: { missing_accent: 4 } },
+      { weeks_ago: 4, sessions: 10, counts: { wrong_auxiliary: 3, missing_accent: 1 } },
+    ],
+  },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  isGuestMode.mockReturnValue(false);
+  supabase.rpc.mockResolvedValue({ data: databaseStats, error: null });
+});
+
+// ============================================
+// Test Suite for signed-in users
+// ============================================
+
+describe('getStatistics (signed in)', () => {
+
+  // Test 1: One database call, no session download
+  test('should ask the database instead of downloading sessions', async () => {
+    const result = await getStatistics('weighted', { timeZone: 'Asia/Tokyo', firstDayOfWeek: 0 });
+
+    expect(result.success).toBe(true);
+    expect(supabase.from).not.toHaveBeenCalled();
+    // Older sessions get their mistake types before they are counted
+    expect(backfillMistakeTypes.mock.invocationCallOrder[0]).toBeLessThan(supabase.rpc.mock.invocationCallOrder[0]);
+    expect(supabase.rpc).toHaveBeenCalledWith('get_practice_statistics', {
+      p_scoring: 'weighted',
+      p_time_zone: 'Asia/Tokyo',
+      p_first_day_of_week: 0,
+      p_mistake_weeks: 6,
+    });
+  });
+
+  // Test 2: Errors are reported, not thrown
+  test('should return the error when the call fails', async () => {
+    supabase.rpc.mockResolvedValue({ data: null, error: { message: 'function does not exist' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await getStatistics()).toEqual({ success: false, error: 'function does not exist' });
+    console.error.mockRestore();
+  });
+});
+
+// ============================================
+// Test Suite for fromDatabaseStatistics
+// ============================================
+
+describe('fromDatabaseStatistics', () => {
+
+  // Test 3: Same shape as calculateStatistics
+  test('should convert the totals, tenses and streaks', () => {
+    const stats = fromDatabaseStatistics(databaseStats, 'boolean');
+
+    expect(stats).toMatchObject({
+      scoring: 'boolean',
+      totalSessions: 120,
+      overallAccuracy: 74,
+      totalVerbs: 52,
+      weekSessions: 9,
+      weekAccuracy: 81,
+      daysPracticedThisWeek: 3,
+      mostPracticedVerbs: [{ verb: 'être', count: 20 }, { verb: 'avoir', count: 12 }],
+      currentStreak: 3,
+      bestStreak: 11,
+    });
+
+    // Ordered like TENSES, unknown ids last under their raw id
+    expect(stats.tenseBreakdown.map(t => t.id)).toEqual(['present', 'passe_compose', 'unknown_tense']);
+    expect(stats.tenseBreakdown[0]).toMatchObject({ name: 'Présent', total: 78, accuracy: 81 });
+    expect(stats.tenseBreakdown[2]).toMatchObject({ name: 'unknown_tense', difficulty: null });
+  });
+
+  // Test 4: Mistake counts are ranked like on the device
+  test('should rank mistakes and place their weeks oldest first', () => {
+    const [first, second] = fromDatabaseStatistics(databaseStats, 'boolean').topMistakes;
+
+    expect(first).toMatchObject({ id: 'missing_accent', count: 30, share: 30 });
+    expect(first.weekly.map(w => w.count)).toEqual([0, 1, 0, 0, 0, 4]);
+    expect(second.weekly[1]).toEqual({ sessions: 10, count: 3 });
+  });
+
+  // Test 5: A user without practice
+  test('should handle a user who never practised', () => {
+    const stats = fromDatabaseStatistics({ total_verbs: 50, mistakes: { graded: 0, counts: {}, weeks: [] } }, 'boolean');
+
+    expect(stats).toMatchObject({ totalSessions: 0, overallAccuracy: 0, totalVerbs: 50, currentStreak: 0 });
+    expect(stats.tenseBreakdown).toEqual([]);
+    expect(stats.topMistakes).toEqual([]);
+  });
+});
+
+// ============================================
+// Test Suite for guests
+// ============================================
+
+describe('getStatistics (guest)', () => {
+
+  // Test 6: Computed from the sessions on the device
+  test('should compute guest statistics on the device', async () => {
+    isGuestMode.mockReturnValue(true);
+    const now = new Date().toISOString();
+    getPracticeSessions.mockResolvedValue({
+      success: true,
+      sessions: [
+        { created_at: now, verb_text: 'manger', tense: 'present', is_correct: true, mistake_types: [] },
+        { created_at: now, verb_text: 'manger', tense: 'present', is_correct: false, mistake_types: ['missing_accent'] },
+      ],
+    });
+    getVerbs.mockResolvedValue({ success: true, verbs: [{ id: 'v1', verb: 'manger' }] });
+
+    const result = await getStatistics();
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+    expect(result.stats).toMatchObject({
+      totalSessions: 2,
+      overallAccuracy: 50,
+      totalVerbs: 1,
+      weekSessions: 2,
+      currentStreak: 1,
+      mostPracticedVerbs: [{ verb: 'manger', count: 2 }],
+    });
+    expect(result.stats.topMistakes[0]).toMatchObject({ id: 'missing_accent', count: 1 });
+  });
+});
+
+// ============================================
+// Test Suite for days in the user's time zone
+// ============================================
+
+describe('calculateStatistics (time zones)', () => {
+
+  const at = iso => ({ created_at: iso, verb_text: 'manger', tense: 'present', is_correct: true, mistake_types: [] });
+  const paris = { timeZone: 'Europe/Paris', firstDayOfWeek: 1 };
+
+  // Test 7: The same sessions fall on different days east and west of UTC
+  test('should count streak days in the user\'s zone, east and west of UTC', () => {
+    // Auckland (UTC+13): 23:30 Thursday, 00:30 Friday, 00:30 Saturday
+    // Los Angeles (UTC-8): 02:30 Thursday, 03:30 Thursday, 03:30 Friday
+    const sessions = [at('2026-03-05T10:30:00Z'), at('2026-03-05T11:30:00Z'), at('2026-03-06T11:30:00Z')];
+    const now = new Date('2026-03-06T12:00:00Z');
+
+    const auckland = calculateStatistics(sessions, [], 'boolean', { timeZone: 'Pacific/Auckland', firstDayOfWeek: 1 }, now);
+    expect(auckland).toMatchObject({ currentStreak: 3, bestStreak: 3 });
+
+    const losAngeles = calculateStatistics(sessions, [], 'boolean', { timeZone: 'America/Los_Angeles', firstDayOfWeek: 1 }, now);
+    expect(losAngeles).toMatchObject({ currentStreak: 2, bestStreak: 2 });
+  });
+
+  // Test 8: Practice just before midnight keeps the streak
+  test('should keep a streak when practising just before local midnight', () => {
+    // 23:50 in Paris on each of three evenings is already the next day in UTC
+    const sessions = [at('2026-03-01T22:50:00Z'), at('2026-03-02T22:50:00Z'), at('2026-03-03T22:50:00Z')];
+    const now = new Date('2026-03-03T23:05:00Z'); // 00:05 on the 4th in Paris
+
+    expect(calculateStatistics(sessions, [], 'boolean', paris, new Date('2026-03-03T22:55:00Z')))
+      .toMatchObject({ currentStreak: 3, bestStreak: 3 });
+    expect(calculateStatistics(sessions, [], 'boolean', paris, now))
+      .toMatchObject({ currentStreak: 0, bestStreak: 3 });
+  });
+
+  // Test 9: Streaks across the DST changes
+  test('should not break a streak across DST changes', () => {
+    // Paris moves to summer time on Sunday 29 March and back on Sunday 25 October 2026
+    const spring = ['2026-03-28T22:30:00Z', '2026-03-29T21:30:00Z', '2026-03-30T21:30:00Z'].map(at); // 23:30 each night
+    expect(calculateStatistics(spring, [], 'boolean', paris, new Date('2026-03-30T21:45:00Z')))
+      .toMatchObject({ currentStreak: 3, bestStreak: 3 });
+
+    const autumn = ['2026-10-24T22:30:00Z', '2026-10-25T23:30:00Z'].map(at); // 00:30 on the 25th and 26th
+    expect(calculateStatistics(autumn, [], 'boolean', paris, new Date('2026-10-26T08:00:00Z')))
+      .toMatchObject({ currentStreak: 2, bestStreak: 2 });
+  });
+
+  // Test 10: The week starts on the chosen day
+  test('should start the week on the configured day', () => {
+    // Saturday 7, Sunday 8 and Monday 9 March 2026, at noon in Paris
+    const sessions = ['2026-03-07T11:00:00Z', '2026-03-08T11:00:00Z', '2026-03-09T11:00:00Z'].map(at);
+    const monday = new Date('2026-03-09T12:00:00Z');
+
+    expect(calculateStatistics(sessions, [], 'boolean', paris, monday))
+      .toMatchObject({ weekSessions: 1, daysPracticedThisWeek: 1 });
+    expect(calculateStatistics(sessions, [], 'boolean', { ...paris, firstDayOfWeek: 0 }, monday))
+      .toMatchObject({ weekSessions: 2, daysPracticedThisWeek: 2 });
+    expect(calculateStatistics(sessions, [], 'boolean', { ...paris, firstDayOfWeek: 6 }, monday))
+      .toMatchObject({ weekSessions: 3, daysPracticedThisWeek: 3 });
+  });
+});
+
+// ============================================
+// Test Suite for the practice calendar
+// ============================================
+
+describe('getPracticeHeatmap', () => {
+
+  const paris = { timeZone: 'Europe/Paris', firstDayOfWeek: 1 };
+  const now = new Date('2026-03-11T12:00:00Z');
+
+  // Test 11: Per-day counts from the database, for the past year only
+  test('should ask the database for the days of the past year', async () => {
+    const days = [{ day: '2026-03-10', sessions: 4, graded: 4, accuracy: 75 }];
+    supabase.rpc.mockResolvedValue({ data: days, error: null });
+
+    const result = await getPracticeHeatmap('weighted', paris, now);
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_practice_days', {
+      p_from: '2025-03-10',
+      p_to: '2026-03-11',
+      p_scoring: 'weighted',
+      p_time_zone: 'Europe/Paris',
+    });
+    expect(result).toEqual({ success: true, days });
+  });
+
+  // Test 12: Guests' days are counted on the device
+  test('should count guest days on the device', async () => {
+    isGuestMode.mockReturnValue(true);
+    getPracticeSessions.mockResolvedValue({
+      success: true,
+      sessions: [
+        { created_at: '2024-06-01T10:00:00Z', is_correct: true }, // Before the range
+        { created_at: '2026-03-09T23:30:00Z', is_correct: false }, // 00:30 on the 10th in Paris
+        { created_at: '2026-03-10T10:00:00Z', is_correct: true },
+      ],
+    });
+
+    const result = await getPracticeHeatmap('boolean', paris, now);
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+    expect(result.days).toEqual([{ day: '2026-03-10', sessions: 2, graded: 2, accuracy: 50 }]);
+  });
+});
+
+// ============================================
+// Test Suite for the mastery matrix
+// ============================================
+
+describe('getMastery', () => {
+
+  // Test 13: Per-pair accuracy from the database
+  test('should ask the database for the recent accuracy of each pair', async () => {
+    supabase.rpc.mockResolvedValue({
+      data: [{ verb_text: 'manger', tense: 'present', sessions: 4, graded: 4, recent_graded: 4, recent_accuracy: 75, last_practiced_at: null }],
+      error: null,
+    });
+
+    const result = await getMastery('weighted');
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_verb_tense_mastery', { p_scoring: 'weighted', p_recent: 10 });
+    expect(result.pairs).toEqual([
+      { verbText: 'manger', tense: 'present', sessions: 4, graded: 4, recentGraded: 4, recentAccuracy: 75, lastPracticedAt: null },
+    ]);
+  });
+
+  // Test 14: Guests' pairs are counted on the device
+  test('should count guest pairs on the device', async () => {
+    isGuestMode.mockReturnValue(true);
+    getPracticeSessions.mockResolvedValue({
+      success: true,
+      sessions: [
+        { created_at: '2026-03-10T10:00:00Z', verb_text: 'manger', tense: 'present', is_correct: true },
+        { created_at: '2026-03-09T10:00:00Z', verb_text: 'manger', tense: 'present', is_correct: false },
+      ],
+    });
+
+    const result = await getMastery();
+
+    expect(supabase.rpc).not.toHaveBeenCalled();
+    expect(result.pairs).toEqual([
+      { verbText: 'manger', tense: 'present', sessions: 2, graded: 2, recentGraded: 2, recentAccuracy: 50, lastPracticedAt: '2026-03-10T10:00:00Z' },
+    ]);
+  });
+});
+
+// ============================================
+// Test Suite for the daily goal
+// ============================================
+
+describe('getTodaySessionCount', () => {
+
+  // Test 15: Today in the user's zone
+  test('should count today\'s sessions in the user\'s zone', async () => {
+    supabase.rpc.mockResolvedValue({ data: [{ day: '2026-03-12', sessions: 7, graded: 7, accuracy: 80 }], error: null });
+    const tokyo = { timeZone: 'Asia/Tokyo', firstDayOfWeek: 1 };
+
+    const result = await getTodaySessionCount(tokyo, new Date('2026-03-11T21:00:00Z'));
+
+    expect(supabase.rpc).toHaveBeenCalledWith('get_practice_days', {
+      p_from: '2026-03-12',
+      p_to: '2026-03-12',
+      p_scoring: 'boolean',
+      p_time_zone: 'Asia/Tokyo',
+    });
+    expect(result).toEqual({ success: true, count: 7 });
+
+    supabase.rpc.mockResolvedValue({ data: [], error: null });
+    expect(await getTodaySessionCount(tokyo)).toEqual({ success: true, count: 0 });
+  });
+});
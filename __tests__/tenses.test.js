@@ -0,0 +1,88 @@
+/**
+ * Tests for tenses.js
+ * Testing tense tiers and the per-user tense selection
+ */
+
+import {
+  TENSES,
+  getRandomTense,
+  getDefaultTenseIds,
+  resolveEnabledTenseIds,
+  getTierTenseIds,
+  getTierForTenses,
+} from '../data/tenses';
+
+// ============================================
+// Test Suite for tiers
+// ============================================
+
+describe('getTierTenseIds', () => {
+
+  // Test 1: Each tier adds to the previous one
+  test('should build the beginner, intermediate and advanced presets', () => {
+    expect(getTierTenseIds('beginner')).toEqual(['present', 'passe_compose']);
+    expect(getTierTenseIds('intermediate').sort()).toEqual(
+      ['futur_simple', 'imparfait', 'passe_compose', 'present']
+    );
+    expect(getTierTenseIds('advanced')).toHaveLength(TENSES.length);
+  });
+
+  test('should include the opt-in passé simple in the advanced tier only', () => {
+    expect(getTierTenseIds('advanced')).toContain('passe_simple');
+    expect(getTierTenseIds('intermediate')).not.toContain('passe_simple');
+    expect(getDefaultTenseIds()).not.toContain('passe_simple');
+  });
+
+  test('should throw for unknown tiers', () => {
+    expect(() => getTierTenseIds('expert')).toThrow('Unknown tier');
+  });
+});
+
+describe('getTierForTenses', () => {
+
+  // Test 2: Detect the preset from a saved selection, in any order
+  test('should recognise a tier regardless of order', () => {
+    expect(getTierForTenses(['passe_compose', 'present'])).toBe('beginner');
+    expect(getTierForTenses(getTierTenseIds('advanced'))).toBe('advanced');
+  });
+
+  test('should report custom selections', () => {
+    expect(getTierForTenses(['present', 'imparfait'])).toBe('custom');
+  });
+});
+
+// ============================================
+// Test Suite for the user's selection
+// ============================================
+
+describe('resolveEnabledTenseIds', () => {
+
+  // Test 3: Fallbacks
+  test('should fall back to the defaults when nothing valid is saved', () => {
+    expect(resolveEnabledTenseIds(null)).toEqual(getDefaultTenseIds());
+    expect(resolveEnabledTenseIds(['aoriste'])).toEqual(getDefaultTenseIds());
+    expect(getDefaultTenseIds()).not.toContain('passe_simple');
+  });
+
+  test('should default to the four original tenses, advanced ones off', () => {
+    expect(getDefaultTenseIds().sort()).toEqual(['futur_simple', 'imparfait', 'passe_compose', 'present']);
+    expect(getTierForTenses(getDefaultTenseIds())).toBe('intermediate');
+  });
+
+  test('should drop unknown ids from a saved selection', () => {
+    expect(resolveEnabledTenseIds(['present', 'aoriste'])).toEqual(['present']);
+  });
+});
+
+describe('getRandomTense', () => {
+
+  // Test 4: Only enabled tenses are picked
+  test('should only pick enabled tenses', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(getRandomTense(['present']).id).toBe('present');
+      expect(['present', 'passe_compose']).toContain(
+        getRandomTense(getTierTenseIds('beginner')).id
+      );
+    }
+  });
+});
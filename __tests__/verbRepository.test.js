@@ -0,0 +1,163 @@
+/**
+ * Tests for verbRepository.js and the verb stores
+ * Testing that both backends share one interface, and the one-time move of legacy verbs
+ */
+
+// In-memory AsyncStorage, so verbs really persist between calls
+jest.mock('@react-native-async-storage/async-storage', () => {
+  let store = {};
+  return {
+    getItem: jest.fn((key) => Promise.resolve(key in store ? store[key] : null)),
+    setItem: jest.fn((key, value) => { store[key] = value; return Promise.resolve(); }),
+    removeItem: jest.fn((key) => { delete store[key]; return Promise.resolve(); }),
+    clear: () => { store = {}; },
+  };
+});
+
+jest.mock('../utils/verbStores/supabaseVerbStore', () => ({
+  initializeVerbs: jest.fn(),
+  getVerbs: jest.fn(),
+  getRandomVerb: jest.fn(),
+  addVerb: jest.fn(),
+  deleteVerb: jest.fn(),
+  incrementPracticeCount: jest.fn(),
+  importVerbs: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  VERB_BACKENDS,
+  setVerbBackend,
+  getVerbBackend,
+  getVerbStore,
+  initializeVerbs,
+  getVerbs,
+  addVerb,
+  deleteVerb,
+  incrementPracticeCount,
+  migrateLegacyVerbs,
+} from '../utils/verbRepository';
+import * as supabaseVerbStore from '../utils/verbStores/supabaseVerbStore';
+import { DEFAULT_VERBS } from '../data/defaultVerbs';
+
+const legacyVerbs = [
+  { id: '1', verb: 'manger', translation: 'to eat', addedAt: 1, isDefault: true, practiceCount: 4 },
+  { id: '2', verb: 'flâner', translation: 'to stroll', addedAt: 2, isDefault: false, practiceCount: 0 },
+];
+
+beforeEach(() => {
+  AsyncStorage.clear();
+  jest.clearAllMocks();
+  setVerbBackend(VERB_BACKENDS.LOCAL);
+});
+
+// ============================================
+// Test Suite for backend selection
+// ============================================
+
+describe('backend selection', () => {
+
+  // Test 1: Calls go to the active backend
+  test('should send calls to the active backend', async () => {
+    supabaseVerbStore.getVerbs.mockResolvedValue({ success: true, verbs: [] });
+
+    setVerbBackend(VERB_BACKENDS.SUPABASE);
+    expect(getVerbBackend()).toBe('supabase');
+    await getVerbs();
+
+    expect(supabaseVerbStore.getVerbs).toHaveBeenCalledTimes(1);
+    expect(getVerbStore(VERB_BACKENDS.SUPABASE).importVerbs).toBe(supabaseVerbStore.importVerbs);
+  });
+
+  // Test 2: Unknown backends are refused
+  test('should refuse an unknown backend', () => {
+    expect(() => setVerbBackend('floppy')).toThrow('Unknown verb backend: floppy');
+    expect(getVerbBackend()).toBe('local');
+  });
+});
+
+// ============================================
+// Test Suite for the local store
+// ============================================
+
+describe('local verb store', () => {
+
+  // Test 3: Default verbs, once, in the user_verbs shape
+  test('should add the default verbs once, shaped like user_verbs rows', async () => {
+    expect(await initializeVerbs()).toEqual({ success: true, count: DEFAULT_VERBS.length });
+    const again = await initializeVerbs();
+    expect(again).toMatchObject({ success: true, count: DEFAULT_VERBS.length });
+
+    const { success, verbs } = await getVerbs();
+    expect(success).toBe(true);
+    expect(verbs).toHaveLength(DEFAULT_VERBS.length);
+    expect(verbs[0]).toEqual({
+      id: expect.any(String),
+      verb: expect.any(String),
+      translation: expect.any(String),
+      is_default: true,
+      practice_count: 0,
+      last_practiced_at: null,
+      created_at: expect.any(String),
+    });
+    const names = verbs.map(v => v.verb);
+    expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b)));
+  });
+
+  // Test 4: Add, refuse duplicates, count practice, delete
+  test('should add, count and delete custom verbs', async () => {
+    const added = await addVerb('  Flâner ', ' to stroll ');
+    expect(added).toMatchObject({ success: true, verb: { verb: 'flâner', translation: 'to stroll', is_default: false } });
+    expect(await addVerb('flâner', 'to stroll')).toEqual({
+      success: false,
+      error: 'This verb already exists in your list',
+    });
+
+    await incrementPracticeCount(added.verb.id, 'op-1');
+    let { verbs } = await getVerbs();
+    expect(verbs[0]).toMatchObject({ practice_count: 1, last_practiced_at: expect.any(String) });
+
+    expect(await deleteVerb(added.verb.id)).toEqual({ success: true });
+    ({ verbs } = await getVerbs());
+    expect(verbs).toEqual([]);
+  });
+});
+
+// ============================================
+// Test Suite for the legacy migration
+// ============================================
+
+describe('migrateLegacyVerbs', () => {
+
+  // Test 5: Converted, uploaded, then removed
+  test('should upload legacy verbs and remove the old keys', async () => {
+    await AsyncStorage.setItem('@verbs', JSON.stringify(legacyVerbs));
+    await AsyncStorage.setItem('@initialized', 'true');
+    supabaseVerbStore.importVerbs.mockResolvedValue({ success: true, imported: 1, skipped: 1 });
+
+    const result = await migrateLegacyVerbs();
+
+    expect(result).toEqual({ success: true, imported: 1, skipped: 1 });
+    expect(supabaseVerbStore.importVerbs).toHaveBeenCalledWith([
+      { verb: 'manger', translation: 'to eat', is_default: true, practice_count: 4 },
+      { verb: 'flâner', translation: 'to stroll', is_default: false, practice_count: 0 },
+    ]);
+    expect(await AsyncStorage.getItem('@verbs')).toBeNull();
+    expect(await AsyncStorage.getItem('@initialized')).toBeNull();
+
+    // Nothing left to do next time
+    await migrateLegacyVerbs();
+    expect(supabaseVerbStore.importVerbs).toHaveBeenCalledTimes(1);
+  });
+
+  // Test 6: Failed upload keeps the key for the next try
+  test('should keep the legacy verbs when the upload fails', async () => {
+    await AsyncStorage.setItem('@verbs', JSON.stringify(legacyVerbs));
+    supabaseVerbStore.importVerbs.mockResolvedValue({ success: false, error: 'Network request failed' });
+
+    const result = await migrateLegacyVerbs();
+
+    expect(result).toEqual({ success: false, error: 'Network request failed' });
+    expect(JSON.parse(await AsyncStorage.getItem('@verbs'))).toEqual(legacyVerbs);
+  });
+});
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { getSentenceHighlights } from '../utils/issueSpans';
+
+// Underline colour for each issue category
+const CATEGORY_COLORS = {
+  conjugation: '#f44336',
+  agreement: '#FF9800',
+  spelling: '#9C27B0',
+  vocabulary: '#2196F3',
+  word_order: '#009688',
+  other: '#795548',
+};
+
+const CATEGORY_NAMES = {
+  conjugation: 'Conjugation',
+  agreement: 'Agreement',
+  spelling: 'Spelling',
+  vocabulary: 'Vocabulary',
+  word_order: 'Word order',
+  other: 'Suggestion',
+};
+
+/**
+ * Split the sentence into plain and highlighted parts
+ */
+function buildSegments(sentence, spans) {
+  const segments = [];
+  let position = 0;
+  spans.forEach((span, index) => {
+    if (span.start > position) {
+      segments.push({ text: sentence.slice(position, span.start) });
+    }
+    segments.push({ text: sentence.slice(span.start, span.end), spanIndex: index });
+    position = span.end;
+  });
+  if (position < sentence.length) {
+    segments.push({ text: sentence.slice(position) });
+  }
+  return segments;
+}
+
+// =====================================================
+// COMPONENT: HighlightedSentence
+// The user's sentence with its mistakes underlined (see utils/issueSpans.js).
+// Tapping a mistake shows its fix. Used by PracticeScreen's feedback card
+// and HistoryScreen's FeedbackModal.
+// =====================================================
+export default function HighlightedSentence({ sentence, feedback, style }) {
+  const [selected, setSelected] = useState(null);
+  const { spans } = getSentenceHighlights(sentence, feedback);
+  const selectedSpan = selected !== null ? spans[selected] : null;
+
+  return (
+    <View>
+      <Text style={style}>
+        {buildSegments(sentence || '', spans).map((segment, index) => {
+          if (segment.spanIndex === undefined) {
+            return <Text key={index}>{segment.text}</Text>;
+          }
+          const span = spans[segment.spanIndex];
+          const color = CATEGORY_COLORS[span.category] || CATEGORY_COLORS.other;
+          return (
+            <Text
+              key={index}
+              style={[
+                styles.mistake,
+                { textDecorationColor: color, color },
+                selected === segment.spanIndex && styles.mistakeSelected,
+              ]}
+              onPress={() => setSelected(selected === segment.spanIndex ? null : segment.spanIndex)}
+            >
+              {segment.text}
+            </Text>
+          );
+        })}
+      </Text>
+
+      {spans.length > 0 && !selectedSpan && (
+        <Text style={styles.hint}>Tap an underlined part to see the fix</Text>
+      )}
+
+      {selectedSpan && (
+        <View style={styles.fixBox}>
+          <Text style={styles.fixCategory}>
+            {CATEGORY_NAMES[selectedSpan.category] || CATEGORY_NAMES.other}
+          </Text>
+          <Text style={styles.fixText}>
+            "{selectedSpan.text}" → {selectedSpan.replacement ? `"${selectedSpan.replacement}"` : 'remove'}
+          </Text>
+          {selectedSpan.explanation ? (
+            <Text style={styles.fixExplanation}>{selectedSpan.explanation}</Text>
+          ) : null}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  mistake: {
+    textDecorationLine: 'underline',
+    textDecorationStyle: 'solid',
+    fontWeight: '600',
+  },
+  mistakeSelected: {
+    backgroundColor: '#FFF3E0',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  fixBox: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+    borderLeftWidth: 3,
+    borderLeftColor: '#FF9800',
+  },
+  fixCategory: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#666',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  fixText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  fixExplanation: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+});
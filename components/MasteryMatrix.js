@@ -0,0 +1,171 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import { HEATMAP_PALETTES } from '../utils/heatmap';
+import { CONFIDENT_ANSWERS, getMasteryColor, isWeakPair } from '../utils/mastery';
+
+const CELL_SIZE = 34;
+const CELL_GAP = 3;
+const VERB_COLUMN_WIDTH = 90;
+
+// =====================================================
+// COMPONENT: MasteryMatrix
+// The user's verbs × enabled tenses (utils/mastery.js). A cell's colour is
+// the accuracy of its latest answers, lighter when few answers back it up.
+// Weak cells can be tapped to practise that pair.
+// =====================================================
+export default function MasteryMatrix({ matrix, onSelectPair }) {
+  const { tenses, rows } = matrix;
+
+  return (
+    <View>
+      <View style={styles.chart}>
+        {/* Verb names */}
+        <View style={styles.verbColumn}>
+          <View style={styles.headerRow} />
+          {rows.map(row => (
+            <Text key={row.verb.id} style={styles.verbName} numberOfLines={1}>
+              {row.verb.verb}
+            </Text>
+          ))}
+        </View>
+
+        {/* Tenses */}
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={[styles.row, styles.headerRow]}>
+              {tenses.map(tense => (
+                <Text key={tense.id} style={styles.tenseName} numberOfLines={2}>
+                  {tense.shortName || tense.name}
+                </Text>
+              ))}
+            </View>
+            {rows.map(row => (
+              <View key={row.verb.id} style={styles.row}>
+                {row.cells.map((cell, column) => {
+                  if (!cell.available) {
+                    return (
+                      <View key={cell.tenseId} style={[styles.cell, styles.unavailableCell]}>
+                        <Text style={styles.unavailableText}>–</Text>
+                      </View>
+                    );
+                  }
+
+                  const color = getMasteryColor(cell.pair);
+                  const label = cell.pair && cell.pair.recentGraded > 0 ? `${cell.pair.recentAccuracy}` : '';
+                  if (!isWeakPair(cell.pair)) {
+                    return (
+                      <View key={cell.tenseId} style={[styles.cell, { backgroundColor: color }]}>
+                        <Text style={styles.cellText}>{label}</Text>
+                      </View>
+                    );
+                  }
+
+                  return (
+                    <TouchableOpacity
+                      key={cell.tenseId}
+                      style={[styles.cell, styles.weakCell, { backgroundColor: color }]}
+                      onPress={() => onSelectPair({ verb: row.verb, tenseId: cell.tenseId })}
+                      accessibilityLabel={`Practise ${row.verb.verb}, ${tenses[column].name}: ${cell.pair.recentAccuracy}% over the last ${cell.pair.recentGraded} answers`}
+                    >
+                      <Text style={styles.cellText}>{label}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      </View>
+
+      {/* Legend: colour = recent accuracy, shade = confidence */}
+      <View style={styles.legendRow}>
+        {Object.values(HEATMAP_PALETTES).map(palette => (
+          <View key={palette.name} style={styles.legendItem}>
+            <View style={[styles.legendCell, { backgroundColor: palette.colors[2] }]} />
+            <Text style={styles.legendText}>{palette.name}</Text>
+          </View>
+        ))}
+      </View>
+      <Text style={styles.legendText}>
+        Lighter: fewer than {CONFIDENT_ANSWERS} recent answers. Tap an outlined cell to practise it.
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+  },
+  verbColumn: {
+    width: VERB_COLUMN_WIDTH,
+    marginRight: 4,
+  },
+  headerRow: {
+    height: 30,
+    marginBottom: CELL_GAP,
+  },
+  verbName: {
+    height: CELL_SIZE,
+    marginBottom: CELL_GAP,
+    lineHeight: CELL_SIZE,
+    fontSize: 13,
+    color: '#333',
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  tenseName: {
+    width: CELL_SIZE,
+    marginRight: CELL_GAP,
+    fontSize: 9,
+    color: '#999',
+    textAlign: 'center',
+  },
+  cell: {
+    width: CELL_SIZE,
+    height: CELL_SIZE,
+    marginRight: CELL_GAP,
+    marginBottom: CELL_GAP,
+    borderRadius: 4,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  weakCell: {
+    borderWidth: 2,
+    borderColor: '#333',
+  },
+  unavailableCell: {
+    backgroundColor: 'transparent',
+  },
+  unavailableText: {
+    color: '#ccc',
+  },
+  cellText: {
+    fontSize: 10,
+    color: '#333',
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  legendCell: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginHorizontal: 2,
+  },
+  legendText: {
+    fontSize: 11,
+    color: '#999',
+    marginHorizontal: 2,
+  },
+});
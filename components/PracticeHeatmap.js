@@ -0,0 +1,166 @@
+import React, { useMemo, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
+import {
+  HEATMAP_PALETTES,
+  EMPTY_DAY_COLOR,
+  buildHeatmap,
+  getDayColor,
+  formatDayKey,
+} from '../utils/heatmap';
+
+const CELL_SIZE = 12;
+const CELL_GAP = 3;
+const COLUMN_WIDTH = CELL_SIZE + CELL_GAP;
+
+// Rows with a day name, like GitHub's chart (every other row)
+const LABELLED_ROWS = [1, 3, 5];
+
+// =====================================================
+// COMPONENT: PracticeHeatmap
+// One cell per day of the past 12 months (utils/heatmap.js), shaded by the
+// number of sessions and coloured by their accuracy. Plain Views, so it
+// renders the same on native and web. Days with practice can be tapped.
+// =====================================================
+export default function PracticeHeatmap({ days, calendar, onSelectDay }) {
+  const scrollRef = useRef(null);
+  const { weeks, months, dayNames } = useMemo(
+    () => buildHeatmap(days, calendar),
+    [days, calendar]
+  );
+
+  return (
+    <View>
+      <View style={styles.chart}>
+        {/* Day names */}
+        <View style={styles.dayNames}>
+          {dayNames.map((name, row) => (
+            <Text key={row} style={styles.dayName}>
+              {LABELLED_ROWS.includes(row) ? name : ''}
+            </Text>
+          ))}
+        </View>
+
+        {/* Weeks, scrolled to the most recent */}
+        <ScrollView
+          ref={scrollRef}
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          onContentSizeChange={() => scrollRef.current?.scrollToEnd({ animated: false })}
+        >
+          <View>
+            <View style={styles.monthRow}>
+              {months.map(month => (
+                <Text key={month.week} style={[styles.monthName, { left: month.week * COLUMN_WIDTH }]}>
+                  {month.name}
+                </Text>
+              ))}
+            </View>
+            <View style={styles.weeks}>
+              {weeks.map((week, index) => (
+                <View key={index} style={styles.week}>
+                  {week.map(cell => {
+                    if (cell.future) {
+                      return <View key={cell.day} style={styles.cell} />;
+                    }
+
+                    const color = getDayColor(cell.data);
+                    if (!cell.data) {
+                      return <View key={cell.day} style={[styles.cell, { backgroundColor: color }]} />;
+                    }
+
+                    return (
+                      <TouchableOpacity
+                        key={cell.day}
+                        style={[styles.cell, { backgroundColor: color }]}
+                        onPress={() => onSelectDay(cell.day)}
+                        accessibilityLabel={`${formatDayKey(cell.day)}: ${cell.data.sessions} ${cell.data.sessions === 1 ? 'session' : 'sessions'}, ${cell.data.accuracy}% accuracy`}
+                      />
+                    );
+                  })}
+                </View>
+              ))}
+            </View>
+          </View>
+        </ScrollView>
+      </View>
+
+      {/* Legend: shade = sessions, colour = accuracy */}
+      <View style={styles.legendRow}>
+        <Text style={styles.legendText}>Less</Text>
+        <View style={[styles.legendCell, { backgroundColor: EMPTY_DAY_COLOR }]} />
+        {HEATMAP_PALETTES.good.colors.map(color => (
+          <View key={color} style={[styles.legendCell, { backgroundColor: color }]} />
+        ))}
+        <Text style={styles.legendText}>More</Text>
+      </View>
+      <View style={styles.legendRow}>
+        {Object.values(HEATMAP_PALETTES).map(palette => (
+          <View key={palette.name} style={styles.legendItem}>
+            <View style={[styles.legendCell, { backgroundColor: palette.colors[2] }]} />
+            <Text style={styles.legendText}>{palette.name}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chart: {
+    flexDirection: 'row',
+  },
+  dayNames: {
+    marginTop: 18,
+    marginRight: 4,
+  },
+  dayName: {
+    height: CELL_SIZE,
+    marginBottom: CELL_GAP,
+    fontSize: 9,
+    lineHeight: CELL_SIZE,
+    color: '#999',
+  },
+  monthRow: {
+    height: 18,
+  },
+  monthName: {
+    position: 'absolute',
+    top: 0,
+    fontSize: 10,
+    color: '#999',
+  },
+  weeks: {
+    flexDirection: 'row',
+  },
+  week: {
+    marginRight: CELL_GAP,
+  },
+  cell: {
+    width: CELL_SIZE,
+    height: CELL_SIZE,
+    marginBottom: CELL_GAP,
+    borderRadius: 2,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  legendCell: {
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginHorizontal: 2,
+  },
+  legendText: {
+    fontSize: 11,
+    color: '#999',
+    marginHorizontal: 2,
+  },
+});
@@ -0,0 +1,58 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+// Ticks around the ring; progress fills them clockwise from the top
+const SEGMENTS = 30;
+
+// =====================================================
+// COMPONENT: ProgressRing
+// A ring of ticks filled in proportion to `progress` (0 to 1), with
+// `children` in the middle. Plain Views, so no SVG library is needed and it
+// renders the same on native and web.
+// =====================================================
+export default function ProgressRing({
+  progress,
+  size = 140,
+  thickness = 12,
+  color = '#4CAF50',
+  trackColor = '#e0e0e0',
+  children,
+}) {
+  const filled = Math.floor(Math.min(1, Math.max(0, progress)) * SEGMENTS);
+  const radius = (size - thickness) / 2;
+  const tickWidth = Math.max(2, (2 * Math.PI * radius) / SEGMENTS - 3);
+
+  return (
+    <View style={{ width: size, height: size }}>
+      {Array.from({ length: SEGMENTS }, (_, index) => (
+        <View
+          key={index}
+          style={[
+            styles.tick,
+            {
+              width: tickWidth,
+              height: thickness,
+              left: (size - tickWidth) / 2,
+              top: (size - thickness) / 2,
+              backgroundColor: index < filled ? color : trackColor,
+              transform: [{ rotate: `${(index * 360) / SEGMENTS}deg` }, { translateY: -radius }],
+            },
+          ]}
+        />
+      ))}
+      <View style={styles.center}>{children}</View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  tick: {
+    position: 'absolute',
+    borderRadius: 2,
+  },
+  center: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
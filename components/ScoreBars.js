@@ -0,0 +1,85 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { SCORE_CATEGORIES, getWeightedScore } from '../utils/scoring';
+
+// Bar colour for a 0–100 score
+const getScoreColor = (score) => {
+  if (score >= 80) return '#4CAF50';
+  if (score >= 50) return '#FF9800';
+  return '#f44336';
+};
+
+// =====================================================
+// COMPONENT: ScoreBars
+// One bar per rubric category (utils/scoring.js) and the weighted total.
+// Used by PracticeScreen's feedback card and HistoryScreen's FeedbackModal.
+// Renders nothing for feedback without scores.
+// =====================================================
+export default function ScoreBars({ scores }) {
+  const overall = getWeightedScore(scores);
+  if (overall === null) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {SCORE_CATEGORIES.map(category => {
+        const score = scores[category.id];
+        const scored = typeof score === 'number';
+
+        return (
+          <View key={category.id} style={styles.row}>
+            <Text style={styles.label}>{category.name}</Text>
+            <View style={styles.track}>
+              {scored && (
+                <View style={[styles.fill, { width: `${score}%`, backgroundColor: getScoreColor(score) }]} />
+              )}
+            </View>
+            <Text style={styles.value}>{scored ? score : '—'}</Text>
+          </View>
+        );
+      })}
+      <Text style={styles.overall}>Overall: {overall}/100</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  label: {
+    width: 95,
+    fontSize: 13,
+    color: '#555',
+  },
+  track: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+  },
+  value: {
+    width: 32,
+    textAlign: 'right',
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+  },
+  overall: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#333',
+    textAlign: 'right',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,276 @@
+// Irregular French verb patterns used by the offline conjugator
+// Each entry is keyed by an ending so compound verbs share their root's pattern
+// (e.g. 'prendre' also covers comprendre and apprendre).
+// Entries marked `exact` only match that infinitive (so 'avoir' doesn't
+// swallow 'savoir', and 'aller' doesn't swallow 'installer').
+//
+// Fields:
+//   present     - six present-tense forms (je, tu, il, nous, vous, ils)
+//   participle  - past participle (masculine singular)
+//   futurStem   - stem for futur simple (defaults to the infinitive)
+//   imparfaitStem - stem for imparfait (defaults to the "nous" present minus -ons)
+//   subjonctif  - six subjonctif présent forms, for verbs with an irregular stem
+//                 (defaults to the "ils" present stem + the imparfait nous/vous)
+//   passeSimple - "je" form of the passé simple (defaults to the group's endings)
+//   imperatif   - tu, nous, vous forms (defaults to the present)
+//   noImperatif - true for verbs without an imperative (pouvoir)
+//   auxiliary   - 'être' or 'avoir' (defaults to 'avoir')
+
+export const IRREGULAR_VERBS = [
+  {
+    ending: 'être',
+    exact: true,
+    present: ['suis', 'es', 'est', 'sommes', 'êtes', 'sont'],
+    participle: 'été',
+    futurStem: 'ser',
+    imparfaitStem: 'ét',
+    subjonctif: ['sois', 'sois', 'soit', 'soyons', 'soyez', 'soient'],
+    passeSimple: 'fus',
+    imperatif: ['sois', 'soyons', 'soyez'],
+  },
+  {
+    ending: 'avoir',
+    exact: true,
+    present: ['ai', 'as', 'a', 'avons', 'avez', 'ont'],
+    participle: 'eu',
+    futurStem: 'aur',
+    subjonctif: ['aie', 'aies', 'ait', 'ayons', 'ayez', 'aient'],
+    passeSimple: 'eus',
+    imperatif: ['aie', 'ayons', 'ayez'],
+  },
+  {
+    ending: 'aller',
+    exact: true,
+    present: ['vais', 'vas', 'va', 'allons', 'allez', 'vont'],
+    participle: 'allé',
+    futurStem: 'ir',
+    subjonctif: ['aille', 'ailles', 'aille', 'allions', 'alliez', 'aillent'],
+    auxiliary: 'être',
+  },
+  {
+    ending: 'naître',
+    exact: true,
+    present: ['nais', 'nais', 'naît', 'naissons', 'naissez', 'naissent'],
+    participle: 'né',
+    futurStem: 'naîtr',
+    passeSimple: 'naquis',
+    auxiliary: 'être',
+  },
+  {
+    ending: 'faire',
+    present: ['fais', 'fais', 'fait', 'faisons', 'faites', 'font'],
+    participle: 'fait',
+    futurStem: 'fer',
+    subjonctif: ['fasse', 'fasses', 'fasse', 'fassions', 'fassiez', 'fassent'],
+    passeSimple: 'fis',
+  },
+  {
+    ending: 'dire',
+    present: ['dis', 'dis', 'dit', 'disons', 'dites', 'disent'],
+    participle: 'dit',
+    passeSimple: 'dis',
+  },
+  {
+    ending: 'pouvoir',
+    present: ['peux', 'peux', 'peut', 'pouvons', 'pouvez', 'peuvent'],
+    participle: 'pu',
+    futurStem: 'pourr',
+    subjonctif: ['puisse', 'puisses', 'puisse', 'puissions', 'puissiez', 'puissent'],
+    passeSimple: 'pus',
+    noImperatif: true,
+  },
+  {
+    ending: 'vouloir',
+    present: ['veux', 'veux', 'veut', 'voulons', 'voulez', 'veulent'],
+    participle: 'voulu',
+    futurStem: 'voudr',
+    subjonctif: ['veuille', 'veuilles', 'veuille', 'voulions', 'vouliez', 'veuillent'],
+    passeSimple: 'voulus',
+    imperatif: ['veuille', 'veuillons', 'veuillez'],
+  },
+  {
+    ending: 'devoir',
+    present: ['dois', 'dois', 'doit', 'devons', 'devez', 'doivent'],
+    participle: 'dû',
+    futurStem: 'devr',
+    passeSimple: 'dus',
+  },
+  {
+    ending: 'savoir',
+    present: ['sais', 'sais', 'sait', 'savons', 'savez', 'savent'],
+    participle: 'su',
+    futurStem: 'saur',
+    subjonctif: ['sache', 'saches', 'sache', 'sachions', 'sachiez', 'sachent'],
+    passeSimple: 'sus',
+    imperatif: ['sache', 'sachons', 'sachez'],
+  },
+  {
+    ending: 'cevoir',
+    present: ['çois', 'çois', 'çoit', 'cevons', 'cevez', 'çoivent'],
+    participle: 'çu',
+    futurStem: 'cevr',
+    passeSimple: 'çus',
+  },
+  {
+    ending: 'voir',
+    present: ['vois', 'vois', 'voit', 'voyons', 'voyez', 'voient'],
+    participle: 'vu',
+    futurStem: 'verr',
+    passeSimple: 'vis',
+  },
+  {
+    ending: 'venir',
+    present: ['viens', 'viens', 'vient', 'venons', 'venez', 'viennent'],
+    participle: 'venu',
+    futurStem: 'viendr',
+    passeSimple: 'vins',
+    auxiliary: 'être',
+  },
+  {
+    ending: 'tenir',
+    present: ['tiens', 'tiens', 'tient', 'tenons', 'tenez', 'tiennent'],
+    participle: 'tenu',
+    futurStem: 'tiendr',
+    passeSimple: 'tins',
+  },
+  {
+    ending: 'prendre',
+    present: ['prends', 'prends', 'prend', 'prenons', 'prenez', 'prennent'],
+    participle: 'pris',
+    passeSimple: 'pris',
+  },
+  {
+    ending: 'mettre',
+    present: ['mets', 'mets', 'met', 'mettons', 'mettez', 'mettent'],
+    participle: 'mis',
+    passeSimple: 'mis',
+  },
+  {
+    ending: 'croire',
+    present: ['crois', 'crois', 'croit', 'croyons', 'croyez', 'croient'],
+    participle: 'cru',
+    passeSimple: 'crus',
+  },
+  {
+    ending: 'boire',
+    present: ['bois', 'bois', 'boit', 'buvons', 'buvez', 'boivent'],
+    participle: 'bu',
+    passeSimple: 'bus',
+  },
+  {
+    ending: 'crire',
+    present: ['cris', 'cris', 'crit', 'crivons', 'crivez', 'crivent'],
+    participle: 'crit',
+    passeSimple: 'crivis',
+  },
+  {
+    ending: 'lire',
+    present: ['lis', 'lis', 'lit', 'lisons', 'lisez', 'lisent'],
+    participle: 'lu',
+    passeSimple: 'lus',
+  },
+  {
+    ending: 'vivre',
+    present: ['vis', 'vis', 'vit', 'vivons', 'vivez', 'vivent'],
+    participle: 'vécu',
+    passeSimple: 'vécus',
+  },
+  {
+    ending: 'suivre',
+    present: ['suis', 'suis', 'suit', 'suivons', 'suivez', 'suivent'],
+    participle: 'suivi',
+  },
+  {
+    ending: 'aître',
+    present: ['ais', 'ais', 'aît', 'aissons', 'aissez', 'aissent'],
+    participle: 'u',
+    passeSimple: 'us',
+  },
+  {
+    ending: 'partir',
+    present: ['pars', 'pars', 'part', 'partons', 'partez', 'partent'],
+    participle: 'parti',
+    auxiliary: 'être',
+  },
+  {
+    ending: 'sortir',
+    present: ['sors', 'sors', 'sort', 'sortons', 'sortez', 'sortent'],
+    participle: 'sorti',
+    auxiliary: 'être',
+  },
+  {
+    ending: 'sentir',
+    present: ['sens', 'sens', 'sent', 'sentons', 'sentez', 'sentent'],
+    participle: 'senti',
+  },
+  {
+    ending: 'mentir',
+    present: ['mens', 'mens', 'ment', 'mentons', 'mentez', 'mentent'],
+    participle: 'menti',
+  },
+  {
+    ending: 'dormir',
+    present: ['dors', 'dors', 'dort', 'dormons', 'dormez', 'dorment'],
+    participle: 'dormi',
+  },
+  {
+    ending: 'servir',
+    present: ['sers', 'sers', 'sert', 'servons', 'servez', 'servent'],
+    participle: 'servi',
+  },
+  {
+    ending: 'courir',
+    present: ['cours', 'cours', 'court', 'courons', 'courez', 'courent'],
+    participle: 'couru',
+    futurStem: 'courr',
+    passeSimple: 'courus',
+  },
+  {
+    ending: 'mourir',
+    present: ['meurs', 'meurs', 'meurt', 'mourons', 'mourez', 'meurent'],
+    participle: 'mort',
+    futurStem: 'mourr',
+    passeSimple: 'mourus',
+    auxiliary: 'être',
+  },
+  {
+    ending: 'ouvrir',
+    present: ['ouvre', 'ouvres', 'ouvre', 'ouvrons', 'ouvrez', 'ouvrent'],
+    participle: 'ouvert',
+  },
+  {
+    ending: 'ffrir',
+    present: ['ffre', 'ffres', 'ffre', 'ffrons', 'ffrez', 'ffrent'],
+    participle: 'ffert',
+  },
+  {
+    ending: 'envoyer',
+    present: ['envoie', 'envoies', 'envoie', 'envoyons', 'envoyez', 'envoient'],
+    participle: 'envoyé',
+    futurStem: 'enverr',
+  },
+];
+
+// Regular verbs that take "être" in compound tenses (the "DR & MRS VANDERTRAMP" list)
+// Irregular ones (aller, venir, partir...) carry their own auxiliary above.
+export const ETRE_VERBS = [
+  'arriver',
+  'descendre',
+  'entrer',
+  'monter',
+  'rentrer',
+  'rester',
+  'retourner',
+  'tomber',
+];
+
+// Verbs that switch to "avoir" when they take a direct object
+// ("je suis sorti" vs "j'ai sorti la poubelle"), so both auxiliaries are valid
+export const DUAL_AUXILIARY_VERBS = [
+  'descendre',
+  'monter',
+  'passer',
+  'rentrer',
+  'retourner',
+  'sortir',
+];
@@ -0,0 +1,21 @@
+// Sentences replayed through prompt templates by the offline evaluation
+// (npm run eval:prompts). `expected` is the verdict a good prompt should get:
+// whether the practice verb is conjugated correctly in the required tense.
+// Keep a mix of correct answers and typical learner mistakes.
+
+export const PROMPT_EVAL_FIXTURES = [
+  { verb: 'manger', tense: 'present', sentence: 'Nous mangeons une pomme.', expected: true },
+  { verb: 'manger', tense: 'present', sentence: 'Nous mangons une pomme.', expected: false, note: 'missing "e" after g' },
+  { verb: 'finir', tense: 'present', sentence: 'Ils finissent leurs devoirs.', expected: true },
+  { verb: 'finir', tense: 'present', sentence: 'Ils finient leurs devoirs.', expected: false, note: 'not a form of finir' },
+  { verb: 'aller', tense: 'passe_compose', sentence: 'Elle est allée au marché.', expected: true },
+  { verb: 'aller', tense: 'passe_compose', sentence: 'Elle a allé au marché.', expected: false, note: 'wrong auxiliary' },
+  { verb: 'avoir', tense: 'imparfait', sentence: "Quand j'étais petit, j'avais un chien.", expected: true },
+  { verb: 'faire', tense: 'futur_simple', sentence: 'Demain, je ferai les courses.', expected: true },
+  { verb: 'faire', tense: 'futur_simple', sentence: 'Demain, je fais les courses.', expected: false, note: 'present instead of future' },
+  { verb: 'pouvoir', tense: 'conditionnel_present', sentence: 'Pourriez-vous m\'aider ?', expected: true },
+  { verb: 'être', tense: 'subjonctif_present', sentence: 'Il faut que tu sois patient.', expected: true },
+  { verb: 'être', tense: 'subjonctif_present', sentence: 'Il faut que tu es patient.', expected: false, note: 'indicative after "il faut que"' },
+  { verb: 'prendre', tense: 'present', sentence: 'Je prends le train le matin.', expected: true },
+  { verb: 'venir', tense: 'passe_compose', sentence: 'Ils sont venu hier.', expected: false, note: 'participle agreement' },
+];
@@ -1,37 +1,116 @@
 // French verb tenses for our practice app
-// Starting with 4 common tenses for MVP
+// Each tense has a difficulty (beginner, intermediate, advanced) and can be
+// switched on or off per user in Settings (user_settings.enabled_tenses).
+// Tiers are presets built from the difficulties: a tier includes every tense
+// at or below its level. Tenses that are off by default (`defaultEnabled:
+// false`, the passé simple) are still part of their tier: choosing the
+// advanced tier is how a user opts into every tense.
+// `promptNote` gives the AI extra rules for tenses with special constraints.
+// `shortName` heads the tense's column in the mastery matrix on Statistics.
+
+export const TENSE_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
 
 export const TENSES = [
   {
     id: 'present',
     name: 'Présent',
     displayName: 'Present',
-    description: 'Actions happening now or habitual actions'
+    shortName: 'Prés.',
+    description: 'Actions happening now or habitual actions',
+    difficulty: 'beginner',
   },
   {
     id: 'passe_compose',
     name: 'Passé Composé',
     displayName: 'Past Compound',
-    description: 'Completed actions in the past'
+    shortName: 'P.C.',
+    description: 'Completed actions in the past',
+    difficulty: 'beginner',
   },
   {
     id: 'futur_simple',
     name: 'Futur Simple',
     displayName: 'Simple Future',
-    description: 'Actions that will happen'
+    shortName: 'Fut.',
+    description: 'Actions that will happen',
+    difficulty: 'intermediate',
   },
   {
     id: 'imparfait',
     name: 'Imparfait',
     displayName: 'Imperfect',
-    description: 'Ongoing or habitual actions in the past'
-  }
+    shortName: 'Imp.',
+    description: 'Ongoing or habitual actions in the past',
+    difficulty: 'intermediate',
+  },
+  {
+    id: 'conditionnel_present',
+    name: 'Conditionnel Présent',
+    displayName: 'Present Conditional',
+    shortName: 'Cond.',
+    description: 'What would happen, polite requests and wishes',
+    difficulty: 'advanced',
+  },
+  {
+    id: 'conditionnel_passe',
+    name: 'Conditionnel Passé',
+    displayName: 'Past Conditional',
+    shortName: 'Cond. P.',
+    description: 'What would have happened, regrets and unreal past',
+    difficulty: 'advanced',
+  },
+  {
+    id: 'subjonctif_present',
+    name: 'Subjonctif Présent',
+    displayName: 'Present Subjunctive',
+    shortName: 'Subj.',
+    description: 'Wishes, doubts, emotions and necessity after "que"',
+    difficulty: 'advanced',
+    promptNote: 'The subjonctif is normally introduced by "que" after a trigger (il faut que, je veux que, bien que...). Check that the trigger actually requires the subjonctif.',
+  },
+  {
+    id: 'plus_que_parfait',
+    name: 'Plus-que-parfait',
+    displayName: 'Pluperfect',
+    shortName: 'PQP',
+    description: 'Actions completed before another past action',
+    difficulty: 'advanced',
+  },
+  {
+    id: 'futur_anterieur',
+    name: 'Futur Antérieur',
+    displayName: 'Future Perfect',
+    shortName: 'F.A.',
+    description: 'Actions that will be completed before a future moment',
+    difficulty: 'advanced',
+  },
+  {
+    id: 'passe_simple',
+    name: 'Passé Simple',
+    displayName: 'Simple Past',
+    shortName: 'P.S.',
+    description: 'Literary past tense, mostly met in books and written narratives',
+    difficulty: 'advanced',
+    defaultEnabled: false, // Mainly for recognition, so opt-in (by hand or with the advanced tier)
+    promptNote: 'The passé simple is a literary tense: a narrative or formal written style is expected, do not penalise the sentence for sounding literary.',
+  },
+  {
+    id: 'imperatif',
+    name: 'Impératif',
+    displayName: 'Imperative',
+    shortName: 'Impér.',
+    description: 'Orders, advice and instructions (tu, nous, vous)',
+    difficulty: 'advanced',
+    promptNote: 'The impératif has no subject pronoun and only exists for tu, nous and vous. -er verbs drop the final "s" in the tu form (mange, va) unless followed by "y" or "en".',
+  },
 ];
 
-// Helper function to get a random tense
-export const getRandomTense = () => {
-  const randomIndex = Math.floor(Math.random() * TENSES.length);
-  return TENSES[randomIndex];
+// Helper function to get a random tense among the user's enabled tenses
+// (user_settings.enabled_tenses; the defaults when nothing is saved)
+export const getRandomTense = (enabledTenses = null) => {
+  const tenseIds = resolveEnabledTenseIds(enabledTenses);
+  const randomIndex = Math.floor(Math.random() * tenseIds.length);
+  return getTenseById(tenseIds[randomIndex]);
 };
 
 // Helper function to get tense by id
@@ -39,3 +118,45 @@ export const getTenseById = (id) => {
   return TENSES.find(tense => tense.id === id);
 };
 
+// Helper function to get a tense by id or display name ('present' or 'Présent')
+export const findTense = (idOrName) => {
+  return TENSES.find(tense => tense.id === idOrName || tense.name === idOrName);
+};
+
+// Users who haven't chosen yet practise the four tenses the app started
+// with; advanced tenses are switched on in Settings
+export const DEFAULT_TIER = 'intermediate';
+
+// Tense ids enabled for users who haven't chosen yet
+export const getDefaultTenseIds = () => {
+  return getTierTenseIds(DEFAULT_TIER).filter(id => getTenseById(id).defaultEnabled !== false);
+};
+
+// Resolve a user's saved selection (user_settings.enabled_tenses) to tense ids
+// Unknown ids are dropped; an empty or missing selection falls back to the defaults
+export const resolveEnabledTenseIds = (enabledTenses) => {
+  const valid = (enabledTenses || []).filter(id => getTenseById(id));
+  return valid.length > 0 ? valid : getDefaultTenseIds();
+};
+
+// Tense ids in a tier preset: beginner (présent, passé composé),
+// intermediate (+ imparfait, futur simple), advanced (all tenses, the
+// passé simple included)
+export const getTierTenseIds = (tier) => {
+  const level = TENSE_DIFFICULTIES.indexOf(tier);
+  if (level === -1) {
+    throw new Error(`Unknown tier: ${tier}`);
+  }
+  return TENSES
+    .filter(tense => TENSE_DIFFICULTIES.indexOf(tense.difficulty) <= level)
+    .map(tense => tense.id);
+};
+
+// Find the tier matching a selection of tense ids, or 'custom' if none does
+export const getTierForTenses = (tenseIds) => {
+  const selected = [...(tenseIds || [])].sort().join(',');
+  const tier = TENSE_DIFFICULTIES.find(
+    name => [...getTierTenseIds(name)].sort().join(',') === selected
+  );
+  return tier || 'custom';
+};
@@ -20,10 +20,13 @@ import {
   getDefaultVerbs,
   addDefaultVerb,
   deleteDefaultVerb,
+  getActivePromptTemplate,
+  setActivePromptTemplate,
 } from '../utils/adminService';
+import { getPromptTemplates } from '../utils/aiService';
 
 export default function AdminScreen() {
-  const [activeTab, setActiveTab] = useState('stats'); // 'stats', 'users', 'verbs'
+  const [activeTab, setActiveTab] = useState('stats'); // 'stats', 'users', 'verbs', 'prompts'
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   
@@ -31,6 +34,7 @@ export default function AdminScreen() {
   const [stats, setStats] = useState(null);
   const [users, setUsers] = useState([]);
   const [verbs, setVerbs] = useState([]);
+  const [activePromptId, setActivePromptId] = useState(null);
   
   // Modal states
   const [showAddVerbModal, setShowAddVerbModal] = useState(false);
@@ -54,6 +58,9 @@ export default function AdminScreen() {
       } else if (activeTab === 'verbs') {
         const result = await getDefaultVerbs();
         if (result.success) setVerbs(result.verbs);
+      } else if (activeTab === 'prompts') {
+        const result = await getActivePromptTemplate();
+        if (result.success) setActivePromptId(result.templateId);
       }
     } catch (error) {
       console.error('Error loading data:', error);
@@ -153,6 +160,37 @@ export default function AdminScreen() {
     }
   };
 
+  // Handle switching the prompt template for everyone
+  const handleSelectPrompt = async (template) => {
+    const message = `Switch every user to "${template.name}" (v${template.version})? ` +
+      'New answers will be graded with this prompt.';
+
+    const performSwitch = async () => {
+      const result = await setActivePromptTemplate(template.id);
+      if (result.success) {
+        Alert.alert('Success', `Now using "${template.name}"`);
+        loadData();
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    };
+
+    if (Platform.OS === 'web') {
+      if (window.confirm(message)) {
+        performSwitch();
+      }
+    } else {
+      Alert.alert(
+        'Switch Prompt',
+        message,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Switch', onPress: performSwitch }
+        ]
+      );
+    }
+  };
+
   // Render Stats Tab
   const renderStats = () => (
     <View style={styles.statsContainer}>
@@ -266,6 +304,49 @@ export default function AdminScreen() {
     </View>
   );
 
+  // Render Prompts Tab
+  const renderPrompts = () => {
+    const templates = getPromptTemplates();
+    // Never set yet: the app uses the default template, listed first
+    const currentId = activePromptId || templates[0]?.id;
+
+    return (
+      <View style={styles.verbsContainer}>
+        <Text style={styles.sectionTitle}>🧠 Prompt Templates</Text>
+        <Text style={styles.promptHint}>
+          The prompt every user's app sends to the AI. Compare two templates with
+          "npm run eval:prompts" before switching.
+        </Text>
+
+        {templates.map((template) => (
+          <View key={template.id} style={styles.verbCard}>
+            <View style={styles.verbInfo}>
+              <Text style={styles.verbText}>{template.name}</Text>
+              <Text style={styles.verbTranslation}>{template.description}</Text>
+              <View style={styles.userBadges}>
+                <Text style={styles.userDate}>{template.id} · v{template.version}</Text>
+                {template.id === currentId && (
+                  <View style={[styles.badgeAdmin, styles.badgeActive]}>
+                    <Text style={styles.badgeText}>ACTIVE</Text>
+                  </View>
+                )}
+              </View>
+            </View>
+
+            {template.id !== currentId && (
+              <TouchableOpacity
+                style={[styles.actionButton, styles.unbanButton]}
+                onPress={() => handleSelectPrompt(template)}
+              >
+                <Text style={styles.actionButtonText}>Use</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container}>
       {/* Tab Navigation */}
@@ -294,6 +375,14 @@ export default function AdminScreen() {
             📚 Verbs
           </Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'prompts' && styles.activeTab]}
+          onPress={() => setActiveTab('prompts')}
+        >
+          <Text style={[styles.tabText, activeTab === 'prompts' && styles.activeTabText]}>
+            🧠 Prompts
+          </Text>
+        </TouchableOpacity>
       </View>
 
       {/* Content */}
@@ -313,6 +402,7 @@ export default function AdminScreen() {
             {activeTab === 'stats' && renderStats()}
             {activeTab === 'users' && renderUsers()}
             {activeTab === 'verbs' && renderVerbs()}
+            {activeTab === 'prompts' && renderPrompts()}
           </>
         )}
       </ScrollView>
@@ -594,6 +684,18 @@ const styles = StyleSheet.create({
   deleteButtonText: {
     fontSize: 20,
   },
+
+  // Prompts styles
+  promptHint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 15,
+  },
+  badgeActive: {
+    backgroundColor: '#4CAF50',
+    marginLeft: 8,
+    marginTop: 4,
+  },
   
   // Modal styles
   modalOverlay: {
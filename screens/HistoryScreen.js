@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -9,10 +9,26 @@ import {
   RefreshControl,
   Modal,
 } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
-import { getPracticeHistory } from '../utils/cloudStorage';
+import { useDataStore, refreshDataStore } from '../utils/dataStore';
 import { groupByDate, formatSessionDate, getGroupLabel } from '../utils/dateHelpers';
-import { getTenseById } from '../data/tenses';
+import { TENSES, getTenseById } from '../data/tenses';
+import { getSessionScores } from '../utils/scoring';
+import ScoreBars from '../components/ScoreBars';
+import HighlightedSentence from '../components/HighlightedSentence';
+
+// is_correct is null when the AI's answer couldn't be read (not graded)
+const getStatusIcon = (session) => {
+  if (session.is_correct === null) return '⚠️';
+  return session.is_correct ? '✅' : '❌';
+};
+
+const getStatusTitle = (session) => {
+  if (session.is_correct === null) return '⚠️ Not Graded';
+  return session.is_correct ? '✅ Correct!' : '❌ Needs Work';
+};
+
+// How many sessions the history lists
+const HISTORY_LIMIT = 50;
 
 // =====================================================
 // COMPONENT: HistoryItem
@@ -32,7 +48,7 @@ function HistoryItem({ session, onPress }) {
       {/* Status Icon & Verb */}
       <View style={styles.itemHeader}>
         <Text style={styles.statusIcon}>
-          {session.is_correct ? '✅' : '❌'}
+          {getStatusIcon(session)}
         </Text>
         <Text style={styles.verbText}>{session.verb_text}</Text>
         <Text style={styles.tenseText}>({tenseName})</Text>
@@ -81,6 +97,45 @@ function HistoryGroup({ groupKey, sessions, onItemPress }) {
   );
 }
 
+// =====================================================
+// COMPONENT: TenseFilter
+// Chips to show only the sessions of one tense
+// =====================================================
+function TenseFilter({ sessions, selected, onSelect }) {
+  // Only offer tenses that appear in the history, in TENSES order
+  const usedIds = new Set(sessions.map(session => session.tense));
+  const options = TENSES.filter(tense => usedIds.has(tense.id));
+
+  // Tenses no longer in TENSES still get a chip, under their raw id
+  usedIds.forEach(id => {
+    if (!getTenseById(id)) {
+      options.push({ id, name: id });
+    }
+  });
+
+  if (options.length < 2) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.filterRow}
+    >
+      {[{ id: null, name: 'All' }, ...options].map(option => (
+        <TouchableOpacity
+          key={option.id || 'all'}
+          style={[styles.filterChip, selected === option.id && styles.filterChipActive]}
+          onPress={() => onSelect(option.id)}
+        >
+          <Text style={[styles.filterChipText, selected === option.id && styles.filterChipTextActive]}>
+            {option.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
 // =====================================================
 // COMPONENT: FeedbackModal
 // Shows detailed AI feedback when user taps a session
@@ -91,6 +146,7 @@ function FeedbackModal({ visible, session, onClose }) {
   const feedback = session.ai_feedback || {};
   const tense = getTenseById(session.tense);
   const tenseName = tense ? tense.name : session.tense;
+  const scores = getSessionScores(session);
 
   return (
     <Modal
@@ -104,7 +160,7 @@ function FeedbackModal({ visible, session, onClose }) {
           {/* Header */}
           <View style={styles.modalHeader}>
             <Text style={styles.modalTitle}>
-              {session.is_correct ? '✅ Correct!' : '❌ Needs Work'}
+              {getStatusTitle(session)}
             </Text>
             <TouchableOpacity onPress={onClose} style={styles.closeButton}>
               <Text style={styles.closeButtonText}>✕</Text>
@@ -121,14 +177,29 @@ function FeedbackModal({ visible, session, onClose }) {
               <Text style={styles.sectionText}>
                 Tense: <Text style={styles.highlight}>{tenseName}</Text>
               </Text>
+              {tense && (
+                <Text style={styles.tenseDescription}>{tense.description}</Text>
+              )}
             </View>
 
             {/* User's Sentence */}
             <View style={styles.feedbackSection}>
               <Text style={styles.sectionTitle}>✏️ Your Sentence</Text>
-              <Text style={styles.userSentence}>"{session.user_sentence}"</Text>
+              <HighlightedSentence
+                sentence={session.user_sentence}
+                feedback={feedback}
+                style={styles.userSentence}
+              />
             </View>
 
+            {/* Scores (saved in their own columns, older sessions have none) */}
+            {scores && (
+              <View style={styles.feedbackSection}>
+                <Text style={styles.sectionTitle}>📊 Scores</Text>
+                <ScoreBars scores={scores} />
+              </View>
+            )}
+
             {/* AI Feedback */}
             {feedback.verbAnalysis && (
               <View style={styles.feedbackSection}>
@@ -207,35 +278,19 @@ function FeedbackModal({ visible, session, onClose }) {
 // The page that shows practice history
 // =====================================================
 export default function HistoryScreen() {
-  const [sessions, setSessions] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedSession, setSelectedSession] = useState(null);
   const [modalVisible, setModalVisible] = useState(false);
+  const [tenseFilter, setTenseFilter] = useState(null); // null = all tenses
 
-  // Load history when screen is focused
-  useFocusEffect(
-    useCallback(() => {
-      loadHistory();
-    }, [])
-  );
-
-  const loadHistory = async () => {
-    try {
-      const result = await getPracticeHistory(50);  // Get last 50 sessions
-      if (result.success) {
-        setSessions(result.sessions);
-      }
-      setLoading(false);
-    } catch (error) {
-      console.error('Error loading history:', error);
-      setLoading(false);
-    }
-  };
+  // Sessions come from the shared data store, so practice from other devices appears at once
+  const { status, sessions: allSessions } = useDataStore();
+  const sessions = allSessions.slice(0, HISTORY_LIMIT);
+  const loading = status === 'idle' || status === 'loading';
 
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadHistory();
+    await refreshDataStore();
     setRefreshing(false);
   };
 
@@ -249,8 +304,11 @@ export default function HistoryScreen() {
     setSelectedSession(null);
   };
 
-  // Group sessions by date
-  const groupedSessions = groupByDate(sessions);
+  // Filter by tense, then group sessions by date
+  const visibleSessions = tenseFilter
+    ? sessions.filter(session => session.tense === tenseFilter)
+    : sessions;
+  const groupedSessions = groupByDate(visibleSessions);
 
   // Loading state
   if (loading) {
@@ -287,10 +345,17 @@ export default function HistoryScreen() {
         {/* Summary */}
         <View style={styles.summary}>
           <Text style={styles.summaryText}>
-            📊 {sessions.length} practice sessions
+            📊 {visibleSessions.length} practice sessions
           </Text>
         </View>
 
+        {/* Tense Filter */}
+        <TenseFilter
+          sessions={sessions}
+          selected={tenseFilter}
+          onSelect={setTenseFilter}
+        />
+
         {/* Grouped History */}
         <HistoryGroup 
           groupKey="Today"
@@ -376,6 +441,32 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
 
+  // Tense Filter
+  filterRow: {
+    marginBottom: 15,
+  },
+  filterChip: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  filterChipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  filterChipTextActive: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+
   // History Group
   historyGroup: {
     marginBottom: 20,
@@ -490,6 +581,11 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     lineHeight: 22,
   },
+  tenseDescription: {
+    fontSize: 13,
+    color: '#888',
+    fontStyle: 'italic',
+  },
   highlight: {
     fontWeight: 'bold',
     color: '#2196F3',
@@ -1,42 +1,70 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { View, Text, StyleSheet, ActivityIndicator, RefreshControl, ScrollView } from 'react-native';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator, RefreshControl, ScrollView, TouchableOpacity } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
-import { getPracticeStats } from '../utils/cloudStorage';
+import { getDueReviewCount, getPracticeStats } from '../utils/cloudStorage';
+import { getTodaySessionCount } from '../utils/statisticsService';
+import { useDataStore, refreshDataStore } from '../utils/dataStore';
+import { getCalendarSettings } from '../utils/calendar';
+import { getDailyGoal, getGoalProgress } from '../utils/dailyGoal';
+import { getSyncStatus, subscribeToSyncStatus, flushOutbox } from '../utils/syncService';
+import { isGuestMode } from '../utils/guestMode';
+import { formatSessionDate } from '../utils/dateHelpers';
+import ProgressRing from '../components/ProgressRing';
+
+// Shown if the counts can't be loaded
+const EMPTY_STATS = { totalSessions: 0, correctSessions: 0, accuracy: 0, totalVerbs: 0, customVerbs: 0 };
 
 export default function HomeScreen() {
-  const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const [stats, setStats] = useState({
-    totalSessions: 0,
-    correctSessions: 0,
-    accuracy: 0,
-    totalVerbs: 0,
-    customVerbs: 0,
-  });
+  const [stats, setStats] = useState(null);
+  const [dueReviews, setDueReviews] = useState(0);
+  const [todaySessions, setTodaySessions] = useState(0);
+  const [syncStatus, setSyncStatus] = useState({ pending: 0, failed: 0, lastSyncAt: null, lastError: null });
+
+  // Sessions and verbs from the shared data store, including practice from
+  // other devices; the counts themselves come from the database
+  const { status, verbs, sessions, settings } = useDataStore();
+  const loading = status === 'idle' || status === 'loading' || !stats;
+  const calendar = useMemo(() => getCalendarSettings(settings), [settings]);
+  const goal = getGoalProgress(todaySessions, getDailyGoal(settings));
 
-  // Load stats when screen is focused (every time user navigates here)
+  // Follow the outbox while the app is open
+  useEffect(() => subscribeToSyncStatus(setSyncStatus), []);
+
+  // Count again on focus and whenever sessions or verbs change (reviews
+  // also fall due as time passes, and a new day resets today's goal)
   useFocusEffect(
     useCallback(() => {
-      loadStats();
-    }, [])
+      loadProgress();
+    }, [sessions, verbs, calendar])
   );
 
-  const loadStats = async () => {
+  const loadProgress = async () => {
     try {
-      const result = await getPracticeStats();
-      if (result.success) {
-        setStats(result.stats);
+      const [statsResult, dueResult, todayResult, sync] = await Promise.all([
+        getPracticeStats(),
+        getDueReviewCount(),
+        getTodaySessionCount(calendar),
+        getSyncStatus(),
+      ]);
+      setSyncStatus(sync);
+      setStats(current => (statsResult.success ? statsResult.stats : current || EMPTY_STATS));
+      if (dueResult.success) {
+        setDueReviews(dueResult.count);
+      }
+      if (todayResult.success) {
+        setTodaySessions(todayResult.count);
       }
-      setLoading(false);
     } catch (error) {
-      console.error('Error loading stats:', error);
-      setLoading(false);
+      console.error('Error loading progress:', error);
+      setStats(current => current || EMPTY_STATS);
     }
   };
 
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadStats();
+    await flushOutbox();
+    await Promise.all([refreshDataStore(), loadProgress()]);
     setRefreshing(false);
   };
 
@@ -58,6 +86,19 @@ export default function HomeScreen() {
     >
       <Text style={styles.title}>🇫🇷 French Verb Practice</Text>
       <Text style={styles.subtitle}>Your progress at a glance</Text>
+
+      {/* Today's Goal (user_settings.daily_goal, set in Settings) */}
+      <View style={styles.goalBox}>
+        <ProgressRing progress={goal.ratio} color={goal.met ? '#4CAF50' : '#2196F3'}>
+          <Text style={styles.goalNumber}>{goal.sessions}/{goal.goal}</Text>
+          <Text style={styles.goalLabel}>today</Text>
+        </ProgressRing>
+        <Text style={styles.goalText}>
+          {goal.met
+            ? '🎉 Daily goal reached!'
+            : `${goal.remaining} more ${goal.remaining === 1 ? 'session' : 'sessions'} to reach your daily goal`}
+        </Text>
+      </View>
       
       {/* Stats Grid */}
       <View style={styles.statsGrid}>
@@ -84,6 +125,19 @@ export default function HomeScreen() {
         </View>
       </View>
 
+      {/* Reviews Due Today */}
+      <View style={styles.reviewBox}>
+        <Text style={styles.reviewNumber}>{dueReviews}</Text>
+        <Text style={styles.reviewText}>
+          {dueReviews === 1 ? 'review due today' : 'reviews due today'}
+        </Text>
+        <Text style={styles.reviewHint}>
+          {dueReviews === 0
+            ? 'All caught up! New verb/tense pairs are waiting in Practice.'
+            : 'Practice picks the most overdue verb/tense pairs first.'}
+        </Text>
+      </View>
+
       {/* Encouragement Message */}
       <View style={styles.messageBox}>
         {stats.totalSessions === 0 ? (
@@ -117,11 +171,40 @@ export default function HomeScreen() {
         )}
       </View>
 
-      {/* Cloud Sync Status */}
-      <View style={styles.syncStatus}>
-        <Text style={styles.syncIcon}>☁️</Text>
-        <Text style={styles.syncText}>Data synced to cloud</Text>
-      </View>
+      {/* Cloud Sync Status (guests only save on this device) */}
+      {isGuestMode() ? (
+        <View style={styles.syncStatus}>
+          <Text style={styles.syncIcon}>📱</Text>
+          <View>
+            <Text style={styles.syncText}>Practice saved on this device</Text>
+            <Text style={styles.syncDetail}>Create an account in Settings to keep it in the cloud</Text>
+          </View>
+        </View>
+      ) : (
+        <TouchableOpacity
+          style={[styles.syncStatus, syncStatus.pending > 0 && styles.syncPending]}
+          onPress={onRefresh}
+          disabled={syncStatus.pending === 0}
+        >
+          <Text style={styles.syncIcon}>{syncStatus.pending > 0 ? '⏳' : '☁️'}</Text>
+          <View>
+            <Text style={[styles.syncText, syncStatus.pending > 0 && styles.syncPendingText]}>
+              {syncStatus.pending > 0
+                ? `${syncStatus.pending} ${syncStatus.pending === 1 ? 'change' : 'changes'} waiting to sync · tap to retry`
+                : 'All practice synced to cloud'}
+            </Text>
+            <Text style={styles.syncDetail}>
+              {syncStatus.lastSyncAt ? `Last sync: ${formatSessionDate(syncStatus.lastSyncAt)}` : 'Not synced from this device yet'}
+              {syncStatus.pending > 0 && syncStatus.lastError ? ` · ${syncStatus.lastError}` : ''}
+            </Text>
+            {syncStatus.failed > 0 && (
+              <Text style={[styles.syncDetail, styles.syncFailedText]}>
+                {`${syncStatus.failed} ${syncStatus.failed === 1 ? 'change' : 'changes'} couldn't be synced and ${syncStatus.failed === 1 ? 'was' : 'were'} set aside: ${syncStatus.failedError}`}
+              </Text>
+            )}
+          </View>
+        </TouchableOpacity>
+      )}
     </ScrollView>
   );
 }
@@ -191,6 +274,63 @@ const styles = StyleSheet.create({
     color: '#666',
     textAlign: 'center',
   },
+  reviewBox: {
+    backgroundColor: '#fff3e0',
+    padding: 20,
+    borderRadius: 12,
+    width: '100%',
+    marginBottom: 20,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  reviewNumber: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#FF9800',
+  },
+  reviewText: {
+    fontSize: 16,
+    color: '#333',
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  reviewHint: {
+    fontSize: 13,
+    color: '#666',
+    textAlign: 'center',
+  },
+  goalBox: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    width: '100%',
+    alignItems: 'center',
+    marginBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  goalNumber: {
+    fontSize: 26,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  goalLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  goalText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    textAlign: 'center',
+  },
   messageBox: {
     backgroundColor: '#fff',
     padding: 20,
@@ -232,5 +372,19 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#1976D2',
   },
+  syncPending: {
+    backgroundColor: '#FFF3E0',
+  },
+  syncPendingText: {
+    color: '#E65100',
+  },
+  syncDetail: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+  syncFailedText: {
+    color: '#c62828',
+  },
 });
 
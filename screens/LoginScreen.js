@@ -12,6 +12,7 @@ import {
   ScrollView,
 } from 'react-native';
 import { login } from '../utils/authService';
+import { startGuestMode } from '../utils/guestMode';
 
 export default function LoginScreen({ navigation }) {
   const [email, setEmail] = useState('');
@@ -56,6 +57,15 @@ export default function LoginScreen({ navigation }) {
     }
   };
 
+  // Use the app without an account; App.js switches to the main tabs
+  const handleTryAsGuest = async () => {
+    try {
+      await startGuestMode();
+    } catch (error) {
+      Alert.alert('Error', 'Could not start without an account. Please try again.');
+    }
+  };
+
   return (
     <KeyboardAvoidingView 
       style={styles.container}
@@ -139,6 +149,18 @@ export default function LoginScreen({ navigation }) {
             <Text style={styles.linkText}>Sign Up</Text>
           </TouchableOpacity>
         </View>
+
+        {/* Guest Mode */}
+        <TouchableOpacity
+          style={styles.guestButton}
+          onPress={handleTryAsGuest}
+          disabled={loading}
+        >
+          <Text style={styles.guestButtonText}>Try without an account</Text>
+        </TouchableOpacity>
+        <Text style={styles.guestNote}>
+          Your practice stays on this device and moves to your account when you sign up.
+        </Text>
       </ScrollView>
     </KeyboardAvoidingView>
   );
@@ -244,5 +266,24 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  guestButton: {
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    borderRadius: 10,
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  guestButtonText: {
+    color: '#2196F3',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  guestNote: {
+    color: '#999',
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 8,
+  },
 });
 
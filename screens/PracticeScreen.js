@@ -11,51 +11,76 @@ import {
   ScrollView,
   Alert
 } from 'react-native';
-import { getRandomTense } from '../data/tenses';
+import { getTenseById } from '../data/tenses';
+import ScoreBars from '../components/ScoreBars';
+import HighlightedSentence from '../components/HighlightedSentence';
+import { getSentenceHighlights } from '../utils/issueSpans';
+import { getMistakeType, getMistakeTypes } from '../utils/mistakeTaxonomy';
+import { PRACTICE_ROUND_LENGTH } from '../utils/mastery';
 import * as aiService from '../utils/aiService';
 import { rateLimiter } from '../utils/rateLimiter';
 import { checkBudget, getBudgetLimits } from '../utils/costTracking';
-import { 
-  getRandomVerb, 
-  incrementVerbPracticeCount, 
-  savePracticeSession 
-} from '../utils/cloudStorage';
+import { checkSentence, isBlockingCheck, buildLocalFeedback } from '../utils/localGrader';
+import { getNextPracticeItem } from '../utils/cloudStorage';
+import { recordPracticeAttempt } from '../utils/syncService';
+
+export default function PracticeScreen({ route, navigation }) {
+  // Set by "Practice this" in Statistics' top mistakes
+  const focusMistake = route?.params?.focusMistake || null;
+  // Set by a weak pair in Statistics' mastery matrix: { verbId, tenseId }
+  const focusPair = route?.params?.focusPair || null;
 
-export default function PracticeScreen() {
   // State management
   const [currentVerb, setCurrentVerb] = useState(null);
   const [currentTense, setCurrentTense] = useState(null);
+  const [isNewPair, setIsNewPair] = useState(false); // First time this verb/tense pair is practised
   const [userSentence, setUserSentence] = useState('');
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [aiFeedback, setAiFeedback] = useState(null); // Store AI response
+  const [feedbackSentence, setFeedbackSentence] = useState(''); // The sentence aiFeedback was given for
+  const [savedOffline, setSavedOffline] = useState(false); // Attempt waiting in the outbox
+  const [roundAnswered, setRoundAnswered] = useState(0); // Answers in the focusPair round
 
-  // Load a new practice question when screen mounts
+  // Load a new practice question when screen mounts or the focus changes
   useEffect(() => {
+    setRoundAnswered(0);
     loadNewQuestion();
-  }, []);
+  }, [focusMistake, focusPair?.verbId, focusPair?.tenseId]);
 
   /**
-   * Load a random verb and tense for practice
+   * Load the next verb and tense for practice
+   * The scheduler picks the most overdue review, or a pair not practised yet
+   * (among the verbs and tenses of the focused mistake, if any). A round on
+   * one pair always asks that pair.
    */
   const loadNewQuestion = async () => {
     try {
       setLoading(true);
       
-      // Get random verb from cloud and random tense
-      const verbResult = await getRandomVerb();
-      const tense = getRandomTense();
+      const nextResult = focusPair
+        ? await getNextPracticeItem([focusPair.tenseId], null, focusPair.verbId)
+        : await getNextPracticeItem(null, focusMistake);
       
-      if (!verbResult.success || !verbResult.verb) {
+      // The round's verb was deleted since the round started
+      if (focusPair && nextResult.success && !nextResult.verb) {
+        Alert.alert('Verb Removed', 'This verb is no longer in your list, so the round has ended.');
+        finishRound();
+        return;
+      }
+
+      if (!nextResult.success || !nextResult.verb) {
         Alert.alert('No Verbs', 'Please wait while your verbs are being loaded...');
         setLoading(false);
         return;
       }
       
-      setCurrentVerb(verbResult.verb);
-      setCurrentTense(tense);
+      setCurrentVerb(nextResult.verb);
+      setCurrentTense(getTenseById(nextResult.tenseId));
+      setIsNewPair(nextResult.isNew);
       setUserSentence(''); // Clear previous input
       setAiFeedback(null); // Clear previous feedback
+      setSavedOffline(false);
       setLoading(false);
     } catch (error) {
       console.error('Error loading question:', error);
@@ -64,9 +89,45 @@ export default function PracticeScreen() {
     }
   };
 
+  /**
+   * Save the attempt and show its feedback
+   * The practice count and session go through the outbox, so an attempt made
+   * offline is kept on the device and synced later
+   * `sentence` is the text that was graded, which the feedback's issue
+   * offsets refer to
+   */
+  const recordAttempt = async (feedback, sentence = userSentence.trim()) => {
+    const saved = await recordPracticeAttempt({
+      verbId: currentVerb.id,
+      verbText: currentVerb.verb,  // The actual verb text (e.g., "manger")
+      tense: currentTense.id,
+      userSentence: sentence,
+      // Unreadable AI answers have no verdict (null) and stay out of accuracy stats
+      isCorrect: feedback.parseError ? null : feedback.isCorrect === true,
+      scores: feedback.scores,
+      mistakeTypes: getMistakeTypes(feedback),
+      aiFeedback: feedback,
+    });
+    
+    // Store and display feedback
+    setSavedOffline(saved.success && !saved.synced);
+    setAiFeedback(feedback);
+    setFeedbackSentence(sentence);
+    if (focusPair) {
+      setRoundAnswered(count => count + 1);
+    }
+  };
+
+  /**
+   * End the round on one pair and go back to the usual questions
+   */
+  const finishRound = () => {
+    navigation.setParams({ focusPair: null });
+  };
+
   /**
    * Handle sentence submission
-   * Sends sentence to AI for evaluation
+   * Runs the local verb check first, then sends sentence to AI for evaluation
    */
   const handleSubmit = async () => {
     // Basic validation
@@ -75,6 +136,16 @@ export default function PracticeScreen() {
       return;
     }
 
+    // Local check: missing verb or wrong tense is answered instantly,
+    // without spending rate limit or AI budget
+    const localCheck = checkSentence(currentVerb.verb, currentTense.id, userSentence);
+    if (isBlockingCheck(localCheck)) {
+      setSubmitting(true);
+      await recordAttempt(buildLocalFeedback(currentVerb.verb, currentTense.id, localCheck));
+      setSubmitting(false);
+      return;
+    }
+
     // Check rate limit
     const rateCheck = rateLimiter.checkRateLimit();
     if (!rateCheck.allowed) {
@@ -100,29 +171,18 @@ export default function PracticeScreen() {
       // Record the request
       rateLimiter.recordRequest();
       
-      // Call AI to evaluate the sentence
+      // Call AI to evaluate the sentence, cleaned up the way the providers
+      // send it (collapsed whitespace), so the issue offsets line up
+      const sentence = aiService.prepareSentence(userSentence);
       const feedback = await aiService.evaluateSentence(
         currentVerb.verb,
         currentTense.name,
-        userSentence
+        sentence
       );
       
-      // AI call successful! Now save to cloud
-      // Increment practice count for this verb
-      await incrementVerbPracticeCount(currentVerb.id);
-      
-      // Save practice session to cloud
-      await savePracticeSession({
-        verbId: currentVerb.id,
-        verbText: currentVerb.verb,  // The actual verb text (e.g., "manger")
-        tense: currentTense.id,
-        userSentence: userSentence.trim(),
-        isCorrect: feedback.isCorrect || false,
-        aiFeedback: feedback,
-      });
-      
-      // Store and display feedback
-      setAiFeedback(feedback);
+      // AI call successful! Save it with the local verdict alongside,
+      // so we can measure how often the two disagree
+      await recordAttempt({ ...feedback, localCheck }, sentence);
       setSubmitting(false);
       
     } catch (error) {
@@ -130,36 +190,52 @@ export default function PracticeScreen() {
       setSubmitting(false);
       
       // Show user-friendly error message
-      if (error.message.includes('Invalid input')) {
-        Alert.alert(
-          'Invalid Input',
-          error.message,
-          [{ text: 'OK' }]
-        );
-      } else if (error.message.includes('No API key')) {
-        Alert.alert(
-          'API Key Required',
-          'Please add your Grok API key in the Settings screen to use AI feedback.',
-          [{ text: 'OK' }]
-        );
-      } else if (error.message.includes('API Error: 401')) {
-        Alert.alert(
-          'Invalid API Key',
-          'Your API key appears to be invalid. Please check it in Settings.',
-          [{ text: 'OK' }]
-        );
-      } else if (error.message.includes('API Error: 429')) {
-        Alert.alert(
-          'Rate Limit Exceeded',
-          'The AI service is receiving too many requests. Please try again in a few moments.',
-          [{ text: 'OK' }]
-        );
-      } else {
-        Alert.alert(
-          'Connection Error',
-          'Unable to get AI feedback. Please check your internet connection and try again.',
-          [{ text: 'OK' }]
-        );
+      const { AI_ERROR_TYPES } = aiService;
+      switch (error.type) {
+        case AI_ERROR_TYPES.INVALID_INPUT:
+          Alert.alert('Invalid Input', error.message, [{ text: 'OK' }]);
+          break;
+        case AI_ERROR_TYPES.NOT_CONFIGURED:
+          Alert.alert(
+            'API Key Required',
+            'Please add an API key for your AI provider in the Settings screen to use AI feedback.',
+            [{ text: 'OK' }]
+          );
+          break;
+        case AI_ERROR_TYPES.AUTH:
+          Alert.alert(
+            'Invalid API Key',
+            'Your API key appears to be invalid. Please check it in Settings.',
+            [{ text: 'OK' }]
+          );
+          break;
+        case AI_ERROR_TYPES.QUOTA:
+          Alert.alert(
+            'Rate Limit Exceeded',
+            'The AI service is receiving too many requests or your credits have run out. Please try again in a few moments.',
+            [{ text: 'OK' }]
+          );
+          break;
+        case AI_ERROR_TYPES.TIMEOUT:
+          Alert.alert(
+            'Request Timed Out',
+            'The AI took too long to answer. Please try again.',
+            [{ text: 'OK' }]
+          );
+          break;
+        case AI_ERROR_TYPES.INVALID_RESPONSE:
+          Alert.alert(
+            'Unexpected Response',
+            'The AI sent back an answer we couldn\'t read. Please try again.',
+            [{ text: 'OK' }]
+          );
+          break;
+        default:
+          Alert.alert(
+            'Connection Error',
+            'Unable to get AI feedback. Please check your internet connection and try again.',
+            [{ text: 'OK' }]
+          );
       }
     }
   };
@@ -210,6 +286,8 @@ export default function PracticeScreen() {
     );
   }
 
+  const roundFinished = focusPair !== null && roundAnswered >= PRACTICE_ROUND_LENGTH;
+
   // Main practice UI
   return (
     <KeyboardAvoidingView 
@@ -223,8 +301,35 @@ export default function PracticeScreen() {
         {/* Instructions */}
         <View style={styles.instructionBox}>
           <Text style={styles.instructionTitle}>📝 Write a sentence using:</Text>
+          <Text style={styles.reviewBadge}>
+            {isNewPair ? '🆕 New combination' : '🔁 Review'}
+          </Text>
         </View>
 
+        {/* Round on one verb and tense */}
+        {focusPair && (
+          <View style={styles.focusBanner}>
+            <Text style={styles.focusText}>
+              🎯 Round: {currentVerb.verb} · {currentTense.name} ({Math.min(roundAnswered, PRACTICE_ROUND_LENGTH)}/{PRACTICE_ROUND_LENGTH})
+            </Text>
+            <TouchableOpacity onPress={finishRound}>
+              <Text style={styles.focusClear}>Stop</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Focused practice */}
+        {!focusPair && focusMistake && (
+          <View style={styles.focusBanner}>
+            <Text style={styles.focusText}>
+              🎯 Focus: {getMistakeType(focusMistake)?.name || focusMistake}
+            </Text>
+            <TouchableOpacity onPress={() => navigation.setParams({ focusMistake: null })}>
+              <Text style={styles.focusClear}>Stop</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Verb Card */}
         <View style={styles.verbCard}>
           <Text style={styles.verbLabel}>Verb</Text>
@@ -264,14 +369,48 @@ export default function PracticeScreen() {
           <View style={styles.feedbackContainer}>
             <View style={[
               styles.feedbackHeader,
-              aiFeedback.isCorrect ? styles.feedbackCorrect : styles.feedbackIncorrect
+              aiFeedback.parseError
+                ? styles.feedbackUngraded
+                : aiFeedback.isCorrect ? styles.feedbackCorrect : styles.feedbackIncorrect
             ]}>
               <Text style={styles.feedbackHeaderText}>
-                {aiFeedback.isCorrect ? '✅ Correct!' : '📝 Let\'s Review'}
+                {aiFeedback.parseError
+                  ? '⚠️ Couldn\'t Grade'
+                  : aiFeedback.isCorrect ? '✅ Correct!' : '📝 Let\'s Review'}
               </Text>
+              {aiFeedback.source === 'local' && (
+                <Text style={styles.feedbackSourceText}>⚡ Instant check (no AI credits used)</Text>
+              )}
+              {aiFeedback.cached && (
+                <Text style={styles.feedbackSourceText}>💾 Same sentence as before (no AI credits used)</Text>
+              )}
+              {savedOffline && (
+                <Text style={styles.feedbackSourceText}>📴 Saved on this device, will sync when you're back online</Text>
+              )}
+              {aiFeedback.fallbackFrom && (
+                <Text style={styles.feedbackSourceText}>
+                  ↪️ Answered by {aiService.getProviderName(aiFeedback.provider)} (
+                  {aiFeedback.fallbackFrom.map(aiService.getProviderName).join(', ')} unavailable)
+                </Text>
+              )}
             </View>
             
             <View style={styles.feedbackContent}>
+              {/* Scores */}
+              <ScoreBars scores={aiFeedback.scores} />
+
+              {/* Mistakes underlined in the sentence */}
+              {getSentenceHighlights(feedbackSentence, aiFeedback).spans.length > 0 && (
+                <View style={styles.feedbackSection}>
+                  <Text style={styles.feedbackSectionTitle}>Your Sentence:</Text>
+                  <HighlightedSentence
+                    sentence={feedbackSentence}
+                    feedback={aiFeedback}
+                    style={styles.feedbackText}
+                  />
+                </View>
+              )}
+
               {/* Verb Analysis */}
               {aiFeedback.verbAnalysis && (
                 <View style={styles.feedbackSection}>
@@ -333,6 +472,9 @@ export default function PracticeScreen() {
               {/* Fallback: Show full feedback if parsing failed */}
               {aiFeedback.parseError && (
                 <View style={styles.feedbackSection}>
+                  <Text style={styles.feedbackSectionTitle}>
+                    The AI's answer couldn't be read, so this attempt won't count in your accuracy:
+                  </Text>
                   <Text style={styles.feedbackText}>{aiFeedback.fullFeedback}</Text>
                 </View>
               )}
@@ -340,9 +482,11 @@ export default function PracticeScreen() {
             
             <TouchableOpacity 
               style={styles.nextButton}
-              onPress={loadNewQuestion}
+              onPress={roundFinished ? finishRound : loadNewQuestion}
             >
-              <Text style={styles.nextButtonText}>Next Question →</Text>
+              <Text style={styles.nextButtonText}>
+                {roundFinished ? 'Finish Round ✓' : 'Next Question →'}
+              </Text>
             </TouchableOpacity>
           </View>
         )}
@@ -417,6 +561,37 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     textAlign: 'center',
   },
+  reviewBadge: {
+    fontSize: 13,
+    color: '#fff',
+    textAlign: 'center',
+    marginTop: 6,
+    opacity: 0.9,
+  },
+  focusBanner: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    backgroundColor: '#FFF3E0',
+    borderWidth: 1,
+    borderColor: '#FFB74D',
+    padding: 12,
+    borderRadius: 10,
+    marginTop: -10,
+    marginBottom: 20,
+  },
+  focusText: {
+    fontSize: 14,
+    color: '#E65100',
+    fontWeight: '600',
+    flex: 1,
+  },
+  focusClear: {
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: '600',
+    marginLeft: 10,
+  },
   verbCard: {
     backgroundColor: '#fff',
     padding: 20,
@@ -557,11 +732,19 @@ const styles = StyleSheet.create({
   feedbackIncorrect: {
     backgroundColor: '#FF9800',
   },
+  feedbackUngraded: {
+    backgroundColor: '#9E9E9E',
+  },
   feedbackHeaderText: {
     fontSize: 18,
     fontWeight: 'bold',
     color: '#fff',
   },
+  feedbackSourceText: {
+    fontSize: 12,
+    color: '#fff',
+    marginTop: 4,
+  },
   feedbackContent: {
     padding: 20,
   },
@@ -10,28 +10,60 @@ import {
   ActivityIndicator,
   Platform,
   Linking,
-  Modal
+  Modal,
+  Switch
 } from 'react-native';
 import { 
   getApiKey, 
   saveApiKey, 
   getCurrentProvider,
-  setCurrentProvider 
+  setCurrentProvider,
+  getProviderConfig,
+  saveProviderConfig
 } from '../utils/storage';
-import { getAvailableProviders } from '../utils/aiService';
+import { getAvailableProviders, isProviderHealthy } from '../utils/aiService';
 import { getUsageStats } from '../utils/costTracking';
+import { getCacheStats } from '../utils/feedbackCache';
 import { logout, getCurrentUser } from '../utils/authService';
+import { isGuestMode, endGuestMode } from '../utils/guestMode';
+import { getUserSettings, saveUserSettings } from '../utils/cloudStorage';
+import { refreshDataStore } from '../utils/dataStore';
+import { FIRST_DAYS_OF_WEEK, getCalendarSettings, getDeviceTimeZone, getDayKey } from '../utils/calendar';
+import {
+  DAILY_GOAL_PRESETS,
+  MIN_DAILY_GOAL,
+  MAX_DAILY_GOAL,
+  getDailyGoal,
+  parseDailyGoal,
+  recordGoalChange,
+} from '../utils/dailyGoal';
+import {
+  TENSES,
+  TENSE_DIFFICULTIES,
+  resolveEnabledTenseIds,
+  getTierTenseIds,
+  getTierForTenses,
+} from '../data/tenses';
 
 export default function SettingsScreen() {
   const [apiKey, setApiKey] = useState('');
   const [currentProvider, setCurrentProviderState] = useState('grok');
+  const [localBaseUrl, setLocalBaseUrl] = useState('');
+  const [localModel, setLocalModel] = useState('');
+  const [mockScenario, setMockScenario] = useState('success');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [usageStats, setUsageStats] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
   const [user, setUser] = useState(null);
   const [loggingOut, setLoggingOut] = useState(false);
   const [legalModalVisible, setLegalModalVisible] = useState(false);
   const [legalContent, setLegalContent] = useState({ title: '', content: '' });
+  const [enabledTenses, setEnabledTenses] = useState(resolveEnabledTenseIds(null));
+  const [calendar, setCalendar] = useState(getCalendarSettings(null));
+  const [dailyGoal, setDailyGoal] = useState(getDailyGoal(null));
+  const [goalChanges, setGoalChanges] = useState([]); // user_settings.daily_goal_changes
+  const [goalInput, setGoalInput] = useState(''); // Custom goal being typed
 
   // Load settings on mount
   useEffect(() => {
@@ -43,12 +75,24 @@ export default function SettingsScreen() {
       setLoading(true);
       const provider = await getCurrentProvider();
       const key = await getApiKey(provider);
+      const localConfig = await getProviderConfig('local');
+      const mockConfig = await getProviderConfig('mock');
       const stats = await getUsageStats();
+      const cache = await getCacheStats();
       const currentUser = await getCurrentUser();
+      const settingsResult = await getUserSettings();
       
       setCurrentProviderState(provider);
+      setLocalBaseUrl(localConfig.baseUrl || '');
+      setLocalModel(localConfig.model || '');
+      setMockScenario(mockConfig.scenario || 'success');
+      setEnabledTenses(resolveEnabledTenseIds(settingsResult.settings?.enabled_tenses));
+      setCalendar(getCalendarSettings(settingsResult.settings));
+      setDailyGoal(getDailyGoal(settingsResult.settings));
+      setGoalChanges(settingsResult.settings?.daily_goal_changes || []);
       setApiKey(key || '');
       setUsageStats(stats);
+      setCacheStats(cache);
       setUser(currentUser);
       setLoading(false);
     } catch (error) {
@@ -123,7 +167,7 @@ DATA STORAGE AND SECURITY
 THIRD-PARTY SERVICES
 We use the following third-party services:
 • Supabase: Backend-as-a-Service for database and authentication
-• AI Providers (Grok/xAI): For sentence correction (only if you provide your own API key)
+• AI Providers (Grok/xAI, OpenAI, Anthropic): For sentence correction (only if you provide your own API key)
   - Your API key is stored locally and never shared with us
   - AI requests are made directly from your device to the AI provider
 
@@ -189,7 +233,7 @@ You agree NOT to:
 • Use the App to create harmful or offensive content
 
 AI SERVICES
-• The App uses third-party AI services (Grok/xAI) for sentence correction
+• The App uses third-party AI services (Grok/xAI, OpenAI, Anthropic) for sentence correction
 • You must provide your own API key for AI services
 • You are responsible for any costs associated with your AI API usage
 • We are not responsible for the accuracy of AI-generated feedback
@@ -229,8 +273,122 @@ Note: This is a template. Please review and customize it according to your speci
     setLegalModalVisible(true);
   };
 
+  const saveEnabledTenses = async (next) => {
+    const previous = enabledTenses;
+    setEnabledTenses(next); // Optimistic update, rolled back on failure
+    const result = await saveUserSettings({ enabled_tenses: next });
+    if (!result.success) {
+      setEnabledTenses(previous);
+      Alert.alert('Error', 'Failed to save tense selection');
+    }
+  };
+
+  const handleToggleTense = async (tenseId, enabled) => {
+    const next = enabled
+      ? TENSES.map(t => t.id).filter(id => id === tenseId || enabledTenses.includes(id))
+      : enabledTenses.filter(id => id !== tenseId);
+
+    if (next.length === 0) {
+      Alert.alert('Keep One Tense', 'At least one tense must stay switched on.');
+      return;
+    }
+
+    await saveEnabledTenses(next);
+  };
+
+  const handleSelectTier = async (tier) => {
+    await saveEnabledTenses(getTierTenseIds(tier));
+  };
+
+  // Time zone and first day of the week (streaks and "this week" in Statistics)
+  const saveCalendarSetting = async (changes, next) => {
+    const previous = calendar;
+    setCalendar(next); // Optimistic update, rolled back on failure
+    const result = await saveUserSettings(changes);
+    if (!result.success) {
+      setCalendar(previous);
+      Alert.alert('Error', 'Failed to save calendar settings');
+      return;
+    }
+    // Guests' settings aren't followed by realtime
+    if (isGuestMode()) {
+      await refreshDataStore();
+    }
+  };
+
+  const handleSelectFirstDay = async (firstDayOfWeek) => {
+    if (firstDayOfWeek === calendar.firstDayOfWeek) return;
+    await saveCalendarSetting({ first_day_of_week: firstDayOfWeek }, { ...calendar, firstDayOfWeek });
+  };
+
+  const handleUseDeviceTimeZone = async () => {
+    const timeZone = getDeviceTimeZone();
+    await saveCalendarSetting({ time_zone: timeZone }, { ...calendar, timeZone });
+  };
+
+  // Sessions per day shown on Home and in Statistics
+  const saveDailyGoal = async (goal) => {
+    if (goal === dailyGoal) return;
+    const previous = dailyGoal;
+    const previousChanges = goalChanges;
+    // Logged so past days keep being judged against their own goal
+    const changes = recordGoalChange(goalChanges, previous, goal, getDayKey(new Date(), calendar.timeZone));
+    setDailyGoal(goal); // Optimistic update, rolled back on failure
+    setGoalChanges(changes);
+    const result = await saveUserSettings({ daily_goal: goal, daily_goal_changes: changes });
+    if (!result.success) {
+      setDailyGoal(previous);
+      setGoalChanges(previousChanges);
+      Alert.alert('Error', 'Failed to save daily goal');
+      return;
+    }
+    // Guests' settings aren't followed by realtime
+    if (isGuestMode()) {
+      await refreshDataStore();
+    }
+  };
+
+  const handleSaveCustomGoal = async () => {
+    const goal = parseDailyGoal(goalInput);
+    if (goal === null) {
+      Alert.alert('Invalid Goal', `Enter a whole number from ${MIN_DAILY_GOAL} to ${MAX_DAILY_GOAL}.`);
+      return;
+    }
+    setGoalInput('');
+    await saveDailyGoal(goal);
+  };
+
+  const providers = getAvailableProviders();
+  const providerInfo = providers.find(p => p.id === currentProvider) || providers[0];
+
+  // Switch provider and show the key saved for it (each provider keeps its own key)
+  const handleSelectProvider = async (providerId) => {
+    if (providerId === currentProvider) return;
+
+    try {
+      await setCurrentProvider(providerId);
+      const key = await getApiKey(providerId);
+      setCurrentProviderState(providerId);
+      setApiKey(key || '');
+    } catch (error) {
+      console.error('Error switching provider:', error);
+      Alert.alert('Error', 'Failed to switch AI provider');
+    }
+  };
+
+  const handleSelectScenario = async (scenario) => {
+    const previous = mockScenario;
+    setMockScenario(scenario);
+    try {
+      await saveProviderConfig('mock', { scenario });
+    } catch (error) {
+      setMockScenario(previous);
+      Alert.alert('Error', 'Failed to save demo scenario');
+    }
+  };
+
   const handleSaveApiKey = async () => {
-    if (!apiKey.trim()) {
+    if (providerInfo.requiresApiKey && !apiKey.trim()) {
       Alert.alert('Empty Key', 'Please enter an API key');
       return;
     }
@@ -238,17 +396,25 @@ Note: This is a template. Please review and customize it according to your speci
     try {
       setSaving(true);
       await saveApiKey(currentProvider, apiKey.trim());
+      if (currentProvider === 'local') {
+        await saveProviderConfig('local', {
+          baseUrl: localBaseUrl.trim(),
+          model: localModel.trim(),
+        });
+      }
       setSaving(false);
       
       Alert.alert(
         'Success!',
-        'API key saved successfully. You can now use AI feedback in Practice.',
+        currentProvider === 'local'
+          ? 'Local server saved. You can now use AI feedback in Practice.'
+          : 'API key saved successfully. You can now use AI feedback in Practice.',
         [{ text: 'OK' }]
       );
     } catch (error) {
       console.error('Error saving API key:', error);
       setSaving(false);
-      Alert.alert('Error', 'Failed to save API key');
+      Alert.alert('Error', 'Failed to save settings');
     }
   };
 
@@ -269,43 +435,235 @@ Note: This is a template. Please review and customize it according to your speci
         {/* AI Provider Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>AI Provider</Text>
-          <View style={styles.providerCard}>
-            <Text style={styles.providerName}>Grok (xAI)</Text>
-            <Text style={styles.providerStatus}>● Active</Text>
+          {providers.map(provider => {
+            const active = provider.id === currentProvider;
+            return (
+              <TouchableOpacity
+                key={provider.id}
+                style={[styles.providerCard, active && styles.providerCardActive]}
+                onPress={() => handleSelectProvider(provider.id)}
+              >
+                <Text style={styles.providerName}>{provider.name}</Text>
+                {!isProviderHealthy(provider.id) ? (
+                  <Text style={styles.providerUnavailable}>⚠ Unavailable</Text>
+                ) : active && (
+                  <Text style={styles.providerStatus}>● Active</Text>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+          <Text style={styles.helpText}>
+            Each provider keeps its own API key. If the active one is down or rate limited, the other providers you've set up are tried in order. The local server runs on your own machine and is free.
+          </Text>
+        </View>
+
+        {/* Demo Mode (mock provider) or API Key Section */}
+        {currentProvider === 'mock' ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Demo Mode</Text>
+            <Text style={styles.helpText}>
+              Feedback comes from the built-in conjugation rules, no API key needed. You can also simulate provider errors:
+            </Text>
+            <View style={styles.scenarioRow}>
+              {providerInfo.scenarios.map(scenario => {
+                const active = scenario.id === mockScenario;
+                return (
+                  <TouchableOpacity
+                    key={scenario.id}
+                    style={[styles.scenarioChip, active && styles.scenarioChipActive]}
+                    onPress={() => handleSelectScenario(scenario.id)}
+                  >
+                    <Text style={[styles.scenarioChipText, active && styles.scenarioChipTextActive]}>
+                      {scenario.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        ) : (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              {currentProvider === 'local' ? 'Local Server' : `${providerInfo.name} API Key`}
+            </Text>
+            {currentProvider === 'local' && (
+              <>
+                <Text style={styles.inputLabel}>Base URL</Text>
+                <TextInput
+                  style={styles.input}
+                  value={localBaseUrl}
+                  onChangeText={setLocalBaseUrl}
+                  placeholder={providerInfo.defaultBaseUrl}
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  keyboardType="url"
+                />
+                <Text style={styles.inputLabel}>Model</Text>
+                <TextInput
+                  style={styles.input}
+                  value={localModel}
+                  onChangeText={setLocalModel}
+                  placeholder={providerInfo.defaultModel}
+                  placeholderTextColor="#999"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <Text style={styles.inputLabel}>API Key</Text>
+              </>
+            )}
+            <TextInput
+              style={styles.input}
+              value={apiKey}
+              onChangeText={setApiKey}
+              placeholder={`Enter your API key (${providerInfo.keyPlaceholder})`}
+              placeholderTextColor="#999"
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry={false}
+            />
+            <Text style={styles.helpText}>
+              {currentProvider === 'local'
+                ? 'Any OpenAI-compatible server works (Ollama: http://localhost:11434/v1, llama.cpp: http://localhost:8080/v1). From an Android emulator use 10.0.2.2 instead of localhost. The key is only needed if your server asks for one.'
+                : `Get your API key from: ${providerInfo.keyUrl.replace('https://', '')}`}
+            </Text>
+            
+            <TouchableOpacity 
+              style={styles.saveButton}
+              onPress={handleSaveApiKey}
+              disabled={saving}
+            >
+              {saving ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.saveButtonText}>
+                  {currentProvider === 'local' ? 'Save Local Server' : 'Save API Key'}
+                </Text>
+              )}
+            </TouchableOpacity>
           </View>
+        )}
+
+        {/* Tenses Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🕰️ Tenses</Text>
           <Text style={styles.helpText}>
-            More providers coming soon...
+            Choose which tenses appear in Practice, or start from a level. Advanced turns on every
+            tense, the literary passé simple included.
           </Text>
+          <View style={styles.tierRow}>
+            {TENSE_DIFFICULTIES.map(tier => {
+              const active = getTierForTenses(enabledTenses) === tier;
+              return (
+                <TouchableOpacity
+                  key={tier}
+                  style={[styles.tierButton, active && styles.tierButtonActive]}
+                  onPress={() => handleSelectTier(tier)}
+                >
+                  <Text style={[styles.tierButtonText, active && styles.tierButtonTextActive]}>
+                    {tier.charAt(0).toUpperCase() + tier.slice(1)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {getTierForTenses(enabledTenses) === 'custom' && (
+            <Text style={styles.tierCustomText}>Custom selection</Text>
+          )}
+          {TENSES.map(tense => (
+            <View key={tense.id} style={styles.tenseRow}>
+              <View style={styles.tenseInfo}>
+                <Text style={styles.tenseName}>
+                  {tense.name} <Text style={styles.tenseDifficulty}>· {tense.difficulty}</Text>
+                </Text>
+                <Text style={styles.tenseDescription}>{tense.description}</Text>
+              </View>
+              <Switch
+                value={enabledTenses.includes(tense.id)}
+                onValueChange={(value) => handleToggleTense(tense.id, value)}
+                trackColor={{ true: '#4CAF50' }}
+              />
+            </View>
+          ))}
         </View>
 
-        {/* API Key Section */}
+        {/* Daily Goal Section */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>API Key</Text>
-          <TextInput
-            style={styles.input}
-            value={apiKey}
-            onChangeText={setApiKey}
-            placeholder="Enter your Grok API key"
-            placeholderTextColor="#999"
-            autoCapitalize="none"
-            autoCorrect={false}
-            secureTextEntry={false}
-          />
+          <Text style={styles.sectionTitle}>🎯 Daily Goal</Text>
           <Text style={styles.helpText}>
-            Get your API key from: console.x.ai
+            Practice sessions to aim for each day. Home shows today's progress, and Statistics your goal streak.
           </Text>
-          
-          <TouchableOpacity 
-            style={styles.saveButton}
-            onPress={handleSaveApiKey}
-            disabled={saving}
-          >
-            {saving ? (
-              <ActivityIndicator color="#fff" />
-            ) : (
-              <Text style={styles.saveButtonText}>Save API Key</Text>
-            )}
-          </TouchableOpacity>
+          <View style={styles.tierRow}>
+            {DAILY_GOAL_PRESETS.map(goal => {
+              const active = dailyGoal === goal;
+              return (
+                <TouchableOpacity
+                  key={goal}
+                  style={[styles.tierButton, active && styles.tierButtonActive]}
+                  onPress={() => saveDailyGoal(goal)}
+                >
+                  <Text style={[styles.tierButtonText, active && styles.tierButtonTextActive]}>
+                    {goal}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {!DAILY_GOAL_PRESETS.includes(dailyGoal) && (
+            <Text style={styles.tierCustomText}>Custom goal: {dailyGoal} a day</Text>
+          )}
+          <View style={styles.goalInputRow}>
+            <TextInput
+              style={[styles.input, styles.goalInput]}
+              value={goalInput}
+              onChangeText={setGoalInput}
+              placeholder={`Other (${MIN_DAILY_GOAL}–${MAX_DAILY_GOAL})`}
+              placeholderTextColor="#999"
+              keyboardType="number-pad"
+              maxLength={3}
+            />
+            <TouchableOpacity
+              style={[styles.calendarButton, styles.goalSaveButton]}
+              onPress={handleSaveCustomGoal}
+              disabled={!goalInput.trim()}
+            >
+              <Text style={styles.calendarButtonText}>Set</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Calendar Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>📅 Calendar</Text>
+          <Text style={styles.helpText}>
+            Streaks and weekly statistics count days in your time zone, whichever device you practise on.
+          </Text>
+          <Text style={styles.calendarLabel}>Week starts on</Text>
+          <View style={styles.tierRow}>
+            {FIRST_DAYS_OF_WEEK.map(day => {
+              const active = calendar.firstDayOfWeek === day.id;
+              return (
+                <TouchableOpacity
+                  key={day.id}
+                  style={[styles.tierButton, active && styles.tierButtonActive]}
+                  onPress={() => handleSelectFirstDay(day.id)}
+                >
+                  <Text style={[styles.tierButtonText, active && styles.tierButtonTextActive]}>
+                    {day.name}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.calendarLabel}>Time zone</Text>
+          <Text style={styles.calendarValue}>{calendar.timeZone}</Text>
+          {calendar.timeZone !== getDeviceTimeZone() && (
+            <TouchableOpacity style={styles.calendarButton} onPress={handleUseDeviceTimeZone}>
+              <Text style={styles.calendarButtonText}>
+                Use this device's time zone ({getDeviceTimeZone()})
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Usage Statistics Section */}
@@ -333,6 +691,20 @@ Note: This is a template. Please review and customize it according to your speci
                 <Text style={styles.statLabel}>This Month</Text>
                 <Text style={styles.statValue}>${usageStats.monthlyCost.toFixed(4)}</Text>
               </View>
+              {cacheStats && (
+                <>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statLabel}>Cached Answers</Text>
+                    <Text style={styles.statValue}>
+                      {cacheStats.hits}/{cacheStats.hits + cacheStats.misses}
+                    </Text>
+                  </View>
+                  <View style={styles.statItem}>
+                    <Text style={styles.statLabel}>Saved by Cache</Text>
+                    <Text style={styles.statValue}>${cacheStats.savedCost.toFixed(4)}</Text>
+                  </View>
+                </>
+              )}
             </View>
             <Text style={styles.helpText}>
               Budget limits: $1/day, $5/week, $15/month
@@ -358,6 +730,14 @@ Note: This is a template. Please review and customize it according to your speci
         {/* Account Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>👤 Account</Text>
+          {isGuestMode() && (
+            <View style={styles.accountInfo}>
+              <Text style={styles.accountEmail}>Using the app without an account</Text>
+              <Text style={styles.accountDetail}>
+                Your verbs and practice are saved on this device only. Create an account to keep them and sync across devices.
+              </Text>
+            </View>
+          )}
           {user && (
             <View style={styles.accountInfo}>
               <Text style={styles.accountEmail}>{user.email}</Text>
@@ -366,17 +746,34 @@ Note: This is a template. Please review and customize it according to your speci
               </Text>
             </View>
           )}
-          <TouchableOpacity 
-            style={styles.logoutButton}
-            onPress={handleLogout}
-            disabled={loggingOut}
-          >
-            {loggingOut ? (
-              <ActivityIndicator color="#fff" />
-            ) : (
-              <Text style={styles.logoutButtonText}>Logout</Text>
-            )}
-          </TouchableOpacity>
+          {isGuestMode() ? (
+            <>
+              <TouchableOpacity
+                style={styles.createAccountButton}
+                onPress={() => endGuestMode({ toRegister: true })}
+              >
+                <Text style={styles.logoutButtonText}>Create Account</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.leaveGuestButton}
+                onPress={() => endGuestMode()}
+              >
+                <Text style={styles.leaveGuestButtonText}>I already have an account</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <TouchableOpacity 
+              style={styles.logoutButton}
+              onPress={handleLogout}
+              disabled={loggingOut}
+            >
+              {loggingOut ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.logoutButtonText}>Logout</Text>
+              )}
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Legal Section */}
@@ -489,6 +886,11 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     marginBottom: 10,
   },
+  providerCardActive: {
+    backgroundColor: '#E8F5E9',
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+  },
   providerName: {
     fontSize: 16,
     fontWeight: '600',
@@ -499,6 +901,41 @@ const styles = StyleSheet.create({
     color: '#4CAF50',
     fontWeight: 'bold',
   },
+  inputLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 5,
+  },
+  scenarioRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  scenarioChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+  },
+  scenarioChipActive: {
+    backgroundColor: '#4CAF50',
+  },
+  scenarioChipText: {
+    fontSize: 13,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+  scenarioChipTextActive: {
+    color: '#fff',
+  },
+  providerUnavailable: {
+    fontSize: 14,
+    color: '#FF9800',
+    fontWeight: 'bold',
+  },
   input: {
     backgroundColor: '#f5f5f5',
     borderRadius: 8,
@@ -527,6 +964,98 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
+  tierRow: {
+    flexDirection: 'row',
+    marginBottom: 10,
+  },
+  tierButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#4CAF50',
+    alignItems: 'center',
+  },
+  tierButtonActive: {
+    backgroundColor: '#4CAF50',
+  },
+  tierButtonText: {
+    fontSize: 14,
+    color: '#4CAF50',
+    fontWeight: '600',
+  },
+  tierButtonTextActive: {
+    color: '#fff',
+  },
+  calendarLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 5,
+    marginBottom: 8,
+  },
+  calendarValue: {
+    fontSize: 15,
+    color: '#666',
+    marginBottom: 10,
+  },
+  calendarButton: {
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    alignItems: 'center',
+  },
+  calendarButtonText: {
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: '600',
+  },
+  goalInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  goalInput: {
+    flex: 1,
+    marginBottom: 0,
+    marginRight: 10,
+  },
+  goalSaveButton: {
+    paddingHorizontal: 20,
+  },
+  tierCustomText: {
+    fontSize: 13,
+    color: '#999',
+    textAlign: 'center',
+    marginBottom: 10,
+  },
+  tenseRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  tenseInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  tenseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  tenseDifficulty: {
+    fontSize: 13,
+    fontWeight: 'normal',
+    color: '#999',
+  },
+  tenseDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
   infoSection: {
     padding: 15,
     backgroundColor: '#e3f2fd',
@@ -598,6 +1127,23 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#fff',
   },
+  createAccountButton: {
+    backgroundColor: '#4CAF50',
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    minHeight: 50,
+    justifyContent: 'center',
+  },
+  leaveGuestButton: {
+    padding: 15,
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  leaveGuestButtonText: {
+    fontSize: 14,
+    color: '#2196F3',
+  },
   legalButton: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import {
   View,
   Text,
@@ -6,9 +6,37 @@ import {
   ScrollView,
   RefreshControl,
   ActivityIndicator,
+  TouchableOpacity,
+  Modal,
 } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
-import { getStatistics } from '../utils/statisticsService';
+import { getStatistics, getPracticeHeatmap, getMastery } from '../utils/statisticsService';
+import { getPracticeSessionsOnDay } from '../utils/cloudStorage';
+import { useDataStore, refreshDataStore } from '../utils/dataStore';
+import { getCalendarSettings } from '../utils/calendar';
+import { formatDayKey } from '../utils/heatmap';
+import {
+  MASTERY_TABS,
+  buildMasteryMatrix,
+  rankWeakVerbs,
+  rankWeakTenses,
+  getNeverPractised,
+} from '../utils/mastery';
+import { getDailyGoal, getGoalOnDay, calculateGoalHistory, calculateGoalStreak } from '../utils/dailyGoal';
+import { getTenseById, resolveEnabledTenseIds } from '../data/tenses';
+import PracticeHeatmap from '../components/PracticeHeatmap';
+import MasteryMatrix from '../components/MasteryMatrix';
+import { SCORING_MODES } from '../utils/scoring';
+import { canPracticeMistake } from '../utils/mistakeTaxonomy';
+
+// Pairs listed in the "Never practised" tab before "and N more"
+const NEVER_PRACTISED_SHOWN = 10;
+
+// How a mistake's frequency moved over the last weeks (see rankMistakes)
+const TREND_LABELS = {
+  better: { text: '↓ Less often', color: '#4CAF50' },
+  worse: { text: '↑ More often', color: '#f44336' },
+  steady: { text: '→ Steady', color: '#999' },
+};
 
 // =====================================================
 // COMPONENT: StatCard
@@ -74,6 +102,198 @@ function MostPracticedVerbs({ verbs }) {
   );
 }
 
+// =====================================================
+// COMPONENT: TenseBreakdown
+// Shows accuracy for each tense practised
+// =====================================================
+function TenseBreakdown({ tenses }) {
+  if (!tenses || tenses.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>🕰️ Accuracy by Tense</Text>
+      <View style={styles.verbsList}>
+        {tenses.map(item => (
+          <View key={item.id} style={styles.tenseItem}>
+            <View style={styles.tenseHeader}>
+              <Text style={styles.tenseName}>{item.name}</Text>
+              <Text style={styles.tenseAccuracy}>{item.accuracy}%</Text>
+            </View>
+            <View style={styles.tenseBarTrack}>
+              <View style={[styles.tenseBarFill, { width: `${item.accuracy}%` }]} />
+            </View>
+            <Text style={styles.verbCount}>
+              {item.correct}/{item.graded} correct{item.difficulty ? ` · ${item.difficulty}` : ''}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+// =====================================================
+// COMPONENT: TopMistakes
+// Most frequent mistake types, their weekly trend, and a button to
+// practise the worst one that practice can be aimed at
+// =====================================================
+function TopMistakes({ mistakes, onPractice }) {
+  if (!mistakes || mistakes.length === 0) {
+    return null;
+  }
+
+  const worst = mistakes.find(mistake => canPracticeMistake(mistake.id));
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>🧩 Your Top Mistakes</Text>
+      <View style={styles.verbsList}>
+        {mistakes.map(mistake => (
+          <View key={mistake.id} style={styles.tenseItem}>
+            <View style={styles.tenseHeader}>
+              <Text style={styles.tenseName}>{mistake.name}</Text>
+              {mistake.trend && (
+                <Text style={[styles.mistakeTrend, { color: TREND_LABELS[mistake.trend].color }]}>
+                  {TREND_LABELS[mistake.trend].text}
+                </Text>
+              )}
+            </View>
+            <Text style={styles.verbCount}>
+              {mistake.count} {mistake.count === 1 ? 'answer' : 'answers'} · {mistake.share}% of graded answers
+            </Text>
+            <View style={styles.mistakeWeeks}>
+              {mistake.weekly.map((week, index) => (
+                <View key={index} style={styles.mistakeWeek}>
+                  <View
+                    style={[
+                      styles.mistakeWeekFill,
+                      { height: week.sessions > 0 ? `${Math.max(8, (week.count / week.sessions) * 100)}%` : 2 },
+                      week.sessions === 0 && styles.mistakeWeekEmpty,
+                    ]}
+                  />
+                </View>
+              ))}
+            </View>
+            <Text style={styles.mistakeCaption}>Share of answers, last {mistake.weekly.length} weeks</Text>
+          </View>
+        ))}
+
+        {worst && (
+          <TouchableOpacity style={styles.practiceButton} onPress={() => onPractice(worst.id)}>
+            <Text style={styles.practiceButtonText}>🎯 Practice: {worst.name}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
+
+// =====================================================
+// COMPONENT: WeakSpots
+// Tabs under the mastery matrix: weakest verbs, weakest tenses and pairs
+// never practised. Each entry starts a practice round on its weakest pair.
+// =====================================================
+function WeakSpots({ matrix, onPractice }) {
+  const [tab, setTab] = useState(MASTERY_TABS[0].id);
+
+  const weakVerbs = useMemo(() => rankWeakVerbs(matrix), [matrix]);
+  const weakTenses = useMemo(() => rankWeakTenses(matrix), [matrix]);
+  const neverPractised = useMemo(() => getNeverPractised(matrix), [matrix]);
+
+  const pairName = ({ verb, tenseId }) => `${verb.verb} · ${getTenseById(tenseId)?.name || tenseId}`;
+
+  const renderRanked = (items, title) => {
+    if (items.length === 0) {
+      return <Text style={styles.emptyText}>No graded answers yet</Text>;
+    }
+    return items.map(item => (
+      <TouchableOpacity
+        key={title(item)}
+        style={styles.tenseItem}
+        onPress={() => onPractice(item.weakest)}
+      >
+        <View style={styles.tenseHeader}>
+          <Text style={styles.tenseName}>{title(item)}</Text>
+          <Text style={styles.tenseAccuracy}>{item.accuracy}%</Text>
+        </View>
+        <Text style={styles.verbCount}>
+          {item.recentGraded} recent {item.recentGraded === 1 ? 'answer' : 'answers'}
+          {item.confidence < 1 ? ' · low confidence' : ''} · 🎯 {pairName(item.weakest)}
+        </Text>
+      </TouchableOpacity>
+    ));
+  };
+
+  return (
+    <View>
+      <View style={[styles.scoringRow, styles.masteryTabs]}>
+        {MASTERY_TABS.map(item => (
+          <TouchableOpacity
+            key={item.id}
+            style={[styles.scoringChip, tab === item.id && styles.scoringChipActive]}
+            onPress={() => setTab(item.id)}
+          >
+            <Text style={[styles.tabText, tab === item.id && styles.scoringChipTextActive]}>
+              {item.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.verbsList}>
+        {tab === 'weak_verbs' && renderRanked(weakVerbs, item => item.verb.verb)}
+        {tab === 'weak_tenses' && renderRanked(weakTenses, item => item.tense.name)}
+        {tab === 'never' && (
+          neverPractised.length === 0 ? (
+            <Text style={styles.emptyText}>Every verb has been practised in every tense</Text>
+          ) : (
+            <>
+              {neverPractised.slice(0, NEVER_PRACTISED_SHOWN).map(pair => (
+                <TouchableOpacity
+                  key={`${pair.verb.id}:${pair.tenseId}`}
+                  style={styles.tenseItem}
+                  onPress={() => onPractice(pair)}
+                >
+                  <Text style={styles.tenseName}>🆕 {pairName(pair)}</Text>
+                </TouchableOpacity>
+              ))}
+              {neverPractised.length > NEVER_PRACTISED_SHOWN && (
+                <Text style={styles.mistakeCaption}>
+                  and {neverPractised.length - NEVER_PRACTISED_SHOWN} more
+                </Text>
+              )}
+            </>
+          )
+        )}
+      </View>
+    </View>
+  );
+}
+
+// =====================================================
+// COMPONENT: ScoringToggle
+// Switches accuracy between pass/fail and the weighted rubric score
+// =====================================================
+function ScoringToggle({ selected, onSelect }) {
+  return (
+    <View style={styles.scoringRow}>
+      {SCORING_MODES.map(mode => (
+        <TouchableOpacity
+          key={mode.id}
+          style={[styles.scoringChip, selected === mode.id && styles.scoringChipActive]}
+          onPress={() => onSelect(mode.id)}
+        >
+          <Text style={[styles.scoringChipText, selected === mode.id && styles.scoringChipTextActive]}>
+            {mode.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
 // =====================================================
 // COMPONENT: StreakDisplay
 // Shows practice streak information
@@ -108,37 +328,179 @@ function StreakDisplay({ current, best }) {
   );
 }
 
+// =====================================================
+// COMPONENT: GoalHistory
+// Goal streak (days in a row with the daily goal met, apart from the
+// practice streak) and the days the goal was met over the last four weeks.
+// Both come from the heatmap's per-day counts, so reach back one year. Each
+// day is judged against the goal in effect that day.
+// =====================================================
+function GoalHistory({ days, settings, timeZone }) {
+  const goal = getDailyGoal(settings);
+  const goalOn = useCallback(day => getGoalOnDay(settings, day), [settings]);
+  const history = useMemo(() => calculateGoalHistory(days, goalOn, timeZone), [days, goalOn, timeZone]);
+  const streak = useMemo(() => calculateGoalStreak(days, goalOn, timeZone), [days, goalOn, timeZone]);
+  const metDays = history.filter(day => day.met).length;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>🎯 Daily Goal</Text>
+      <View style={styles.streakContainer}>
+        <View style={styles.streakCard}>
+          <Text style={[styles.streakValue, styles.goalStreakValue]}>{streak.current}</Text>
+          <Text style={styles.streakLabel}>Goal Streak</Text>
+          <Text style={styles.streakUnit}>days</Text>
+        </View>
+        <View style={styles.streakCard}>
+          <Text style={[styles.streakValue, styles.goalStreakValue]}>{streak.best}</Text>
+          <Text style={styles.streakLabel}>Best Goal Streak</Text>
+          <Text style={styles.streakUnit}>days</Text>
+        </View>
+      </View>
+      <View style={styles.goalHistory}>
+        {history.map(day => (
+          <View
+            key={day.day}
+            style={[styles.goalDay, day.met && styles.goalDayMet, day.today && styles.goalDayToday]}
+            accessibilityLabel={`${formatDayKey(day.day)}: ${day.sessions} of ${day.goal}`}
+          />
+        ))}
+      </View>
+      <Text style={styles.mistakeCaption}>
+        Daily goal met on {metDays} of the last {history.length} days · now {goal} {goal === 1 ? 'session' : 'sessions'} a day
+      </Text>
+    </View>
+  );
+}
+
+// =====================================================
+// COMPONENT: DaySessionsModal
+// The sessions of the day tapped in the heatmap
+// =====================================================
+function DaySessionsModal({ day, timeZone, onClose }) {
+  const [sessions, setSessions] = useState(null);
+
+  useEffect(() => {
+    if (!day) return undefined;
+    let current = true;
+    setSessions(null);
+    getPracticeSessionsOnDay(day, timeZone).then(result => {
+      if (current) {
+        setSessions(result.sessions);
+      }
+    });
+    return () => {
+      current = false;
+    };
+  }, [day, timeZone]);
+
+  return (
+    <Modal
+      visible={day !== null}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{day ? formatDayKey(day) : ''}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+
+          {sessions === null ? (
+            <ActivityIndicator style={styles.modalLoading} color="#2196F3" />
+          ) : (
+            <ScrollView style={styles.modalBody}>
+              {sessions.length === 0 && (
+                <Text style={styles.emptyText}>No sessions on this day</Text>
+              )}
+              {sessions.map(session => {
+                const tense = getTenseById(session.tense);
+                const icon = session.is_correct === true ? '✅' : session.is_correct === false ? '❌' : '❔';
+                return (
+                  <View key={session.id} style={styles.daySession}>
+                    <Text style={styles.daySessionTitle}>
+                      {icon} {session.verb_text} · {tense ? tense.name : session.tense}
+                    </Text>
+                    <Text style={styles.daySessionSentence}>{session.user_sentence}</Text>
+                  </View>
+                );
+              })}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
 // =====================================================
 // MAIN COMPONENT: StatisticsScreen
 // =====================================================
-export default function StatisticsScreen() {
+export default function StatisticsScreen({ navigation }) {
+  const [refreshing, setRefreshing] = useState(false);
+  const [scoring, setScoring] = useState('boolean'); // See SCORING_MODES
+
   const [stats, setStats] = useState(null);
+  const [heatmapDays, setHeatmapDays] = useState([]);
+  const [masteryPairs, setMasteryPairs] = useState([]);
+  const [selectedDay, setSelectedDay] = useState(null); // Day tapped in the heatmap
   const [loading, setLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
 
-  // Load statistics when screen is focused
-  useFocusEffect(
-    useCallback(() => {
-      loadStatistics();
-    }, [])
+  // Asked again whenever the shared data store changes (practice here or on
+  // another device, calendar settings) or the scoring changes
+  const { sessions, verbs, settings } = useDataStore();
+  const calendar = useMemo(() => getCalendarSettings(settings), [settings]);
+  const matrix = useMemo(
+    () => buildMasteryMatrix(masteryPairs, verbs, resolveEnabledTenseIds(settings?.enabled_tenses)),
+    [masteryPairs, verbs, settings]
   );
 
   const loadStatistics = async () => {
-    try {
-      const result = await getStatistics();
-      if (result.success) {
-        setStats(result.stats);
-      }
-      setLoading(false);
-    } catch (error) {
-      console.error('Error loading statistics:', error);
-      setLoading(false);
+    const [statsResult, heatmapResult, masteryResult] = await Promise.all([
+      getStatistics(scoring, calendar),
+      getPracticeHeatmap(scoring, calendar),
+      getMastery(scoring),
+    ]);
+    return { statsResult, heatmapResult, masteryResult };
+  };
+
+  const showStatistics = ({ statsResult, heatmapResult, masteryResult }) => {
+    if (statsResult.success) {
+      setStats(statsResult.stats);
     }
+    if (heatmapResult.success) {
+      setHeatmapDays(heatmapResult.days);
+    }
+    if (masteryResult.success) {
+      setMasteryPairs(masteryResult.pairs);
+    }
+  };
+
+  // Practice round on one verb and tense (see PracticeScreen's focusPair)
+  const practisePair = ({ verb, tenseId }) => {
+    navigation.navigate('Practice', { focusPair: { verbId: verb.id, tenseId }, focusMistake: null });
   };
 
+  useEffect(() => {
+    let current = true;
+    loadStatistics().then(results => {
+      if (!current) return;
+      showStatistics(results);
+      setLoading(false);
+    });
+    return () => {
+      current = false;
+    };
+  }, [sessions, verbs, calendar, scoring]);
+
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadStatistics();
+    await refreshDataStore();
+    showStatistics(await loadStatistics());
     setRefreshing(false);
   };
 
@@ -167,6 +529,9 @@ export default function StatisticsScreen() {
         <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
       }
     >
+      {/* Pass/fail or weighted accuracy */}
+      <ScoringToggle selected={scoring} onSelect={setScoring} />
+
       {/* Overall Stats */}
       <StatSection title="📊 Overall Statistics">
         <StatCard 
@@ -211,8 +576,41 @@ export default function StatisticsScreen() {
         best={stats.bestStreak}
       />
 
+      {/* Daily goal history and goal streak */}
+      <GoalHistory days={heatmapDays} settings={settings} timeZone={calendar.timeZone} />
+
+      {/* Past 12 months, day by day */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>🗓️ Practice Calendar</Text>
+        <PracticeHeatmap days={heatmapDays} calendar={calendar} onSelectDay={setSelectedDay} />
+      </View>
+
       {/* Most Practiced Verbs */}
       <MostPracticedVerbs verbs={stats.mostPracticedVerbs} />
+
+      {/* Accuracy by Tense */}
+      <TenseBreakdown tenses={stats.tenseBreakdown} />
+
+      {/* Verbs × tenses */}
+      {matrix.rows.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>🧠 Mastery</Text>
+          <MasteryMatrix matrix={matrix} onSelectPair={practisePair} />
+          <WeakSpots matrix={matrix} onPractice={practisePair} />
+        </View>
+      )}
+
+      {/* Most frequent mistakes */}
+      <TopMistakes
+        mistakes={stats.topMistakes}
+        onPractice={focusMistake => navigation.navigate('Practice', { focusMistake, focusPair: null })}
+      />
+
+      <DaySessionsModal
+        day={selectedDay}
+        timeZone={calendar.timeZone}
+        onClose={() => setSelectedDay(null)}
+      />
     </ScrollView>
   );
 }
@@ -244,6 +642,42 @@ const styles = StyleSheet.create({
     color: '#f44336',
   },
 
+  // Scoring toggle
+  scoringRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  scoringChip: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: '#fff',
+    alignItems: 'center',
+  },
+  scoringChipActive: {
+    backgroundColor: '#2196F3',
+  },
+  scoringChipText: {
+    fontSize: 14,
+    color: '#2196F3',
+  },
+  scoringChipTextActive: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+
+  // Mastery tabs (same chips as the scoring toggle)
+  masteryTabs: {
+    marginTop: 15,
+  },
+  tabText: {
+    fontSize: 12,
+    color: '#2196F3',
+  },
+
   // Section
   section: {
     marginBottom: 25,
@@ -319,6 +753,28 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#999',
   },
+  goalStreakValue: {
+    color: '#4CAF50',
+  },
+  goalHistory: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 5,
+  },
+  goalDay: {
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    margin: 3,
+    backgroundColor: '#e0e0e0',
+  },
+  goalDayMet: {
+    backgroundColor: '#4CAF50',
+  },
+  goalDayToday: {
+    borderWidth: 2,
+    borderColor: '#2196F3',
+  },
   streakMessage: {
     fontSize: 14,
     color: '#4CAF50',
@@ -372,6 +828,39 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+
+  // Tense Breakdown
+  tenseItem: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  tenseHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  tenseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  tenseAccuracy: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#4CAF50',
+  },
+  tenseBarTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#f0f0f0',
+    overflow: 'hidden',
+    marginBottom: 6,
+  },
+  tenseBarFill: {
+    height: '100%',
+    backgroundColor: '#4CAF50',
+  },
   emptyText: {
     fontSize: 14,
     color: '#999',
@@ -380,5 +869,100 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     borderRadius: 12,
   },
+
+  // Top Mistakes
+  mistakeTrend: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  mistakeWeeks: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: 32,
+    marginTop: 8,
+  },
+  mistakeWeek: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+    marginHorizontal: 2,
+  },
+  mistakeWeekFill: {
+    backgroundColor: '#FF9800',
+    borderRadius: 2,
+  },
+  mistakeWeekEmpty: {
+    backgroundColor: '#e0e0e0',
+  },
+  mistakeCaption: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  practiceButton: {
+    backgroundColor: '#FF9800',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  practiceButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '70%',
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  closeButton: {
+    padding: 5,
+  },
+  closeButtonText: {
+    fontSize: 24,
+    color: '#666',
+  },
+  modalBody: {
+    padding: 20,
+  },
+  modalLoading: {
+    padding: 30,
+  },
+  daySession: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  daySessionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  daySessionSentence: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
 });
 
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Prompt Evaluation
+ *
+ * Replays the fixture sentences (data/promptEvalFixtures.js) through two
+ * prompt templates and prints both verdicts side by side, next to the
+ * expected one.
+ *
+ * Usage:
+ *   npm run eval:prompts
+ *   PROMPT_A=detailed PROMPT_B=verb_focus npm run eval:prompts
+ *   EVAL_PROVIDER=openai EVAL_API_KEY=sk-... npm run eval:prompts
+ *   EVAL_PROVIDER=local EVAL_BASE_URL=http://localhost:11434/v1 EVAL_MODEL=llama3.1 npm run eval:prompts
+ *
+ * EVAL_PROVIDER is grok, openai, anthropic, local or mock (the default).
+ *
+ * The default mock run costs nothing. The mock doesn't read the prompt: it
+ * grades with the local conjugation rules plus the extra checks each
+ * template lists in `mockChecks`, so it shows where the templates are meant
+ * to disagree and that both go through the whole feedback pipeline. To see
+ * how a model really answers each prompt, run it against a real provider;
+ * every fixture is then sent once per template, which is billed.
+ */
+
+// The app's modules are ES modules, compiled on the fly like Jest does
+require('@babel/register')({
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  babelrc: false,
+  configFile: false,
+  ignore: [/node_modules/],
+});
+
+// AsyncStorage's Node build is the web one; usage tracking only needs it
+// to hold values for the length of the run
+const memoryStorage = new Map();
+globalThis.window = globalThis.window || {
+  localStorage: {
+    getItem: key => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+    setItem: (key, value) => memoryStorage.set(key, String(value)),
+    removeItem: key => memoryStorage.delete(key),
+    clear: () => memoryStorage.clear(),
+    key: index => Array.from(memoryStorage.keys())[index] ?? null,
+    get length() {
+      return memoryStorage.size;
+    },
+  },
+};
+
+const { PROMPT_TEMPLATES } = require('../utils/aiProviders/prompts');
+const { comparePromptTemplates, formatPromptReport } = require('../utils/promptEval');
+const { PROMPT_EVAL_FIXTURES } = require('../data/promptEvalFixtures');
+
+const PROVIDERS = {
+  grok: require('../utils/aiProviders/grokProvider'),
+  openai: require('../utils/aiProviders/openaiProvider'),
+  anthropic: require('../utils/aiProviders/anthropicProvider'),
+  local: require('../utils/aiProviders/localProvider'),
+  mock: require('../utils/aiProviders/mockProvider'),
+};
+
+function findTemplate(id) {
+  const template = PROMPT_TEMPLATES.find(t => t.id === id);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${id} (known: ${PROMPT_TEMPLATES.map(t => t.id).join(', ')})`);
+  }
+  return template;
+}
+
+/**
+ * The provider to evaluate with, and its settings, from the environment
+ */
+function getEvalProvider() {
+  const id = process.env.EVAL_PROVIDER || 'mock';
+  const provider = PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${id} (known: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const apiKey = process.env.EVAL_API_KEY || null;
+  if (!apiKey && id !== 'mock' && id !== 'local') {
+    throw new Error(`EVAL_API_KEY is needed to evaluate with ${id}`);
+  }
+
+  const config = id === 'mock'
+    ? { latencyMs: 0 }
+    : id === 'local'
+      ? { baseUrl: process.env.EVAL_BASE_URL, model: process.env.EVAL_MODEL }
+      : {};
+  return { id, provider, apiKey, config };
+}
+
+async function main() {
+  const templates = [
+    findTemplate(process.env.PROMPT_A || PROMPT_TEMPLATES[0].id),
+    findTemplate(process.env.PROMPT_B || PROMPT_TEMPLATES[1].id),
+  ];
+  const { id, provider, apiKey, config } = getEvalProvider();
+
+  const report = await comparePromptTemplates(
+    PROMPT_EVAL_FIXTURES,
+    templates,
+    (fixture, template) => provider.evaluateSentence(fixture.verb, fixture.tense, fixture.sentence, apiKey, {
+      ...config,
+      promptTemplate: template,
+    })
+  );
+
+  process.stdout.write(`Provider: ${id}${id === 'mock' ? ' (local rules and each template\'s mockChecks)' : ''}\n`);
+  process.stdout.write(`${formatPromptReport(report)}\n`);
+}
+
+main().catch(error => {
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+});
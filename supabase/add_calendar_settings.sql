@@ -0,0 +1,191 @@
+-- =====================================================
+-- TIME ZONE AND FIRST DAY OF THE WEEK
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_statistics.sql)
+--
+-- practice_sessions.created_at is stored in UTC. Which day a session
+-- counts for (streaks, "this week") depends on the user's time zone, so
+-- it is stored in user_settings instead of being taken from whichever
+-- device asks. The app counts days the same way (utils/calendar.js).
+--
+-- - time_zone: IANA name ('Europe/Paris'); NULL until the app sets it
+-- - first_day_of_week: 0 = Sunday ... 6 = Saturday (like Date.getDay()
+--   and EXTRACT(DOW)); Monday by default
+-- =====================================================
+
+-- Step 1: Add the columns to user_settings
+-- =====================================================
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS time_zone TEXT;
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS first_day_of_week SMALLINT DEFAULT 1
+CHECK (first_day_of_week BETWEEN 0 AND 6);
+
+-- Step 2: Count days and weeks in the user's zone
+-- Replaces the version from add_statistics.sql, which took the week's
+-- start and end from the device.
+-- p_time_zone / p_first_day_of_week: the user's settings are used when
+--   they are set; these are the fallback (the device's zone). Unknown
+--   zones count as UTC.
+-- Sessions saved before mistake_types existed (NULL) are left out of the
+-- mistake counts until the app has filled in their types (see
+-- add_mistake_types_backfill.sql); getStatistics does that first.
+-- =====================================================
+DROP FUNCTION IF EXISTS get_practice_statistics(TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_practice_statistics(
+  p_scoring TEXT,
+  p_time_zone TEXT DEFAULT NULL,
+  p_first_day_of_week INTEGER DEFAULT NULL,
+  p_mistake_weeks INTEGER DEFAULT 6
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_time_zone TEXT;
+  v_first_day INTEGER;
+  v_today DATE;
+  v_week_start DATE;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT time_zone, first_day_of_week
+  INTO v_time_zone, v_first_day
+  FROM user_settings
+  WHERE user_id = v_user_id;
+
+  v_time_zone := COALESCE(v_time_zone, p_time_zone);
+  v_first_day := COALESCE(v_first_day, p_first_day_of_week, 1);
+  IF v_time_zone IS NULL OR NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = v_time_zone) THEN
+    v_time_zone := 'UTC';
+  END IF;
+
+  -- Today and the first day of its week, in the user's zone
+  v_today := (NOW() AT TIME ZONE v_time_zone)::DATE;
+  v_week_start := v_today - ((EXTRACT(DOW FROM v_today)::INTEGER - v_first_day + 7) % 7);
+
+  RETURN (
+    WITH sessions AS (
+      SELECT
+        created_at,
+        verb_text,
+        tense,
+        is_correct,
+        mistake_types,
+        (created_at AT TIME ZONE v_time_zone)::DATE AS day,
+        practice_session_score(
+          is_correct, score_conjugation, score_grammar, score_vocabulary, score_naturalness, p_scoring
+        ) AS score
+      FROM practice_sessions
+      WHERE user_id = v_user_id
+    ),
+    week AS (
+      SELECT * FROM sessions
+      WHERE day BETWEEN v_week_start AND v_week_start + 6
+    ),
+    -- Consecutive practice days share a run: day minus its rank is constant
+    runs AS (
+      SELECT MIN(day) AS first_day, MAX(day) AS last_day, COUNT(*) AS length
+      FROM (
+        SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS run
+        FROM (SELECT DISTINCT day FROM sessions) days
+      ) numbered
+      GROUP BY run
+    ),
+    mistakes AS (
+      SELECT
+        mistake_types,
+        FLOOR(EXTRACT(EPOCH FROM NOW() - created_at) / (7 * 24 * 60 * 60))::INTEGER AS weeks_ago
+      FROM sessions
+      WHERE score IS NOT NULL AND mistake_types IS NOT NULL
+    )
+    SELECT jsonb_build_object(
+      'total_sessions', (SELECT COUNT(*) FROM sessions),
+      'overall_accuracy', (SELECT COALESCE(ROUND(AVG(score)), 0) FROM sessions),
+      'total_verbs', (SELECT COUNT(*) FROM user_verbs WHERE user_id = v_user_id),
+
+      'week_sessions', (SELECT COUNT(*) FROM week),
+      'week_accuracy', (SELECT COALESCE(ROUND(AVG(score)), 0) FROM week),
+      'days_practiced_this_week', (SELECT COUNT(DISTINCT day) FROM week),
+
+      'most_practiced_verbs', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('verb', verb_text, 'count', count) ORDER BY count DESC, verb_text)
+        FROM (
+          SELECT verb_text, COUNT(*) AS count FROM sessions
+          GROUP BY verb_text ORDER BY count DESC, verb_text LIMIT 5
+        ) verbs
+      ), '[]'),
+
+      'tenses', COALESCE((
+        SELECT jsonb_agg(tenses)
+        FROM (
+          SELECT
+            tense AS id,
+            COUNT(*) AS total,
+            COUNT(score) AS graded,
+            COUNT(*) FILTER (WHERE is_correct) AS correct,
+            COALESCE(ROUND(AVG(score)), 0) AS accuracy
+          FROM sessions
+          GROUP BY tense
+        ) tenses
+      ), '[]'),
+
+      -- The current streak is the run that reaches today
+      'current_streak', (
+        SELECT COALESCE(MAX(v_today - first_day + 1), 0) FROM runs
+        WHERE first_day <= v_today AND last_day >= v_today
+      ),
+      'best_streak', (SELECT COALESCE(MAX(length), 0) FROM runs),
+
+      'mistakes', jsonb_build_object(
+        'graded', (SELECT COUNT(*) FROM mistakes),
+        'counts', COALESCE((
+          SELECT jsonb_object_agg(type, count)
+          FROM (
+            SELECT type, COUNT(*) AS count FROM mistakes, UNNEST(mistake_types) AS type
+            GROUP BY type
+          ) counts
+        ), '{}'),
+        'weeks', COALESCE((
+          SELECT jsonb_agg(jsonb_build_object('weeks_ago', weeks_ago, 'sessions', sessions, 'counts', counts))
+          FROM (
+            SELECT
+              m.weeks_ago,
+              COUNT(*) AS sessions,
+              COALESCE((
+                SELECT jsonb_object_agg(type, count)
+                FROM (
+                  SELECT type, COUNT(*) AS count
+                  FROM mistakes w, UNNEST(w.mistake_types) AS type
+                  WHERE w.weeks_ago = m.weeks_ago
+                  GROUP BY type
+                ) week_counts
+              ), '{}') AS counts
+            FROM mistakes m
+            WHERE m.weeks_ago BETWEEN 0 AND p_mistake_weeks - 1
+            GROUP BY m.weeks_ago
+          ) weeks
+        ), '[]')
+      )
+    )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_practice_statistics(TEXT, TEXT, INTEGER, INTEGER) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT time_zone, first_day_of_week FROM user_settings WHERE user_id = auth.uid();
+--
+-- The same session counts for different days east and west of UTC:
+-- SELECT ('2026-03-01 23:30+00'::TIMESTAMPTZ AT TIME ZONE 'Pacific/Auckland')::DATE,
+--        ('2026-03-01 23:30+00'::TIMESTAMPTZ AT TIME ZONE 'America/Los_Angeles')::DATE;
+--
+-- SELECT get_practice_statistics('boolean');
+
+SELECT 'Calendar settings created successfully!' as message;
@@ -0,0 +1,26 @@
+-- =====================================================
+-- REMEMBER WHEN THE DAILY GOAL CHANGED
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Statistics shows on which days the daily goal was met. Each day is
+-- judged against the goal in effect that day, so raising the goal doesn't
+-- rewrite the past: Settings adds an entry here whenever the goal changes
+-- (see utils/dailyGoal.js).
+--
+-- daily_goal_changes: [{ "day": "2026-03-11", "from": 10, "to": 20 }],
+-- oldest first; day is in the user's time zone. Days before the first
+-- change use its "from"; without changes, daily_goal applies to every day.
+-- =====================================================
+
+-- Step 1: Add daily_goal_changes column to user_settings
+-- =====================================================
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS daily_goal_changes JSONB DEFAULT '[]'::JSONB;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT daily_goal, daily_goal_changes FROM user_settings WHERE user_id = auth.uid();
+
+SELECT 'Daily goal changes schema created successfully!' as message;
@@ -0,0 +1,46 @@
+-- =====================================================
+-- ADD SCORING RUBRIC TO PRACTICE SESSIONS
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Besides is_correct (pass/fail), each AI answer scores the sentence from
+-- 0 to 100 in four categories (utils/scoring.js). NULL means the category
+-- wasn't scored (older sessions, demo mode, local verb checks).
+-- =====================================================
+
+-- Step 1: Add score columns to practice_sessions
+-- =====================================================
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS score_conjugation SMALLINT
+CHECK (score_conjugation BETWEEN 0 AND 100);
+
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS score_grammar SMALLINT
+CHECK (score_grammar BETWEEN 0 AND 100);
+
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS score_vocabulary SMALLINT
+CHECK (score_vocabulary BETWEEN 0 AND 100);
+
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS score_naturalness SMALLINT
+CHECK (score_naturalness BETWEEN 0 AND 100);
+
+-- Step 2: Backfill from the feedback already stored in ai_feedback
+-- =====================================================
+UPDATE practice_sessions
+SET
+  score_conjugation = LEAST(100, GREATEST(0, ROUND((ai_feedback->'scores'->>'conjugation')::NUMERIC))),
+  score_grammar = LEAST(100, GREATEST(0, ROUND((ai_feedback->'scores'->>'grammar')::NUMERIC))),
+  score_vocabulary = LEAST(100, GREATEST(0, ROUND((ai_feedback->'scores'->>'vocabulary')::NUMERIC))),
+  score_naturalness = LEAST(100, GREATEST(0, ROUND((ai_feedback->'scores'->>'naturalness')::NUMERIC)))
+WHERE jsonb_typeof(ai_feedback->'scores') = 'object'
+  AND score_conjugation IS NULL;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT is_correct, score_conjugation, score_grammar, score_vocabulary, score_naturalness
+-- FROM practice_sessions WHERE user_id = auth.uid() ORDER BY created_at DESC LIMIT 10;
+
+SELECT 'Feedback scores schema created successfully!' as message;
@@ -0,0 +1,86 @@
+-- =====================================================
+-- VERB × TENSE MASTERY
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_statistics.sql)
+--
+-- StatisticsScreen shows a matrix of the user's verbs × tenses, coloured
+-- by recent accuracy and by how many recent answers it rests on
+-- (utils/mastery.js). get_verb_tense_mastery() returns one row per
+-- (verb, tense) pair practised: all sessions, plus the accuracy of the
+-- last p_recent graded ones, so an old weakness that has been worked on
+-- stops showing.
+-- =====================================================
+
+-- Step 1: Index for the latest sessions of each pair
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_verb_tense
+ON practice_sessions(user_id, verb_text, tense, created_at DESC);
+
+-- Step 2: Recent accuracy per (verb, tense)
+-- p_scoring: 'boolean' or 'weighted' (see practice_session_score)
+-- p_recent: how many of the latest graded sessions the accuracy uses
+-- Pairs are keyed by verb text, like most_practiced_verbs, so sessions
+-- saved before a verb was deleted and added again still count.
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_verb_tense_mastery(
+  p_scoring TEXT DEFAULT 'boolean',
+  p_recent INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  verb_text TEXT,
+  tense TEXT,
+  sessions INTEGER,
+  graded INTEGER,
+  recent_graded INTEGER,
+  recent_accuracy INTEGER,
+  last_practiced_at TIMESTAMPTZ
+) AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    s.verb_text,
+    s.tense,
+    COUNT(*)::INTEGER,
+    COUNT(s.score)::INTEGER,
+    COUNT(s.score) FILTER (WHERE s.recent_rank <= p_recent)::INTEGER,
+    COALESCE(ROUND(AVG(s.score) FILTER (WHERE s.recent_rank <= p_recent)), 0)::INTEGER,
+    MAX(s.created_at)
+  FROM (
+    SELECT
+      ps.verb_text,
+      ps.tense,
+      ps.created_at,
+      scored.score,
+      -- Graded sessions numbered from the latest; ungraded ones come last
+      ROW_NUMBER() OVER (
+        PARTITION BY ps.verb_text, ps.tense
+        ORDER BY (scored.score IS NULL), ps.created_at DESC
+      ) AS recent_rank
+    FROM practice_sessions ps
+    CROSS JOIN LATERAL (
+      SELECT practice_session_score(
+        ps.is_correct, ps.score_conjugation, ps.score_grammar,
+        ps.score_vocabulary, ps.score_naturalness, p_scoring
+      ) AS score
+    ) scored
+    WHERE ps.user_id = auth.uid()
+  ) s
+  GROUP BY s.verb_text, s.tense
+  ORDER BY s.verb_text, s.tense;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_verb_tense_mastery(TEXT, INTEGER) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT * FROM get_verb_tense_mastery();
+-- SELECT * FROM get_verb_tense_mastery('weighted', 5)
+-- WHERE recent_graded > 0 ORDER BY recent_accuracy LIMIT 10;
+
+SELECT 'Mastery function created successfully!' as message;
@@ -0,0 +1,33 @@
+-- =====================================================
+-- ADD MISTAKE TYPES TO PRACTICE SESSIONS
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Each session stores the types of mistakes found in the sentence
+-- (ids from utils/mistakeTaxonomy.js: wrong_auxiliary, missing_accent...).
+-- An empty array means no mistakes. NULL means the session was saved
+-- before this column existed; the app classifies those from ai_feedback
+-- and fills them in (add_mistake_types_backfill.sql).
+-- =====================================================
+
+-- Step 1: Add the mistake_types column to practice_sessions
+-- =====================================================
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS mistake_types TEXT[];
+
+-- Step 2: Index for "sessions with this mistake" queries
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_mistake_types
+ON practice_sessions USING GIN (mistake_types);
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT is_correct, mistake_types FROM practice_sessions
+-- WHERE user_id = auth.uid() ORDER BY created_at DESC LIMIT 10;
+--
+-- Most frequent mistake types:
+-- SELECT type, COUNT(*) FROM practice_sessions, UNNEST(mistake_types) AS type
+-- WHERE user_id = auth.uid() GROUP BY type ORDER BY COUNT(*) DESC;
+
+SELECT 'Mistake types schema created successfully!' as message;
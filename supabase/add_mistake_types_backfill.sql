@@ -0,0 +1,50 @@
+-- =====================================================
+-- FILL IN MISTAKE TYPES OF OLDER SESSIONS
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_mistake_types.sql)
+--
+-- Sessions saved before add_mistake_types.sql have mistake_types NULL, and
+-- get_practice_statistics() leaves them out of the mistake counts. The
+-- types are found from ai_feedback by utils/mistakeTaxonomy.js, which has
+-- no SQL equivalent, so the app classifies those sessions and saves the
+-- result with set_session_mistake_types() (see backfillMistakeTypes in
+-- utils/cloudStorage.js). Users can't update practice_sessions directly.
+-- =====================================================
+
+-- Step 1: Save the mistake types of the user's unclassified sessions
+-- p_sessions: [{ id, mistake_types: [type ids] }]
+-- Sessions that already have types, or belong to someone else, are skipped.
+-- Returns how many sessions were updated
+-- =====================================================
+CREATE OR REPLACE FUNCTION set_session_mistake_types(p_sessions JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_updated INTEGER;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  UPDATE practice_sessions s
+  SET mistake_types = ARRAY(SELECT jsonb_array_elements_text(item->'mistake_types'))
+  FROM jsonb_array_elements(p_sessions) item
+  WHERE s.id = (item->>'id')::UUID
+    AND s.user_id = v_user_id
+    AND s.mistake_types IS NULL;
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION set_session_mistake_types(JSONB) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- Sessions still waiting to be classified (0 once the app has run):
+-- SELECT COUNT(*) FROM practice_sessions
+-- WHERE user_id = auth.uid() AND mistake_types IS NULL;
+
+SELECT 'Mistake types backfill function created successfully!' as message;
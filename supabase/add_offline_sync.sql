@@ -0,0 +1,77 @@
+-- =====================================================
+-- ADD IDEMPOTENT WRITES FOR OFFLINE SYNC
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Practice attempts are queued on the device (utils/outbox.js) and may be
+-- sent more than once when an answer from the server gets lost. Each
+-- operation has a client-generated UUID, and the server applies it once:
+-- - practice_sessions.client_id is unique; repeats are ignored
+-- - practice count increments are recorded in client_operations
+-- =====================================================
+
+-- Step 1: Client id of each practice session
+-- =====================================================
+ALTER TABLE practice_sessions
+ADD COLUMN IF NOT EXISTS client_id UUID UNIQUE;
+
+-- Step 2: Operations already applied
+-- =====================================================
+CREATE TABLE IF NOT EXISTS client_operations (
+  id UUID PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE client_operations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own client operations" ON client_operations;
+CREATE POLICY "Users can view own client operations"
+  ON client_operations FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own client operations" ON client_operations;
+CREATE POLICY "Users can insert own client operations"
+  ON client_operations FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Step 3: Increment a verb's practice count once per operation
+-- Returns the new count, or NULL when the operation was already applied
+-- =====================================================
+CREATE OR REPLACE FUNCTION increment_verb_practice_count(p_verb_id UUID, p_operation_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  new_count INTEGER;
+BEGIN
+  INSERT INTO client_operations (id, user_id)
+  VALUES (p_operation_id, auth.uid())
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE user_verbs
+  SET practice_count = COALESCE(practice_count, 0) + 1,
+      updated_at = NOW()
+  WHERE id = p_verb_id
+    AND user_id = auth.uid()
+  RETURNING practice_count INTO new_count;
+
+  RETURN new_count;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION increment_verb_practice_count(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT client_id, created_at FROM practice_sessions
+-- WHERE user_id = auth.uid() ORDER BY created_at DESC LIMIT 10;
+--
+-- Calling twice with the same operation id increments once:
+-- SELECT increment_verb_practice_count('<verb id>', '00000000-0000-4000-8000-000000000001');
+-- SELECT increment_verb_practice_count('<verb id>', '00000000-0000-4000-8000-000000000001');
+
+SELECT 'Offline sync schema created successfully!' as message;
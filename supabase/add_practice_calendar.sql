@@ -0,0 +1,102 @@
+-- =====================================================
+-- PRACTICE CALENDAR (HEATMAP ON STATISTICS)
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_calendar_settings.sql)
+--
+-- StatisticsScreen shows a cell for each day of the past 12 months,
+-- shaded by the number of sessions and coloured by their accuracy
+-- (components/PracticeHeatmap.js). Tapping a day lists its sessions.
+-- - get_practice_days(): sessions, graded sessions and accuracy per day
+-- - get_practice_sessions_on_day(): the sessions of one day
+-- Days are counted in the user's time zone, as for the streaks.
+-- =====================================================
+
+-- Step 1: The time zone days are counted in
+-- The user's setting, else the zone the app sent, else UTC
+-- =====================================================
+CREATE OR REPLACE FUNCTION user_time_zone(p_fallback TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (
+      SELECT name FROM pg_timezone_names
+      WHERE name = COALESCE(
+        (SELECT time_zone FROM user_settings WHERE user_id = auth.uid()),
+        p_fallback
+      )
+    ),
+    'UTC'
+  );
+$$ LANGUAGE sql STABLE SECURITY INVOKER;
+
+-- Step 2: Sessions and accuracy per day, from p_from to p_to (included)
+-- p_scoring: 'boolean' or 'weighted' (see practice_session_score)
+-- Days without practice are left out.
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_practice_days(
+  p_from DATE,
+  p_to DATE,
+  p_scoring TEXT DEFAULT 'boolean',
+  p_time_zone TEXT DEFAULT NULL
+)
+RETURNS TABLE (day DATE, sessions INTEGER, graded INTEGER, accuracy INTEGER) AS $$
+DECLARE
+  v_time_zone TEXT := user_time_zone(p_time_zone);
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    d.day,
+    COUNT(*)::INTEGER,
+    COUNT(d.score)::INTEGER,
+    COALESCE(ROUND(AVG(d.score)), 0)::INTEGER
+  FROM (
+    SELECT
+      (created_at AT TIME ZONE v_time_zone)::DATE AS day,
+      practice_session_score(
+        is_correct, score_conjugation, score_grammar, score_vocabulary, score_naturalness, p_scoring
+      ) AS score
+    FROM practice_sessions
+    WHERE user_id = auth.uid()
+      -- A range on created_at, so idx_practice_sessions_user_created is used
+      AND created_at >= (p_from::TIMESTAMP AT TIME ZONE v_time_zone)
+      AND created_at < ((p_to + 1)::TIMESTAMP AT TIME ZONE v_time_zone)
+  ) d
+  GROUP BY d.day
+  ORDER BY d.day;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_practice_days(DATE, DATE, TEXT, TEXT) TO authenticated;
+
+-- Step 3: The sessions of one day, oldest first
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_practice_sessions_on_day(
+  p_day DATE,
+  p_time_zone TEXT DEFAULT NULL
+)
+RETURNS SETOF practice_sessions AS $$
+DECLARE
+  v_time_zone TEXT := user_time_zone(p_time_zone);
+BEGIN
+  RETURN QUERY
+  SELECT * FROM practice_sessions
+  WHERE user_id = auth.uid()
+    AND created_at >= (p_day::TIMESTAMP AT TIME ZONE v_time_zone)
+    AND created_at < ((p_day + 1)::TIMESTAMP AT TIME ZONE v_time_zone)
+  ORDER BY created_at;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_practice_sessions_on_day(DATE, TEXT) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT * FROM get_practice_days(CURRENT_DATE - 364, CURRENT_DATE);
+-- SELECT verb_text, tense, is_correct, created_at
+-- FROM get_practice_sessions_on_day(CURRENT_DATE);
+
+SELECT 'Practice calendar functions created successfully!' as message;
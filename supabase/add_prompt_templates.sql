@@ -0,0 +1,62 @@
+-- =====================================================
+-- ADD APP-WIDE PROMPT TEMPLATE SETTING
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_roles.sql)
+--
+-- Stores app-wide settings chosen by admins. For now the only one is
+-- 'prompt_template': the id of the AI prompt template every user's app
+-- sends (ids from utils/aiProviders/prompts.js).
+--
+-- The template id and version used for each answer are kept in
+-- practice_sessions.ai_feedback (promptId, promptVersion).
+-- =====================================================
+
+-- Step 1: Create app_settings table
+-- =====================================================
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+
+-- Step 2: Everyone signed in can read, only admins can change
+-- =====================================================
+DROP POLICY IF EXISTS "Users can view app settings" ON app_settings;
+CREATE POLICY "Users can view app settings"
+  ON app_settings FOR SELECT
+  USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins can insert app settings" ON app_settings;
+CREATE POLICY "Admins can insert app settings"
+  ON app_settings FOR INSERT
+  WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins can update app settings" ON app_settings;
+CREATE POLICY "Admins can update app settings"
+  ON app_settings FOR UPDATE
+  USING (is_admin());
+
+-- Step 3: Start with the default template
+-- =====================================================
+INSERT INTO app_settings (key, value)
+VALUES ('prompt_template', '"detailed"')
+ON CONFLICT (key) DO NOTHING;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT key, value, updated_at FROM app_settings;
+--
+-- Verdicts per template version:
+-- SELECT ai_feedback->>'promptId' AS template,
+--        ai_feedback->>'promptVersion' AS version,
+--        COUNT(*) AS sessions,
+--        AVG(CASE WHEN is_correct THEN 1 ELSE 0 END) AS correct_rate
+-- FROM practice_sessions
+-- WHERE is_correct IS NOT NULL
+-- GROUP BY 1, 2;
+
+SELECT 'Prompt template settings created successfully!' as message;
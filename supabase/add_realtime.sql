@@ -0,0 +1,34 @@
+-- =====================================================
+-- REALTIME SUBSCRIPTIONS FOR MULTI-DEVICE SYNC
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- The app (utils/dataStore.js) subscribes to changes on user_verbs,
+-- practice_sessions and user_settings for the signed-in user, so practice
+-- on one device shows up on the others right away. Row Level Security
+-- decides which changes each user receives.
+-- =====================================================
+
+-- Step 1: Add the tables to the realtime publication
+-- =====================================================
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['user_verbs', 'practice_sessions', 'user_settings'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT tablename FROM pg_publication_tables
+-- WHERE pubname = 'supabase_realtime' ORDER BY tablename;
+
+SELECT 'Realtime subscriptions enabled successfully!' as message;
@@ -0,0 +1,185 @@
+-- =====================================================
+-- RECORD A PRACTICE ATTEMPT IN ONE TRANSACTION
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_offline_sync.sql)
+--
+-- record_practice() does everything an answer changes, atomically:
+-- - inserts the practice_sessions row
+-- - adds one to user_verbs.practice_count and sets last_practiced_at
+-- - reschedules the (verb, tense) pair in verb_reviews
+--
+-- The operation id (a client-generated UUID, see utils/outbox.js) is
+-- recorded in client_operations, so a replayed attempt changes nothing.
+-- The scheduling follows the same SM-2 rules as utils/scheduler.js; keep
+-- the two in step.
+-- =====================================================
+
+-- Step 1: Record a practice attempt
+-- p_session: practice_sessions columns (verb_text, tense, user_sentence,
+--   is_correct, score_*, mistake_types, ai_feedback, created_at), or NULL
+--   to only count the practice
+-- p_count: FALSE to only save the session
+-- Returns { duplicate, session, practice_count }
+-- =====================================================
+CREATE OR REPLACE FUNCTION record_practice(
+  p_operation_id UUID,
+  p_verb_id UUID,
+  p_session JSONB DEFAULT NULL,
+  p_count BOOLEAN DEFAULT TRUE
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_verb_id UUID;
+  v_practiced_at TIMESTAMPTZ;
+  v_session practice_sessions;
+  v_count INTEGER;
+  v_is_correct BOOLEAN;
+  v_tense TEXT;
+  v_review verb_reviews;
+  v_old_ease REAL;
+  v_ease REAL;
+  v_interval INTEGER;
+  v_repetitions INTEGER;
+  v_lapses INTEGER;
+  v_due_at TIMESTAMPTZ;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- Apply each operation once
+  INSERT INTO client_operations (id, user_id)
+  VALUES (p_operation_id, v_user_id)
+  ON CONFLICT (id) DO NOTHING;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('duplicate', true);
+  END IF;
+
+  -- Only the user's own verbs (a verb deleted meanwhile leaves verb_id empty)
+  SELECT id INTO v_verb_id
+  FROM user_verbs
+  WHERE id = p_verb_id AND user_id = v_user_id;
+
+  v_practiced_at := COALESCE((p_session->>'created_at')::TIMESTAMPTZ, NOW());
+
+  -- The session
+  IF p_session IS NOT NULL THEN
+    INSERT INTO practice_sessions (
+      client_id, user_id, verb_id, verb_text, tense, user_sentence, is_correct,
+      score_conjugation, score_grammar, score_vocabulary, score_naturalness,
+      mistake_types, ai_feedback, created_at
+    )
+    SELECT
+      p_operation_id, v_user_id, v_verb_id, s.verb_text, s.tense, s.user_sentence, s.is_correct,
+      s.score_conjugation, s.score_grammar, s.score_vocabulary, s.score_naturalness,
+      COALESCE(s.mistake_types, '{}'), s.ai_feedback, v_practiced_at
+    FROM jsonb_populate_record(NULL::practice_sessions, p_session) s
+    ON CONFLICT (client_id) DO NOTHING
+    RETURNING * INTO v_session;
+
+    -- Saved by an app version that didn't use this function
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object('duplicate', true);
+    END IF;
+  END IF;
+
+  -- The verb's practice count
+  IF p_count AND v_verb_id IS NOT NULL THEN
+    UPDATE user_verbs
+    SET practice_count = COALESCE(practice_count, 0) + 1,
+        last_practiced_at = GREATEST(last_practiced_at, v_practiced_at),
+        updated_at = NOW()
+    WHERE id = v_verb_id
+    RETURNING practice_count INTO v_count;
+  END IF;
+
+  -- The review schedule (ungraded attempts leave it alone)
+  v_is_correct := v_session.is_correct;
+  v_tense := v_session.tense;
+
+  IF p_session IS NOT NULL AND v_verb_id IS NOT NULL AND v_tense IS NOT NULL AND v_is_correct IS NOT NULL THEN
+    SELECT * INTO v_review
+    FROM verb_reviews
+    WHERE user_id = v_user_id AND verb_id = v_verb_id AND tense = v_tense
+    FOR UPDATE;
+
+    v_old_ease := COALESCE(v_review.ease, 2.5);
+    v_interval := COALESCE(v_review.interval_days, 0);
+    v_repetitions := COALESCE(v_review.repetitions, 0);
+    v_lapses := COALESCE(v_review.lapses, 0);
+
+    -- SM-2 ease update with grade 4 (correct) or 1 (incorrect), never below 1.3
+    v_ease := GREATEST(
+      1.3,
+      v_old_ease + 0.1 - (5 - CASE WHEN v_is_correct THEN 4 ELSE 1 END)
+        * (0.08 + (5 - CASE WHEN v_is_correct THEN 4 ELSE 1 END) * 0.02)
+    );
+
+    IF v_is_correct THEN
+      v_interval := CASE
+        WHEN v_repetitions = 0 THEN 1
+        WHEN v_repetitions = 1 THEN 6
+        ELSE ROUND((v_interval * v_old_ease)::NUMERIC)
+      END;
+      v_repetitions := v_repetitions + 1;
+      v_due_at := v_practiced_at + make_interval(days => v_interval);
+    ELSE
+      -- A missed pair comes back later in the same session
+      v_interval := 0;
+      v_repetitions := 0;
+      v_lapses := v_lapses + 1;
+      v_due_at := v_practiced_at + INTERVAL '10 minutes';
+    END IF;
+
+    INSERT INTO verb_reviews (
+      user_id, verb_id, tense, ease, interval_days, repetitions, lapses,
+      due_at, last_reviewed_at, updated_at
+    )
+    VALUES (
+      v_user_id, v_verb_id, v_tense, v_ease, v_interval, v_repetitions, v_lapses,
+      v_due_at, v_practiced_at, NOW()
+    )
+    ON CONFLICT (user_id, verb_id, tense) DO UPDATE
+    SET ease = EXCLUDED.ease,
+        interval_days = EXCLUDED.interval_days,
+        repetitions = EXCLUDED.repetitions,
+        lapses = EXCLUDED.lapses,
+        due_at = EXCLUDED.due_at,
+        last_reviewed_at = EXCLUDED.last_reviewed_at,
+        updated_at = EXCLUDED.updated_at;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'duplicate', false,
+    'session', CASE WHEN p_session IS NULL THEN NULL ELSE to_jsonb(v_session) END,
+    'practice_count', v_count
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION record_practice(UUID, UUID, JSONB, BOOLEAN) TO authenticated;
+
+-- Step 2: Keep the older increment function working for older app versions
+-- =====================================================
+CREATE OR REPLACE FUNCTION increment_verb_practice_count(p_verb_id UUID, p_operation_id UUID)
+RETURNS INTEGER AS $$
+  SELECT (record_practice(p_operation_id, p_verb_id, NULL, TRUE)->>'practice_count')::INTEGER;
+$$ LANGUAGE sql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION increment_verb_practice_count(UUID, UUID) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT record_practice(
+--   '00000000-0000-4000-8000-000000000002', '<verb id>',
+--   '{"verb_text": "manger", "tense": "present", "user_sentence": "Je mange.", "is_correct": true}'
+-- );
+--
+-- The same operation id again returns {"duplicate": true} and changes nothing:
+-- SELECT verb, practice_count, last_practiced_at FROM user_verbs WHERE id = '<verb id>';
+-- SELECT * FROM verb_reviews WHERE verb_id = '<verb id>';
+
+SELECT 'Practice recording function created successfully!' as message;
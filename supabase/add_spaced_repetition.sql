@@ -0,0 +1,58 @@
+-- =====================================================
+-- ADD SPACED REPETITION TO FRENCH VERB PRACTICE APP
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Each (verb, tense) pair a user practises gets a review row
+-- with SM-2 state (ease, interval, repetitions) and a due date.
+-- The app picks the most overdue pair for the next question.
+-- =====================================================
+
+-- Step 1: Create verb_reviews table
+-- =====================================================
+CREATE TABLE IF NOT EXISTS verb_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  verb_id UUID REFERENCES user_verbs(id) ON DELETE CASCADE NOT NULL,
+  tense TEXT NOT NULL,
+  ease REAL DEFAULT 2.5,
+  interval_days INTEGER DEFAULT 0,
+  repetitions INTEGER DEFAULT 0,
+  lapses INTEGER DEFAULT 0,
+  due_at TIMESTAMPTZ DEFAULT NOW(),
+  last_reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, verb_id, tense)
+);
+
+-- Step 2: Index for "what is due next"
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_verb_reviews_user_due ON verb_reviews(user_id, due_at);
+
+-- Step 3: Row level security
+-- =====================================================
+ALTER TABLE verb_reviews ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own reviews" ON verb_reviews;
+CREATE POLICY "Users can view own reviews"
+  ON verb_reviews FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own reviews" ON verb_reviews;
+CREATE POLICY "Users can insert own reviews"
+  ON verb_reviews FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own reviews" ON verb_reviews;
+CREATE POLICY "Users can update own reviews"
+  ON verb_reviews FOR UPDATE
+  USING (auth.uid() = user_id);
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- Reviews due now:
+-- SELECT * FROM verb_reviews WHERE user_id = auth.uid() AND due_at <= NOW() ORDER BY due_at;
+
+SELECT 'Spaced repetition schema created successfully!' as message;
@@ -0,0 +1,206 @@
+-- =====================================================
+-- STATISTICS COMPUTED IN THE DATABASE
+-- =====================================================
+-- Run this in Supabase SQL Editor (after add_feedback_scores.sql and
+-- add_mistake_types.sql)
+--
+-- StatisticsScreen used to download every practice session (ai_feedback
+-- included) and add them up on the device. get_practice_statistics()
+-- returns the totals, this week's numbers, the most practised verbs,
+-- accuracy per tense, the streaks and the mistake counts instead, so the
+-- answer stays the same size however long the history gets.
+--
+-- Accuracy follows utils/scoring.js ('boolean' or 'weighted', same weights);
+-- keep the two in step.
+-- =====================================================
+
+-- Step 1: Indexes for per-user scans by date, verb and tense
+-- =====================================================
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_created
+ON practice_sessions(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_verb
+ON practice_sessions(user_id, verb_text);
+
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_user_tense
+ON practice_sessions(user_id, tense);
+
+-- Step 2: Score of one session from 0 to 100 (NULL when ungraded)
+-- =====================================================
+CREATE OR REPLACE FUNCTION practice_session_score(
+  p_is_correct BOOLEAN,
+  p_conjugation SMALLINT,
+  p_grammar SMALLINT,
+  p_vocabulary SMALLINT,
+  p_naturalness SMALLINT,
+  p_scoring TEXT
+)
+RETURNS NUMERIC AS $$
+  SELECT CASE
+    WHEN p_is_correct IS NULL THEN NULL
+    -- Weighted: missing categories are left out and the weights rescaled
+    WHEN p_scoring = 'weighted'
+      AND COALESCE(p_conjugation, p_grammar, p_vocabulary, p_naturalness) IS NOT NULL THEN
+      ROUND(
+        (COALESCE(p_conjugation * 0.4, 0) + COALESCE(p_grammar * 0.25, 0)
+          + COALESCE(p_vocabulary * 0.15, 0) + COALESCE(p_naturalness * 0.2, 0))
+        / (CASE WHEN p_conjugation IS NULL THEN 0 ELSE 0.4 END
+          + CASE WHEN p_grammar IS NULL THEN 0 ELSE 0.25 END
+          + CASE WHEN p_vocabulary IS NULL THEN 0 ELSE 0.15 END
+          + CASE WHEN p_naturalness IS NULL THEN 0 ELSE 0.2 END)
+      )
+    WHEN p_is_correct THEN 100
+    ELSE 0
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Step 3: The current user's statistics
+-- p_scoring: 'boolean' or 'weighted'
+-- p_time_zone: IANA name of the device's time zone; days (streaks, days
+--   practised) are counted in it
+-- p_week_start / p_week_end: the current week, as the app shows it
+-- p_mistake_weeks: how many weeks of mistake trend to return
+--
+-- Sessions saved before mistake_types existed (NULL) are left out of the
+-- mistake counts until the app has filled in their types (see
+-- add_mistake_types_backfill.sql); getStatistics does that first.
+-- =====================================================
+CREATE OR REPLACE FUNCTION get_practice_statistics(
+  p_scoring TEXT,
+  p_time_zone TEXT,
+  p_week_start TIMESTAMPTZ,
+  p_week_end TIMESTAMPTZ,
+  p_mistake_weeks INTEGER DEFAULT 6
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_today DATE := (NOW() AT TIME ZONE p_time_zone)::DATE;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  RETURN (
+    WITH sessions AS (
+      SELECT
+        created_at,
+        verb_text,
+        tense,
+        is_correct,
+        mistake_types,
+        (created_at AT TIME ZONE p_time_zone)::DATE AS day,
+        practice_session_score(
+          is_correct, score_conjugation, score_grammar, score_vocabulary, score_naturalness, p_scoring
+        ) AS score
+      FROM practice_sessions
+      WHERE user_id = v_user_id
+    ),
+    week AS (
+      SELECT * FROM sessions
+      WHERE created_at >= p_week_start AND created_at <= p_week_end
+    ),
+    -- Consecutive practice days share a run: day minus its rank is constant
+    runs AS (
+      SELECT MIN(day) AS first_day, MAX(day) AS last_day, COUNT(*) AS length
+      FROM (
+        SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS run
+        FROM (SELECT DISTINCT day FROM sessions) days
+      ) numbered
+      GROUP BY run
+    ),
+    mistakes AS (
+      SELECT
+        mistake_types,
+        FLOOR(EXTRACT(EPOCH FROM NOW() - created_at) / (7 * 24 * 60 * 60))::INTEGER AS weeks_ago
+      FROM sessions
+      WHERE score IS NOT NULL AND mistake_types IS NOT NULL
+    )
+    SELECT jsonb_build_object(
+      'total_sessions', (SELECT COUNT(*) FROM sessions),
+      'overall_accuracy', (SELECT COALESCE(ROUND(AVG(score)), 0) FROM sessions),
+      'total_verbs', (SELECT COUNT(*) FROM user_verbs WHERE user_id = v_user_id),
+
+      'week_sessions', (SELECT COUNT(*) FROM week),
+      'week_accuracy', (SELECT COALESCE(ROUND(AVG(score)), 0) FROM week),
+      'days_practiced_this_week', (SELECT COUNT(DISTINCT day) FROM week),
+
+      'most_practiced_verbs', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('verb', verb_text, 'count', count) ORDER BY count DESC, verb_text)
+        FROM (
+          SELECT verb_text, COUNT(*) AS count FROM sessions
+          GROUP BY verb_text ORDER BY count DESC, verb_text LIMIT 5
+        ) verbs
+      ), '[]'),
+
+      'tenses', COALESCE((
+        SELECT jsonb_agg(tenses)
+        FROM (
+          SELECT
+            tense AS id,
+            COUNT(*) AS total,
+            COUNT(score) AS graded,
+            COUNT(*) FILTER (WHERE is_correct) AS correct,
+            COALESCE(ROUND(AVG(score)), 0) AS accuracy
+          FROM sessions
+          GROUP BY tense
+        ) tenses
+      ), '[]'),
+
+      -- The current streak is the run that reaches today
+      'current_streak', (
+        SELECT COALESCE(MAX(v_today - first_day + 1), 0) FROM runs
+        WHERE first_day <= v_today AND last_day >= v_today
+      ),
+      'best_streak', (SELECT COALESCE(MAX(length), 0) FROM runs),
+
+      'mistakes', jsonb_build_object(
+        'graded', (SELECT COUNT(*) FROM mistakes),
+        'counts', COALESCE((
+          SELECT jsonb_object_agg(type, count)
+          FROM (
+            SELECT type, COUNT(*) AS count FROM mistakes, UNNEST(mistake_types) AS type
+            GROUP BY type
+          ) counts
+        ), '{}'),
+        'weeks', COALESCE((
+          SELECT jsonb_agg(jsonb_build_object('weeks_ago', weeks_ago, 'sessions', sessions, 'counts', counts))
+          FROM (
+            SELECT
+              m.weeks_ago,
+              COUNT(*) AS sessions,
+              COALESCE((
+                SELECT jsonb_object_agg(type, count)
+                FROM (
+                  SELECT type, COUNT(*) AS count
+                  FROM mistakes w, UNNEST(w.mistake_types) AS type
+                  WHERE w.weeks_ago = m.weeks_ago
+                  GROUP BY type
+                ) week_counts
+              ), '{}') AS counts
+            FROM mistakes m
+            WHERE m.weeks_ago BETWEEN 0 AND p_mistake_weeks - 1
+            GROUP BY m.weeks_ago
+          ) weeks
+        ), '[]')
+      )
+    )
+  );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION get_practice_statistics(TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT get_practice_statistics(
+--   'boolean', 'Europe/Paris',
+--   date_trunc('week', NOW()), date_trunc('week', NOW()) + INTERVAL '7 days' - INTERVAL '1 millisecond'
+-- );
+--
+-- The plan should use idx_practice_sessions_user_created:
+-- EXPLAIN SELECT created_at FROM practice_sessions
+-- WHERE user_id = auth.uid() ORDER BY created_at DESC;
+
+SELECT 'Statistics functions created successfully!' as message;
@@ -0,0 +1,29 @@
+-- =====================================================
+-- ADD TENSE SELECTION TO FRENCH VERB PRACTICE APP
+-- =====================================================
+-- Run this in Supabase SQL Editor
+--
+-- Stores which tenses each user practises (ids from data/tenses.js).
+-- NULL means "use the app defaults" (présent, passé composé, imparfait and
+-- futur simple: the intermediate tier; advanced tenses are opt-in).
+-- =====================================================
+
+-- Step 1: Add enabled_tenses column to user_settings
+-- =====================================================
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS enabled_tenses TEXT[];
+
+-- Step 2: Allow inserts on user_settings
+-- saveUserSettings upserts, and Postgres checks INSERT policies on upsert
+-- =====================================================
+DROP POLICY IF EXISTS "Users can insert own settings" ON user_settings;
+CREATE POLICY "Users can insert own settings"
+  ON user_settings FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+-- SELECT user_id, enabled_tenses FROM user_settings WHERE user_id = auth.uid();
+
+SELECT 'Tense settings schema created successfully!' as message;
@@ -6,6 +6,7 @@
  */
 
 import { supabase } from './supabase';
+import { saveActivePromptId } from './storage';
 
 // =====================================================
 // USER MANAGEMENT
@@ -314,3 +315,65 @@ export const getCurrentUserRole = async () => {
   }
 };
 
+// =====================================================
+// AI PROMPT TEMPLATES
+// =====================================================
+
+/**
+ * Get the id of the prompt template every user's app sends (admin only)
+ * @returns {Promise<Object>} { success, templateId } (null when never set)
+ */
+export const getActivePromptTemplate = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value, updated_at')
+      .eq('key', 'prompt_template')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching prompt template:', error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, templateId: data?.value || null, updatedAt: data?.updated_at || null };
+  } catch (err) {
+    console.error('Exception fetching prompt template:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Switch every user to another prompt template (admin only)
+ * Users pick it up the next time they sign in or open the app.
+ * @param {string} templateId - Template id from aiProviders/prompts.js
+ */
+export const setActivePromptTemplate = async (templateId) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert({
+        key: 'prompt_template',
+        value: templateId,
+        updated_at: new Date().toISOString(),
+        updated_by: user?.id || null,
+      }, {
+        onConflict: 'key'
+      });
+
+    if (error) {
+      console.error('Error setting prompt template:', error);
+      return { success: false, error: error.message };
+    }
+
+    // Use it on this device straight away
+    await saveActivePromptId(templateId);
+
+    return { success: true };
+  } catch (err) {
+    console.error('Exception setting prompt template:', err);
+    return { success: false, error: err.message };
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * AI Error Types
+ *
+ * Every failure coming out of aiService is an AIServiceError with a `type`,
+ * so screens can react to what went wrong without parsing messages.
+ * Re-exported from aiService; providers import it from here.
+ */
+
+export const AI_ERROR_TYPES = {
+  AUTH: 'auth',                         // Missing permission or invalid API key (401, 403)
+  QUOTA: 'quota',                       // Rate limited or out of credits (429, 402)
+  TIMEOUT: 'timeout',                   // No answer before the request timeout
+  NETWORK: 'network',                   // Couldn't reach the provider
+  SERVER: 'server',                     // Provider-side failure (5xx)
+  INVALID_REQUEST: 'invalid_request',   // Rejected request (unknown model, bad URL...)
+  INVALID_RESPONSE: 'invalid_response', // Answer missing or unusable
+  INVALID_INPUT: 'invalid_input',       // The user's sentence was refused before sending
+  NOT_CONFIGURED: 'not_configured',     // No API key or unknown provider
+};
+
+// Failures worth retrying or handing to another provider
+const TRANSIENT_TYPES = [
+  AI_ERROR_TYPES.QUOTA,
+  AI_ERROR_TYPES.NETWORK,
+  AI_ERROR_TYPES.SERVER,
+  AI_ERROR_TYPES.TIMEOUT,
+];
+
+export class AIServiceError extends Error {
+  /**
+   * @param {string} type - One of AI_ERROR_TYPES
+   * @param {string} message - Human-readable message
+   * @param {Object} details - { status, retryAfterMs } from the HTTP response, if any
+   */
+  constructor(type, message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'AIServiceError';
+    this.type = type;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Map an HTTP status to an error type
+ * @param {number} status
+ * @returns {string} One of AI_ERROR_TYPES
+ */
+export function getErrorTypeForStatus(status) {
+  if (status === 401 || status === 403) return AI_ERROR_TYPES.AUTH;
+  if (status === 402 || status === 429) return AI_ERROR_TYPES.QUOTA;
+  if (status >= 500) return AI_ERROR_TYPES.SERVER;
+  return AI_ERROR_TYPES.INVALID_REQUEST;
+}
+
+/**
+ * Whether another attempt (same or other provider) might succeed
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  return TRANSIENT_TYPES.includes(error?.type);
+}
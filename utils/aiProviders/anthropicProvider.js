@@ -0,0 +1,83 @@
+/**
+ * Anthropic Provider
+ * Handles communication with Anthropic's Messages API (Claude models)
+ */
+
+import {
+  TEMPERATURE,
+  fetchWithRetry,
+  prepareSentence,
+  buildPrompt,
+  buildConversation,
+  requestFeedback,
+} from './shared';
+import { getPromptTemplate } from './prompts';
+import { AI_ERROR_TYPES, AIServiceError } from '../aiErrors';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+export const MODEL_NAME = 'claude-haiku-4-5'; // Fast, cost-effective model
+const MAX_TOKENS = 1024; // Required by the Messages API; the JSON answer is far shorter
+
+/**
+ * Call Anthropic to evaluate a French sentence
+ * @param {string} verb - The infinitive form of the verb
+ * @param {string} tense - The tense name or id (e.g., "Présent" or "present")
+ * @param {string} userSentence - The sentence written by the user
+ * @param {string} apiKey - The Anthropic API key
+ * @param {Object} config - { promptTemplate }, defaults to the default template
+ * @returns {Promise<Object>} Response with corrections and suggestions
+ */
+export async function evaluateSentence(verb, tense, userSentence, apiKey, config = {}) {
+  try {
+    const sentence = prepareSentence(userSentence);
+    const template = config.promptTemplate || getPromptTemplate();
+    const prompt = buildPrompt(verb, tense, sentence, template);
+
+    return await requestFeedback(MODEL_NAME, prompt, (previousReply) =>
+      requestMessage(apiKey, template.system, prompt, previousReply)
+    );
+
+  } catch (error) {
+    console.error('Anthropic API Error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Send one Messages API request
+ * @returns {Promise<Object>} { text, inputTokens, outputTokens }
+ */
+async function requestMessage(apiKey, system, prompt, previousReply) {
+  const response = await fetchWithRetry(ANTHROPIC_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      // The key belongs to the user and is sent straight from their device
+      'anthropic-dangerous-direct-browser-access': 'true',
+    },
+    body: JSON.stringify({
+      model: MODEL_NAME,
+      system,
+      messages: buildConversation(prompt, previousReply),
+      max_tokens: MAX_TOKENS,
+      temperature: TEMPERATURE,
+    }),
+  });
+
+  // The answer comes back as a list of content blocks
+  const data = await response.json().catch(() => null);
+  const text = data?.content?.find(block => block.type === 'text')?.text;
+
+  if (!text) {
+    throw new AIServiceError(AI_ERROR_TYPES.INVALID_RESPONSE, 'No response from AI');
+  }
+
+  return {
+    text,
+    inputTokens: data.usage?.input_tokens,
+    outputTokens: data.usage?.output_tokens,
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * AI Feedback Parser
+ * Turns the model's answer into a feedback object that matches the JSON
+ * contract in prompts.js:
+ * 1. Parse the JSON (ignoring code fences and prose around it)
+ * 2. If that fails, repair common LLM mistakes and parse again
+ * 3. Validate every field against FEEDBACK_SCHEMA, coercing types
+ *    ("true" → true, a lone string → [string], "85" → 85...)
+ *
+ * Answers that still can't be read come back with `parseError: true` and
+ * `isCorrect: null`, so they are never counted as right or wrong.
+ */
+
+import { SCORE_CATEGORIES } from '../scoring';
+import { ISSUE_CATEGORIES } from '../issueSpans';
+import { MISTAKE_TYPE_IDS } from '../mistakeTaxonomy';
+
+// Field → expected type. Only isCorrect is required: without it there is no verdict.
+export const FEEDBACK_SCHEMA = {
+  isCorrect: { type: 'boolean', required: true },
+  correctConjugation: { type: 'string' },
+  verbAnalysis: { type: 'string' },
+  grammarIssues: { type: 'string[]' },
+  semanticAnalysis: { type: 'string' },
+  alternativePhrasings: { type: 'string[]' },
+  suggestion: { type: 'string' },
+  encouragement: { type: 'string' },
+  scores: { type: 'scores' }, // 0–100 per SCORE_CATEGORIES; null if the model gave none
+  issues: { type: 'issues' }, // Mistakes located in the sentence, see issueSpans.js
+};
+
+const TRUE_WORDS = ['true', 'yes', 'correct'];
+const FALSE_WORDS = ['false', 'no', 'incorrect'];
+
+// =====================================================
+// EXTRACTING & REPAIRING
+// =====================================================
+
+/**
+ * Pull the JSON object out of the answer: inside a ``` fence if there is
+ * one, then from the first "{" to the last "}"
+ * @param {string} text
+ * @returns {string}
+ */
+export function extractJson(text) {
+  let clean = (text || '').trim();
+
+  const fenced = clean.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    clean = fenced[1].trim();
+  }
+
+  const start = clean.indexOf('{');
+  const end = clean.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    clean = clean.slice(start, end + 1);
+  }
+  return clean;
+}
+
+/**
+ * Escape raw line breaks and tabs inside string literals
+ * (JSON.parse rejects them, models often write multi-line strings)
+ */
+function escapeControlCharacters(json) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (inString && !escaped) {
+      if (char === '\n') { result += '\\n'; continue; }
+      if (char === '\r') { result += '\\r'; continue; }
+      if (char === '\t') { result += '\\t'; continue; }
+    }
+    if (char === '"' && !escaped) {
+      inString = !inString;
+    }
+    escaped = char === '\\' && !escaped;
+    result += char;
+  }
+  return result;
+}
+
+/**
+ * Fix the JSON mistakes models make most often
+ * - smart quotes used as string delimiters (“isCorrect”)
+ * - trailing commas before } or ]
+ * - Python-style True / False / None
+ * - raw line breaks inside strings
+ * @param {string} json - Output of extractJson
+ * @returns {string}
+ */
+export function repairJson(json) {
+  const repaired = json
+    .replace(/[“”„‟]/g, '"')
+    .replace(/,\s*([}\]])/g, '$1')
+    .replace(/:\s*True\b/g, ': true')
+    .replace(/:\s*False\b/g, ': false')
+    .replace(/:\s*None\b/g, ': null');
+  return escapeControlCharacters(repaired);
+}
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value === 'string') {
+    const word = value.trim().toLowerCase();
+    if (TRUE_WORDS.includes(word)) return true;
+    if (FALSE_WORDS.includes(word)) return false;
+  }
+  return undefined;
+}
+
+function coerceString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+    return value.join(' ').trim();
+  }
+  return undefined;
+}
+
+function coerceStringArray(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') return value.trim() ? [value.trim()] : [];
+  if (!Array.isArray(value)) return undefined;
+
+  const items = value.map(coerceString);
+  if (items.includes(undefined)) return undefined;
+  return items.filter(item => item.length > 0);
+}
+
+function coerceScore(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+  return Math.min(100, Math.max(0, Math.round(number)));
+}
+
+// Unusable categories become null rather than failing the whole object
+function coerceScores(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+  const scores = {};
+  SCORE_CATEGORIES.forEach(({ id }) => {
+    scores[id] = coerceScore(value[id]);
+  });
+  return scores;
+}
+
+function coerceOffset(value) {
+  const number = typeof value === 'string' ? parseInt(value, 10) : value;
+  return Number.isInteger(number) ? number : null;
+}
+
+// Items that aren't objects are dropped; offsets are checked later
+// against the sentence (alignIssueSpans)
+function coerceIssues(value) {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) return undefined;
+
+  return value
+    .filter(item => item && typeof item === 'object' && !Array.isArray(item))
+    .map(item => ({
+      start: coerceOffset(item.start),
+      end: coerceOffset(item.end),
+      text: coerceString(item.text) || '',
+      category: ISSUE_CATEGORIES.includes(item.category) ? item.category : 'other',
+      // Unknown types are classified later from the text (mistakeTaxonomy.js)
+      type: MISTAKE_TYPE_IDS.includes(item.type) ? item.type : null,
+      replacement: coerceString(item.replacement) || '',
+      explanation: coerceString(item.explanation) || '',
+    }))
+    .filter(item => item.text || (item.start !== null && item.end !== null));
+}
+
+const COERCERS = {
+  boolean: coerceBoolean,
+  string: coerceString,
+  'string[]': coerceStringArray,
+  scores: coerceScores,
+  issues: coerceIssues,
+};
+
+// What an optional field gets when its value can't be used
+const EMPTY_VALUES = {
+  string: '',
+  'string[]': [],
+  scores: null,
+  issues: [],
+};
+
+/**
+ * Check a parsed object against FEEDBACK_SCHEMA
+ * Values of the wrong type are coerced when the meaning is clear; optional
+ * fields that can't be coerced get their empty default.
+ *
+ * @param {*} raw - Parsed JSON
+ * @returns {Object} { valid, feedback, errors } - valid is false when a required field is unusable
+ */
+export function validateFeedback(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, feedback: null, errors: ['Answer is not a JSON object'] };
+  }
+
+  const feedback = {};
+  const errors = [];
+  let valid = true;
+
+  Object.entries(FEEDBACK_SCHEMA).forEach(([field, rule]) => {
+    if (rule.required && !(field in raw)) {
+      errors.push(`${field} is missing`);
+      valid = false;
+      return;
+    }
+
+    const value = COERCERS[rule.type](raw[field]);
+    if (value === undefined) {
+      errors.push(`${field} should be a ${rule.type}`);
+      if (rule.required) {
+        valid = false;
+      }
+      feedback[field] = EMPTY_VALUES[rule.type];
+      return;
+    }
+    feedback[field] = value;
+  });
+
+  return { valid, feedback, errors };
+}
+
+// =====================================================
+// PARSING
+// =====================================================
+
+/**
+ * Parse the AI's JSON response into structured data
+ * @param {string} aiText - Raw model answer
+ * @returns {Object} Feedback object; `parseError: true` (and isCorrect: null) if unreadable
+ */
+export function parseAIResponse(aiText) {
+  const json = extractJson(aiText);
+  let parsed;
+  let repaired = false;
+
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    try {
+      parsed = JSON.parse(repairJson(json));
+      repaired = true;
+    } catch (repairError) {
+      parsed = undefined;
+    }
+  }
+
+  const { valid, feedback, errors } = parsed === undefined
+    ? { valid: false, feedback: null, errors: ['Answer is not valid JSON'] }
+    : validateFeedback(parsed);
+
+  if (!valid) {
+    console.error('AI response failed validation:', errors);
+    console.log('Raw response:', aiText);
+
+    return {
+      isCorrect: null, // No verdict: excluded from accuracy
+      correctConjugation: '',
+      verbAnalysis: '',
+      grammarIssues: [],
+      semanticAnalysis: '',
+      alternativePhrasings: [],
+      suggestion: '',
+      encouragement: '',
+      scores: null,
+      issues: [],
+      fullFeedback: aiText,
+      timestamp: new Date().toISOString(),
+      parseError: true, // Flag that parsing failed
+      validationErrors: errors,
+    };
+  }
+
+  return {
+    ...feedback,
+    fullFeedback: aiText, // Keep original for debugging
+    timestamp: new Date().toISOString(),
+    ...(repaired && { repaired: true }),
+    ...(errors.length > 0 && { validationErrors: errors }),
+  };
+}
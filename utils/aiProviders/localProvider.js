@@ -0,0 +1,57 @@
+/**
+ * Local AI Provider
+ * Talks to any OpenAI-compatible server at a configurable base URL,
+ * e.g. a llama.cpp server or Ollama running on your machine, so the app
+ * can be used without a paid API key.
+ */
+
+import {
+  prepareSentence,
+  buildPrompt,
+  requestChatCompletion,
+  requestFeedback,
+} from './shared';
+import { getPromptTemplate } from './prompts';
+
+// Ollama's OpenAI-compatible endpoint. llama.cpp's server uses http://localhost:8080/v1.
+// On an Android emulator the host machine is http://10.0.2.2 instead of localhost.
+export const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+export const DEFAULT_MODEL = 'llama3.1';
+
+// Models running on a laptop CPU can take a while to answer
+const LOCAL_TIMEOUT_MS = 60000;
+
+// Usage is recorded under this name so it's priced at zero
+const PRICING_MODEL = 'local';
+
+/**
+ * Call a local OpenAI-compatible server to evaluate a French sentence
+ * @param {string} verb - The infinitive form of the verb
+ * @param {string} tense - The tense name or id (e.g., "Présent" or "present")
+ * @param {string} userSentence - The sentence written by the user
+ * @param {string|null} apiKey - Optional key, for servers started with one
+ * @param {Object} config - { baseUrl, model } from getProviderConfig('local'), plus the `promptTemplate` to use
+ * @returns {Promise<Object>} Response with corrections and suggestions
+ */
+export async function evaluateSentence(verb, tense, userSentence, apiKey, config = {}) {
+  try {
+    const sentence = prepareSentence(userSentence);
+    const template = config.promptTemplate || getPromptTemplate();
+    const prompt = buildPrompt(verb, tense, sentence, template);
+
+    const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    return await requestFeedback(PRICING_MODEL, prompt, (previousReply) => requestChatCompletion({
+      url: `${baseUrl}/chat/completions`,
+      apiKey,
+      model: config.model || DEFAULT_MODEL,
+      prompt,
+      system: template.system,
+      previousReply,
+      timeoutMs: LOCAL_TIMEOUT_MS,
+    }));
+
+  } catch (error) {
+    console.error('Local AI Error:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Mock AI Provider
+ * Returns canned, schema-valid feedback built from the local conjugation
+ * rules, without any network call or API key. Used for demos, onboarding
+ * and tests.
+ *
+ * The prompt template picks extra checks (its `mockChecks`): with the
+ * detailed template the mock also checks past participle agreement, so
+ * comparing templates with the mock gives different verdicts.
+ *
+ * It can also simulate provider failures, so every error branch of
+ * PracticeScreen's handleSubmit can be exercised on purpose.
+ */
+
+import { prepareSentence, buildPrompt, parseAIResponse } from './shared';
+import { getPromptTemplate } from './prompts';
+import { CHECK_STATUS, checkSentence, getConjugationScore, tokenize } from '../localGrader';
+import { COMPOUND_TENSES, conjugate, getConjugationTable, getPastParticiple } from '../conjugator';
+import { findTense } from '../../data/tenses';
+import { AI_ERROR_TYPES, AIServiceError } from '../aiErrors';
+import { diffWordSpans } from '../issueSpans';
+import { getMistakeTypes } from '../mistakeTaxonomy';
+
+// What the mock should do on the next requests (saved with saveProviderConfig('mock', ...))
+export const MOCK_SCENARIOS = [
+  { id: 'success', name: 'Normal feedback' },
+  { id: 'unauthorized', name: 'Invalid key (401)' },
+  { id: 'rate_limit', name: 'Rate limited (429)' },
+  { id: 'timeout', name: 'Timeout' },
+  { id: 'malformed', name: 'Malformed JSON' },
+];
+
+// Pretend network latency, so loading states are visible in demos
+const DEFAULT_LATENCY_MS = 600;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * "Evaluate" a French sentence with the local rules
+ * @param {string} verb - The infinitive form of the verb
+ * @param {string} tense - The tense name or id (e.g., "Présent" or "present")
+ * @param {string} userSentence - The sentence written by the user
+ * @param {string|null} apiKey - Ignored
+ * @param {Object} config - { scenario, latencyMs } from getProviderConfig('mock'), plus the `promptTemplate`
+ * @returns {Promise<Object>} Response with corrections and suggestions
+ */
+export async function evaluateSentence(verb, tense, userSentence, apiKey, config = {}) {
+  const sentence = prepareSentence(userSentence);
+  const scenario = config.scenario || 'success';
+  const template = config.promptTemplate || getPromptTemplate();
+
+  // The prompt isn't read, but build it like a real provider would so a
+  // broken template fails in demos and evaluations too
+  buildPrompt(verb, tense, sentence, template);
+
+  await wait(config.latencyMs ?? DEFAULT_LATENCY_MS);
+
+  switch (scenario) {
+    case 'unauthorized':
+      throw new AIServiceError(AI_ERROR_TYPES.AUTH, 'API Error: 401', { status: 401 });
+    case 'rate_limit':
+      throw new AIServiceError(AI_ERROR_TYPES.QUOTA, 'API Error: 429', { status: 429 });
+    case 'timeout':
+      throw new AIServiceError(AI_ERROR_TYPES.TIMEOUT, 'Request timed out');
+    case 'malformed':
+      // Cut-off JSON, like a model that stopped mid-answer
+      return parseAIResponse('{"isCorrect": true, "verbAnalysis": "The verb is conj');
+    case 'success':
+      return parseAIResponse(JSON.stringify(buildMockFeedback(verb, tense, sentence, template.mockChecks || [])));
+    default:
+      throw new Error(`Unknown mock scenario: ${scenario}`);
+  }
+}
+
+/**
+ * Build feedback in the JSON contract from the local verb check
+ * The same sentence always gets the same feedback for a given template.
+ * @param {string[]} mockChecks - Extra checks asked for by the prompt template
+ */
+function buildMockFeedback(verb, tense, sentence, mockChecks) {
+  const tenseInfo = findTense(tense);
+  const tenseId = tenseInfo?.id || tense;
+  const tenseName = tenseInfo?.name || tense;
+  const check = checkSentence(verb, tenseId, sentence);
+  const table = getConjugationTable(verb, tenseId) || [];
+  const agreement = mockChecks.includes('participle_agreement')
+    ? checkParticipleAgreement(verb, tenseId, sentence, check)
+    : null;
+
+  const isCorrect = !agreement && (check.status === CHECK_STATUS.CORRECT
+    || check.status === CHECK_STATUS.UNVERIFIED);
+
+  return {
+    isCorrect,
+    correctConjugation: agreement?.expectedForm || (isCorrect ? '' : (check.expectedForm || '')),
+    verbAnalysis: agreement?.message || check.message || `Demo mode can't check "${verb}" in the ${tenseName}.`,
+    grammarIssues: agreement ? [agreement.message] : [],
+    semanticAnalysis: 'Demo mode only checks the verb; connect an AI provider in Settings for full feedback.',
+    alternativePhrasings: [],
+    suggestion: table.length > 0
+      ? `${verb} in the ${tenseName}: ${table.map(row => row.text).join(', ')}`
+      : `Review how "${verb}" is conjugated in the ${tenseName}.`,
+    encouragement: isCorrect ? 'Très bien !' : 'Almost there, try again!',
+    issues: agreement ? agreement.issues : buildMockIssues(sentence, check),
+    // Only the verb is checked; the other categories are left unscored
+    scores: {
+      conjugation: getConjugationScore(check),
+      grammar: agreement ? 50 : null,
+      vocabulary: null,
+      naturalness: null,
+    },
+  };
+}
+
+/**
+ * Locate the wrong verb form in the sentence, like the AI's `issues`
+ */
+function buildMockIssues(sentence, check) {
+  if (!check.expectedForm || check.status === CHECK_STATUS.CORRECT) {
+    return [];
+  }
+  const [type] = getMistakeTypes({ isCorrect: false, localCheck: check });
+  return diffWordSpans(sentence, check.expectedForm, { partial: true, category: 'conjugation' })
+    .map(span => ({ ...span, type, explanation: check.message || '' }));
+}
+
+// Third-person subjects, whose gender and number the participle shows
+const AGREEING_SUBJECTS = {
+  il: { feminine: false, plural: false },
+  elle: { feminine: true, plural: false },
+  ils: { feminine: false, plural: true },
+  elles: { feminine: true, plural: true },
+};
+
+/**
+ * Check that a past participle used with être agrees with its subject
+ * ("elles sont venues"). The local grader accepts every agreement, so this
+ * only looks at verb forms it already found correct, with il, elle, ils or
+ * elles as the subject.
+ * @returns {Object|null} { expectedForm, message, issues } when it doesn't agree, null otherwise
+ */
+function checkParticipleAgreement(verb, tenseId, sentence, check) {
+  if (check.status !== CHECK_STATUS.CORRECT || !COMPOUND_TENSES[tenseId] || !check.foundForm) {
+    return null;
+  }
+
+  const words = check.foundForm.split(' ');
+  const auxiliary = words[0];
+  const participle = words[words.length - 1];
+  if (!(conjugate('être', COMPOUND_TENSES[tenseId]) || []).includes(auxiliary)) {
+    return null;
+  }
+
+  const subject = tokenize(sentence).find(token => AGREEING_SUBJECTS[token]);
+  const base = getPastParticiple(verb);
+  if (!subject || !base) {
+    return null;
+  }
+
+  const { feminine, plural } = AGREEING_SUBJECTS[subject];
+  const feminineForm = feminine ? `${base}e` : base;
+  const expected = plural && !feminineForm.endsWith('s') ? `${feminineForm}s` : feminineForm;
+  if (participle === expected) {
+    return null;
+  }
+
+  const expectedForm = `${subject} ${auxiliary} ${expected}`;
+  const message = `With "${subject}", the past participle agrees: "${auxiliary} ${expected}", not "${auxiliary} ${participle}".`;
+  return {
+    expectedForm,
+    message,
+    issues: diffWordSpans(sentence, expectedForm, { partial: true, category: 'agreement' })
+      .map(span => ({ ...span, type: 'participle_agreement', explanation: message })),
+  };
+}
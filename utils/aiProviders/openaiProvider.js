@@ -0,0 +1,45 @@
+/**
+ * OpenAI Provider
+ * Handles communication with OpenAI's chat completions API
+ */
+
+import {
+  prepareSentence,
+  buildPrompt,
+  requestChatCompletion,
+  requestFeedback,
+} from './shared';
+import { getPromptTemplate } from './prompts';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+export const MODEL_NAME = 'gpt-4o-mini'; // Cheapest model that handles French well
+
+/**
+ * Call OpenAI to evaluate a French sentence
+ * @param {string} verb - The infinitive form of the verb
+ * @param {string} tense - The tense name or id (e.g., "Présent" or "present")
+ * @param {string} userSentence - The sentence written by the user
+ * @param {string} apiKey - The OpenAI API key
+ * @param {Object} config - { promptTemplate }, defaults to the default template
+ * @returns {Promise<Object>} Response with corrections and suggestions
+ */
+export async function evaluateSentence(verb, tense, userSentence, apiKey, config = {}) {
+  try {
+    const sentence = prepareSentence(userSentence);
+    const template = config.promptTemplate || getPromptTemplate();
+    const prompt = buildPrompt(verb, tense, sentence, template);
+
+    return await requestFeedback(MODEL_NAME, prompt, (previousReply) => requestChatCompletion({
+      url: OPENAI_API_URL,
+      apiKey,
+      model: MODEL_NAME,
+      prompt,
+      system: template.system,
+      previousReply,
+    }));
+
+  } catch (error) {
+    console.error('OpenAI API Error:', error);
+    throw error;
+  }
+}
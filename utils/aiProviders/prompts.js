@@ -0,0 +1,109 @@
+/**
+ * Prompt Templates
+ * Registry of the prompts sent to the AI. Every template has an id and a
+ * version; both are stored with each piece of feedback (`promptId`,
+ * `promptVersion` in practice_sessions.ai_feedback) and are part of the
+ * feedback cache key.
+ *
+ * Changing a template's wording → bump its version.
+ * Trying a different approach → add a template, compare it with the current
+ * one (npm run eval:prompts), then make it active from the Admin screen.
+ *
+ * Every template must ask for the JSON contract read by feedbackParser.
+ *
+ * `mockChecks` lists the checks the mock provider adds to its verb check
+ * for this template, as a stand-in for what the prompt asks the AI to
+ * judge. That keeps a free mock comparison (npm run eval:prompts) able to
+ * tell the templates apart.
+ */
+
+import { MISTAKE_TYPE_IDS } from '../mistakeTaxonomy';
+
+export const DEFAULT_PROMPT_ID = 'detailed';
+
+// The JSON answer every template asks for
+const JSON_FORMAT = `{
+  "isCorrect": true or false (whether the verb is conjugated correctly),
+  "correctConjugation": "the correct conjugation if wrong, or empty string if correct",
+  "verbAnalysis": "brief explanation of the verb conjugation",
+  "grammarIssues": ["list of any grammar or structure issues, or empty array if none"],
+  "semanticAnalysis": "evaluate if the sentence sounds natural to a native French speaker, or if there's a more idiomatic way to express the same idea",
+  "alternativePhrasings": ["1-2 more natural French alternatives, or empty array if the sentence is already natural"],
+  "suggestion": "one helpful tip for improvement",
+  "encouragement": "brief positive comment",
+  "scores": {
+    "conjugation": 0-100 (form and tense of the verb),
+    "grammar": 0-100 (agreement, word order, articles...),
+    "vocabulary": 0-100 (right words for the meaning),
+    "naturalness": 0-100 (how native the sentence sounds)
+  },
+  "issues": [
+    {
+      "start": 0-based character offset where the mistake starts in the student's sentence,
+      "end": character offset just after the mistake,
+      "text": "the wrong text, copied exactly from the student's sentence",
+      "category": "conjugation", "agreement", "spelling", "vocabulary", "word_order" or "other",
+      "type": "${MISTAKE_TYPE_IDS.join('", "')}" (the closest one),
+      "replacement": "what it should be",
+      "explanation": "one short sentence"
+    }
+  ] (empty array if there are no mistakes)
+}`;
+
+export const PROMPT_TEMPLATES = [
+  {
+    id: 'detailed',
+    version: 4, // v2: category scores, v3: issue spans, v4: mistake types
+    name: 'Detailed feedback',
+    description: 'Full review of the verb, grammar and how natural the sentence sounds',
+    mockChecks: ['participle_agreement'],
+    system: 'You are a French language teacher who provides constructive feedback on verb conjugation and sentence structure. Be encouraging but accurate.',
+    build: ({ verb, tenseDescription, sentence }) => `You are a French language teacher evaluating a student's sentence.
+
+Verb (infinitive): ${verb}
+${tenseDescription}
+Student's sentence: "${sentence}"
+
+Analyze the sentence thoroughly and respond with ONLY valid JSON (no markdown, no extra text) in this exact format:
+${JSON_FORMAT}
+
+Be constructive, encouraging, and focus on helping the student sound more like a native French speaker.`,
+  },
+  {
+    id: 'verb_focus',
+    version: 4, // v2: category scores, v3: issue spans, v4: mistake types
+    name: 'Verb focus',
+    description: 'Grades the verb form only, with short explanations',
+    mockChecks: [],
+    system: 'You are a French examiner who checks verb conjugation. Base the verdict on the verb form only, and keep every explanation to one short sentence.',
+    build: ({ verb, tenseDescription, sentence }) => `Check the conjugation of one verb in a student's French sentence.
+
+Verb (infinitive): ${verb}
+${tenseDescription}
+Student's sentence: "${sentence}"
+
+"isCorrect" is true only if "${verb}" appears conjugated correctly in the required tense for its subject. Spelling mistakes in other words do not make it false; list them in "grammarIssues" instead.
+
+Respond with ONLY valid JSON (no markdown, no extra text) in this exact format:
+${JSON_FORMAT}`,
+  },
+];
+
+/**
+ * Get a template by id
+ * Unknown or missing ids fall back to the default template, so a stale
+ * setting can't break practice.
+ * @param {string|null} id - Template id
+ * @returns {Object} { id, version, name, description, mockChecks, system, build }
+ */
+export function getPromptTemplate(id = DEFAULT_PROMPT_ID) {
+  return PROMPT_TEMPLATES.find(template => template.id === id)
+    || PROMPT_TEMPLATES.find(template => template.id === DEFAULT_PROMPT_ID);
+}
+
+/**
+ * Short label for a template version (e.g. "detailed@v1"), used in cache keys and reports
+ */
+export function getPromptKey(template) {
+  return `${template.id}@v${template.version}`;
+}
@@ -0,0 +1,326 @@
+/**
+ * Shared AI Provider Helpers
+ * Every provider sends the same prompt (the active template from prompts.js),
+ * asks for the same JSON contract and normalizes the answer with
+ * parseAIResponse, so feedback looks identical whichever AI produced it.
+ */
+
+import { sanitizeUserInput, validateFrenchSentence } from '../security';
+import { calculateCost, estimateTokens, recordUsage } from '../costTracking';
+import { findTense } from '../../data/tenses';
+import { AI_ERROR_TYPES, AIServiceError, getErrorTypeForStatus } from '../aiErrors';
+import { parseAIResponse } from './feedbackParser';
+import { getPromptTemplate } from './prompts';
+
+export { parseAIResponse };
+
+export const TEMPERATURE = 0.3; // Lower = more consistent/accurate
+
+// Sent once when an answer can't be parsed, with the model's answer before it
+export const REASK_PROMPT = 'Your previous answer could not be read as the requested JSON. Reply again with ONLY the JSON object in the exact format requested: no markdown, no comments, no text before or after it.';
+
+// Give up on a request after this long, so the Practice spinner can't hang forever
+export const REQUEST_TIMEOUT_MS = 20000;
+
+// Transient failures (network, 429, 5xx) are retried with exponential backoff
+const MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000; // Longer Retry-After waits are left to the fallback providers
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sanitize and validate the user's sentence before it goes into a prompt
+ * @param {string} userSentence - The sentence written by the user
+ * @returns {string} The sanitized sentence
+ * @throws {Error} If the input is not a usable sentence
+ */
+export function prepareSentence(userSentence) {
+  let sanitizedSentence;
+  try {
+    // Security: Sanitize user input to prevent prompt injection
+    sanitizedSentence = sanitizeUserInput(userSentence);
+  } catch (error) {
+    throw new AIServiceError(AI_ERROR_TYPES.INVALID_INPUT, error.message);
+  }
+
+  // Validate it looks like a French sentence
+  if (!validateFrenchSentence(sanitizedSentence)) {
+    throw new AIServiceError(
+      AI_ERROR_TYPES.INVALID_INPUT,
+      'Input does not appear to be a valid sentence'
+    );
+  }
+
+  return sanitizedSentence;
+}
+
+/**
+ * Build the error for a failed HTTP response
+ * Uses the provider's message when there is one, typed from the status
+ * @param {Response} response - The failed fetch response
+ * @returns {Promise<AIServiceError>}
+ */
+export async function createApiError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  return new AIServiceError(
+    getErrorTypeForStatus(response.status),
+    errorData.error?.message || `API Error: ${response.status}`,
+    { status: response.status, retryAfterMs: parseRetryAfter(response) }
+  );
+}
+
+/**
+ * Read the Retry-After header (seconds or an HTTP date) in milliseconds
+ * @returns {number|null} null when the header is missing or unreadable
+ */
+function parseRetryAfter(response) {
+  const header = response.headers?.get?.('retry-after');
+  if (!header) {
+    return null;
+  }
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * fetch that gives up after timeoutMs
+ * Failures are thrown as TIMEOUT or NETWORK AIServiceErrors
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new AIServiceError(
+        AI_ERROR_TYPES.TIMEOUT,
+        `Request timed out after ${Math.round(timeoutMs / 1000)}s`
+      );
+    }
+    throw new AIServiceError(AI_ERROR_TYPES.NETWORK, error.message || 'Network request failed');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential backoff with
+ * jitter, or the server's Retry-After when it sent one
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return retryAfterMs;
+  }
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * POST to a provider with a timeout, retrying transient failures
+ * Network errors, 429 and 5xx are retried up to MAX_RETRIES times;
+ * timeouts aren't, since the user has already waited the full timeout.
+ * 
+ * @param {string} url
+ * @param {Object} options - fetch options
+ * @param {Object} settings - { timeoutMs, maxRetries }
+ * @returns {Promise<Response>} A successful response
+ * @throws {AIServiceError}
+ */
+export async function fetchWithRetry(url, options, { timeoutMs = REQUEST_TIMEOUT_MS, maxRetries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetchWithTimeout(url, options, timeoutMs);
+      if (response.ok) {
+        return response;
+      }
+      error = await createApiError(response);
+    } catch (fetchError) {
+      error = fetchError;
+    }
+
+    const retryable = error.type === AI_ERROR_TYPES.NETWORK
+      || error.type === AI_ERROR_TYPES.SERVER
+      || error.status === 429;
+    if (!retryable || attempt >= maxRetries) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(attempt, error.retryAfterMs);
+    if (delay > MAX_RETRY_DELAY_MS) {
+      throw error;
+    }
+    console.warn(`AI request failed (${error.message}), retrying in ${delay}ms`);
+    await wait(delay);
+  }
+}
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint (xAI, OpenAI, llama.cpp, Ollama...)
+ * @param {Object} options
+ * @param {string} options.url - Full chat completions URL
+ * @param {string|null} options.apiKey - Bearer token, omitted when empty (local servers)
+ * @param {string} options.model - Model name
+ * @param {string} options.prompt - User prompt from buildPrompt
+ * @param {string} options.system - System prompt, defaults to the default template's
+ * @param {string|null} options.previousReply - Unreadable earlier answer, to ask again (see requestFeedback)
+ * @param {number} options.timeoutMs - Optional, defaults to REQUEST_TIMEOUT_MS
+ * @returns {Promise<Object>} { text, inputTokens, outputTokens }
+ */
+export async function requestChatCompletion({
+  url,
+  apiKey,
+  model,
+  prompt,
+  system = getPromptTemplate().system,
+  previousReply = null,
+  timeoutMs,
+}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [
+        { role: 'system', content: system },
+        ...buildConversation(prompt, previousReply),
+      ],
+      temperature: TEMPERATURE,
+    }),
+  }, { timeoutMs });
+
+  const data = await response.json().catch(() => null);
+  const text = data?.choices?.[0]?.message?.content;
+
+  if (!text) {
+    throw new AIServiceError(AI_ERROR_TYPES.INVALID_RESPONSE, 'No response from AI');
+  }
+
+  return {
+    text,
+    inputTokens: data.usage?.prompt_tokens,
+    outputTokens: data.usage?.completion_tokens,
+  };
+}
+
+/**
+ * Build the user/assistant turns for a request
+ * A re-ask replays the unreadable answer and asks for the JSON again.
+ * @param {string} prompt - User prompt from buildPrompt
+ * @param {string|null} previousReply - Unreadable earlier answer
+ * @returns {Array} Chat messages (without the system prompt)
+ */
+export function buildConversation(prompt, previousReply = null) {
+  const messages = [{ role: 'user', content: prompt }];
+  if (previousReply) {
+    messages.push(
+      { role: 'assistant', content: previousReply },
+      { role: 'user', content: REASK_PROMPT }
+    );
+  }
+  return messages;
+}
+
+/**
+ * Get parsed feedback from a provider, asking once more if the answer
+ * can't be parsed even after repair
+ * 
+ * @param {string} model - Model name, for cost tracking
+ * @param {string} prompt - User prompt from buildPrompt
+ * @param {Function} request - (previousReply) => Promise<{ text, inputTokens, outputTokens }>
+ * @returns {Promise<Object>} Feedback with its `usage`; `parseError: true` if both answers were unreadable
+ */
+export async function requestFeedback(model, prompt, request) {
+  const reply = await request(null);
+  let usage = await trackUsage(model, prompt, reply);
+
+  const feedback = parseAIResponse(reply.text);
+  if (!feedback.parseError) {
+    return { ...feedback, usage };
+  }
+
+  try {
+    console.warn('AI answer could not be parsed, asking again');
+    const retry = await request(reply.text);
+    usage = combineUsage(usage, await trackUsage(model, prompt, retry));
+
+    const retried = parseAIResponse(retry.text);
+    if (!retried.parseError) {
+      return { ...retried, usage, reasked: true };
+    }
+  } catch (error) {
+    // Keep the first (unparsed) answer rather than failing the attempt
+    console.error('Error asking the AI again:', error);
+  }
+  return { ...feedback, usage };
+}
+
+/**
+ * Record token usage for cost tracking
+ * Falls back to estimates when the API doesn't report usage;
+ * never fails the request if cost tracking fails
+ * @returns {Promise<Object>} { model, inputTokens, outputTokens, cost }
+ */
+export async function trackUsage(model, prompt, reply) {
+  const inputTokens = reply.inputTokens || estimateTokens(prompt);
+  const outputTokens = reply.outputTokens || estimateTokens(reply.text);
+  try {
+    await recordUsage(model, inputTokens, outputTokens);
+  } catch (costError) {
+    console.error('Error recording usage:', costError);
+  }
+  return { model, inputTokens, outputTokens, cost: calculateCost(model, inputTokens, outputTokens) };
+}
+
+/**
+ * Add up the usage of a request and its re-ask
+ */
+function combineUsage(first, second) {
+  return {
+    model: first.model,
+    inputTokens: first.inputTokens + second.inputTokens,
+    outputTokens: first.outputTokens + second.outputTokens,
+    cost: first.cost + second.cost,
+  };
+}
+
+/**
+ * Describe the required tense for the prompt
+ * Known tenses get their description and any special rules (impératif, subjonctif...)
+ */
+function describeTense(tense) {
+  const tenseInfo = findTense(tense);
+  if (!tenseInfo) {
+    return `Required tense: ${tense}`;
+  }
+
+  let description = `Required tense: ${tenseInfo.name} (${tenseInfo.description})`;
+  if (tenseInfo.promptNote) {
+    description += `\nTense notes: ${tenseInfo.promptNote}`;
+  }
+  return description;
+}
+
+/**
+ * Build the prompt that asks the AI to evaluate the sentence
+ * Uses JSON format for structured, parseable responses
+ * @param {Object} template - Template from prompts.js, defaults to the default one
+ */
+export function buildPrompt(verb, tense, userSentence, template = getPromptTemplate()) {
+  return template.build({
+    verb,
+    tenseDescription: describeTense(tense),
+    sentence: userSentence,
+  });
+}
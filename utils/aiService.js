@@ -6,54 +6,359 @@
  * - Which AI provider to use
  * - Getting API keys from storage
  * - Providing a consistent interface regardless of provider
+ * - Falling back to other configured providers when one is down
  */
 
 import * as grokProvider from './aiProviders/grokProvider';
-import { getApiKey, getCurrentProvider } from './storage';
+import * as openaiProvider from './aiProviders/openaiProvider';
+import * as anthropicProvider from './aiProviders/anthropicProvider';
+import * as localProvider from './aiProviders/localProvider';
+import * as mockProvider from './aiProviders/mockProvider';
+import { getActivePromptId, getApiKey, getCurrentProvider, getProviderConfig } from './storage';
+import { checkBudget, getBudgetLimits } from './costTracking';
+import { AI_ERROR_TYPES, AIServiceError, isTransientError } from './aiErrors';
+import { PROMPT_TEMPLATES, getPromptKey, getPromptTemplate } from './aiProviders/prompts';
+import { prepareSentence } from './aiProviders/shared';
+import { buildCacheKey, cacheFeedback, getCachedFeedback } from './feedbackCache';
+
+// Error taxonomy, so screens only need to import aiService
+export { AI_ERROR_TYPES, AIServiceError, isTransientError };
+
+// The sentence as the providers see it: the AI's issue offsets refer to this text
+export { prepareSentence };
+
+// Providers shown in Settings. `requiresApiKey: false` providers work without a key,
+// `fallback: false` ones are never tried when the selected provider fails,
+// `cache: false` ones never use the feedback cache.
+const PROVIDERS = [
+  {
+    id: 'grok',
+    model: grokProvider.MODEL_NAME,
+    name: 'Grok (xAI)',
+    default: true,
+    requiresApiKey: true,
+    keyPlaceholder: 'xai-...',
+    keyUrl: 'https://console.x.ai',
+  },
+  {
+    id: 'openai',
+    model: openaiProvider.MODEL_NAME,
+    name: 'OpenAI (GPT-4o mini)',
+    default: false,
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-...',
+    keyUrl: 'https://platform.openai.com/api-keys',
+  },
+  {
+    id: 'anthropic',
+    model: anthropicProvider.MODEL_NAME,
+    name: 'Anthropic (Claude Haiku)',
+    default: false,
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-ant-...',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+  },
+  {
+    id: 'local',
+    name: 'Local server (llama.cpp, Ollama)',
+    default: false,
+    requiresApiKey: false,
+    keyPlaceholder: 'Optional',
+    defaultBaseUrl: localProvider.DEFAULT_BASE_URL,
+    defaultModel: localProvider.DEFAULT_MODEL,
+  },
+  {
+    id: 'mock',
+    name: 'Demo mode (offline)',
+    default: false,
+    requiresApiKey: false,
+    fallback: false, // Canned answers shouldn't stand in for a real AI
+    cache: false, // Free and instant already
+    scenarios: mockProvider.MOCK_SCENARIOS,
+  },
+];
+
+// How long a provider that just failed is skipped in favour of the others
+const UNHEALTHY_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Provider id → { failures, unhealthyUntil, lastError } (in memory, per app session)
+let providerHealth = {};
 
 /**
  * Evaluate a French sentence using the currently selected AI provider
  * 
+ * If the provider is down, rate limited or times out, the other configured
+ * providers are tried in order (see getFallbackChain). The result records
+ * which provider answered (`provider`) and which ones failed (`fallbackFrom`).
+ * 
+ * Feedback for a sentence that was already evaluated comes from the local
+ * cache (`cached: true`) instead of calling the provider. Each provider's
+ * answers are cached under its own key, and looked up when the chain gets
+ * to it: a fallback's answer is reused while the selected provider is
+ * skipped, never once it is healthy again.
+ * 
+ * The prompt is the template chosen in the Admin screen; its id and version
+ * are recorded in the result (`promptId`, `promptVersion`).
+ * 
  * @param {string} verb - Infinitive form of the verb
  * @param {string} tense - The tense name
  * @param {string} userSentence - User's sentence to evaluate
  * @returns {Promise<Object>} Evaluation result with feedback
- * @throws {Error} If API call fails or no API key is configured
+ * @throws {AIServiceError} If API call fails or no API key is configured (see AI_ERROR_TYPES)
  */
 export async function evaluateSentence(verb, tense, userSentence) {
   // Get the current provider setting (e.g., 'grok', 'openai')
   const provider = await getCurrentProvider();
+  const template = getPromptTemplate(await getActivePromptId());
+
+  const chain = await getFallbackChain(provider);
+  const failed = [];
+  let lastError = null;
+
+  for (const providerId of chain) {
+    const cached = await getCachedResult(providerId, template, verb, tense, userSentence);
+    if (cached) {
+      return { ...cached, ...(failed.length > 0 && { fallbackFrom: failed }) };
+    }
+
+    // Fallbacks cost money too: stop once the budget is used up
+    if (failed.length > 0) {
+      const budgetCheck = await checkBudget(await getBudgetLimits() || {});
+      if (!budgetCheck.allowed) {
+        break;
+      }
+    }
+
+    try {
+      const feedback = await callProvider(providerId, template, verb, tense, userSentence);
+      markProviderHealthy(providerId);
+      const result = {
+        ...feedback,
+        provider: providerId,
+        promptId: template.id,
+        promptVersion: template.version,
+        ...(failed.length > 0 && { fallbackFrom: failed }),
+      };
+      await storeCachedResult(providerId, template, verb, tense, userSentence, result);
+      return result;
+    } catch (error) {
+      // Bad input or an invalid key for the selected provider won't get
+      // better with another provider
+      if (!isTransientError(error)) {
+        if (providerId === provider) {
+          throw error;
+        }
+        // A misconfigured fallback is skipped, but doesn't hide the real failure
+        console.warn(`Fallback provider ${providerId} failed:`, error.message);
+        failed.push(providerId);
+        lastError = lastError || error;
+        continue;
+      }
+      console.warn(`AI provider ${providerId} failed, trying the next one:`, error.message);
+      markProviderUnhealthy(providerId, error);
+      failed.push(providerId);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+// ============================================
+// Feedback cache
+// ============================================
+
+/**
+ * Build the cache key for a provider's evaluation of a sentence with a prompt template
+ */
+async function getCacheKey(provider, template, verb, tense, userSentence) {
+  const providerInfo = PROVIDERS.find(p => p.id === provider);
+  const model = provider === 'local'
+    ? (await getProviderConfig('local')).model || localProvider.DEFAULT_MODEL
+    : providerInfo?.model || provider;
+
+  return buildCacheKey({
+    provider,
+    model,
+    promptVersion: getPromptKey(template),
+    verb,
+    tense,
+    sentence: userSentence,
+  });
+}
+
+function isCacheable(provider) {
+  return PROVIDERS.find(p => p.id === provider)?.cache !== false;
+}
+
+async function getCachedResult(provider, template, verb, tense, userSentence) {
+  if (!isCacheable(provider)) {
+    return null;
+  }
+  const feedback = await getCachedFeedback(await getCacheKey(provider, template, verb, tense, userSentence));
+  if (!feedback) {
+    return null;
+  }
+  // Which providers failed belongs to the call that stored it, not to this one
+  const { fallbackFrom, ...answer } = feedback;
+  return { ...answer, cached: true };
+}
+
+async function storeCachedResult(provider, template, verb, tense, userSentence, result) {
+  // Unreadable answers are worth asking again next time
+  if (!isCacheable(provider) || result.parseError) {
+    return;
+  }
+  await cacheFeedback(await getCacheKey(provider, template, verb, tense, userSentence), result);
+}
+
+// ============================================
+// Providers
+// ============================================
+
+/**
+ * Send the sentence to one provider, with the given prompt template
+ */
+async function callProvider(provider, template, verb, tense, userSentence) {
+  const providerInfo = PROVIDERS.find(p => p.id === provider);
   
   // Get the API key for that provider
   const apiKey = await getApiKey(provider);
   
-  // Validate we have an API key
-  if (!apiKey) {
-    throw new Error('No API key configured. Please add one in Settings.');
+  // Validate we have an API key (local servers usually don't need one)
+  if (!apiKey && providerInfo?.requiresApiKey !== false) {
+    throw new AIServiceError(
+      AI_ERROR_TYPES.NOT_CONFIGURED,
+      'No API key configured. Please add one in Settings.'
+    );
   }
 
   // Route to the correct provider
   switch (provider) {
     case 'grok':
-      return await grokProvider.evaluateSentence(verb, tense, userSentence, apiKey);
+      return await grokProvider.evaluateSentence(verb, tense, userSentence, apiKey, { promptTemplate: template });
+    
+    case 'openai':
+      return await openaiProvider.evaluateSentence(verb, tense, userSentence, apiKey, { promptTemplate: template });
     
-    // Future providers can be added here:
-    // case 'openai':
-    //   return await openaiProvider.evaluateSentence(verb, tense, userSentence, apiKey);
+    case 'anthropic':
+      return await anthropicProvider.evaluateSentence(verb, tense, userSentence, apiKey, { promptTemplate: template });
+    
+    case 'local': {
+      const config = await getProviderConfig('local');
+      return await localProvider.evaluateSentence(verb, tense, userSentence, apiKey, { ...config, promptTemplate: template });
+    }
+    
+    case 'mock': {
+      const config = await getProviderConfig('mock');
+      return await mockProvider.evaluateSentence(verb, tense, userSentence, apiKey, { ...config, promptTemplate: template });
+    }
     
     default:
-      throw new Error(`Unknown AI provider: ${provider}`);
+      throw new AIServiceError(AI_ERROR_TYPES.NOT_CONFIGURED, `Unknown AI provider: ${provider}`);
   }
 }
 
+/**
+ * Whether a provider has everything it needs to be tried as a fallback
+ */
+async function isProviderConfigured(providerInfo) {
+  if (providerInfo.fallback === false) {
+    return false;
+  }
+  if (providerInfo.requiresApiKey) {
+    return !!(await getApiKey(providerInfo.id));
+  }
+  // A local server only counts once its URL has been saved
+  const config = await getProviderConfig(providerInfo.id);
+  return !!config.baseUrl;
+}
+
+/**
+ * Get the order in which providers are tried
+ * The selected provider comes first, then every other configured provider.
+ * Providers that failed recently go to the back of the line.
+ * 
+ * @param {string} provider - The selected provider id
+ * @returns {Promise<string[]>} Provider ids
+ */
+export async function getFallbackChain(provider) {
+  const fallbacks = [];
+  for (const providerInfo of PROVIDERS) {
+    if (providerInfo.id !== provider && await isProviderConfigured(providerInfo)) {
+      fallbacks.push(providerInfo.id);
+    }
+  }
+
+  const chain = [provider, ...fallbacks];
+  return [
+    ...chain.filter(id => isProviderHealthy(id)),
+    ...chain.filter(id => !isProviderHealthy(id)),
+  ];
+}
+
+// ============================================
+// Provider health
+// ============================================
+
+/**
+ * Whether a provider is out of its cooldown after a failure
+ * @param {string} provider - Provider id
+ * @param {number} now - Timestamp (defaults to now)
+ */
+export function isProviderHealthy(provider, now = Date.now()) {
+  const health = providerHealth[provider];
+  return !health || health.unhealthyUntil <= now;
+}
+
+/**
+ * Get the health of every provider that has failed this session
+ * @returns {Object} Provider id → { failures, unhealthyUntil, lastError }
+ */
+export function getProviderHealth() {
+  return { ...providerHealth };
+}
+
+/**
+ * Forget all recorded failures
+ */
+export function resetProviderHealth() {
+  providerHealth = {};
+}
+
+function markProviderUnhealthy(provider, error) {
+  const failures = (providerHealth[provider]?.failures || 0) + 1;
+  providerHealth[provider] = {
+    failures,
+    unhealthyUntil: Date.now() + UNHEALTHY_COOLDOWN_MS,
+    lastError: error.message,
+  };
+}
+
+function markProviderHealthy(provider) {
+  delete providerHealth[provider];
+}
+
 /**
  * Get list of available AI providers
  * Useful for the Settings screen dropdown
  */
 export function getAvailableProviders() {
-  return [
-    { id: 'grok', name: 'Grok (xAI)', default: true },
-    // { id: 'openai', name: 'OpenAI (GPT-4)', default: false },
-    // { id: 'claude', name: 'Anthropic (Claude)', default: false },
-  ];
+  return PROVIDERS;
+}
+
+/**
+ * Get a provider's display name from its id (falls back to the id)
+ */
+export function getProviderName(provider) {
+  return PROVIDERS.find(p => p.id === provider)?.name || provider;
+}
+
+/**
+ * Get the prompt templates admins can choose from
+ * Useful for the Admin screen
+ * @returns {Array} [{ id, version, name, description }]
+ */
+export function getPromptTemplates() {
+  return PROMPT_TEMPLATES.map(({ id, version, name, description }) => ({ id, version, name, description }));
 }
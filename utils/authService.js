@@ -6,9 +6,13 @@
  */
 
 import { supabase } from './supabase';
+import { markGuestDataForMerge, clearGuestMerge } from './guestMode';
+import { hasGuestData } from './guestStorage';
 
 /**
  * Register a new user
+ * Practice done as a guest on this device is merged into the new account
+ * when it first signs in (mergeGuestData in cloudStorage.js).
  * 
  * @param {string} email - User's email address
  * @param {string} password - User's password (min 6 characters)
@@ -26,6 +30,12 @@ export const register = async (email, password, displayName = '') => {
       return { success: false, error: 'Password must be at least 6 characters' };
     }
 
+    // Before signing up: the new session may sign in (and merge) right away
+    const mergeGuestData = await hasGuestData();
+    if (mergeGuestData) {
+      await markGuestDataForMerge(email);
+    }
+
     // Register with Supabase
     const { data, error } = await supabase.auth.signUp({
       email: email.trim().toLowerCase(),
@@ -39,6 +49,9 @@ export const register = async (email, password, displayName = '') => {
 
     if (error) {
       console.error('Registration error:', error);
+      if (mergeGuestData) {
+        await clearGuestMerge();
+      }
       return { success: false, error: error.message };
     }
 
@@ -0,0 +1,142 @@
+/**
+ * Calendar
+ *
+ * Days and weeks as the user sees them. practice_sessions.created_at is a
+ * UTC instant; which day it falls on depends on the user's time zone
+ * (user_settings.time_zone), not on the device's clock, so a streak
+ * doesn't break when practising on a phone and on a laptop set to
+ * different zones, or while travelling.
+ *
+ * Days are handled as 'YYYY-MM-DD' keys. Day arithmetic on keys is done in
+ * UTC, where every day has 24 hours, so DST changes can't shift it.
+ * The database counts days the same way (supabase/add_calendar_settings.sql).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same numbering as Date.getDay() and Postgres EXTRACT(DOW)
+export const FIRST_DAYS_OF_WEEK = [
+  { id: 1, name: 'Monday' },
+  { id: 0, name: 'Sunday' },
+  { id: 6, name: 'Saturday' },
+];
+
+export const DEFAULT_FIRST_DAY_OF_WEEK = 1;
+
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  }
+  return formatters[timeZone];
+}
+
+/**
+ * Get the device's time zone
+ * @returns {string} IANA name such as 'Europe/Paris' ('UTC' if unknown)
+ */
+export function getDeviceTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Whether a time zone name is known on this device
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the calendar settings of a user_settings row
+ * A missing or unknown zone falls back to the device's.
+ * @param {Object|null} settings - user_settings row
+ * @returns {Object} { timeZone, firstDayOfWeek }
+ */
+export function getCalendarSettings(settings) {
+  const firstDay = settings?.first_day_of_week;
+  return {
+    timeZone: isValidTimeZone(settings?.time_zone) ? settings.time_zone : getDeviceTimeZone(),
+    firstDayOfWeek: Number.isInteger(firstDay) && firstDay >= 0 && firstDay <= 6
+      ? firstDay
+      : DEFAULT_FIRST_DAY_OF_WEEK,
+  };
+}
+
+/**
+ * Day an instant falls on in a time zone
+ * @param {string|Date} dateInput - Date string or Date object
+ * @param {string} timeZone - IANA name
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getDayKey(dateInput, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(dateInput))
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function dayKeyToTime(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Move a day key by a number of days
+ * @param {string} dayKey - 'YYYY-MM-DD'
+ * @param {number} days - May be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function addDays(dayKey, days) {
+  return new Date(dayKeyToTime(dayKey) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of days from one day key to another
+ * @returns {number} Negative when `to` is before `from`
+ */
+export function daysBetween(from, to) {
+  return Math.round((dayKeyToTime(to) - dayKeyToTime(from)) / DAY_MS);
+}
+
+/**
+ * Day of the week of a day key
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+export function getDayOfWeek(dayKey) {
+  return new Date(dayKeyToTime(dayKey)).getUTCDay();
+}
+
+/**
+ * The week containing an instant
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } (see getCalendarSettings)
+ * @param {Date} now
+ * @returns {Object} { start, end } - Day keys of the first and last day
+ */
+export function getWeekRange({ timeZone, firstDayOfWeek }, now = new Date()) {
+  const today = getDayKey(now, timeZone);
+  const start = addDays(today, -((getDayOfWeek(today) - firstDayOfWeek + 7) % 7));
+  return { start, end: addDays(start, 6) };
+}
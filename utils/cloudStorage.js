@@ -3,379 +3,383 @@
  * 
  * Handles all data operations with Supabase cloud database.
  * Replaces local AsyncStorage for synced data.
+ * Verbs live in verbRepository.js, which can also keep them on the device.
+ * Guests (utils/guestMode.js) get the same functions from guestStorage.js.
  */
 
 import { supabase } from './supabase';
+import { pickNextReview, getEndOfDay } from './scheduler';
+import { resolveEnabledTenseIds } from '../data/tenses';
+import { saveActivePromptId } from './storage';
+import { toScoreColumns } from './scoring';
+import { applyMistakeFocus, getMistakeTypes } from './mistakeTaxonomy';
+import { getDeviceTimeZone } from './calendar';
+import { generateUUID } from './outbox';
+import { VERB_BACKENDS, getVerbs, getVerbStore } from './verbRepository';
+import { isGuestMode, getGuestMergeEmail, clearGuestMerge } from './guestMode';
+import * as guestStorage from './guestStorage';
 
 // =====================================================
-// USER VERBS (Cloud Storage)
+// PRACTICE SESSIONS (Cloud Storage)
 // =====================================================
 
 /**
- * Initialize user's verbs from default verbs
- * Called when a new user signs up or first opens the app
+ * Record a practice attempt in one round trip
+ * The record_practice database function (supabase/add_record_practice.sql)
+ * saves the session, adds one to the verb's practice_count, sets its
+ * last_practiced_at and reschedules the (verb, tense) pair, all in one
+ * transaction. The operation id (a UUID from the outbox) makes it
+ * idempotent: an attempt already recorded is skipped as a whole.
+ *
+ * @param {Object} attempt
+ * @param {Object|null} attempt.session - { verbId, verbText, tense, userSentence,
+ *   isCorrect, scores, mistakeTypes, aiFeedback, createdAt }; null to only count
+ * @param {string} attempt.verbId - Verb practised (defaults to session.verbId)
+ * @param {boolean} attempt.countPractice - Add one to the verb's practice count
+ * @param {string} attempt.operationId - Client-generated UUID (see utils/outbox.js)
+ * @returns {Promise<Object>} { success, session, practiceCount, duplicate }
  */
-export const initializeUserVerbs = async () => {
+export const recordPractice = async ({
+  session = null,
+  verbId = session?.verbId,
+  countPractice = true,
+  operationId = session?.clientId || generateUUID(),
+}) => {
+  if (isGuestMode()) return guestStorage.recordPractice({ session, verbId, countPractice, operationId });
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
-      console.log('No user logged in, skipping verb initialization');
       return { success: false, error: 'Not authenticated' };
     }
 
-    // Check if user already has verbs
-    const { count, error: countError } = await supabase
-      .from('user_verbs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
+    const { data, error } = await supabase.rpc('record_practice', {
+      p_operation_id: operationId,
+      p_verb_id: verbId || null,
+      p_session: session && {
+        ...(session.createdAt && { created_at: session.createdAt }),
+        verb_text: session.verbText,  // Required field: the verb being practiced
+        tense: session.tense,
+        user_sentence: session.userSentence,
+        is_correct: session.isCorrect, // null (ungraded) leaves the schedule alone
+        ...toScoreColumns(session.scores), // score_conjugation, score_grammar...
+        mistake_types: session.mistakeTypes || [], // See utils/mistakeTaxonomy.js
+        ai_feedback: session.aiFeedback,
+      },
+      p_count: countPractice,
+    });
 
-    if (countError) throw countError;
+    if (error) throw error;
 
-    // If user already has verbs, skip initialization
-    if (count > 0) {
-      console.log(`User already has ${count} verbs, skipping initialization`);
-      return { success: true, message: 'Verbs already initialized', count };
+    // Recorded by an earlier replay whose answer never arrived
+    if (data?.duplicate) {
+      return { success: true, session: null, practiceCount: null, duplicate: true };
     }
 
-    // Get all default verbs
-    const { data: defaultVerbs, error: defaultError } = await supabase
-      .from('default_verbs')
-      .select('verb, translation');
-
-    if (defaultError) throw defaultError;
-
-    // Create user verbs from defaults
-    const userVerbs = defaultVerbs.map(v => ({
-      user_id: user.id,
-      verb: v.verb,
-      translation: v.translation,
-      is_default: true,
-      practice_count: 0,
-    }));
-
-    // Insert all verbs for the user
-    const { error: insertError } = await supabase
-      .from('user_verbs')
-      .insert(userVerbs);
-
-    if (insertError) throw insertError;
-
-    console.log(`Initialized ${userVerbs.length} verbs for user`);
-    return { success: true, count: userVerbs.length };
+    return { success: true, session: data?.session || null, practiceCount: data?.practice_count ?? null };
 
   } catch (err) {
-    console.error('Error initializing user verbs:', err);
+    console.error('Error recording practice:', err);
     return { success: false, error: err.message };
   }
 };
 
 /**
- * Get all verbs for the current user
+ * Save a practice session without counting it (see recordPractice)
+ * `clientId` makes saving idempotent; `createdAt` keeps the time of the
+ * attempt when it is synced later.
+ */
+export const savePracticeSession = (session) =>
+  recordPractice({ session, countPractice: false });
+
+/**
+ * Get practice history for the current user
  */
-export const getUserVerbs = async () => {
+export const getPracticeHistory = async (limit = 50) => {
+  if (isGuestMode()) return guestStorage.getPracticeHistory(limit);
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
-      return { success: false, error: 'Not authenticated', verbs: [] };
+      return { success: false, error: 'Not authenticated', sessions: [] };
     }
 
     const { data, error } = await supabase
-      .from('user_verbs')
-      .select('*')
+      .from('practice_sessions')
+      .select(`
+        *,
+        user_verbs (verb, translation)
+      `)
       .eq('user_id', user.id)
-      .order('verb', { ascending: true });
+      .order('created_at', { ascending: false })
+      .limit(limit);
 
     if (error) throw error;
 
-    return { success: true, verbs: data || [] };
+    return { success: true, sessions: data || [] };
 
   } catch (err) {
-    console.error('Error getting user verbs:', err);
-    return { success: false, error: err.message, verbs: [] };
+    console.error('Error getting practice history:', err);
+    return { success: false, error: err.message, sessions: [] };
   }
 };
 
 /**
- * Get a random verb for practice
+ * Get the sessions practised on one day, oldest first
+ * @param {string} day - 'YYYY-MM-DD' in the user's time zone
+ * @param {string} timeZone - Used until the user has one in their settings
  */
-export const getRandomVerb = async () => {
-  try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      return { success: false, error: 'Not authenticated' };
-    }
-
-    // Get count of user's verbs
-    const { count, error: countError } = await supabase
-      .from('user_verbs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
+export const getPracticeSessionsOnDay = async (day, timeZone) => {
+  if (isGuestMode()) return guestStorage.getPracticeSessionsOnDay(day, timeZone);
 
-    if (countError) throw countError;
-    if (!count || count === 0) {
-      return { success: false, error: 'No verbs available' };
-    }
-
-    // Get a random offset
-    const randomOffset = Math.floor(Math.random() * count);
-
-    // Fetch one random verb
-    const { data, error } = await supabase
-      .from('user_verbs')
-      .select('*')
-      .eq('user_id', user.id)
-      .range(randomOffset, randomOffset)
-      .single();
+  try {
+    const { data, error } = await supabase.rpc('get_practice_sessions_on_day', {
+      p_day: day,
+      p_time_zone: timeZone,
+    });
 
     if (error) throw error;
 
-    return { success: true, verb: data };
+    return { success: true, sessions: data || [] };
 
   } catch (err) {
-    console.error('Error getting random verb:', err);
-    return { success: false, error: err.message };
+    console.error('Error getting practice sessions of the day:', err);
+    return { success: false, error: err.message, sessions: [] };
   }
 };
 
+// Sessions classified per request by backfillMistakeTypes
+const MISTAKE_BACKFILL_BATCH = 200;
+
+// User whose older sessions were classified since the app started
+let mistakeTypesBackfilledFor = null;
+
 /**
- * Add a custom verb for the current user
+ * Classify the sessions saved before mistake_types existed, from their
+ * ai_feedback, and save their types (set_session_mistake_types in
+ * supabase/add_mistake_types_backfill.sql) so the database counts them
+ * in the statistics. Runs once per user while the app is open.
+ * @returns {Promise<Object>} { success, updated }
  */
-export const addUserVerb = async (verb, translation) => {
+export const backfillMistakeTypes = async () => {
+  if (isGuestMode()) return { success: true, updated: 0 }; // Classified when read (getSessionMistakeTypes)
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
       return { success: false, error: 'Not authenticated' };
     }
-
-    // Check if verb already exists for this user
-    const { data: existing } = await supabase
-      .from('user_verbs')
-      .select('id')
-      .eq('user_id', user.id)
-      .eq('verb', verb.trim().toLowerCase())
-      .single();
-
-    if (existing) {
-      return { success: false, error: 'This verb already exists in your list' };
+    if (mistakeTypesBackfilledFor === user.id) {
+      return { success: true, updated: 0 };
     }
 
-    // Insert new verb
-    const { data, error } = await supabase
-      .from('user_verbs')
-      .insert([{
-        user_id: user.id,
-        verb: verb.trim().toLowerCase(),
-        translation: translation.trim(),
-        is_default: false,
-        practice_count: 0,
-      }])
-      .select()
-      .single();
-
-    if (error) throw error;
+    let updated = 0;
+    for (;;) {
+      const { data, error } = await supabase
+        .from('practice_sessions')
+        .select('id, ai_feedback')
+        .eq('user_id', user.id)
+        .is('mistake_types', null)
+        .limit(MISTAKE_BACKFILL_BATCH);
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+
+      const { data: count, error: saveError } = await supabase.rpc('set_session_mistake_types', {
+        p_sessions: data.map(session => ({ id: session.id, mistake_types: getMistakeTypes(session.ai_feedback) })),
+      });
+
+      if (saveError) throw saveError;
+      updated += count || 0;
+      if (data.length < MISTAKE_BACKFILL_BATCH || !count) break;
+    }
 
-    return { success: true, verb: data };
+    mistakeTypesBackfilledFor = user.id;
+    return { success: true, updated };
 
   } catch (err) {
-    console.error('Error adding verb:', err);
+    console.error('Error classifying older practice sessions:', err);
     return { success: false, error: err.message };
   }
 };
 
 /**
- * Delete a verb for the current user
+ * Get practice statistics for the current user
  */
-export const deleteUserVerb = async (verbId) => {
+export const getPracticeStats = async () => {
+  if (isGuestMode()) return guestStorage.getPracticeStats();
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
       return { success: false, error: 'Not authenticated' };
     }
 
-    const { error } = await supabase
-      .from('user_verbs')
-      .delete()
-      .eq('id', verbId)
-      .eq('user_id', user.id); // Extra safety: only delete own verbs
-
-    if (error) throw error;
+    // Get total sessions
+    const { count: totalSessions, error: totalError } = await supabase
+      .from('practice_sessions')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id);
 
-    return { success: true };
+    if (totalError) throw totalError;
 
-  } catch (err) {
-    console.error('Error deleting verb:', err);
-    return { success: false, error: err.message };
-  }
-};
+    // Get correct sessions
+    const { count: correctSessions, error: correctError } = await supabase
+      .from('practice_sessions')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('is_correct', true);
 
-/**
- * Increment practice count for a verb
- */
-export const incrementVerbPracticeCount = async (verbId) => {
-  try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      return { success: false, error: 'Not authenticated' };
-    }
+    if (correctError) throw correctError;
 
-    // Get current count
-    const { data: current, error: getError } = await supabase
-      .from('user_verbs')
-      .select('practice_count')
-      .eq('id', verbId)
+    // Get graded sessions (is_correct is null when the AI answer couldn't be read)
+    const { count: gradedSessions, error: gradedError } = await supabase
+      .from('practice_sessions')
+      .select('*', { count: 'exact', head: true })
       .eq('user_id', user.id)
-      .single();
+      .not('is_correct', 'is', null);
 
-    if (getError) throw getError;
+    if (gradedError) throw gradedError;
 
-    // Increment
-    const { error: updateError } = await supabase
-      .from('user_verbs')
-      .update({ practice_count: (current.practice_count || 0) + 1 })
-      .eq('id', verbId)
-      .eq('user_id', user.id);
+    // Get total and custom verbs
+    const verbsResult = await getVerbs();
+    if (!verbsResult.success) throw new Error(verbsResult.error);
 
-    if (updateError) throw updateError;
+    const totalVerbs = verbsResult.verbs.length;
+    const customVerbs = verbsResult.verbs.filter(v => !v.is_default).length;
 
-    return { success: true };
+    // Calculate accuracy over graded sessions only
+    const accuracy = gradedSessions > 0 
+      ? Math.round((correctSessions / gradedSessions) * 100) 
+      : 0;
+
+    return {
+      success: true,
+      stats: {
+        totalSessions: totalSessions || 0,
+        correctSessions: correctSessions || 0,
+        accuracy,
+        totalVerbs: totalVerbs || 0,
+        customVerbs: customVerbs || 0,
+      }
+    };
 
   } catch (err) {
-    console.error('Error incrementing practice count:', err);
+    console.error('Error getting practice stats:', err);
     return { success: false, error: err.message };
   }
 };
 
 // =====================================================
-// PRACTICE SESSIONS (Cloud Storage)
+// SPACED REPETITION (Cloud Storage)
 // =====================================================
 
 /**
- * Save a practice session to the cloud
+ * Get all review rows for the current user
  */
-export const savePracticeSession = async (session) => {
+export const getVerbReviews = async () => {
+  if (isGuestMode()) return guestStorage.getVerbReviews();
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
-      return { success: false, error: 'Not authenticated' };
+      return { success: false, error: 'Not authenticated', reviews: [] };
     }
 
     const { data, error } = await supabase
-      .from('practice_sessions')
-      .insert([{
-        user_id: user.id,
-        verb_id: session.verbId,
-        verb_text: session.verbText,  // Required field: the verb being practiced
-        tense: session.tense,
-        user_sentence: session.userSentence,
-        is_correct: session.isCorrect,
-        ai_feedback: session.aiFeedback,
-      }])
-      .select()
-      .single();
+      .from('verb_reviews')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('due_at', { ascending: true });
 
     if (error) throw error;
 
-    return { success: true, session: data };
+    return { success: true, reviews: data || [] };
 
   } catch (err) {
-    console.error('Error saving practice session:', err);
-    return { success: false, error: err.message };
+    console.error('Error getting verb reviews:', err);
+    return { success: false, error: err.message, reviews: [] };
   }
 };
 
 /**
- * Get practice history for the current user
+ * Get the next (verb, tense) pair to practise
+ * The most overdue review comes first, then pairs never practised
+ *
+ * @param {string[]} tenseIds - Tenses to choose from (defaults to the user's enabled tenses)
+ * @param {string|null} mistakeType - Aim at verbs and tenses where this
+ *   mistake can happen (see applyMistakeFocus in utils/mistakeTaxonomy.js)
+ * @param {string|null} verbId - Only this verb (a practice round started
+ *   from the mastery matrix on Statistics)
+ * @returns {Object} { success, verb, tenseId, isNew } - verb is null when
+ *   verbId is no longer one of the user's verbs
  */
-export const getPracticeHistory = async (limit = 50) => {
+export const getNextPracticeItem = async (tenseIds = null, mistakeType = null, verbId = null) => {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      return { success: false, error: 'Not authenticated', sessions: [] };
+    if (!tenseIds) {
+      tenseIds = await getEnabledTenseIds();
     }
 
-    const { data, error } = await supabase
-      .from('practice_sessions')
-      .select(`
-        *,
-        user_verbs (verb, translation)
-      `)
-      .eq('user_id', user.id)
-      .order('created_at', { ascending: false })
-      .limit(limit);
+    const verbsResult = await getVerbs();
+    if (!verbsResult.success) {
+      return { success: false, error: verbsResult.error };
+    }
+    const verbs = verbId
+      ? verbsResult.verbs.filter(verb => verb.id === verbId)
+      : verbsResult.verbs;
+    if (verbId && verbs.length === 0) {
+      return { success: true, verb: null }; // Deleted since the round started
+    }
+    if (verbs.length === 0) {
+      return { success: false, error: 'No verbs available' };
+    }
 
-    if (error) throw error;
+    // Without review data, still let the user practise new pairs
+    const reviewsResult = await getVerbReviews();
+    const focus = applyMistakeFocus(mistakeType, verbs, tenseIds);
+    const next = pickNextReview(focus.verbs, reviewsResult.reviews, focus.tenseIds);
+    if (!next) {
+      return { success: false, error: 'No verbs available' };
+    }
 
-    return { success: true, sessions: data || [] };
+    return {
+      success: true,
+      verb: next.verb,
+      tenseId: next.tenseId,
+      isNew: next.isNew,
+    };
 
   } catch (err) {
-    console.error('Error getting practice history:', err);
-    return { success: false, error: err.message, sessions: [] };
+    console.error('Error getting next practice item:', err);
+    return { success: false, error: err.message };
   }
 };
 
 /**
- * Get practice statistics for the current user
+ * Count reviews due before the end of today
  */
-export const getPracticeStats = async () => {
+export const getDueReviewCount = async () => {
+  if (isGuestMode()) return guestStorage.getDueReviewCount();
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
-      return { success: false, error: 'Not authenticated' };
+      return { success: false, error: 'Not authenticated', count: 0 };
     }
 
-    // Get total sessions
-    const { count: totalSessions, error: totalError } = await supabase
-      .from('practice_sessions')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
-
-    if (totalError) throw totalError;
-
-    // Get correct sessions
-    const { count: correctSessions, error: correctError } = await supabase
-      .from('practice_sessions')
+    const { count, error } = await supabase
+      .from('verb_reviews')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', user.id)
-      .eq('is_correct', true);
+      .lte('due_at', getEndOfDay().toISOString());
 
-    if (correctError) throw correctError;
-
-    // Get total verbs
-    const { count: totalVerbs, error: verbsError } = await supabase
-      .from('user_verbs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
-
-    if (verbsError) throw verbsError;
-
-    // Get custom verbs
-    const { count: customVerbs, error: customError } = await supabase
-      .from('user_verbs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id)
-      .eq('is_default', false);
-
-    if (customError) throw customError;
+    if (error) throw error;
 
-    // Calculate accuracy
-    const accuracy = totalSessions > 0 
-      ? Math.round((correctSessions / totalSessions) * 100) 
-      : 0;
-
-    return {
-      success: true,
-      stats: {
-        totalSessions: totalSessions || 0,
-        correctSessions: correctSessions || 0,
-        accuracy,
-        totalVerbs: totalVerbs || 0,
-        customVerbs: customVerbs || 0,
-      }
-    };
+    return { success: true, count: count || 0 };
 
   } catch (err) {
-    console.error('Error getting practice stats:', err);
-    return { success: false, error: err.message };
+    console.error('Error counting due reviews:', err);
+    return { success: false, error: err.message, count: 0 };
   }
 };
 
@@ -387,6 +391,8 @@ export const getPracticeStats = async () => {
  * Get user settings from cloud
  */
 export const getUserSettings = async () => {
+  if (isGuestMode()) return guestStorage.getUserSettings();
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
@@ -411,10 +417,34 @@ export const getUserSettings = async () => {
   }
 };
 
+/**
+ * Get the tense ids the user has switched on
+ * Falls back to the default tenses when nothing is saved (or settings fail to load)
+ * @returns {Promise<string[]>}
+ */
+export const getEnabledTenseIds = async () => {
+  const result = await getUserSettings();
+  return resolveEnabledTenseIds(result.settings?.enabled_tenses);
+};
+
+/**
+ * Save the device's time zone as the user's, if they don't have one yet
+ * Days (streaks, weeks) are counted in it; users change it in Settings.
+ */
+export const saveDeviceTimeZone = async () => {
+  const result = await getUserSettings();
+  if (!result.success || result.settings?.time_zone) {
+    return result;
+  }
+  return saveUserSettings({ time_zone: getDeviceTimeZone() });
+};
+
 /**
  * Save user settings to cloud
  */
 export const saveUserSettings = async (settings) => {
+  if (isGuestMode()) return guestStorage.saveUserSettings(settings);
+
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) {
@@ -444,3 +474,121 @@ export const saveUserSettings = async (settings) => {
   }
 };
 
+// =====================================================
+// GUEST DATA (merged on register)
+// =====================================================
+
+/**
+ * Move a guest's verbs, practice, review schedule and settings into the
+ * account they registered (see utils/guestMode.js)
+ * Does nothing unless the signed-in user is the account the guest created.
+ * Safe to repeat after a failure: verbs already there are skipped, sessions
+ * keep their client_id and reviews are upserted.
+ *
+ * @returns {Promise<Object>} { success, merged, verbs, sessions }
+ */
+export const mergeGuestData = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    const mergeEmail = await getGuestMergeEmail();
+    if (!user || !mergeEmail || user.email?.toLowerCase() !== mergeEmail) {
+      return { success: true, merged: false };
+    }
+
+    const { verbs, sessions, reviews, settings } = await guestStorage.getGuestData();
+    const cloudVerbs = getVerbStore(VERB_BACKENDS.SUPABASE);
+
+    const imported = await cloudVerbs.importVerbs(verbs);
+    if (!imported.success) throw new Error(imported.error);
+
+    // Guest verb ids -> the account's verb ids, matched by verb
+    const accountVerbs = await cloudVerbs.getVerbs();
+    if (!accountVerbs.success) throw new Error(accountVerbs.error);
+    const idByVerb = new Map(accountVerbs.verbs.map(v => [v.verb, v.id]));
+    const verbIds = new Map(verbs.map(v => [v.id, idByVerb.get(v.verb.trim().toLowerCase()) || null]));
+
+    if (sessions.length > 0) {
+      const { error } = await supabase
+        .from('practice_sessions')
+        .upsert(sessions.map(({ id, ...session }) => ({
+          ...session,
+          user_id: user.id,
+          verb_id: verbIds.get(session.verb_id) || null,
+        })), { onConflict: 'client_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+
+    const reviewRows = reviews
+      .filter(review => verbIds.get(review.verb_id))
+      .map(({ id, ...review }) => ({
+        ...review,
+        user_id: user.id,
+        verb_id: verbIds.get(review.verb_id),
+      }));
+
+    if (reviewRows.length > 0) {
+      const { error } = await supabase
+        .from('verb_reviews')
+        .upsert(reviewRows, { onConflict: 'user_id,verb_id,tense' });
+
+      if (error) throw error;
+    }
+
+    if (settings) {
+      const { error } = await supabase
+        .from('user_settings')
+        .upsert({
+          ...settings,
+          user_id: user.id,
+          updated_at: new Date().toISOString(),
+        }, {
+          onConflict: 'user_id'
+        });
+
+      if (error) throw error;
+    }
+
+    await guestStorage.clearGuestData();
+    await clearGuestMerge();
+
+    console.log(`Merged guest data: ${imported.imported} verbs, ${sessions.length} sessions`);
+    return { success: true, merged: true, verbs: imported.imported, sessions: sessions.length };
+
+  } catch (err) {
+    console.error('Error merging guest data:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// =====================================================
+// APP SETTINGS (chosen by admins)
+// =====================================================
+
+/**
+ * Copy the admins' choice of prompt template to this device
+ * aiService reads the local copy (getActivePromptId); if the server can't be
+ * reached the last synced template keeps being used.
+ */
+export const syncActivePromptTemplate = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('value')
+      .eq('key', 'prompt_template')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const templateId = data?.value || null;
+    if (templateId) {
+      await saveActivePromptId(templateId);
+    }
+
+    return { success: true, templateId };
+
+  } catch (err) {
+    console.error('Error syncing prompt template:', err);
+    return { success: false, error: err.message };
+  }
+};
@@ -0,0 +1,555 @@
+/**
+ * Conjugator - Offline rule-based French conjugation
+ *
+ * Produces all six persons for the tenses in data/tenses.js without
+ * calling the AI (the impératif only has tu, nous and vous). Covers:
+ * - Regular -er, -ir (finir) and -re (attendre) groups
+ * - Spelling-change -er verbs (manger, commencer, acheter, appeler, préférer, nettoyer)
+ * - Irregular verbs listed in data/irregularVerbs.js (and their compounds)
+ *
+ * Used to give feedback when the AI is unavailable and to double-check
+ * the AI's `correctConjugation` claims.
+ */
+
+import { IRREGULAR_VERBS, ETRE_VERBS, DUAL_AUXILIARY_VERBS } from '../data/irregularVerbs';
+
+// Subject persons in conjugation order
+export const PERSONS = ['je', 'tu', 'il', 'nous', 'vous', 'ils'];
+
+// Labels shown in conjugation tables
+const PERSON_LABELS = ['je', 'tu', 'il/elle/on', 'nous', 'vous', 'ils/elles'];
+
+// Endings for the simple tenses
+const ENDINGS = {
+  er: ['e', 'es', 'e', 'ons', 'ez', 'ent'],
+  ir: ['is', 'is', 'it', 'issons', 'issez', 'issent'],
+  re: ['s', 's', '', 'ons', 'ez', 'ent'],
+  futur: ['ai', 'as', 'a', 'ons', 'ez', 'ont'],
+  imparfait: ['ais', 'ais', 'ait', 'ions', 'iez', 'aient'],
+  subjonctif: ['e', 'es', 'e', 'ions', 'iez', 'ent'],
+};
+
+// Passé simple endings, by the vowel of the "je" form (parlai, finis, reçus, vins)
+const PASSE_SIMPLE_ENDINGS = {
+  a: ['ai', 'as', 'a', 'âmes', 'âtes', 'èrent'],
+  i: ['is', 'is', 'it', 'îmes', 'îtes', 'irent'],
+  u: ['us', 'us', 'ut', 'ûmes', 'ûtes', 'urent'],
+  in: ['ins', 'ins', 'int', 'înmes', 'întes', 'inrent'],
+};
+
+// Persons that exist in the impératif (tu, nous, vous)
+const IMPERATIF_PERSONS = [1, 3, 4];
+
+// Irregular patterns, longest ending first so 'devoir' wins over 'voir'
+const SORTED_IRREGULARS = [...IRREGULAR_VERBS].sort(
+  (a, b) => b.ending.length - a.ending.length
+);
+
+// =====================================================
+// VERB ANALYSIS
+// =====================================================
+
+/**
+ * Normalize an infinitive for lookup (trim + lowercase)
+ * @param {string} verb
+ * @returns {string}
+ */
+function normalizeVerb(verb) {
+  return (verb || '').trim().toLowerCase();
+}
+
+/**
+ * Find the irregular pattern for a verb, if any
+ * @param {string} verb - Normalized infinitive
+ * @returns {Object|null} { pattern, prefix } or null for regular verbs
+ */
+function findIrregular(verb) {
+  for (const pattern of SORTED_IRREGULARS) {
+    if (pattern.exact) {
+      if (verb === pattern.ending) {
+        return { pattern, prefix: '' };
+      }
+    } else if (verb.endsWith(pattern.ending)) {
+      return { pattern, prefix: verb.slice(0, -pattern.ending.length) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the regular group of a verb from its ending
+ * @param {string} verb - Normalized infinitive
+ * @returns {string|null} 'er', 'ir', 're' or null if not a French infinitive
+ */
+function getGroup(verb) {
+  if (verb.length < 3) return null;
+  const ending = verb.slice(-2);
+  return ['er', 'ir', 're'].includes(ending) ? ending : null;
+}
+
+/**
+ * Join an -er stem with an ending, applying -ger/-cer spelling rules
+ * (mangeons, commençons: keep the soft sound before "a" or "o")
+ */
+function joinErStem(stem, ending) {
+  const hardVowel = /^[aâo]/.test(ending);
+  if (hardVowel && stem.endsWith('g')) {
+    return `${stem}e${ending}`;
+  }
+  if (hardVowel && stem.endsWith('c')) {
+    return `${stem.slice(0, -1)}ç${ending}`;
+  }
+  return stem + ending;
+}
+
+/**
+ * Get the stem used before a silent "e" for stem-changing -er verbs
+ * (j'achète, j'appelle, je préfère, je nettoie)
+ * @param {string} stem - Infinitive minus -er
+ * @param {boolean} isFutur - Futur keeps "é" (préférerai) but not "e" (achèterai)
+ * @returns {string} The changed stem, or the original stem
+ */
+function getStrongStem(stem, isFutur = false) {
+  // -oyer / -uyer: y → i (nettoie, essuie)
+  if (/[ou]y$/.test(stem)) {
+    return `${stem.slice(0, -1)}i`;
+  }
+
+  // appeler / jeter and compounds double the consonant
+  if (/(appel|jet)$/.test(stem)) {
+    return stem + stem.slice(-1);
+  }
+
+  // e + single consonant (acheter, lever, mener, peser): e → è
+  const muteE = stem.match(/^(.*)e([^aeiouyéè])$/);
+  if (muteE) {
+    return `${muteE[1]}è${muteE[2]}`;
+  }
+
+  // é + consonant(s) (préférer, espérer, célébrer): é → è, except in the futur
+  const closedE = stem.match(/^(.*)é([^aeiouyéè]{1,2})$/);
+  if (closedE && !isFutur) {
+    return `${closedE[1]}è${closedE[2]}`;
+  }
+
+  return stem;
+}
+
+// =====================================================
+// SIMPLE TENSES
+// =====================================================
+
+/**
+ * Conjugate in the present tense
+ * @returns {string[]} Six forms
+ */
+function conjugatePresent(verb) {
+  const irregular = findIrregular(verb);
+  if (irregular) {
+    return irregular.pattern.present.map(form => irregular.prefix + form);
+  }
+
+  const group = getGroup(verb);
+  const stem = verb.slice(0, -2);
+
+  if (group === 'er') {
+    const strongStem = getStrongStem(stem);
+    return ENDINGS.er.map((ending, i) => {
+      // Silent-e endings (je, tu, il, ils) use the changed stem
+      const useStrong = i < 3 || i === 5;
+      return joinErStem(useStrong ? strongStem : stem, ending);
+    });
+  }
+
+  return ENDINGS[group].map(ending => stem + ending);
+}
+
+/**
+ * Get the futur simple stem (usually the infinitive)
+ */
+function getFuturStem(verb) {
+  const irregular = findIrregular(verb);
+  if (irregular && irregular.pattern.futurStem) {
+    return irregular.prefix + irregular.pattern.futurStem;
+  }
+
+  const group = getGroup(verb);
+  if (group === 're') {
+    return verb.slice(0, -1);
+  }
+  if (group === 'er' && !irregular) {
+    const stem = verb.slice(0, -2);
+    return `${getStrongStem(stem, true)}er`;
+  }
+  return verb;
+}
+
+/**
+ * Conjugate in the futur simple
+ * @returns {string[]} Six forms
+ */
+function conjugateFutur(verb) {
+  const stem = getFuturStem(verb);
+  return ENDINGS.futur.map(ending => stem + ending);
+}
+
+/**
+ * Conjugate in the imparfait
+ * Stem comes from the "nous" present form (nous finissons → finiss-)
+ * @returns {string[]} Six forms
+ */
+function conjugateImparfait(verb) {
+  const irregular = findIrregular(verb);
+
+  if (irregular) {
+    const stem = irregular.pattern.imparfaitStem
+      ? irregular.prefix + irregular.pattern.imparfaitStem
+      : irregular.prefix + irregular.pattern.present[3].replace(/ons$/, '');
+    return ENDINGS.imparfait.map(ending => stem + ending);
+  }
+
+  const group = getGroup(verb);
+  if (group === 'er') {
+    const stem = verb.slice(0, -2);
+    return ENDINGS.imparfait.map(ending => joinErStem(stem, ending));
+  }
+
+  const stem = conjugatePresent(verb)[3].replace(/ons$/, '');
+  return ENDINGS.imparfait.map(ending => stem + ending);
+}
+
+/**
+ * Conjugate in the conditionnel présent
+ * Futur stem + imparfait endings (je parlerais, j'irais)
+ * @returns {string[]} Six forms
+ */
+function conjugateConditionnel(verb) {
+  const stem = getFuturStem(verb);
+  return ENDINGS.imparfait.map(ending => stem + ending);
+}
+
+/**
+ * Conjugate in the subjonctif présent
+ * je/tu/il/ils use the "ils" present stem (qu'ils prennent → que je prenne),
+ * nous/vous match the imparfait (que nous prenions)
+ * @returns {string[]} Six forms
+ */
+function conjugateSubjonctif(verb) {
+  const irregular = findIrregular(verb);
+  if (irregular && irregular.pattern.subjonctif) {
+    return irregular.pattern.subjonctif.map(form => irregular.prefix + form);
+  }
+
+  const stem = conjugatePresent(verb)[5].replace(/ent$/, '');
+  const imparfait = conjugateImparfait(verb);
+
+  return ENDINGS.subjonctif.map((ending, i) => {
+    if (i === 3 || i === 4) return imparfait[i];
+    return stem + ending;
+  });
+}
+
+/**
+ * Conjugate in the passé simple
+ * Irregular verbs give their "je" form, which sets both stem and endings
+ * (je pris → pr- + is, je vins → v- + ins)
+ * @returns {string[]} Six forms
+ */
+function conjugatePasseSimple(verb) {
+  const irregular = findIrregular(verb);
+  const group = getGroup(verb);
+
+  if (irregular && irregular.pattern.passeSimple) {
+    const first = irregular.prefix + irregular.pattern.passeSimple;
+    const type = ['in', 'u', 'i'].find(vowel => first.endsWith(`${vowel}s`));
+    const stem = first.slice(0, -(type.length + 1));
+    return PASSE_SIMPLE_ENDINGS[type].map(ending => stem + ending);
+  }
+
+  const stem = verb.slice(0, -2);
+  if (group === 'er') {
+    return PASSE_SIMPLE_ENDINGS.a.map(ending => joinErStem(stem, ending));
+  }
+  return PASSE_SIMPLE_ENDINGS.i.map(ending => stem + ending);
+}
+
+/**
+ * Conjugate in the impératif
+ * Only tu, nous and vous exist; the other persons are null.
+ * The tu form drops its "s" after e or a (tu manges → mange, tu vas → va).
+ * @returns {string[]} Six forms (null where the person doesn't exist)
+ */
+function conjugateImperatif(verb) {
+  const irregular = findIrregular(verb);
+  if (irregular && irregular.pattern.noImperatif) {
+    return PERSONS.map(() => null);
+  }
+
+  let forms;
+  if (irregular && irregular.pattern.imperatif) {
+    forms = irregular.pattern.imperatif.map(form => irregular.prefix + form);
+  } else {
+    const present = conjugatePresent(verb);
+    forms = IMPERATIF_PERSONS.map(i => present[i]);
+    forms[0] = forms[0].replace(/([ea])s$/, '$1');
+  }
+
+  return PERSONS.map((_, i) => {
+    const index = IMPERATIF_PERSONS.indexOf(i);
+    return index >= 0 ? forms[index] : null;
+  });
+}
+
+// =====================================================
+// COMPOUND TENSES
+// =====================================================
+
+/**
+ * Get the past participle (masculine singular)
+ * @param {string} verb - Infinitive
+ * @returns {string|null} Past participle, or null if the verb isn't recognised
+ */
+export function getPastParticiple(verb) {
+  const normalized = normalizeVerb(verb);
+  if (!getGroup(normalized)) return null;
+
+  const irregular = findIrregular(normalized);
+  if (irregular) {
+    return irregular.prefix + irregular.pattern.participle;
+  }
+
+  const stem = normalized.slice(0, -2);
+  switch (getGroup(normalized)) {
+    case 'er':
+      return `${stem}é`;
+    case 'ir':
+      return `${stem}i`;
+    default:
+      return `${stem}u`;
+  }
+}
+
+/**
+ * Get the auxiliary used in compound tenses
+ * @param {string} verb - Infinitive
+ * @returns {string} 'être' or 'avoir'
+ */
+export function getAuxiliary(verb) {
+  const normalized = normalizeVerb(verb);
+  const irregular = findIrregular(normalized);
+  if (irregular && irregular.pattern.auxiliary) {
+    return irregular.pattern.auxiliary;
+  }
+  return ETRE_VERBS.includes(normalized) ? 'être' : 'avoir';
+}
+
+/**
+ * Check whether a verb can use either auxiliary (monter, sortir, passer...)
+ * @param {string} verb - Infinitive
+ * @returns {boolean}
+ */
+export function acceptsBothAuxiliaries(verb) {
+  return DUAL_AUXILIARY_VERBS.includes(normalizeVerb(verb));
+}
+
+/**
+ * Build a compound tense: auxiliary in `auxTense` + past participle
+ * Participles agree in number with plural subjects when the auxiliary is être
+ * (masculine is used as the reference form).
+ */
+function conjugateCompound(verb, auxTense) {
+  const auxiliary = getAuxiliary(verb);
+  const participle = getPastParticiple(verb);
+  const auxForms = conjugate(auxiliary, auxTense);
+
+  return auxForms.map((aux, i) => {
+    const agrees = auxiliary === 'être' && i >= 3 && !participle.endsWith('s');
+    return `${aux} ${agrees ? `${participle}s` : participle}`;
+  });
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+// Compound tense id → tense of its auxiliary
+export const COMPOUND_TENSES = {
+  passe_compose: 'present',
+  plus_que_parfait: 'imparfait',
+  futur_anterieur: 'futur_simple',
+  conditionnel_passe: 'conditionnel_present',
+};
+
+// Tenses used without a subject pronoun
+export const PRONOUNLESS_TENSES = ['imperatif'];
+
+// Tense id → conjugation function
+const TENSE_CONJUGATORS = {
+  present: conjugatePresent,
+  futur_simple: conjugateFutur,
+  imparfait: conjugateImparfait,
+  conditionnel_present: conjugateConditionnel,
+  subjonctif_present: conjugateSubjonctif,
+  passe_simple: conjugatePasseSimple,
+  imperatif: conjugateImperatif,
+};
+Object.entries(COMPOUND_TENSES).forEach(([tenseId, auxTense]) => {
+  TENSE_CONJUGATORS[tenseId] = verb => conjugateCompound(verb, auxTense);
+});
+
+/**
+ * Get the list of tense ids the conjugator supports
+ * @returns {string[]}
+ */
+export function getSupportedTenses() {
+  return Object.keys(TENSE_CONJUGATORS);
+}
+
+/**
+ * Conjugate a verb in a tense
+ *
+ * @param {string} verb - Infinitive (e.g. 'manger')
+ * @param {string} tenseId - Tense id from data/tenses.js (e.g. 'present')
+ * @returns {string[]|null} Six forms in PERSONS order (without pronouns,
+ *   null for persons the tense doesn't have), or null if the verb isn't a
+ *   recognisable infinitive
+ * @throws {Error} If the tense is not supported
+ */
+export function conjugate(verb, tenseId) {
+  const conjugator = TENSE_CONJUGATORS[tenseId];
+  if (!conjugator) {
+    throw new Error(`Unsupported tense: ${tenseId}`);
+  }
+
+  const normalized = normalizeVerb(verb);
+  if (!getGroup(normalized)) {
+    return null;
+  }
+
+  return conjugator(normalized);
+}
+
+/**
+ * Check whether a verb can be practised in a tense
+ * False only when the conjugator knows the verb has no forms there
+ * (pouvoir has no impératif); unknown verbs are left to the AI.
+ *
+ * @param {string} verb - Infinitive
+ * @param {string} tenseId - Tense id
+ * @returns {boolean}
+ */
+export function hasTense(verb, tenseId) {
+  if (!TENSE_CONJUGATORS[tenseId]) return true;
+  const forms = conjugate(verb, tenseId);
+  return !forms || forms.some(form => form);
+}
+
+/**
+ * Check if a form needs elision after "je" (j'ai, j'habite)
+ */
+function startsWithVowel(form) {
+  return /^[aeiouyàâäéèêëîïôöûüh]/i.test(form);
+}
+
+/**
+ * Get a full conjugation table with subject pronouns
+ *
+ * @param {string} verb - Infinitive
+ * @param {string} tenseId - Tense id
+ * @returns {Array|null} [{ person, label, form, text }] for the persons the
+ *   tense has, or null if not conjugable
+ */
+export function getConjugationTable(verb, tenseId) {
+  const forms = conjugate(verb, tenseId);
+  if (!forms) return null;
+
+  const withPronoun = !PRONOUNLESS_TENSES.includes(tenseId);
+
+  return forms
+    .map((form, i) => {
+      if (!form) return null;
+      const person = PERSONS[i];
+      let pronoun = '';
+      if (withPronoun) {
+        pronoun = person === 'je' && startsWithVowel(form) ? "j'" : `${person} `;
+      }
+      return {
+        person,
+        label: PERSON_LABELS[i],
+        form,
+        text: `${pronoun}${form}`,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Get every accepted spelling for each person
+ * Compound tenses accept participle agreement (allée, allés, allées) and,
+ * for verbs like sortir or monter, either auxiliary.
+ *
+ * @param {string} verb - Infinitive
+ * @param {string} tenseId - Tense id
+ * @returns {string[][]|null} Six arrays of accepted forms, or null if not conjugable
+ */
+export function getAcceptedForms(verb, tenseId) {
+  const forms = conjugate(verb, tenseId);
+  if (!forms) return null;
+
+  if (!COMPOUND_TENSES[tenseId]) {
+    return forms.map(form => (form ? [form] : []));
+  }
+
+  const participle = getPastParticiple(verb);
+  const auxiliaries = acceptsBothAuxiliaries(verb)
+    ? ['être', 'avoir']
+    : [getAuxiliary(verb)];
+
+  return PERSONS.map((_, i) => {
+    const accepted = new Set([forms[i]]);
+    auxiliaries.forEach(auxiliary => {
+      const aux = conjugate(auxiliary, COMPOUND_TENSES[tenseId])[i];
+      if (auxiliary === 'avoir') {
+        accepted.add(`${aux} ${participle}`);
+        return;
+      }
+      // Agreement with the subject: e (feminine), s (plural), es (both)
+      ['', 'e', 's', 'es'].forEach(suffix => {
+        if (suffix.startsWith('s') && participle.endsWith('s')) return;
+        accepted.add(`${aux} ${participle}${suffix}`);
+      });
+    });
+    return Array.from(accepted);
+  });
+}
+
+/**
+ * Strip a leading subject pronoun and normalize spacing/apostrophes
+ * ("Nous  mangeons" → "mangeons", "j’ai mangé" → "ai mangé")
+ */
+function stripPronoun(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .replace(/^(j'|je |tu |il |elle |on |nous |vous |ils |elles )/, '');
+}
+
+/**
+ * Check whether a piece of text is a valid conjugation of a verb in a tense
+ * Accepts an optional leading subject pronoun ("nous mangeons", "j'ai mangé")
+ * Useful to verify the AI's `correctConjugation` claims.
+ *
+ * @param {string} verb - Infinitive
+ * @param {string} tenseId - Tense id
+ * @param {string} text - Candidate conjugation
+ * @returns {boolean}
+ */
+export function isValidConjugation(verb, tenseId, text) {
+  const accepted = getAcceptedForms(verb, tenseId);
+  if (!accepted || !text) return false;
+
+  const candidate = stripPronoun(text);
+  return accepted.some(forms => forms.includes(candidate));
+}
@@ -7,7 +7,8 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const STORAGE_KEY = '@cost_tracking';
 
-// Grok pricing (per million tokens)
+// Pricing per million tokens, by model
+// Unknown models are priced like grok-4-fast-non-reasoning
 const PRICING = {
   'grok-4-fast-non-reasoning': {
     input: 0.20,
@@ -17,6 +18,19 @@ const PRICING = {
     input: 3.00,
     output: 15.00,
   },
+  'gpt-4o-mini': {
+    input: 0.15,
+    output: 0.60,
+  },
+  'claude-haiku-4-5': {
+    input: 1.00,
+    output: 5.00,
+  },
+  // Self-hosted models (llama.cpp, Ollama...) cost nothing per token
+  'local': {
+    input: 0,
+    output: 0,
+  },
 };
 
 /**
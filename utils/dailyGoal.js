@@ -0,0 +1,174 @@
+/**
+ * Daily Goal
+ *
+ * The number of practice sessions the user aims for each day
+ * (user_settings.daily_goal, edited in Settings): today's progress on
+ * HomeScreen, and on StatisticsScreen the days the goal was met and the
+ * goal streak (separate from the practice streak, which only needs one
+ * session a day).
+ *
+ * Days are counted in the user's time zone (utils/calendar.js), from the
+ * per-day counts of get_practice_days (see utils/heatmap.js). Each past
+ * day is judged against the goal in effect that day: Settings logs every
+ * change in user_settings.daily_goal_changes (supabase/add_daily_goal_changes.sql).
+ */
+
+import { getDayKey, addDays, daysBetween } from './calendar';
+
+// Same as the column default in supabase/schema.sql
+export const DEFAULT_DAILY_GOAL = 10;
+export const MIN_DAILY_GOAL = 1;
+export const MAX_DAILY_GOAL = 100;
+
+// Buttons in Settings; any other number can be typed in
+export const DAILY_GOAL_PRESETS = [5, 10, 20, 30];
+
+// Days shown in the goal history on Statistics (four weeks)
+export const GOAL_HISTORY_DAYS = 28;
+
+/**
+ * Whether a number can be saved as the daily goal
+ */
+export function isValidDailyGoal(goal) {
+  return Number.isInteger(goal) && goal >= MIN_DAILY_GOAL && goal <= MAX_DAILY_GOAL;
+}
+
+/**
+ * The user's daily goal, or the default when missing or out of range
+ * @param {Object|null} settings - user_settings row
+ * @returns {number}
+ */
+export function getDailyGoal(settings) {
+  const goal = settings?.daily_goal;
+  return isValidDailyGoal(goal) ? goal : DEFAULT_DAILY_GOAL;
+}
+
+/**
+ * Log a change of the daily goal
+ * A second change on the same day replaces the first, keeping its `from`.
+ * @param {Array|null} changes - user_settings.daily_goal_changes
+ * @param {number} from - Goal until now
+ * @param {number} to - New goal
+ * @param {string} day - Today's day key, in the user's time zone
+ * @returns {Array} [{ day, from, to }], oldest first
+ */
+export function recordGoalChange(changes, from, to, day) {
+  const earlier = (changes || []).filter(change => change.day < day);
+  const sameDay = (changes || []).find(change => change.day === day);
+  const previous = sameDay ? sameDay.from : from;
+  return previous === to ? earlier : [...earlier, { day, from: previous, to }];
+}
+
+/**
+ * The goal in effect on a day
+ * @param {Object|null} settings - user_settings row
+ * @param {string} day - Day key
+ * @returns {number}
+ */
+export function getGoalOnDay(settings, day) {
+  const changes = settings?.daily_goal_changes || [];
+  if (changes.length === 0) {
+    return getDailyGoal(settings);
+  }
+
+  const last = changes.filter(change => change.day <= day).pop();
+  const goal = last ? last.to : changes[0].from;
+  return isValidDailyGoal(goal) ? goal : getDailyGoal(settings);
+}
+
+/**
+ * Read a goal typed in Settings
+ * @param {string} text
+ * @returns {number|null} null unless a whole number in range
+ */
+export function parseDailyGoal(text) {
+  const trimmed = String(text).trim();
+  if (!/^\d+$/.test(trimmed)) {
+    return null;
+  }
+  const goal = Number(trimmed);
+  return isValidDailyGoal(goal) ? goal : null;
+}
+
+/**
+ * Progress towards today's goal
+ * @param {number} sessions - Sessions practised today
+ * @param {number} goal
+ * @returns {Object} { sessions, goal, remaining, ratio (0 to 1), met }
+ */
+export function getGoalProgress(sessions, goal) {
+  return {
+    sessions,
+    goal,
+    remaining: Math.max(0, goal - sessions),
+    ratio: Math.min(1, sessions / goal),
+    met: sessions >= goal,
+  };
+}
+
+// A fixed goal, or day key → goal in effect that day
+function goalOnDay(goal) {
+  return typeof goal === 'function' ? goal : () => goal;
+}
+
+/**
+ * The last days, and whether the goal was met on each
+ * @param {Array} days - [{ day, sessions }] (see get_practice_days)
+ * @param {number|Function} goal - The goal, or day key → goal in effect
+ *   that day (see getGoalOnDay)
+ * @param {string} timeZone - IANA name
+ * @param {Date} now
+ * @param {number} length - Days to return, ending today
+ * @returns {Array} [{ day, sessions, goal, met, today }], oldest first
+ */
+export function calculateGoalHistory(days, goal, timeZone, now = new Date(), length = GOAL_HISTORY_DAYS) {
+  const goalOn = goalOnDay(goal);
+  const sessionsByDay = {};
+  days.forEach(day => {
+    sessionsByDay[day.day] = day.sessions;
+  });
+
+  const today = getDayKey(now, timeZone);
+  return Array.from({ length }, (_, index) => {
+    const day = addDays(today, index - length + 1);
+    const sessions = sessionsByDay[day] || 0;
+    const dayGoal = goalOn(day);
+    return { day, sessions, goal: dayGoal, met: sessions >= dayGoal, today: day === today };
+  });
+}
+
+/**
+ * Consecutive days on which the goal was met
+ * Today only counts once its goal is met; until then the streak that ended
+ * yesterday is still current.
+ * @param {Array} days - [{ day, sessions }] (see get_practice_days)
+ * @param {number|Function} goal - The goal, or day key → goal in effect
+ *   that day (see getGoalOnDay)
+ * @param {string} timeZone - IANA name
+ * @param {Date} now
+ * @returns {Object} { current, best }
+ */
+export function calculateGoalStreak(days, goal, timeZone, now = new Date()) {
+  const goalOn = goalOnDay(goal);
+  const goalDays = new Set(days.filter(day => day.sessions >= goalOn(day.day)).map(day => day.day));
+  const sortedDays = Array.from(goalDays).sort(); // Day keys sort by date
+
+  // Longest run of consecutive days
+  let best = 0;
+  let run = 0;
+  sortedDays.forEach((day, i) => {
+    run = i > 0 && daysBetween(sortedDays[i - 1], day) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  // The run that reaches today, or yesterday while today is in progress
+  let current = 0;
+  const today = getDayKey(now, timeZone);
+  let day = goalDays.has(today) ? today : addDays(today, -1);
+  while (goalDays.has(day)) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return { current, best };
+}
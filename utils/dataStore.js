@@ -0,0 +1,206 @@
+/**
+ * Data Store
+ *
+ * Shared in-memory copy of the signed-in user's verbs, recent practice
+ * sessions and settings. It is loaded on sign-in and then kept current by
+ * Supabase realtime subscriptions, so practising on a phone updates an open
+ * web tab right away. HomeScreen, HistoryScreen and StatisticsScreen read it
+ * with useDataStore() instead of each fetching on focus; totals over the
+ * whole history come from the database (see statisticsService.js).
+ *
+ * Guests (utils/guestMode.js) get the same store, loaded from the device and
+ * refreshed after each attempt.
+ *
+ * The tables must be in the `supabase_realtime` publication (supabase/add_realtime.sql).
+ */
+
+import { useSyncExternalStore } from 'react';
+import { supabase } from './supabase';
+import { getVerbs } from './verbRepository';
+import { getPracticeHistory, getUserSettings } from './cloudStorage';
+
+const EMPTY_STATE = {
+  status: 'idle', // 'idle' | 'loading' | 'ready' | 'error'
+  verbs: [],
+  sessions: [],
+  settings: null,
+  error: null,
+};
+
+// Sessions kept: the ones HistoryScreen lists
+const RECENT_SESSIONS = 50;
+
+const byVerb = (a, b) => a.verb.localeCompare(b.verb);
+const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// Subscribed tables and where their rows go in the store
+const TABLES = [
+  { table: 'user_verbs', key: 'verbs', compare: byVerb },
+  { table: 'practice_sessions', key: 'sessions', compare: byNewest, limit: RECENT_SESSIONS },
+  { table: 'user_settings', key: 'settings', compare: null }, // One row per user
+];
+
+let state = EMPTY_STATE;
+let channel = null;
+let channelUserId = null;
+let loadId = 0; // Loads that finish after a newer load (or a sign-out) are dropped
+let changesDuringLoad = null;
+const listeners = new Set();
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener(state));
+}
+
+/**
+ * Apply one realtime change to a list of rows
+ * Rows are matched by id, so a change seen twice (or a delete of another
+ * user's row) leaves the list as it is.
+ *
+ * @param {Array} rows - Current rows
+ * @param {Object} payload - postgres_changes payload ({ eventType, new, old })
+ * @param {Function} compare - Sort order of the list
+ * @returns {Array} Updated rows
+ */
+export function applyRowChange(rows, payload, compare) {
+  const isDelete = payload.eventType === 'DELETE';
+  const id = isDelete ? payload.old?.id : payload.new?.id;
+  if (!id) return rows;
+
+  const others = rows.filter(row => row.id !== id);
+  if (isDelete) {
+    return others.length === rows.length ? rows : others;
+  }
+  return [...others, payload.new].sort(compare);
+}
+
+function applyChange(table, payload) {
+  const { key, compare, limit } = table;
+  if (changesDuringLoad) {
+    changesDuringLoad.push([table, payload]);
+  }
+
+  // The settings row is kept as a one-row list while applying the change
+  const isList = key !== 'settings';
+  const current = isList ? state[key] : (state.settings ? [state.settings] : []);
+  const rows = applyRowChange(current, payload, compare || (() => 0));
+  if (rows === current) return;
+
+  setState({ [key]: isList ? rows.slice(0, limit) : rows[0] || null });
+}
+
+// =====================================================
+// READING
+// =====================================================
+
+/**
+ * @returns {Object} { status, verbs, sessions, settings, error }
+ */
+export function getDataStore() {
+  return state;
+}
+
+/**
+ * Be told whenever the store changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToDataStore(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * React hook: the store's current state, re-rendering on every change
+ */
+export function useDataStore() {
+  return useSyncExternalStore(subscribeToDataStore, getDataStore);
+}
+
+// =====================================================
+// LOADING AND REALTIME
+// =====================================================
+
+/**
+ * Load everything again (sign-in, pull-to-refresh, reconnect)
+ * Changes that arrive while loading are applied again on top of the result.
+ */
+export async function refreshDataStore() {
+  const id = ++loadId;
+  changesDuringLoad = [];
+  if (state.status !== 'ready') {
+    setState({ status: 'loading' });
+  }
+
+  const [verbsResult, sessionsResult, settingsResult] = await Promise.all([
+    getVerbs(),
+    getPracticeHistory(RECENT_SESSIONS),
+    getUserSettings(),
+  ]);
+  if (id !== loadId) return;
+
+  const pending = changesDuringLoad;
+  changesDuringLoad = null;
+  const error = [verbsResult, sessionsResult, settingsResult].find(result => !result.success)?.error || null;
+
+  // Keep what we had for anything that failed to load
+  setState({
+    status: error && state.status !== 'ready' ? 'error' : 'ready',
+    verbs: verbsResult.success ? verbsResult.verbs : state.verbs,
+    sessions: sessionsResult.success ? sessionsResult.sessions : state.sessions,
+    settings: settingsResult.success ? settingsResult.settings : state.settings,
+    error,
+  });
+  pending.forEach(([table, payload]) => applyChange(table, payload));
+}
+
+/**
+ * Load the signed-in user's data and follow changes made on other devices
+ * Does nothing if already following the same user.
+ */
+export async function startRealtimeSync() {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user || channelUserId === user.id) return;
+
+  stopRealtimeSync();
+  channelUserId = user.id;
+  channel = supabase.channel(`user-data:${user.id}`);
+
+  TABLES.forEach(table => {
+    channel.on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: table.table, filter: `user_id=eq.${user.id}` },
+      payload => applyChange(table, payload)
+    );
+    // Deletes can't be filtered by user_id; ids that aren't ours are ignored
+    channel.on(
+      'postgres_changes',
+      { event: 'DELETE', schema: 'public', table: table.table },
+      payload => applyChange(table, payload)
+    );
+  });
+
+  // Load again once connected (and after reconnecting) so nothing is missed
+  channel.subscribe(status => {
+    if (status === 'SUBSCRIBED') {
+      refreshDataStore();
+    }
+  });
+
+  await refreshDataStore();
+}
+
+/**
+ * Stop following changes and forget the user's data (sign-out)
+ */
+export function stopRealtimeSync() {
+  if (channel) {
+    supabase.removeChannel(channel);
+  }
+  channel = null;
+  channelUserId = null;
+  loadId++;
+  changesDuringLoad = null;
+  state = EMPTY_STATE;
+  listeners.forEach(listener => listener(state));
+}
@@ -0,0 +1,143 @@
+/**
+ * Feedback Cache
+ * Remembers AI feedback for sentences that were already evaluated, so
+ * resubmitting the same sentence (or a teacher's example sentence) isn't
+ * billed again. Entries expire after CACHE_TTL_MS and the least recently
+ * used ones are evicted past MAX_CACHE_ENTRIES.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_KEY = '@feedback_cache';
+const STATS_KEY = '@feedback_cache_stats';
+
+export const MAX_CACHE_ENTRIES = 200;
+export const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+const EMPTY_STATS = { hits: 0, misses: 0, savedCost: 0 };
+
+/**
+ * Normalize a sentence for the cache key: same words, same key
+ * ("  Je  mange " and "je mange" match)
+ * @param {string} sentence
+ * @returns {string}
+ */
+export function normalizeSentence(sentence) {
+  return (sentence || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Build the cache key for an evaluation
+ * @param {Object} parts - { provider, model, promptVersion, verb, tense, sentence }
+ * @returns {string}
+ */
+export function buildCacheKey({ provider, model, promptVersion, verb, tense, sentence }) {
+  return [
+    provider,
+    model,
+    promptVersion,
+    (verb || '').trim().toLowerCase(),
+    tense,
+    normalizeSentence(sentence),
+  ].join('|');
+}
+
+async function loadEntries() {
+  const data = await AsyncStorage.getItem(CACHE_KEY);
+  return data ? JSON.parse(data) : {};
+}
+
+async function updateStats(changes) {
+  const stats = await getCacheStats();
+  await AsyncStorage.setItem(STATS_KEY, JSON.stringify({
+    hits: stats.hits + (changes.hits || 0),
+    misses: stats.misses + (changes.misses || 0),
+    savedCost: stats.savedCost + (changes.savedCost || 0),
+  }));
+}
+
+/**
+ * Look up cached feedback, counting the hit or miss
+ * @param {string} key - From buildCacheKey
+ * @param {number} now - Timestamp (defaults to now)
+ * @returns {Promise<Object|null>} The cached feedback, or null
+ */
+export async function getCachedFeedback(key, now = Date.now()) {
+  try {
+    const entries = await loadEntries();
+    const entry = entries[key];
+
+    if (!entry || now - entry.createdAt > CACHE_TTL_MS) {
+      await updateStats({ misses: 1 });
+      return null;
+    }
+
+    // Mark as recently used for LRU eviction
+    entry.lastUsedAt = now;
+    await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(entries));
+    await updateStats({ hits: 1, savedCost: entry.cost || 0 });
+    return entry.feedback;
+  } catch (error) {
+    // A broken cache should never block feedback
+    console.error('Error reading feedback cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store feedback, dropping expired and least recently used entries
+ * @param {string} key - From buildCacheKey
+ * @param {Object} feedback - Parsed feedback (with `usage.cost` when known)
+ * @param {number} now - Timestamp (defaults to now)
+ */
+export async function cacheFeedback(key, feedback, now = Date.now()) {
+  try {
+    const entries = await loadEntries();
+
+    // The raw answer is only useful for debugging the original request
+    const { fullFeedback, ...stored } = feedback;
+    entries[key] = {
+      feedback: stored,
+      cost: feedback.usage?.cost || 0,
+      createdAt: now,
+      lastUsedAt: now,
+    };
+
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => now - entry.createdAt <= CACHE_TTL_MS)
+      .sort(([, a], [, b]) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, MAX_CACHE_ENTRIES);
+
+    await AsyncStorage.setItem(CACHE_KEY, JSON.stringify(Object.fromEntries(kept)));
+  } catch (error) {
+    console.error('Error writing feedback cache:', error);
+  }
+}
+
+/**
+ * Get cache counters
+ * @returns {Promise<Object>} { hits, misses, savedCost }
+ */
+export async function getCacheStats() {
+  try {
+    const data = await AsyncStorage.getItem(STATS_KEY);
+    return data ? { ...EMPTY_STATS, ...JSON.parse(data) } : { ...EMPTY_STATS };
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    return { ...EMPTY_STATS };
+  }
+}
+
+/**
+ * Empty the cache and reset its counters
+ */
+export async function clearFeedbackCache() {
+  try {
+    await AsyncStorage.removeItem(CACHE_KEY);
+    await AsyncStorage.removeItem(STATS_KEY);
+    return true;
+  } catch (error) {
+    console.error('Error clearing feedback cache:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Guest Mode
+ *
+ * Lets people use the whole app without an account ("Try without an account"
+ * on LoginScreen), e.g. in a classroom trial before students have accounts.
+ * Guests use the local verb store and utils/guestStorage.js, so nothing
+ * leaves the device.
+ *
+ * When a guest registers (authService.register), the email is remembered and
+ * the guest's data is merged into that account the first time it signs in
+ * (mergeGuestData in utils/cloudStorage.js).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEYS = {
+  GUEST_MODE: '@guest_mode',
+  MERGE_EMAIL: '@guest_merge_email',
+};
+
+let guestMode = false;
+const listeners = new Set();
+
+function notifyListeners(options = {}) {
+  listeners.forEach(listener => listener(guestMode, options));
+}
+
+/**
+ * Whether the app is running without an account right now
+ * @returns {boolean}
+ */
+export function isGuestMode() {
+  return guestMode;
+}
+
+/**
+ * Restore guest mode after the app restarts
+ * @returns {Promise<boolean>} Whether the app was left in guest mode
+ */
+export async function loadGuestMode() {
+  try {
+    guestMode = (await AsyncStorage.getItem(STORAGE_KEYS.GUEST_MODE)) === 'true';
+  } catch (error) {
+    console.error('Error loading guest mode:', error);
+    guestMode = false;
+  }
+  return guestMode;
+}
+
+/**
+ * Start using the app without an account
+ */
+export async function startGuestMode() {
+  await AsyncStorage.setItem(STORAGE_KEYS.GUEST_MODE, 'true');
+  guestMode = true;
+  notifyListeners();
+}
+
+/**
+ * Go back to the login screens; the guest's data stays on the device
+ * @param {Object} options - { toRegister: open the sign-up screen }
+ */
+export async function endGuestMode(options = {}) {
+  await AsyncStorage.removeItem(STORAGE_KEYS.GUEST_MODE);
+  guestMode = false;
+  notifyListeners(options);
+}
+
+/**
+ * Be told when guest mode starts or ends
+ * @param {Function} listener - Called with (isGuest, { toRegister })
+ * @returns {Function} Unsubscribe
+ */
+export function onGuestModeChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ============================================
+// Merge on register
+// ============================================
+
+/**
+ * Remember which new account should receive the guest's data
+ * @param {string} email
+ */
+export async function markGuestDataForMerge(email) {
+  await AsyncStorage.setItem(STORAGE_KEYS.MERGE_EMAIL, email.trim().toLowerCase());
+}
+
+/**
+ * @returns {Promise<string|null>} Email of the account waiting for the guest's data
+ */
+export async function getGuestMergeEmail() {
+  return AsyncStorage.getItem(STORAGE_KEYS.MERGE_EMAIL);
+}
+
+export async function clearGuestMerge() {
+  await AsyncStorage.removeItem(STORAGE_KEYS.MERGE_EMAIL);
+}
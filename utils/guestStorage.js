@@ -0,0 +1,289 @@
+/**
+ * Guest Storage Service
+ *
+ * What cloudStorage.js keeps in Supabase, kept on the device for guests
+ * (see utils/guestMode.js): practice sessions, review schedule and settings.
+ * Rows have the same columns as their Supabase tables, so screens and
+ * statistics read them the same way. Verbs are in verbStores/localVerbStore.js.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { scheduleReview, getEndOfDay } from './scheduler';
+import { toScoreColumns } from './scoring';
+import { generateUUID } from './outbox';
+import { getDayKey } from './calendar';
+import * as localVerbStore from './verbStores/localVerbStore';
+
+const STORAGE_KEYS = {
+  SESSIONS: '@guest_sessions',
+  REVIEWS: '@guest_reviews',
+  SETTINGS: '@guest_settings',
+};
+
+const readJson = async (key, fallback) => {
+  const json = await AsyncStorage.getItem(key);
+  return json ? JSON.parse(json) : fallback;
+};
+
+const writeJson = async (key, value) => {
+  await AsyncStorage.setItem(key, JSON.stringify(value));
+};
+
+const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+
+// =====================================================
+// PRACTICE SESSIONS
+// =====================================================
+
+/**
+ * Save a practice session on the device
+ * Same fields as cloudStorage.savePracticeSession; a session already saved
+ * under the same clientId is skipped.
+ */
+export const savePracticeSession = async (session) => {
+  try {
+    const sessions = await readJson(STORAGE_KEYS.SESSIONS, []);
+    const clientId = session.clientId || generateUUID();
+    if (sessions.some(s => s.client_id === clientId)) {
+      return { success: true, session: null, duplicate: true };
+    }
+
+    const row = {
+      id: generateUUID(),
+      client_id: clientId,
+      created_at: session.createdAt || new Date().toISOString(),
+      user_id: null,
+      verb_id: session.verbId,
+      verb_text: session.verbText,
+      tense: session.tense,
+      user_sentence: session.userSentence,
+      is_correct: session.isCorrect,
+      ...toScoreColumns(session.scores),
+      mistake_types: session.mistakeTypes || [],
+      ai_feedback: session.aiFeedback,
+    };
+    await writeJson(STORAGE_KEYS.SESSIONS, [...sessions, row]);
+
+    // Ungraded attempts leave the schedule alone, as in the cloud
+    if (session.verbId && session.tense && session.isCorrect !== null) {
+      await updateVerbReview(session.verbId, session.tense, session.isCorrect);
+    }
+
+    return { success: true, session: row };
+
+  } catch (err) {
+    console.error('Error saving guest practice session:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Record a practice attempt on the device: the session and the verb's
+ * practice count (same arguments as cloudStorage.recordPractice)
+ */
+export const recordPractice = async ({ session, verbId, countPractice, operationId }) => {
+  let saved = null;
+  if (session) {
+    saved = await savePracticeSession({ ...session, clientId: operationId });
+    if (!saved.success || saved.duplicate) {
+      return saved;
+    }
+  }
+
+  if (countPractice && verbId) {
+    const counted = await localVerbStore.incrementPracticeCount(verbId);
+    if (!counted.success) {
+      return counted;
+    }
+  }
+
+  return { success: true, session: saved?.session || null, practiceCount: null };
+};
+
+/**
+ * Get every practice session on the device, newest first
+ */
+export const getPracticeSessions = async () => {
+  try {
+    const sessions = await readJson(STORAGE_KEYS.SESSIONS, []);
+    return { success: true, sessions: [...sessions].sort(byNewest) };
+
+  } catch (err) {
+    console.error('Error getting guest practice sessions:', err);
+    return { success: false, error: err.message, sessions: [] };
+  }
+};
+
+/**
+ * Get practice history, newest first
+ */
+export const getPracticeHistory = async (limit = 50) => {
+  const result = await getPracticeSessions();
+  return { ...result, sessions: result.sessions.slice(0, limit) };
+};
+
+/**
+ * Get the sessions practised on one day, oldest first
+ * @param {string} day - 'YYYY-MM-DD' in `timeZone`
+ * @param {string} timeZone - IANA name
+ */
+export const getPracticeSessionsOnDay = async (day, timeZone) => {
+  const result = await getPracticeSessions();
+  return {
+    ...result,
+    sessions: result.sessions
+      .filter(session => getDayKey(session.created_at, timeZone) === day)
+      .reverse(),
+  };
+};
+
+/**
+ * Get practice statistics (same shape as cloudStorage.getPracticeStats)
+ */
+export const getPracticeStats = async () => {
+  try {
+    const sessions = await readJson(STORAGE_KEYS.SESSIONS, []);
+    const verbsResult = await localVerbStore.getVerbs();
+    if (!verbsResult.success) throw new Error(verbsResult.error);
+
+    const correctSessions = sessions.filter(s => s.is_correct === true).length;
+    const gradedSessions = sessions.filter(s => s.is_correct !== null).length;
+    const accuracy = gradedSessions > 0
+      ? Math.round((correctSessions / gradedSessions) * 100)
+      : 0;
+
+    return {
+      success: true,
+      stats: {
+        totalSessions: sessions.length,
+        correctSessions,
+        accuracy,
+        totalVerbs: verbsResult.verbs.length,
+        customVerbs: verbsResult.verbs.filter(v => !v.is_default).length,
+      }
+    };
+
+  } catch (err) {
+    console.error('Error getting guest practice stats:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// =====================================================
+// SPACED REPETITION
+// =====================================================
+
+const updateVerbReview = async (verbId, tense, isCorrect) => {
+  try {
+    const reviews = await readJson(STORAGE_KEYS.REVIEWS, []);
+    const current = reviews.find(r => r.verb_id === verbId && r.tense === tense) || null;
+    const next = {
+      ...(current || { id: generateUUID(), verb_id: verbId, tense }),
+      ...scheduleReview(current, !!isCorrect),
+      updated_at: new Date().toISOString(),
+    };
+
+    await writeJson(STORAGE_KEYS.REVIEWS, [...reviews.filter(r => r !== current), next]);
+
+  } catch (err) {
+    console.error('Error updating guest verb review:', err);
+  }
+};
+
+/**
+ * Get all review rows, soonest due first
+ */
+export const getVerbReviews = async () => {
+  try {
+    const reviews = await readJson(STORAGE_KEYS.REVIEWS, []);
+    return {
+      success: true,
+      reviews: [...reviews].sort((a, b) => new Date(a.due_at) - new Date(b.due_at)),
+    };
+
+  } catch (err) {
+    console.error('Error getting guest verb reviews:', err);
+    return { success: false, error: err.message, reviews: [] };
+  }
+};
+
+/**
+ * Count reviews due before the end of today
+ */
+export const getDueReviewCount = async () => {
+  const result = await getVerbReviews();
+  const endOfDay = getEndOfDay();
+  return {
+    ...result,
+    count: result.reviews.filter(r => new Date(r.due_at) <= endOfDay).length,
+  };
+};
+
+// =====================================================
+// USER SETTINGS
+// =====================================================
+
+export const getUserSettings = async () => {
+  try {
+    return { success: true, settings: await readJson(STORAGE_KEYS.SETTINGS, null) };
+
+  } catch (err) {
+    console.error('Error getting guest settings:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+export const saveUserSettings = async (settings) => {
+  try {
+    const current = await readJson(STORAGE_KEYS.SETTINGS, {});
+    const saved = { ...current, ...settings, updated_at: new Date().toISOString() };
+    await writeJson(STORAGE_KEYS.SETTINGS, saved);
+    return { success: true, settings: saved };
+
+  } catch (err) {
+    console.error('Error saving guest settings:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+// =====================================================
+// ALL GUEST DATA (for the merge on register)
+// =====================================================
+
+/**
+ * Whether a guest has used the app on this device
+ * @returns {Promise<boolean>}
+ */
+export const hasGuestData = async () => {
+  const [sessions, verbs] = await Promise.all([
+    AsyncStorage.getItem(STORAGE_KEYS.SESSIONS),
+    localVerbStore.getVerbs(),
+  ]);
+  return sessions !== null || verbs.verbs.length > 0;
+};
+
+/**
+ * Everything a guest has saved on the device
+ * @returns {Promise<Object>} { verbs, sessions, reviews, settings }
+ */
+export const getGuestData = async () => {
+  const verbsResult = await localVerbStore.getVerbs();
+  if (!verbsResult.success) throw new Error(verbsResult.error);
+
+  return {
+    verbs: verbsResult.verbs,
+    sessions: await readJson(STORAGE_KEYS.SESSIONS, []),
+    reviews: await readJson(STORAGE_KEYS.REVIEWS, []),
+    settings: await readJson(STORAGE_KEYS.SETTINGS, null),
+  };
+};
+
+/**
+ * Delete the guest's data (after it has been merged into an account)
+ */
+export const clearGuestData = async () => {
+  await Promise.all([
+    ...Object.values(STORAGE_KEYS).map(key => AsyncStorage.removeItem(key)),
+    localVerbStore.clearVerbs(),
+  ]);
+};
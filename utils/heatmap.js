@@ -0,0 +1,157 @@
+/**
+ * Practice Heatmap
+ *
+ * Data for the calendar heatmap on StatisticsScreen
+ * (components/PracticeHeatmap.js): one cell per day of the past 12 months,
+ * shaded by the number of sessions and coloured by their accuracy.
+ *
+ * Per-day counts come from the database (get_practice_days in
+ * supabase/add_practice_calendar.sql), or for guests from
+ * calculatePracticeDays. Days are in the user's time zone (utils/calendar.js).
+ */
+
+import { calculateAccuracy } from './scoring';
+import { getDayKey, getWeekRange, addDays, daysBetween } from './calendar';
+
+// 53 columns, so a whole year is shown whatever day the week starts on
+export const HEATMAP_WEEKS = 53;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Sessions needed for each shade (level 1 to 4)
+const LEVEL_THRESHOLDS = [1, 3, 6, 10];
+
+// Shades from light to dark, by accuracy (same bands as components/ScoreBars.js)
+export const HEATMAP_PALETTES = {
+  good: { name: '80%+', colors: ['#c8e6c9', '#81c784', '#4caf50', '#2e7d32'] },
+  fair: { name: '50–79%', colors: ['#ffe0b2', '#ffb74d', '#ff9800', '#e65100'] },
+  poor: { name: 'Under 50%', colors: ['#ffcdd2', '#e57373', '#f44336', '#b71c1c'] },
+  ungraded: { name: 'Not graded', colors: ['#cfd8dc', '#90a4ae', '#607d8b', '#37474f'] },
+};
+
+export const EMPTY_DAY_COLOR = '#ebedf0';
+
+/**
+ * Shade of a day, from its number of sessions
+ * @param {number} sessions
+ * @returns {number} 0 (no practice) to 4
+ */
+export function getActivityLevel(sessions) {
+  return LEVEL_THRESHOLDS.filter(threshold => sessions >= threshold).length;
+}
+
+/**
+ * Palette of a day, from its accuracy
+ * @param {Object} day - { graded, accuracy }
+ * @returns {string} Key of HEATMAP_PALETTES
+ */
+export function getAccuracyBand(day) {
+  if (!day.graded) return 'ungraded';
+  if (day.accuracy >= 80) return 'good';
+  if (day.accuracy >= 50) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Colour of a heatmap cell
+ * @param {Object|undefined} day - { sessions, graded, accuracy }, undefined without practice
+ * @returns {string}
+ */
+export function getDayColor(day) {
+  const level = day ? getActivityLevel(day.sessions) : 0;
+  if (level === 0) {
+    return EMPTY_DAY_COLOR;
+  }
+  return HEATMAP_PALETTES[getAccuracyBand(day)].colors[level - 1];
+}
+
+/**
+ * Days the heatmap covers: from the start of the week 52 weeks ago to today
+ * @param {Object} calendar - { timeZone, firstDayOfWeek }
+ * @param {Date} now
+ * @returns {Object} { from, to } - Day keys
+ */
+export function getHeatmapRange(calendar, now = new Date()) {
+  const { start } = getWeekRange(calendar, now);
+  return {
+    from: addDays(start, -(HEATMAP_WEEKS - 1) * 7),
+    to: getDayKey(now, calendar.timeZone),
+  };
+}
+
+/**
+ * Sessions and accuracy per day (what get_practice_days returns)
+ * @param {Array} sessions - practice_sessions rows
+ * @param {string} scoring - 'boolean' or 'weighted'
+ * @param {string} timeZone - IANA name
+ * @returns {Array} [{ day, sessions, graded, accuracy }], oldest first
+ */
+export function calculatePracticeDays(sessions, scoring, timeZone) {
+  const byDay = {};
+  sessions.forEach(session => {
+    const day = getDayKey(session.created_at, timeZone);
+    if (!byDay[day]) {
+      byDay[day] = [];
+    }
+    byDay[day].push(session);
+  });
+
+  return Object.keys(byDay).sort().map(day => ({
+    day,
+    sessions: byDay[day].length,
+    graded: byDay[day].filter(s => s.is_correct === true || s.is_correct === false).length,
+    accuracy: calculateAccuracy(byDay[day], scoring),
+  }));
+}
+
+/**
+ * Lay the days out in week columns
+ * @param {Array} days - [{ day, sessions, graded, accuracy }]
+ * @param {Object} calendar - { timeZone, firstDayOfWeek }
+ * @param {Date} now
+ * @returns {Object} {
+ *   weeks: [[{ day, data, future }]] - HEATMAP_WEEKS columns of 7 days,
+ *   months: [{ week, name }] - Column where each month starts,
+ *   dayNames: ['Mon', ...] - Row labels
+ * }
+ */
+export function buildHeatmap(days, calendar, now = new Date()) {
+  const { from, to } = getHeatmapRange(calendar, now);
+  const byDay = {};
+  days.forEach(day => {
+    byDay[day.day] = day;
+  });
+
+  const weeks = [];
+  const months = [];
+  for (let week = 0; week < HEATMAP_WEEKS; week++) {
+    const column = [];
+    for (let row = 0; row < 7; row++) {
+      const day = addDays(from, week * 7 + row);
+      column.push({ day, data: byDay[day], future: daysBetween(to, day) > 0 });
+    }
+    weeks.push(column);
+
+    // Label the first column holding the 1st of a month
+    const first = column.find(cell => cell.day.endsWith('-01'));
+    if (first) {
+      months.push({ week, name: MONTH_NAMES[Number(first.day.slice(5, 7)) - 1] });
+    }
+  }
+
+  return {
+    weeks,
+    months,
+    dayNames: Array.from({ length: 7 }, (_, row) => DAY_NAMES[(calendar.firstDayOfWeek + row) % 7]),
+  };
+}
+
+/**
+ * Label of a day key, e.g. 'Thu 5 Mar 2026'
+ */
+export function formatDayKey(dayKey) {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  const weekday = DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return `${weekday} ${day} ${MONTH_NAMES[month - 1]} ${year}`;
+}
@@ -0,0 +1,295 @@
+/**
+ * Issue Spans
+ *
+ * Finds where each mistake is in the user's sentence, so PracticeScreen and
+ * HistoryScreen can underline it.
+ *
+ * The AI reports `issues` with character offsets. Models often miscount, so
+ * every span is checked against the submitted text and re-anchored on its
+ * `text` when the offsets are off. When no span can be placed, a word-level
+ * diff against correctConjugation (or the first alternative phrasing) is
+ * used instead.
+ */
+
+export const ISSUE_CATEGORIES = ['conjugation', 'agreement', 'spelling', 'vocabulary', 'word_order', 'other'];
+
+// Diffs against an alternative phrasing that rewrite more than this share
+// of the sentence are a rephrasing, not a list of mistakes
+const MAX_DIFF_SHARE = 0.5;
+
+// =====================================================
+// TOKENIZING
+// =====================================================
+
+/**
+ * Split a sentence into words with their character offsets
+ * Same word characters as localGrader's tokenize, so elided words keep
+ * their apostrophe ("J'ai" → "j'", "ai")
+ * @returns {Array} [{ word, start, end }] with word lowercased
+ */
+export function tokenizeWithOffsets(sentence) {
+  const tokens = [];
+  const pattern = /[a-zàâäæçéèêëïîôöùûüÿœ]+['’]?/gi;
+  let match;
+  while ((match = pattern.exec(sentence || '')) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace('’', "'"),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Edit distance between two words, for pairing a wrong word with its fix
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How unlike two words are; forms of the same verb share their stem, so a
+ * common beginning counts extra ("fais" is closer to "ferai" than "demain")
+ */
+function wordDistance(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  return levenshtein(a, b) - 2 * prefix;
+}
+
+// =====================================================
+// AI SPANS
+// =====================================================
+
+/**
+ * Find `text` in the sentence, the occurrence closest to `near`
+ * @returns {number} Offset, or -1
+ */
+function findClosest(sentence, text, near) {
+  const haystack = sentence.toLowerCase();
+  const needle = text.toLowerCase();
+  let best = -1;
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    if (best === -1 || Math.abs(index - near) < Math.abs(best - near)) {
+      best = index;
+    }
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return best;
+}
+
+/**
+ * Check the AI's issue spans against the sentence
+ * Spans whose offsets don't cover their `text` are moved to where the text
+ * actually is; spans that can't be placed, or overlap an earlier one, are dropped.
+ *
+ * @param {string} sentence - The sentence as the user wrote it
+ * @param {Array} issues - [{ start, end, text, category, replacement, explanation }]
+ * @returns {Array} Spans sorted by start, with `text` taken from the sentence
+ */
+export function alignIssueSpans(sentence, issues) {
+  const text = sentence || '';
+  const placed = [];
+
+  (issues || []).forEach(issue => {
+    let { start, end } = issue;
+    const offsetsOk = Number.isInteger(start) && Number.isInteger(end)
+      && start >= 0 && end > start && end <= text.length
+      && (!issue.text || text.slice(start, end).toLowerCase() === issue.text.toLowerCase());
+
+    if (!offsetsOk) {
+      if (!issue.text) return;
+      start = findClosest(text, issue.text, Number.isInteger(issue.start) ? issue.start : 0);
+      if (start === -1) return;
+      end = start + issue.text.length;
+    }
+
+    placed.push({
+      start,
+      end,
+      text: text.slice(start, end),
+      category: issue.category || 'other',
+      replacement: issue.replacement || '',
+      explanation: issue.explanation || '',
+    });
+  });
+
+  placed.sort((a, b) => a.start - b.start);
+
+  // Compare with the last span kept, not the previous one: that may have been dropped
+  const kept = [];
+  placed.forEach(span => {
+    if (kept.length === 0 || span.start >= kept[kept.length - 1].end) {
+      kept.push(span);
+    }
+  });
+  return kept;
+}
+
+// =====================================================
+// WORD DIFF
+// =====================================================
+
+/**
+ * Words both texts share, in order (longest common subsequence)
+ * @returns {Array} [[sentenceIndex, targetIndex], ...]
+ */
+function commonWords(words, targetWords) {
+  const rows = words.length;
+  const cols = targetWords.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = words[i] === targetWords[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (words[i] === targetWords[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Pick the run of `length` words that looks most like the replacement
+ * ("nous mangons une pomme" vs "mangeons" → "mangons")
+ */
+function closestWindow(tokens, replacementWords) {
+  const length = replacementWords.length;
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let offset = 0; offset + length <= tokens.length; offset++) {
+    const distance = replacementWords.reduce(
+      (sum, word, k) => sum + wordDistance(tokens[offset + k].word, word),
+      0
+    );
+    if (distance < bestDistance) {
+      best = offset;
+      bestDistance = distance;
+    }
+  }
+  return tokens.slice(best, best + length);
+}
+
+/**
+ * Word-level diff between the sentence and a corrected text
+ *
+ * @param {string} sentence - The user's sentence
+ * @param {string} target - Corrected text
+ * @param {Object} options
+ * @param {boolean} options.partial - The target is only part of a sentence
+ *   (e.g. correctConjugation "nous mangeons"): words it doesn't mention aren't mistakes
+ * @param {string} options.category - Category given to the spans
+ * @returns {Array} Spans like alignIssueSpans'
+ */
+export function diffWordSpans(sentence, target, { partial = false, category = 'other' } = {}) {
+  const tokens = tokenizeWithOffsets(sentence);
+  const targetTokens = tokenizeWithOffsets(target);
+  const pairs = commonWords(tokens.map(t => t.word), targetTokens.map(t => t.word));
+  const spans = [];
+
+  // Walk the gaps between shared words (plus one past the end)
+  let previous = [-1, -1];
+  [...pairs, [tokens.length, targetTokens.length]].forEach(([i, j]) => {
+    let removed = tokens.slice(previous[0] + 1, i);
+    const added = targetTokens.slice(previous[1] + 1, j);
+    previous = [i, j];
+
+    // Nothing to underline for a missing word; words a partial target doesn't cover are fine
+    if (removed.length === 0 || (partial && added.length === 0)) {
+      return;
+    }
+    if (partial && removed.length > added.length) {
+      removed = closestWindow(removed, added.map(t => t.word));
+    }
+
+    const start = removed[0].start;
+    const end = removed[removed.length - 1].end;
+    spans.push({
+      start,
+      end,
+      text: sentence.slice(start, end),
+      category,
+      replacement: added.length > 0
+        ? target.slice(added[0].start, added[added.length - 1].end)
+        : '',
+      explanation: '',
+    });
+  });
+
+  return spans;
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+/**
+ * Get the spans to underline in a sentence for a piece of feedback
+ *
+ * @param {string} sentence - The sentence as the user wrote it
+ * @param {Object} feedback - AI (or local) feedback
+ * @returns {Object} { source: 'ai' | 'diff' | null, spans }
+ */
+export function getSentenceHighlights(sentence, feedback) {
+  if (!sentence || !feedback || feedback.parseError) {
+    return { source: null, spans: [] };
+  }
+
+  const aligned = alignIssueSpans(sentence, feedback.issues);
+  if (aligned.length > 0) {
+    return { source: 'ai', spans: aligned };
+  }
+
+  if (feedback.isCorrect === false && feedback.correctConjugation) {
+    const spans = diffWordSpans(sentence, feedback.correctConjugation, {
+      partial: true,
+      category: 'conjugation',
+    });
+    if (spans.length > 0) {
+      return { source: 'diff', spans };
+    }
+  }
+
+  // A more natural phrasing isn't a mistake: a correct answer gets no underline for it
+  const alternative = feedback.alternativePhrasings?.[0];
+  if (alternative && !feedback.isCorrect) {
+    const spans = diffWordSpans(sentence, alternative, { category: 'other' });
+    const changed = spans.reduce((count, span) => count + tokenizeWithOffsets(span.text).length, 0);
+    if (spans.length > 0 && changed <= tokenizeWithOffsets(sentence).length * MAX_DIFF_SHARE) {
+      return { source: 'diff', spans };
+    }
+  }
+
+  return { source: null, spans: [] };
+}
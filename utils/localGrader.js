@@ -0,0 +1,337 @@
+/**
+ * Local Grader - Instant verb check before calling the AI
+ *
+ * Finds the subject pronoun and the conjugated form of the practice verb
+ * in the user's sentence, and compares it with the conjugator's expected
+ * form for the required tense. Obvious mistakes (verb missing, wrong tense)
+ * get instant feedback without spending AI budget.
+ */
+
+import {
+  PERSONS,
+  COMPOUND_TENSES,
+  PRONOUNLESS_TENSES,
+  conjugate,
+  acceptsBothAuxiliaries,
+  getAuxiliary,
+  getConjugationTable,
+  getPastParticiple,
+  getSupportedTenses,
+} from './conjugator';
+import { getTenseById } from '../data/tenses';
+
+// Possible verdicts of the local check
+export const CHECK_STATUS = {
+  CORRECT: 'correct',
+  MISSING_VERB: 'missing_verb',
+  WRONG_TENSE: 'wrong_tense',
+  WRONG_PERSON: 'wrong_person',
+  WRONG_AUXILIARY: 'wrong_auxiliary',
+  UNVERIFIED: 'unverified', // Verb couldn't be conjugated locally
+};
+
+// Conjugation score (0–100) for each check result; unverified verbs get none
+const CONJUGATION_SCORES = {
+  [CHECK_STATUS.CORRECT]: 100,
+  [CHECK_STATUS.WRONG_AUXILIARY]: 50,
+  [CHECK_STATUS.WRONG_PERSON]: 40,
+  [CHECK_STATUS.WRONG_TENSE]: 20,
+  [CHECK_STATUS.MISSING_VERB]: 0,
+};
+
+// Verdicts certain enough to answer without asking the AI
+const BLOCKING_STATUSES = [CHECK_STATUS.MISSING_VERB, CHECK_STATUS.WRONG_TENSE];
+
+// Subject pronoun → person index (see PERSONS)
+const SUBJECT_PRONOUNS = {
+  "j'": 0,
+  je: 0,
+  tu: 1,
+  il: 2,
+  elle: 2,
+  on: 2,
+  nous: 3,
+  vous: 4,
+  ils: 5,
+  elles: 5,
+};
+
+// Words that can sit between the subject and the verb (je ne le vois pas)
+const CLITICS = [
+  'ne', "n'", 'me', "m'", 'te', "t'", 'se', "s'",
+  'le', 'la', "l'", 'les', 'lui', 'leur', 'y', 'en',
+];
+
+// How far back to look for an auxiliary before a past participle
+// ("je ne l'ai jamais vu")
+const AUXILIARY_WINDOW = 4;
+
+// =====================================================
+// TOKENIZING
+// =====================================================
+
+/**
+ * Split a sentence into lowercase word tokens
+ * Elided words keep their apostrophe: "J'ai mangé" → ["j'", "ai", "mangé"]
+ *
+ * @param {string} sentence
+ * @returns {string[]}
+ */
+export function tokenize(sentence) {
+  const normalized = (sentence || '').toLowerCase().replace(/[’‘`]/g, "'");
+  return normalized.match(/[a-zàâäæçéèêëïîôöùûüÿœ]+'?/g) || [];
+}
+
+/**
+ * Find the subject person for a verb at `index`
+ * Walks back over clitics and pronouns; the furthest subject pronoun in that
+ * run is the subject ("il nous donne" → il, "nous nous levons" → nous).
+ *
+ * @returns {number|null} Person index, or null if the subject isn't a pronoun
+ */
+function findSubjectPerson(tokens, index) {
+  let person = null;
+
+  for (let i = index - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token in SUBJECT_PRONOUNS) {
+      person = SUBJECT_PRONOUNS[token];
+    } else if (!CLITICS.includes(token)) {
+      break;
+    }
+  }
+
+  return person;
+}
+
+// =====================================================
+// MATCHING
+// =====================================================
+
+/**
+ * Find every place the verb appears conjugated in the sentence
+ * Compound tenses are matched first (auxiliary + participle) so "il a dit"
+ * isn't also read as the present "il dit".
+ *
+ * @returns {Array} [{ tenseId, persons, index, text, auxiliaryOk }]
+ */
+function findVerbMatches(verb, tokens) {
+  const matches = [];
+  const consumed = new Set();
+  const participle = getPastParticiple(verb);
+
+  // Compound tenses: auxiliary (être or avoir) followed by the participle
+  // Agreement isn't checked here: "la pomme que j'ai mangée" is valid too.
+  const participleForms = ['', 'e', 's', 'es'].map(suffix => participle + suffix);
+  const validAuxiliaries = acceptsBothAuxiliaries(verb)
+    ? ['avoir', 'être']
+    : [getAuxiliary(verb)];
+
+  Object.entries(COMPOUND_TENSES).forEach(([tenseId, auxTense]) => {
+    tokens.forEach((token, index) => {
+      if (!participleForms.includes(token)) return;
+
+      const start = Math.max(0, index - AUXILIARY_WINDOW);
+      for (let i = index - 1; i >= start; i--) {
+        for (const auxiliary of ['avoir', 'être']) {
+          const auxForms = conjugate(auxiliary, auxTense);
+          const persons = auxForms
+            .map((form, person) => (form === tokens[i] ? person : -1))
+            .filter(person => person >= 0);
+          if (persons.length === 0) continue;
+
+          const auxiliaryOk = validAuxiliaries.includes(auxiliary);
+          matches.push({ tenseId, persons, index: i, text: `${tokens[i]} ${token}`, auxiliaryOk });
+          consumed.add(i);
+          consumed.add(index);
+          return;
+        }
+      }
+    });
+  });
+
+  // Simple tenses: a single token
+  getSupportedTenses()
+    .filter(tenseId => !COMPOUND_TENSES[tenseId])
+    .forEach(tenseId => {
+      const forms = conjugate(verb, tenseId);
+      tokens.forEach((token, index) => {
+        if (consumed.has(index)) return;
+        const persons = forms
+          .map((form, person) => (form === token ? person : -1))
+          .filter(person => person >= 0);
+        if (persons.length > 0) {
+          matches.push({ tenseId, persons, index, text: token, auxiliaryOk: true });
+        }
+      });
+    });
+
+  return matches;
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+/**
+ * Check the practice verb in a sentence against the required tense
+ *
+ * @param {string} verb - Infinitive (e.g. 'manger')
+ * @param {string} tenseId - Required tense id (e.g. 'present')
+ * @param {string} sentence - The user's sentence
+ * @returns {Object} { status, tense, subjectPerson, foundForm, foundTense, expectedForm, message }
+ */
+export function checkSentence(verb, tenseId, sentence) {
+  const normalizedVerb = (verb || '').trim().toLowerCase();
+  const tenseName = getTenseById(tenseId)?.name || tenseId;
+  const result = {
+    status: CHECK_STATUS.UNVERIFIED,
+    tense: tenseId,
+    subjectPerson: null,
+    foundForm: null,
+    foundTense: null,
+    expectedForm: null,
+    message: '',
+  };
+
+  // Pronominal or multi-word verbs ("se lever") aren't handled locally
+  const table = /\s|'/.test(normalizedVerb) ? null : getConjugationTable(normalizedVerb, tenseId);
+  if (!table) {
+    return result;
+  }
+
+  const tokens = tokenize(sentence);
+  const matches = findVerbMatches(normalizedVerb, tokens);
+
+  if (matches.length === 0) {
+    if (tokens.includes(normalizedVerb)) {
+      return {
+        ...result,
+        status: CHECK_STATUS.WRONG_TENSE,
+        foundForm: normalizedVerb,
+        foundTense: 'infinitive',
+        message: `"${normalizedVerb}" is only used in the infinitive. Conjugate it in the ${tenseName}.`,
+      };
+    }
+    return {
+      ...result,
+      status: CHECK_STATUS.MISSING_VERB,
+      message: `The verb "${normalizedVerb}" doesn't appear in your sentence.`,
+    };
+  }
+
+  // Attach the subject found in front of each match
+  // The impératif has no subject: "nous mangeons" isn't an order
+  const described = matches.map(match => {
+    const subjectPerson = findSubjectPerson(tokens, match.index);
+    const personOk = PRONOUNLESS_TENSES.includes(match.tenseId)
+      ? subjectPerson === null
+      : subjectPerson === null || match.persons.includes(subjectPerson);
+    return {
+      ...match,
+      subjectPerson,
+      foundForm: match.text,
+      personOk,
+    };
+  });
+
+  const inTense = described.filter(match => match.tenseId === tenseId);
+  const best = inTense.find(match => match.personOk && match.auxiliaryOk)
+    || inTense.find(match => match.personOk)
+    || inTense[0]
+    || described[0];
+
+  const expectedRow = best.subjectPerson !== null
+    ? table.find(row => row.person === PERSONS[best.subjectPerson])
+    : null;
+  const expected = expectedRow ? expectedRow.text : null;
+  const base = {
+    ...result,
+    subjectPerson: best.subjectPerson !== null ? PERSONS[best.subjectPerson] : null,
+    foundForm: best.foundForm,
+    foundTense: best.tenseId,
+    expectedForm: expected,
+  };
+
+  if (best.tenseId !== tenseId) {
+    const foundName = getTenseById(best.tenseId)?.name || best.tenseId;
+    return {
+      ...base,
+      status: CHECK_STATUS.WRONG_TENSE,
+      message: `"${best.foundForm}" is in the ${foundName}, but the ${tenseName} is required.`,
+    };
+  }
+
+  if (!best.personOk) {
+    return {
+      ...base,
+      status: CHECK_STATUS.WRONG_PERSON,
+      message: PRONOUNLESS_TENSES.includes(tenseId)
+        ? `The ${tenseName} is used without a subject pronoun.`
+        : `"${best.foundForm}" doesn't match the subject "${base.subjectPerson}".`,
+    };
+  }
+
+  if (!best.auxiliaryOk) {
+    return {
+      ...base,
+      status: CHECK_STATUS.WRONG_AUXILIARY,
+      message: `"${normalizedVerb}" uses a different auxiliary in the ${tenseName}.`,
+    };
+  }
+
+  return {
+    ...base,
+    status: CHECK_STATUS.CORRECT,
+    message: `"${best.foundForm}" is a correct ${tenseName} form of "${normalizedVerb}".`,
+  };
+}
+
+/**
+ * Whether the local verdict is certain enough to skip the AI call
+ * @param {Object} check - Result of checkSentence
+ * @returns {boolean}
+ */
+export function isBlockingCheck(check) {
+  return BLOCKING_STATUSES.includes(check?.status);
+}
+
+/**
+ * Score the verb from a check, on the AI's 0–100 scale
+ * @param {Object} check - Result of checkSentence
+ * @returns {number|null} null when the verb couldn't be verified
+ */
+export function getConjugationScore(check) {
+  return CONJUGATION_SCORES[check?.status] ?? null;
+}
+
+/**
+ * Build a feedback object with the same shape as the AI's,
+ * so PracticeScreen and HistoryScreen can display it unchanged
+ *
+ * @param {string} verb - Infinitive
+ * @param {string} tenseId - Required tense id
+ * @param {Object} check - Result of checkSentence
+ * @returns {Object} Feedback object (source: 'local')
+ */
+export function buildLocalFeedback(verb, tenseId, check) {
+  const tenseName = getTenseById(tenseId)?.name || tenseId;
+  const table = getConjugationTable(verb, tenseId) || [];
+
+  return {
+    isCorrect: false,
+    correctConjugation: check.expectedForm || '',
+    verbAnalysis: check.message,
+    grammarIssues: [],
+    semanticAnalysis: '',
+    alternativePhrasings: [],
+    suggestion: `${verb} in the ${tenseName}: ${table.map(row => row.text).join(', ')}`,
+    encouragement: 'Fix the verb and try again!',
+    // Only the verb was checked
+    scores: { conjugation: getConjugationScore(check), grammar: null, vocabulary: null, naturalness: null },
+    fullFeedback: '',
+    timestamp: new Date().toISOString(),
+    source: 'local',
+    localCheck: check,
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Verb × Tense Mastery
+ *
+ * Data for the mastery matrix on StatisticsScreen: one cell per verb and
+ * enabled tense, coloured by the accuracy of its latest graded answers and
+ * shaded by how many answers that accuracy rests on (confidence), plus the
+ * "weakest verbs", "weakest tenses" and "never practised" lists.
+ *
+ * Per-pair counts come from the database (get_verb_tense_mastery in
+ * supabase/add_mastery.sql), or for guests from calculateMastery.
+ * Tapping a weak pair starts a practice round on it (PracticeScreen's
+ * focusPair).
+ */
+
+import { getSessionScore, calculateAccuracy } from './scoring';
+import { hasTense } from './conjugator';
+import { getTenseById } from '../data/tenses';
+import { HEATMAP_PALETTES, EMPTY_DAY_COLOR, getAccuracyBand } from './heatmap';
+
+// Latest graded answers per pair that the accuracy uses
+export const MASTERY_RECENT = 10;
+
+// Recent graded answers needed for full confidence
+export const CONFIDENT_ANSWERS = 5;
+
+// Recent accuracy from which a pair is no longer weak (the "80%+" band)
+export const MASTERED_ACCURACY = 80;
+
+// Questions in a practice round started from the matrix
+export const PRACTICE_ROUND_LENGTH = 5;
+
+export const MASTERY_TABS = [
+  { id: 'weak_verbs', name: 'Weakest verbs' },
+  { id: 'weak_tenses', name: 'Weakest tenses' },
+  { id: 'never', name: 'Never practised' },
+];
+
+/**
+ * How much a pair's accuracy can be trusted
+ * @param {number} recentGraded - Recent graded answers
+ * @returns {number} 0 to 1
+ */
+export function getConfidence(recentGraded) {
+  return Math.min(1, recentGraded / CONFIDENT_ANSWERS);
+}
+
+/**
+ * Colour of a matrix cell: palette from the recent accuracy, darker with
+ * more confidence
+ * @param {Object|undefined} pair - { sessions, recentGraded, recentAccuracy }, undefined if never practised
+ * @returns {string}
+ */
+export function getMasteryColor(pair) {
+  if (!pair) {
+    return EMPTY_DAY_COLOR;
+  }
+
+  const palette = HEATMAP_PALETTES[getAccuracyBand({ graded: pair.recentGraded, accuracy: pair.recentAccuracy })];
+  const shade = Math.max(1, Math.round(getConfidence(pair.recentGraded) * palette.colors.length));
+  return palette.colors[shade - 1];
+}
+
+/**
+ * Whether a pair is worth a practice round: graded recently, under the
+ * mastered accuracy
+ */
+export function isWeakPair(pair) {
+  return Boolean(pair) && pair.recentGraded > 0 && pair.recentAccuracy < MASTERED_ACCURACY;
+}
+
+/**
+ * Per-pair counts from practice sessions (what get_verb_tense_mastery returns)
+ * @param {Array} sessions - practice_sessions rows
+ * @param {string} scoring - 'boolean' or 'weighted'
+ * @param {number} recent - Latest graded answers the accuracy uses
+ * @returns {Array} [{ verbText, tense, sessions, graded, recentGraded, recentAccuracy, lastPracticedAt }]
+ */
+export function calculateMastery(sessions, scoring = 'boolean', recent = MASTERY_RECENT) {
+  const byPair = {};
+  sessions.forEach(session => {
+    const key = `${session.verb_text}:${session.tense}`;
+    if (!byPair[key]) {
+      byPair[key] = [];
+    }
+    byPair[key].push(session);
+  });
+
+  return Object.keys(byPair).sort().map(key => {
+    const pairSessions = [...byPair[key]].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const graded = pairSessions.filter(session => getSessionScore(session, scoring) !== null);
+    const latest = graded.slice(0, recent);
+
+    return {
+      verbText: pairSessions[0].verb_text,
+      tense: pairSessions[0].tense,
+      sessions: pairSessions.length,
+      graded: graded.length,
+      recentGraded: latest.length,
+      recentAccuracy: calculateAccuracy(latest, scoring),
+      lastPracticedAt: pairSessions[0].created_at,
+    };
+  });
+}
+
+/**
+ * Convert get_verb_tense_mastery rows to the shape of calculateMastery
+ */
+export function fromDatabaseMastery(rows) {
+  return (rows || []).map(row => ({
+    verbText: row.verb_text,
+    tense: row.tense,
+    sessions: row.sessions,
+    graded: row.graded,
+    recentGraded: row.recent_graded,
+    recentAccuracy: row.recent_accuracy,
+    lastPracticedAt: row.last_practiced_at,
+  }));
+}
+
+/**
+ * Lay the pairs out as the user's verbs × enabled tenses
+ * Pairs of verbs no longer in the list, or of disabled tenses, are left out.
+ * @param {Array} pairs - From calculateMastery or fromDatabaseMastery
+ * @param {Array} verbs - User verbs (with id and verb)
+ * @param {string[]} tenseIds - Enabled tenses
+ * @returns {Object} {
+ *   tenses: [tense] - Column headers,
+ *   rows: [{ verb, cells: [{ tenseId, pair, available }] }] - `available` is
+ *     false for pairs that don't exist (pouvoir + impératif)
+ * }
+ */
+export function buildMasteryMatrix(pairs, verbs, tenseIds) {
+  const byKey = {};
+  pairs.forEach(pair => {
+    byKey[`${pair.verbText}:${pair.tense}`] = pair;
+  });
+
+  const tenses = tenseIds.map(getTenseById).filter(Boolean);
+  const rows = [...verbs]
+    .sort((a, b) => a.verb.localeCompare(b.verb, 'fr'))
+    .map(verb => ({
+      verb,
+      cells: tenses.map(tense => ({
+        tenseId: tense.id,
+        pair: byKey[`${verb.verb}:${tense.id}`],
+        available: hasTense(verb.verb, tense.id),
+      })),
+    }));
+
+  return { tenses, rows };
+}
+
+// Recent accuracy over several pairs, weighted by their recent answers,
+// and the weakest of them (the one a practice round should aim at)
+function summarizePairs(entries) {
+  const graded = entries.filter(entry => entry.pair && entry.pair.recentGraded > 0);
+  if (graded.length === 0) {
+    return null;
+  }
+
+  const recentGraded = graded.reduce((sum, entry) => sum + entry.pair.recentGraded, 0);
+  const accuracy = Math.round(
+    graded.reduce((sum, entry) => sum + entry.pair.recentAccuracy * entry.pair.recentGraded, 0) / recentGraded
+  );
+  const weakest = [...graded].sort((a, b) =>
+    a.pair.recentAccuracy - b.pair.recentAccuracy || b.pair.recentGraded - a.pair.recentGraded
+  )[0];
+
+  return {
+    accuracy,
+    recentGraded,
+    confidence: getConfidence(recentGraded),
+    weakest: { verb: weakest.verb, tenseId: weakest.tenseId, pair: weakest.pair },
+  };
+}
+
+const byAccuracy = (a, b) => a.accuracy - b.accuracy || b.recentGraded - a.recentGraded;
+
+/**
+ * Verbs with the lowest recent accuracy over their tenses
+ * @param {Object} matrix - From buildMasteryMatrix
+ * @param {number} limit
+ * @returns {Array} [{ verb, accuracy, recentGraded, confidence, weakest: { verb, tenseId, pair } }]
+ */
+export function rankWeakVerbs(matrix, limit = 5) {
+  return matrix.rows
+    .map(row => {
+      const summary = summarizePairs(row.cells.map(cell => ({ ...cell, verb: row.verb })));
+      return summary && { verb: row.verb, ...summary };
+    })
+    .filter(Boolean)
+    .sort(byAccuracy)
+    .slice(0, limit);
+}
+
+/**
+ * Tenses with the lowest recent accuracy over the user's verbs
+ * @param {Object} matrix - From buildMasteryMatrix
+ * @param {number} limit
+ * @returns {Array} [{ tense, accuracy, recentGraded, confidence, weakest: { verb, tenseId, pair } }]
+ */
+export function rankWeakTenses(matrix, limit = 5) {
+  return matrix.tenses
+    .map((tense, column) => {
+      const summary = summarizePairs(matrix.rows.map(row => ({ ...row.cells[column], verb: row.verb })));
+      return summary && { tense, ...summary };
+    })
+    .filter(Boolean)
+    .sort(byAccuracy)
+    .slice(0, limit);
+}
+
+/**
+ * Pairs that exist but have never been practised, verb by verb
+ * @param {Object} matrix - From buildMasteryMatrix
+ * @returns {Array} [{ verb, tenseId }]
+ */
+export function getNeverPractised(matrix) {
+  const pairs = [];
+  matrix.rows.forEach(row => {
+    row.cells.forEach(cell => {
+      if (cell.available && !cell.pair) {
+        pairs.push({ verb: row.verb, tenseId: cell.tenseId });
+      }
+    });
+  });
+  return pairs;
+}
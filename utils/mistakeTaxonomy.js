@@ -0,0 +1,420 @@
+/**
+ * Mistake Taxonomy
+ *
+ * Sorts every mistake found in a sentence into a fixed list of types
+ * (MISTAKE_TYPES), so the Statistics screen can show which ones come back
+ * most often and start practice aimed at them.
+ *
+ * The AI gives each issue a `type` from the list (see prompts.js). Issues
+ * without one (older feedback, local checks, models that skip the field)
+ * are classified here from their text, replacement and category.
+ *
+ * Sessions store their types in the practice_sessions.mistake_types column;
+ * sessions saved before the column existed are classified from ai_feedback.
+ */
+
+import {
+  COMPOUND_TENSES,
+  conjugate,
+  acceptsBothAuxiliaries,
+  getAuxiliary,
+} from './conjugator';
+import { CHECK_STATUS, tokenize } from './localGrader';
+
+// `practice` narrows the next questions when the user practises a type:
+// tenses to pick from and which verbs fit (null = no restriction)
+export const MISTAKE_TYPES = [
+  {
+    id: 'wrong_auxiliary',
+    name: 'Wrong auxiliary',
+    description: 'être vs avoir in compound tenses',
+    practice: { tenses: Object.keys(COMPOUND_TENSES), verbs: verb => usesEtre(verb) },
+  },
+  {
+    id: 'participle_agreement',
+    name: 'Past participle agreement',
+    description: 'Participles after être agree with the subject',
+    practice: { tenses: Object.keys(COMPOUND_TENSES), verbs: verb => usesEtre(verb) },
+  },
+  {
+    id: 'person_ending',
+    name: 'Wrong person ending',
+    description: 'The ending doesn\'t match the subject',
+    practice: { tenses: ['present', 'imparfait', 'futur_simple', 'conditionnel_present', 'subjonctif_present'], verbs: null },
+  },
+  {
+    id: 'wrong_tense',
+    name: 'Wrong tense',
+    description: 'The verb is in a different tense',
+    practice: null,
+  },
+  {
+    id: 'verb_form',
+    name: 'Wrong verb form',
+    description: 'Stem or spelling of the conjugated verb',
+    practice: { tenses: ['present', 'futur_simple', 'passe_simple', 'subjonctif_present'], verbs: null },
+  },
+  {
+    id: 'missing_verb',
+    name: 'Practice verb missing',
+    description: 'The sentence doesn\'t use the verb asked for',
+    practice: null,
+  },
+  {
+    id: 'missing_accent',
+    name: 'Missing accent',
+    description: 'é, è, ê, à, ç...',
+    practice: { tenses: null, verbs: verb => /[éèêëàâîïôûç]/.test(verb) || verb.endsWith('er') },
+  },
+  {
+    id: 'gender_agreement',
+    name: 'Gender agreement',
+    description: 'Masculine / feminine forms of adjectives and articles',
+    practice: null,
+  },
+  {
+    id: 'number_agreement',
+    name: 'Number agreement',
+    description: 'Singular / plural forms',
+    practice: null,
+  },
+  {
+    id: 'elision',
+    name: 'Elision',
+    description: 'j\'ai, l\'homme, qu\'il...',
+    practice: { tenses: null, verbs: verb => /^[aeiouyéèêh]/.test(verb) },
+  },
+  {
+    id: 'word_order',
+    name: 'Word order',
+    description: 'Negation, pronouns and adjective placement',
+    practice: { tenses: Object.keys(COMPOUND_TENSES), verbs: null },
+  },
+  { id: 'spelling', name: 'Spelling', description: 'Other misspelled words', practice: null },
+  { id: 'vocabulary', name: 'Word choice', description: 'A word that doesn\'t fit the meaning', practice: null },
+  { id: 'other', name: 'Other', description: 'Anything else', practice: null },
+];
+
+export const MISTAKE_TYPE_IDS = MISTAKE_TYPES.map(type => type.id);
+
+// Local check verdict → mistake type
+const LOCAL_CHECK_TYPES = {
+  [CHECK_STATUS.MISSING_VERB]: 'missing_verb',
+  [CHECK_STATUS.WRONG_TENSE]: 'wrong_tense',
+  [CHECK_STATUS.WRONG_PERSON]: 'person_ending',
+  [CHECK_STATUS.WRONG_AUXILIARY]: 'wrong_auxiliary',
+};
+
+// Issue category (see issueSpans.js) → type when nothing more specific fits
+const CATEGORY_TYPES = {
+  conjugation: 'verb_form',
+  agreement: 'gender_agreement',
+  spelling: 'spelling',
+  vocabulary: 'vocabulary',
+  word_order: 'word_order',
+  other: 'other',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A type's share of sessions must move this much between the two halves
+// of the trend window to count as better or worse
+const TREND_THRESHOLD = 0.1;
+
+function usesEtre(verb) {
+  return getAuxiliary(verb) === 'être' || acceptsBothAuxiliaries(verb);
+}
+
+/**
+ * Get a mistake type by id
+ * @returns {Object|undefined}
+ */
+export function getMistakeType(id) {
+  return MISTAKE_TYPES.find(type => type.id === id);
+}
+
+// =====================================================
+// CLASSIFYING
+// =====================================================
+
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Forms of avoir and être used as auxiliaries ("a", "est", "avaient"...)
+let auxiliaryForms = null;
+function getAuxiliaryForms() {
+  if (!auxiliaryForms) {
+    const formsOf = auxiliary => new Set(
+      Object.values(COMPOUND_TENSES).flatMap(tense => conjugate(auxiliary, tense))
+    );
+    auxiliaryForms = { avoir: formsOf('avoir'), être: formsOf('être') };
+  }
+  return auxiliaryForms;
+}
+
+/**
+ * Whether one text uses avoir where the other uses être
+ */
+function swapsAuxiliary(words, fixedWords) {
+  const { avoir, être } = getAuxiliaryForms();
+  const has = (list, forms) => list.some(word => forms.has(word));
+  return (has(words, avoir) && has(fixedWords, être) && !has(words, être))
+    || (has(words, être) && has(fixedWords, avoir) && !has(words, avoir));
+}
+
+/**
+ * Endings added or dropped when the only change is agreement
+ * ("allé" → "allées" gives ['es']); null if the texts differ otherwise
+ */
+function agreementEndings(words, fixedWords) {
+  if (words.length !== fixedWords.length) {
+    return null;
+  }
+
+  const endings = [];
+  for (let i = 0; i < words.length; i++) {
+    const [short, long] = words[i].length <= fixedWords[i].length
+      ? [words[i], fixedWords[i]]
+      : [fixedWords[i], words[i]];
+    if (short === long) continue;
+    const ending = long.slice(short.length);
+    if (!long.startsWith(short) || !['e', 's', 'es'].includes(ending)) {
+      return null;
+    }
+    endings.push(ending);
+  }
+  return endings.length > 0 ? endings : null;
+}
+
+/**
+ * Find the mistake type of one issue
+ * The AI's `type` is used when it is in the taxonomy; otherwise the type is
+ * guessed from how the replacement differs from the text.
+ *
+ * @param {Object} issue - { text, replacement, category, type } as parsed by feedbackParser
+ * @returns {string} Mistake type id
+ */
+export function classifyIssue(issue) {
+  if (MISTAKE_TYPE_IDS.includes(issue?.type)) {
+    return issue.type;
+  }
+
+  const text = (issue?.text || '').trim().toLowerCase();
+  const fixed = (issue?.replacement || '').trim().toLowerCase();
+  const category = issue?.category || 'other';
+
+  if (text && fixed) {
+    if (text !== fixed && stripAccents(text) === stripAccents(fixed)) {
+      return 'missing_accent';
+    }
+    if (/['’]/.test(fixed) && !/['’]/.test(text)) {
+      return 'elision';
+    }
+
+    const words = tokenize(text);
+    const fixedWords = tokenize(fixed);
+    if (swapsAuxiliary(words, fixedWords)) {
+      return 'wrong_auxiliary';
+    }
+
+    const endings = agreementEndings(words, fixedWords);
+    if (endings && (category === 'agreement' || category === 'conjugation')) {
+      const { être } = getAuxiliaryForms();
+      if (words.some(word => être.has(word))) {
+        return 'participle_agreement';
+      }
+      return endings.includes('e') || endings.includes('es') ? 'gender_agreement' : 'number_agreement';
+    }
+  }
+
+  return CATEGORY_TYPES[category] || 'other';
+}
+
+/**
+ * Get the mistake types of a piece of feedback
+ * Types come from its issues; the local verb check fills in when the
+ * feedback is local or the AI located nothing. A wrong answer always gets
+ * at least one type.
+ *
+ * @param {Object} feedback - AI or local feedback
+ * @returns {string[]} Type ids in MISTAKE_TYPES order, empty when there were no mistakes
+ */
+export function getMistakeTypes(feedback) {
+  if (!feedback || feedback.parseError) {
+    return [];
+  }
+
+  const found = new Set((feedback.issues || []).map(classifyIssue));
+
+  const localType = LOCAL_CHECK_TYPES[feedback.localCheck?.status];
+  if (localType && feedback.isCorrect === false && (feedback.source === 'local' || found.size === 0)) {
+    found.add(localType);
+  }
+  if (found.size === 0 && feedback.isCorrect === false) {
+    found.add('verb_form');
+  }
+
+  return MISTAKE_TYPE_IDS.filter(id => found.has(id));
+}
+
+/**
+ * Read the mistake types of a practice_sessions row
+ * Sessions saved before mistake_types existed are classified from their feedback
+ * @returns {string[]}
+ */
+export function getSessionMistakeTypes(session) {
+  if (Array.isArray(session.mistake_types)) {
+    return session.mistake_types;
+  }
+  return getMistakeTypes(session.ai_feedback);
+}
+
+// =====================================================
+// ANALYTICS
+// =====================================================
+
+function isGraded(session) {
+  return session.is_correct === true || session.is_correct === false;
+}
+
+function trendDirection(weeks) {
+  const half = Math.floor(weeks.length / 2);
+  const rate = list => {
+    const sessions = list.reduce((sum, week) => sum + week.sessions, 0);
+    return sessions > 0 ? list.reduce((sum, week) => sum + week.count, 0) / sessions : null;
+  };
+  const earlier = rate(weeks.slice(0, weeks.length - half));
+  const recent = rate(weeks.slice(weeks.length - half));
+
+  if (earlier === null || recent === null) {
+    return null;
+  }
+  if (recent - earlier >= TREND_THRESHOLD) {
+    return 'worse';
+  }
+  if (earlier - recent >= TREND_THRESHOLD) {
+    return 'better';
+  }
+  return 'steady';
+}
+
+/**
+ * Count mistake types over the graded sessions
+ * Weeks are the 7-day periods ending `now`, oldest first.
+ *
+ * @param {Array} sessions - practice_sessions rows (with created_at, is_correct, mistake_types / ai_feedback)
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {number} options.weeks - Length of the trend
+ * @returns {Object} { graded, counts: { [type]: n }, weekly: [{ sessions, counts: { [type]: n } }] }
+ */
+export function countMistakes(sessions, { now = new Date(), weeks = 6 } = {}) {
+  const graded = (sessions || []).filter(isGraded);
+  const counts = {};
+  const weekly = Array.from({ length: weeks }, () => ({ sessions: 0, counts: {} }));
+
+  graded.forEach(session => {
+    const types = getSessionMistakeTypes(session);
+    types.forEach(id => {
+      counts[id] = (counts[id] || 0) + 1;
+    });
+
+    const ago = Math.floor((now.getTime() - new Date(session.created_at).getTime()) / (7 * DAY_MS));
+    if (ago < 0 || ago >= weeks) return;
+    const week = weekly[weeks - 1 - ago];
+    week.sessions++;
+    types.forEach(id => {
+      week.counts[id] = (week.counts[id] || 0) + 1;
+    });
+  });
+
+  return { graded: graded.length, counts, weekly };
+}
+
+/**
+ * Find the most frequent mistake types in countMistakes' counts (or the
+ * same counts from the database, see statisticsService.js)
+ *
+ * @param {Object} mistakeCounts - { graded, counts, weekly }
+ * @param {Object} options
+ * @param {number} options.limit - How many types to return
+ * @returns {Array} [{ id, name, description, count, share, weekly: [{ sessions, count }], trend }]
+ *   share: % of graded sessions with this mistake; trend: 'better', 'worse',
+ *   'steady', or null without sessions in both halves of the period
+ */
+export function rankMistakes({ graded, counts, weekly }, { limit = 3 } = {}) {
+  if (graded === 0) {
+    return [];
+  }
+
+  return MISTAKE_TYPES
+    .filter(type => counts[type.id])
+    .sort((a, b) => counts[b.id] - counts[a.id])
+    .slice(0, limit)
+    .map(type => {
+      const typeWeekly = weekly.map(week => ({
+        sessions: week.sessions,
+        count: week.counts[type.id] || 0,
+      }));
+
+      return {
+        id: type.id,
+        name: type.name,
+        description: type.description,
+        count: counts[type.id],
+        share: Math.round((counts[type.id] / graded) * 100),
+        weekly: typeWeekly,
+        trend: trendDirection(typeWeekly),
+      };
+    });
+}
+
+/**
+ * Find the user's most frequent mistake types, with how they evolved
+ * @param {Array} sessions - practice_sessions rows
+ * @param {Object} options - { now, weeks, limit } (see countMistakes and rankMistakes)
+ */
+export function summarizeMistakes(sessions, options = {}) {
+  return rankMistakes(countMistakes(sessions, options), options);
+}
+
+// =====================================================
+// TARGETED PRACTICE
+// =====================================================
+
+/**
+ * Whether practice can be aimed at a mistake type
+ */
+export function canPracticeMistake(id) {
+  return Boolean(getMistakeType(id)?.practice);
+}
+
+/**
+ * Narrow the verbs and tenses to practise for a mistake type
+ * Each restriction is dropped if nothing would be left, so practice never
+ * gets stuck.
+ *
+ * @param {string|null} id - Mistake type id
+ * @param {Array} verbs - User verbs (with `verb`)
+ * @param {string[]} tenseIds - Enabled tenses
+ * @returns {Object} { verbs, tenseIds }
+ */
+export function applyMistakeFocus(id, verbs, tenseIds) {
+  const practice = getMistakeType(id)?.practice;
+  if (!practice) {
+    return { verbs, tenseIds };
+  }
+
+  const focusedTenses = practice.tenses
+    ? tenseIds.filter(tenseId => practice.tenses.includes(tenseId))
+    : tenseIds;
+  const focusedVerbs = practice.verbs
+    ? verbs.filter(verb => practice.verbs(verb.verb))
+    : verbs;
+
+  return {
+    verbs: focusedVerbs.length > 0 ? focusedVerbs : verbs,
+    tenseIds: focusedTenses.length > 0 ? focusedTenses : tenseIds,
+  };
+}
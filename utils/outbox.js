@@ -0,0 +1,163 @@
+/**
+ * Outbox
+ *
+ * Practice attempts are written to an outbox in AsyncStorage first and sent
+ * to Supabase afterwards (see syncService.js), so an attempt made while the
+ * server can't be reached isn't lost.
+ *
+ * Every operation carries a client-generated UUID. The server ignores ids it
+ * has already applied (practice_sessions.client_id, client_operations), so
+ * an operation can be replayed safely when its answer got lost on the way.
+ *
+ * Operations are replayed oldest first, and replay stops at the first
+ * failure: later operations are never applied before earlier ones. The one
+ * exception is an operation the server keeps rejecting (not a network
+ * error): after MAX_REJECTIONS tries it is set aside as failed, with its
+ * lastError, so it can't hold back everything queued after it.
+ */
+
+export const OPERATION_TYPES = {
+  PRACTICE_ATTEMPT: 'practice_attempt', // Session, practice count and review, in one transaction
+  // Queued by earlier app versions, still replayed
+  PRACTICE_COUNT: 'practice_count', // user_verbs.practice_count + 1
+  PRACTICE_SESSION: 'practice_session', // New practice_sessions row
+};
+
+// Times the server may reject an operation before it is set aside
+export const MAX_REJECTIONS = 5;
+
+// Errors from not reaching the server (fetch in React Native and browsers)
+const NETWORK_ERROR_PATTERN = /network|failed to fetch|load failed|timed? ?out|offline/i;
+
+/**
+ * Whether a failure came from not reaching the server, rather than from the
+ * server turning the operation down
+ * @param {string} error
+ */
+export function isNetworkError(error) {
+  return NETWORK_ERROR_PATTERN.test(error || '');
+}
+
+/**
+ * Generate a random (version 4) UUID
+ * Uses crypto.randomUUID when the platform has it
+ * @returns {string}
+ */
+export function generateUUID() {
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * Create an operation to put in the outbox
+ * @param {string} type - One of OPERATION_TYPES
+ * @param {Object} payload - What the operation's handler needs
+ * @param {string} userId - Owner; only replayed while this user is signed in
+ * @param {Date} now
+ * @returns {Object} { id, type, userId, payload, createdAt, attempts,
+ *   rejections, lastError } - attempts counts every failure, rejections only
+ *   those that weren't network errors
+ */
+export function createOperation(type, payload, userId, now = new Date()) {
+  return {
+    id: generateUUID(),
+    type,
+    userId,
+    payload,
+    createdAt: now.toISOString(),
+    attempts: 0,
+    rejections: 0,
+    lastError: null,
+  };
+}
+
+/**
+ * Count a user's operations waiting in the outbox
+ */
+export function countPending(operations, userId) {
+  return operations.filter(operation => operation.userId === userId).length;
+}
+
+/**
+ * Send a user's operations, oldest first
+ *
+ * @param {Array} operations - Outbox content
+ * @param {Object} handlers - Operation type → async (operation) => { success, error }
+ * @param {string} userId - Signed-in user; other users' operations are kept
+ *   until they sign in again
+ * @returns {Promise<Object>} { remaining, failed, synced, error }
+ *   remaining: operations still to send, in order; failed: operations set
+ *   aside after MAX_REJECTIONS; error: why replay stopped
+ */
+export async function replayOperations(operations, handlers, userId) {
+  const remaining = [];
+  const failed = [];
+  let synced = 0;
+  let error = null;
+
+  for (const operation of operations) {
+    if (error || operation.userId !== userId) {
+      remaining.push(operation);
+      continue;
+    }
+
+    const handler = handlers[operation.type];
+    if (!handler) {
+      // Written by a version of the app that knew this type; nothing can send it
+      console.warn('Dropping outbox operation of unknown type:', operation.type);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await handler(operation);
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+
+    if (result.success) {
+      synced++;
+      continue;
+    }
+
+    const lastError = result.error || 'Sync failed';
+    const rejected = !isNetworkError(lastError);
+    const tried = {
+      ...operation,
+      attempts: operation.attempts + 1,
+      rejections: (operation.rejections || 0) + (rejected ? 1 : 0),
+      lastError,
+    };
+
+    if (rejected && tried.rejections >= MAX_REJECTIONS) {
+      // Retrying won't change the server's answer; let the next ones through
+      console.error(`Giving up on outbox operation ${operation.id} (${operation.type}):`, lastError);
+      failed.push(tried);
+    } else {
+      error = lastError;
+      remaining.push(tried);
+    }
+  }
+
+  return { remaining, failed, synced, error };
+}
+
+/**
+ * Build the new outbox after a replay
+ * Operations queued while the replay was running are kept after the ones
+ * left over from it.
+ *
+ * @param {Array} snapshot - Outbox content the replay started from
+ * @param {Array} remaining - What the replay couldn't send
+ * @param {Array} current - Outbox content now
+ * @returns {Array}
+ */
+export function mergeOutbox(snapshot, remaining, current) {
+  const replayed = new Set(snapshot.map(operation => operation.id));
+  return [...remaining, ...current.filter(operation => !replayed.has(operation.id))];
+}
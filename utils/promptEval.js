@@ -0,0 +1,100 @@
+/**
+ * Prompt Evaluation
+ *
+ * Replays a set of fixture sentences through two prompt templates and
+ * compares the verdicts, so a prompt change can be checked before it is
+ * rolled out from the Admin screen (see scripts/evalPrompts.js).
+ */
+
+import { getPromptKey } from './aiProviders/prompts';
+
+/**
+ * Get the verdict of one evaluation
+ * @returns {boolean|null} null when the sentence couldn't be graded
+ */
+function getVerdict(feedback) {
+  if (!feedback || feedback.parseError) {
+    return null;
+  }
+  return feedback.isCorrect === true;
+}
+
+/**
+ * Evaluate every fixture with both templates
+ *
+ * @param {Array} fixtures - [{ verb, tense, sentence, expected, note }]
+ * @param {Array} templates - The two templates to compare (from prompts.js)
+ * @param {Function} evaluate - (fixture, template) => Promise<feedback>
+ * @returns {Promise<Object>} { templates, results, summary, agreement }
+ *   results: [{ ...fixture, verdicts: [a, b], errors: [a, b], agree }]
+ *   summary: one { key, matched, graded, ungraded } per template
+ */
+export async function comparePromptTemplates(fixtures, templates, evaluate) {
+  const results = [];
+
+  for (const fixture of fixtures) {
+    const verdicts = [];
+    const errors = [];
+
+    for (const template of templates) {
+      try {
+        verdicts.push(getVerdict(await evaluate(fixture, template)));
+        errors.push(null);
+      } catch (error) {
+        verdicts.push(null);
+        errors.push(error.message);
+      }
+    }
+
+    results.push({
+      ...fixture,
+      verdicts,
+      errors,
+      agree: verdicts.every(verdict => verdict === verdicts[0]),
+    });
+  }
+
+  const summary = templates.map((template, index) => {
+    const graded = results.filter(result => result.verdicts[index] !== null);
+    return {
+      key: getPromptKey(template),
+      matched: graded.filter(result => result.verdicts[index] === result.expected).length,
+      graded: graded.length,
+      ungraded: results.length - graded.length,
+    };
+  });
+
+  return {
+    templates: templates.map(getPromptKey),
+    results,
+    summary,
+    agreement: results.filter(result => result.agree).length,
+  };
+}
+
+/**
+ * Format a comparison as plain text for the console
+ */
+export function formatPromptReport(report) {
+  const showVerdict = (verdict) => verdict === null ? '—' : verdict ? '✓' : '✗';
+  const lines = [`Prompt comparison: ${report.templates.join(' vs ')}`, ''];
+
+  report.results.forEach(result => {
+    const marker = result.agree ? ' ' : '≠';
+    const verdicts = result.verdicts.map(showVerdict).join(' ');
+    lines.push(`${marker} ${verdicts}  (expected ${showVerdict(result.expected)})  ${result.verb}, ${result.tense}: ${result.sentence}`);
+    result.errors.forEach((error, index) => {
+      if (error) {
+        lines.push(`      ${report.templates[index]} failed: ${error}`);
+      }
+    });
+  });
+
+  lines.push('');
+  report.summary.forEach(({ key, matched, graded, ungraded }) => {
+    lines.push(`${key}: ${matched}/${graded} graded as expected, ${ungraded} not graded`);
+  });
+  lines.push(`Same verdict on ${report.agreement}/${report.results.length} sentences`);
+
+  return lines.join('\n');
+}
@@ -0,0 +1,174 @@
+/**
+ * Spaced Repetition Scheduler
+ *
+ * SM-2 style scheduling for (verb, tense) pairs.
+ * Each pair has an ease factor, an interval and a due date; correct answers
+ * push the next review further out, mistakes bring it back soon.
+ *
+ * Works on rows shaped like the `verb_reviews` table, so cloudStorage can
+ * pass database rows straight in.
+ */
+
+import { hasTense } from './conjugator';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 constants
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const FIRST_INTERVAL_DAYS = 1;
+const SECOND_INTERVAL_DAYS = 6;
+
+// A missed pair comes back later in the same session, not as the very next question
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+// Answer quality on the SM-2 0-5 scale
+const GRADE_CORRECT = 4;
+const GRADE_INCORRECT = 1;
+
+/**
+ * Initial state for a pair that has never been reviewed
+ * @returns {Object} Review state
+ */
+export function createReviewState() {
+  return {
+    ease: DEFAULT_EASE,
+    interval_days: 0,
+    repetitions: 0,
+    lapses: 0,
+    due_at: null,
+    last_reviewed_at: null,
+  };
+}
+
+/**
+ * Compute the next review state after an answer
+ *
+ * @param {Object|null} state - Current review state (null for a new pair)
+ * @param {boolean} isCorrect - Whether the answer was correct
+ * @param {Date} now - Time of the answer
+ * @returns {Object} New review state { ease, interval_days, repetitions, lapses, due_at, last_reviewed_at }
+ */
+export function scheduleReview(state, isCorrect, now = new Date()) {
+  const current = { ...createReviewState(), ...(state || {}) };
+  const grade = isCorrect ? GRADE_CORRECT : GRADE_INCORRECT;
+
+  // Ease update from the SM-2 formula, never below MIN_EASE
+  const ease = Math.max(
+    MIN_EASE,
+    current.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)
+  );
+
+  if (!isCorrect) {
+    return {
+      ease,
+      interval_days: 0,
+      repetitions: 0,
+      lapses: current.lapses + 1,
+      due_at: new Date(now.getTime() + RELEARN_DELAY_MS).toISOString(),
+      last_reviewed_at: now.toISOString(),
+    };
+  }
+
+  let intervalDays;
+  if (current.repetitions === 0) {
+    intervalDays = FIRST_INTERVAL_DAYS;
+  } else if (current.repetitions === 1) {
+    intervalDays = SECOND_INTERVAL_DAYS;
+  } else {
+    intervalDays = Math.round(current.interval_days * current.ease);
+  }
+
+  return {
+    ease,
+    interval_days: intervalDays,
+    repetitions: current.repetitions + 1,
+    lapses: current.lapses,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString(),
+  };
+}
+
+/**
+ * Check whether a review is due at a given time
+ * @param {Object} review - Review row with due_at
+ * @param {Date} at
+ * @returns {boolean}
+ */
+export function isDue(review, at = new Date()) {
+  return !review.due_at || new Date(review.due_at) <= at;
+}
+
+/**
+ * Get the end of the current day (23:59:59.999 local time)
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function getEndOfDay(now = new Date()) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/**
+ * Pick the next (verb, tense) pair to practise
+ * 1. The most overdue review
+ * 2. Otherwise a pair that has never been practised
+ * 3. Otherwise the review that comes due soonest
+ *
+ * @param {Array} verbs - User verbs (with id)
+ * @param {Array} reviews - Review rows (with verb_id, tense, due_at)
+ * @param {string[]} tenseIds - Tenses to choose from
+ * @param {Date} now
+ * @param {Function} random - Random number generator (for tests)
+ * @returns {Object|null} { verb, tenseId, review, isNew } or null if no verbs
+ */
+export function pickNextReview(verbs, reviews, tenseIds, now = new Date(), random = Math.random) {
+  if (!verbs || verbs.length === 0 || !tenseIds || tenseIds.length === 0) {
+    return null;
+  }
+
+  const verbsById = new Map(verbs.map(verb => [verb.id, verb]));
+  const relevant = (reviews || [])
+    .filter(review => verbsById.has(review.verb_id) && tenseIds.includes(review.tense))
+    .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+
+  // 1. Most overdue first
+  const overdue = relevant.find(review => isDue(review, now));
+  if (overdue) {
+    return {
+      verb: verbsById.get(overdue.verb_id),
+      tenseId: overdue.tense,
+      review: overdue,
+      isNew: false,
+    };
+  }
+
+  // 2. A pair that has never been practised (skipping ones like pouvoir + impératif)
+  const seen = new Set(relevant.map(review => `${review.verb_id}:${review.tense}`));
+  const unseen = [];
+  verbs.forEach(verb => {
+    tenseIds.forEach(tenseId => {
+      if (!seen.has(`${verb.id}:${tenseId}`) && hasTense(verb.verb, tenseId)) {
+        unseen.push({ verb, tenseId });
+      }
+    });
+  });
+
+  if (unseen.length > 0) {
+    const pick = unseen[Math.floor(random() * unseen.length)];
+    return { ...pick, review: null, isNew: true };
+  }
+
+  // 3. Everything is scheduled in the future: take the soonest
+  const soonest = relevant[0];
+  if (!soonest) {
+    return null;
+  }
+  return {
+    verb: verbsById.get(soonest.verb_id),
+    tenseId: soonest.tense,
+    review: soonest,
+    isNew: false,
+  };
+}
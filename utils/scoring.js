@@ -0,0 +1,113 @@
+/**
+ * Scoring Rubric
+ *
+ * Besides the pass/fail verdict (isCorrect), the AI scores each sentence
+ * from 0 to 100 in four categories. Sessions store them in the
+ * score_conjugation, score_grammar, score_vocabulary and score_naturalness
+ * columns of practice_sessions.
+ *
+ * Accuracy can be computed either way (SCORING_MODES):
+ * - 'boolean':  share of graded sessions marked correct
+ * - 'weighted': average weighted score; sessions saved before scores
+ *               existed count as 100 or 0 from their verdict
+ */
+
+// The verb is what the app practises, so it weighs the most
+export const SCORE_CATEGORIES = [
+  { id: 'conjugation', name: 'Conjugation', weight: 0.4 },
+  { id: 'grammar', name: 'Grammar', weight: 0.25 },
+  { id: 'vocabulary', name: 'Vocabulary', weight: 0.15 },
+  { id: 'naturalness', name: 'Naturalness', weight: 0.2 },
+];
+
+export const SCORING_MODES = [
+  { id: 'boolean', name: 'Pass / fail' },
+  { id: 'weighted', name: 'Weighted score' },
+];
+
+/**
+ * Combine category scores into one 0–100 score
+ * Missing categories are left out and the remaining weights rescaled.
+ * @param {Object|null} scores - { conjugation, grammar, vocabulary, naturalness }
+ * @returns {number|null} Rounded score, or null when there are no scores
+ */
+export function getWeightedScore(scores) {
+  if (!scores) {
+    return null;
+  }
+
+  let total = 0;
+  let weights = 0;
+  SCORE_CATEGORIES.forEach(({ id, weight }) => {
+    if (typeof scores[id] === 'number') {
+      total += scores[id] * weight;
+      weights += weight;
+    }
+  });
+
+  return weights > 0 ? Math.round(total / weights) : null;
+}
+
+/**
+ * Read the category scores of a practice_sessions row
+ * @returns {Object|null} { conjugation, grammar, vocabulary, naturalness }, or null if none were saved
+ */
+export function getSessionScores(session) {
+  const scores = {};
+  let found = false;
+  SCORE_CATEGORIES.forEach(({ id }) => {
+    const value = session[`score_${id}`];
+    scores[id] = typeof value === 'number' ? value : null;
+    found = found || scores[id] !== null;
+  });
+  return found ? scores : null;
+}
+
+/**
+ * Columns to save for a feedback's scores
+ * @param {Object|null} scores - From the feedback
+ * @returns {Object} { score_conjugation, score_grammar, ... } (null when missing)
+ */
+export function toScoreColumns(scores) {
+  const columns = {};
+  SCORE_CATEGORIES.forEach(({ id }) => {
+    columns[`score_${id}`] = typeof scores?.[id] === 'number' ? scores[id] : null;
+  });
+  return columns;
+}
+
+/**
+ * Score one session from 0 to 100
+ * @param {Object} session - practice_sessions row
+ * @param {string} mode - 'boolean' or 'weighted'
+ * @returns {number|null} null for ungraded sessions (is_correct null)
+ */
+export function getSessionScore(session, mode = 'boolean') {
+  if (session.is_correct !== true && session.is_correct !== false) {
+    return null;
+  }
+  if (mode === 'weighted') {
+    const weighted = getWeightedScore(getSessionScores(session));
+    if (weighted !== null) {
+      return weighted;
+    }
+  }
+  return session.is_correct ? 100 : 0;
+}
+
+/**
+ * Average score of the graded sessions, as a rounded percentage
+ * @param {Array} sessions - practice_sessions rows
+ * @param {string} mode - 'boolean' or 'weighted'
+ * @returns {number} 0 when nothing is graded
+ */
+export function calculateAccuracy(sessions, mode = 'boolean') {
+  const scores = sessions
+    .map(session => getSessionScore(session, mode))
+    .filter(score => score !== null);
+
+  if (scores.length === 0) {
+    return 0;
+  }
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+}
@@ -1,208 +1,280 @@
 /**
  * Statistics Service
  * 
- * Calculates various statistics from practice sessions and user data.
- * All calculations are done server-side via Supabase queries for efficiency.
+ * Statistics for StatisticsScreen. For signed-in users they are added up
+ * in the database by get_practice_statistics, so the answer doesn't grow
+ * with the practice history. Guests' sessions are on the device and are
+ * added up here, the same way.
+ *
+ * get_practice_statistics is created in supabase/add_statistics.sql and
+ * replaced in supabase/add_calendar_settings.sql, which counts days and
+ * weeks in the user's time zone from their first day of the week; the
+ * latter is the current definition.
  */
 
 import { supabase } from './supabase';
+import { TENSES, getTenseById } from '../data/tenses';
+import { calculateAccuracy } from './scoring';
+import { countMistakes, rankMistakes } from './mistakeTaxonomy';
+import { getCalendarSettings, getDayKey, getWeekRange, addDays, daysBetween } from './calendar';
+import { getHeatmapRange, calculatePracticeDays } from './heatmap';
+import { MASTERY_RECENT, calculateMastery, fromDatabaseMastery } from './mastery';
+import { isGuestMode } from './guestMode';
+import { getVerbs } from './verbRepository';
+import { backfillMistakeTypes } from './cloudStorage';
+import * as guestStorage from './guestStorage';
 
-/**
- * Get the start and end of the current calendar week (Monday-Sunday)
- * @returns {Object} { start: Date, end: Date }
- */
-function getCurrentWeekRange() {
-  const today = new Date();
-  const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-  
-  // Calculate Monday (if today is Sunday, go back 6 days; otherwise go back to Monday)
-  const monday = new Date(today);
-  monday.setDate(today.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
-  monday.setHours(0, 0, 0, 0); // Start of Monday (00:00:00)
-  
-  // Calculate Sunday (6 days after Monday)
-  const sunday = new Date(monday);
-  sunday.setDate(monday.getDate() + 6);
-  sunday.setHours(23, 59, 59, 999); // End of Sunday (23:59:59)
-  
-  return { start: monday, end: sunday };
-}
+// Weeks of mistake trend shown under "Most frequent mistakes"
+const MISTAKE_WEEKS = 6;
 
 /**
  * Calculate practice streak from practice sessions
- * Streak = consecutive days with at least one practice session
+ * Streak = consecutive days with at least one practice session, counted in
+ * the user's time zone (see utils/calendar.js)
  * @param {Array} sessions - Array of practice sessions with created_at
+ * @param {string} timeZone - IANA name
+ * @param {Date} now
  * @returns {Object} { current: number, best: number }
  */
-function calculateStreak(sessions) {
-  if (sessions.length === 0) {
-    return { current: 0, best: 0 };
+function calculateStreak(sessions, timeZone, now) {
+  const practiceDays = new Set(sessions.map(session => getDayKey(session.created_at, timeZone)));
+  const sortedDays = Array.from(practiceDays).sort(); // Day keys sort by date
+
+  // Longest run of consecutive days
+  let bestStreak = 0;
+  let runStreak = 0;
+  sortedDays.forEach((day, i) => {
+    runStreak = i > 0 && daysBetween(sortedDays[i - 1], day) === 1 ? runStreak + 1 : 1;
+    bestStreak = Math.max(bestStreak, runStreak);
+  });
+
+  // The run that reaches today (0 if nothing yet today)
+  let currentStreak = 0;
+  let day = getDayKey(now, timeZone);
+  while (practiceDays.has(day)) {
+    currentStreak++;
+    day = addDays(day, -1);
   }
 
-  // Get unique practice dates (just the date, not time)
-  const practiceDates = new Set();
+  return { current: currentStreak, best: bestStreak };
+}
+
+/**
+ * Whether a session has a verdict
+ * is_correct is null when the AI's answer couldn't be parsed; those sessions
+ * still count as practice but not in accuracy
+ */
+function isGraded(session) {
+  return session.is_correct === true || session.is_correct === false;
+}
+
+/**
+ * Name and order the per-tense counts
+ * Ordered like TENSES; ids no longer in TENSES come last under their raw id
+ * @param {Array} rows - [{ id, total, graded, correct, accuracy }]
+ * @returns {Array} [{ id, name, difficulty, total, graded, correct, accuracy }]
+ */
+function toTenseBreakdown(rows) {
+  const knownIds = TENSES.map(tense => tense.id);
+  const rank = id => (knownIds.includes(id) ? knownIds.indexOf(id) : knownIds.length);
+
+  return [...rows]
+    .sort((a, b) => rank(a.id) - rank(b.id))
+    .map(row => {
+      const tense = getTenseById(row.id);
+      return {
+        ...row,
+        name: tense ? tense.name : row.id,
+        difficulty: tense ? tense.difficulty : null,
+      };
+    });
+}
+
+/**
+ * Calculate sessions and accuracy for each tense practised
+ * @param {Array} sessions - Array of practice sessions with tense, is_correct and scores
+ * @param {string} scoring - 'boolean' or 'weighted' (see utils/scoring.js)
+ * @returns {Array} See toTenseBreakdown
+ */
+function calculateTenseBreakdown(sessions, scoring) {
+  const byTense = {};
   sessions.forEach(session => {
-    const date = new Date(session.created_at);
-    const dateKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
-    practiceDates.add(dateKey);
+    if (!byTense[session.tense]) {
+      byTense[session.tense] = [];
+    }
+    byTense[session.tense].push(session);
   });
 
-  // Convert to sorted array of Date objects
-  const sortedDates = Array.from(practiceDates)
-    .map(dateKey => {
-      const [year, month, day] = dateKey.split('-').map(Number);
-      return new Date(year, month, day);
-    })
-    .sort((a, b) => b - a); // Most recent first
+  return toTenseBreakdown(Object.entries(byTense).map(([id, tenseSessions]) => ({
+    id,
+    total: tenseSessions.length,
+    graded: tenseSessions.filter(isGraded).length,
+    correct: tenseSessions.filter(s => s.is_correct === true).length,
+    accuracy: calculateAccuracy(tenseSessions, scoring),
+  })));
+}
 
-  // Calculate current streak (from today backwards)
-  let currentStreak = 0;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+/**
+ * Calculate comprehensive statistics from practice sessions
+ * (what get_practice_statistics does in the database)
+ *
+ * @param {Array} allSessions - practice_sessions rows, newest first
+ * @param {Array} verbs - user_verbs rows
+ * @param {string} scoring - How accuracy is computed: 'boolean' (share of
+ *   correct answers) or 'weighted' (average rubric score), see utils/scoring.js
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } (see utils/calendar.js)
+ * @param {Date} now
+ * @returns {Object} Statistics object
+ */
+export function calculateStatistics(
+  allSessions,
+  verbs,
+  scoring = 'boolean',
+  calendar = getCalendarSettings(null),
+  now = new Date()
+) {
+  // Calculate overall stats
+  const totalSessions = allSessions.length;
+  const overallAccuracy = calculateAccuracy(allSessions, scoring);
+
+  // Calculate this week's stats (days in the user's time zone)
+  const weekRange = getWeekRange(calendar, now);
+  const sessionDays = new Map(allSessions.map(s => [s, getDayKey(s.created_at, calendar.timeZone)]));
+  const weekSessions = allSessions.filter(s => {
+    const day = sessionDays.get(s);
+    return day >= weekRange.start && day <= weekRange.end;
+  });
   
-  let checkDate = new Date(today);
-  for (let i = 0; i < sortedDates.length; i++) {
-    const practiceDate = new Date(sortedDates[i]);
-    practiceDate.setHours(0, 0, 0, 0);
+  const weekTotal = weekSessions.length;
+  const weekAccuracy = calculateAccuracy(weekSessions, scoring);
+
+  // Calculate days practiced this week
+  const daysPracticedThisWeek = new Set(weekSessions.map(s => sessionDays.get(s))).size;
+
+  // Get most practiced verbs (from practice_sessions)
+  const verbCounts = {};
+  allSessions.forEach(session => {
+    const verb = session.verb_text;
+    verbCounts[verb] = (verbCounts[verb] || 0) + 1;
+  });
+
+  const mostPracticedVerbs = Object.entries(verbCounts)
+    .map(([verb, count]) => ({ verb, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 5); // Top 5
+
+  // Calculate practice streak
+  const streak = calculateStreak(allSessions, calendar.timeZone, now);
+
+  // Accuracy for each tense
+  const tenseBreakdown = calculateTenseBreakdown(allSessions, scoring);
+
+  // Most frequent mistake types, with their weekly trend
+  const topMistakes = rankMistakes(countMistakes(allSessions, { now, weeks: MISTAKE_WEEKS }));
+
+  return {
+    scoring,
+
+    // Overall stats
+    totalSessions,
+    overallAccuracy,
+    totalVerbs: verbs.length,
     
-    // Check if this date matches our expected date
-    const daysDiff = Math.floor((checkDate - practiceDate) / (1000 * 60 * 60 * 24));
+    // This week stats
+    weekSessions: weekTotal,
+    weekAccuracy,
+    daysPracticedThisWeek,
     
-    if (daysDiff === 0) {
-      // Practiced on this day
-      currentStreak++;
-      checkDate.setDate(checkDate.getDate() - 1); // Check previous day
-    } else if (daysDiff > 0) {
-      // Gap found, streak broken
-      break;
-    } else {
-      // This date is in the future (shouldn't happen, but handle it)
-      continue;
-    }
-  }
+    // Most practiced verbs
+    mostPracticedVerbs,
 
-  // Calculate best streak (longest consecutive sequence)
-  let bestStreak = 0;
-  let tempStreak = 0;
-  let lastDate = null;
-
-  for (let i = sortedDates.length - 1; i >= 0; i--) {
-    const currentDate = new Date(sortedDates[i]);
-    currentDate.setHours(0, 0, 0, 0);
-
-    if (lastDate === null) {
-      tempStreak = 1;
-    } else {
-      const daysDiff = Math.floor((currentDate - lastDate) / (1000 * 60 * 60 * 24));
-      if (daysDiff === 1) {
-        // Consecutive day
-        tempStreak++;
-      } else {
-        // Gap found, reset streak
-        bestStreak = Math.max(bestStreak, tempStreak);
-        tempStreak = 1;
-      }
+    // Per-tense accuracy
+    tenseBreakdown,
+
+    // Most frequent mistakes
+    topMistakes,
+    
+    // Streak
+    currentStreak: streak.current,
+    bestStreak: streak.best,
+  };
+}
+
+/**
+ * Convert get_practice_statistics' answer to calculateStatistics' shape
+ * @param {Object} data - JSON returned by the database function
+ * @param {string} scoring
+ * @returns {Object} Statistics object
+ */
+export function fromDatabaseStatistics(data, scoring) {
+  // Weeks come back as "weeks ago"; the trend lists them oldest first
+  const weekly = Array.from({ length: MISTAKE_WEEKS }, () => ({ sessions: 0, counts: {} }));
+  (data.mistakes?.weeks || []).forEach(week => {
+    if (week.weeks_ago >= 0 && week.weeks_ago < MISTAKE_WEEKS) {
+      weekly[MISTAKE_WEEKS - 1 - week.weeks_ago] = { sessions: week.sessions, counts: week.counts || {} };
     }
-    lastDate = currentDate;
-  }
-  bestStreak = Math.max(bestStreak, tempStreak);
+  });
 
-  return { current: currentStreak, best: bestStreak };
+  return {
+    scoring,
+
+    totalSessions: data.total_sessions || 0,
+    overallAccuracy: data.overall_accuracy || 0,
+    totalVerbs: data.total_verbs || 0,
+
+    weekSessions: data.week_sessions || 0,
+    weekAccuracy: data.week_accuracy || 0,
+    daysPracticedThisWeek: data.days_practiced_this_week || 0,
+
+    mostPracticedVerbs: data.most_practiced_verbs || [],
+    tenseBreakdown: toTenseBreakdown(data.tenses || []),
+    topMistakes: rankMistakes({
+      graded: data.mistakes?.graded || 0,
+      counts: data.mistakes?.counts || {},
+      weekly,
+    }),
+
+    currentStreak: data.current_streak || 0,
+    bestStreak: data.best_streak || 0,
+  };
 }
 
 /**
- * Get comprehensive statistics for the current user
- * @returns {Promise<Object>} Statistics object
+ * Get the current user's statistics
+ * @param {string} scoring - 'boolean' or 'weighted' (see utils/scoring.js)
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } from the user's
+ *   settings (see utils/calendar.js)
+ * @returns {Promise<Object>} { success, stats }
  */
-export async function getStatistics() {
+export async function getStatistics(scoring = 'boolean', calendar = getCalendarSettings(null)) {
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) {
-      return { success: false, error: 'Not authenticated' };
+    if (isGuestMode()) {
+      const [sessionsResult, verbsResult] = await Promise.all([
+        guestStorage.getPracticeSessions(),
+        getVerbs(),
+      ]);
+      if (!sessionsResult.success) throw new Error(sessionsResult.error);
+      if (!verbsResult.success) throw new Error(verbsResult.error);
+
+      return {
+        success: true,
+        stats: calculateStatistics(sessionsResult.sessions, verbsResult.verbs, scoring, calendar),
+      };
     }
 
-    // Get all practice sessions for the user
-    const { data: allSessions, error: sessionsError } = await supabase
-      .from('practice_sessions')
-      .select('*')
-      .eq('user_id', user.id)
-      .order('created_at', { ascending: false });
-
-    if (sessionsError) throw sessionsError;
-
-    // Calculate overall stats
-    const totalSessions = allSessions?.length || 0;
-    const correctSessions = allSessions?.filter(s => s.is_correct === true).length || 0;
-    const overallAccuracy = totalSessions > 0 
-      ? Math.round((correctSessions / totalSessions) * 100) 
-      : 0;
-
-    // Calculate this week's stats
-    const weekRange = getCurrentWeekRange();
-    const weekSessions = allSessions?.filter(s => {
-      const sessionDate = new Date(s.created_at);
-      return sessionDate >= weekRange.start && sessionDate <= weekRange.end;
-    }) || [];
-    
-    const weekTotal = weekSessions.length;
-    const weekCorrect = weekSessions.filter(s => s.is_correct === true).length;
-    const weekAccuracy = weekTotal > 0 
-      ? Math.round((weekCorrect / weekTotal) * 100) 
-      : 0;
-
-    // Calculate days practiced this week
-    const weekDays = new Set();
-    weekSessions.forEach(s => {
-      const date = new Date(s.created_at);
-      const dateKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
-      weekDays.add(dateKey);
-    });
-    const daysPracticedThisWeek = weekDays.size;
+    // Sessions without mistake_types would be missing from the mistake counts
+    await backfillMistakeTypes();
 
-    // Get most practiced verbs (from practice_sessions)
-    const verbCounts = {};
-    allSessions?.forEach(session => {
-      const verb = session.verb_text;
-      verbCounts[verb] = (verbCounts[verb] || 0) + 1;
+    const { data, error } = await supabase.rpc('get_practice_statistics', {
+      p_scoring: scoring,
+      p_time_zone: calendar.timeZone,
+      p_first_day_of_week: calendar.firstDayOfWeek,
+      p_mistake_weeks: MISTAKE_WEEKS,
     });
 
-    const mostPracticedVerbs = Object.entries(verbCounts)
-      .map(([verb, count]) => ({ verb, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 5); // Top 5
-
-    // Calculate practice streak
-    const streak = calculateStreak(allSessions || []);
-
-    // Get total verbs count
-    const { count: totalVerbs, error: verbsError } = await supabase
-      .from('user_verbs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id);
-
-    if (verbsError) throw verbsError;
-
-    return {
-      success: true,
-      stats: {
-        // Overall stats
-        totalSessions,
-        overallAccuracy,
-        totalVerbs: totalVerbs || 0,
-        
-        // This week stats
-        weekSessions: weekTotal,
-        weekAccuracy,
-        daysPracticedThisWeek,
-        
-        // Most practiced verbs
-        mostPracticedVerbs,
-        
-        // Streak
-        currentStreak: streak.current,
-        bestStreak: streak.best,
-      }
-    };
+    if (error) throw error;
+
+    return { success: true, stats: fromDatabaseStatistics(data, scoring) };
 
   } catch (err) {
     console.error('Error getting statistics:', err);
@@ -210,3 +282,92 @@ export async function getStatistics() {
   }
 }
 
+/**
+ * Get sessions and accuracy per day, for the days practised in a range
+ * @param {Object} range - { from, to } day keys, both included
+ * @param {string} scoring - 'boolean' or 'weighted'
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } (see utils/calendar.js)
+ * @returns {Promise<Object>} { success, days: [{ day, sessions, graded, accuracy }] }
+ */
+export async function getPracticeDays({ from, to }, scoring = 'boolean', calendar = getCalendarSettings(null)) {
+  try {
+    if (isGuestMode()) {
+      const result = await guestStorage.getPracticeSessions();
+      if (!result.success) throw new Error(result.error);
+
+      const days = calculatePracticeDays(result.sessions, scoring, calendar.timeZone)
+        .filter(day => day.day >= from && day.day <= to);
+      return { success: true, days };
+    }
+
+    const { data, error } = await supabase.rpc('get_practice_days', {
+      p_from: from,
+      p_to: to,
+      p_scoring: scoring,
+      p_time_zone: calendar.timeZone,
+    });
+
+    if (error) throw error;
+
+    return { success: true, days: data || [] };
+
+  } catch (err) {
+    console.error('Error getting practice days:', err);
+    return { success: false, error: err.message, days: [] };
+  }
+}
+
+/**
+ * Get sessions and accuracy per day for the heatmap (past 12 months)
+ * @param {string} scoring - 'boolean' or 'weighted'
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } (see utils/calendar.js)
+ * @param {Date} now
+ * @returns {Promise<Object>} See getPracticeDays
+ */
+export async function getPracticeHeatmap(scoring = 'boolean', calendar = getCalendarSettings(null), now = new Date()) {
+  return getPracticeDays(getHeatmapRange(calendar, now), scoring, calendar);
+}
+
+/**
+ * Count today's sessions, for the daily goal on HomeScreen
+ * @param {Object} calendar - { timeZone, firstDayOfWeek } (see utils/calendar.js)
+ * @param {Date} now
+ * @returns {Promise<Object>} { success, count }
+ */
+export async function getTodaySessionCount(calendar = getCalendarSettings(null), now = new Date()) {
+  const today = getDayKey(now, calendar.timeZone);
+  const result = await getPracticeDays({ from: today, to: today }, 'boolean', calendar);
+  if (!result.success) {
+    return { success: false, error: result.error, count: 0 };
+  }
+  return { success: true, count: result.days[0]?.sessions || 0 };
+}
+
+/**
+ * Get the recent accuracy of each (verb, tense) pair for the mastery matrix
+ * @param {string} scoring - 'boolean' or 'weighted'
+ * @returns {Promise<Object>} { success, pairs: [{ verbText, tense, sessions, graded, recentGraded, recentAccuracy, lastPracticedAt }] }
+ */
+export async function getMastery(scoring = 'boolean') {
+  try {
+    if (isGuestMode()) {
+      const result = await guestStorage.getPracticeSessions();
+      if (!result.success) throw new Error(result.error);
+
+      return { success: true, pairs: calculateMastery(result.sessions, scoring) };
+    }
+
+    const { data, error } = await supabase.rpc('get_verb_tense_mastery', {
+      p_scoring: scoring,
+      p_recent: MASTERY_RECENT,
+    });
+
+    if (error) throw error;
+
+    return { success: true, pairs: fromDatabaseMastery(data) };
+
+  } catch (err) {
+    console.error('Error getting mastery:', err);
+    return { success: false, error: err.message, pairs: [] };
+  }
+}
@@ -1,196 +1,18 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { DEFAULT_VERBS } from '../data/defaultVerbs';
 
 // Storage keys - like "addresses" for our data
 const STORAGE_KEYS = {
-  VERBS: '@verbs',
-  INITIALIZED: '@initialized',
   CURRENT_PROVIDER: '@ai_provider',
-  API_KEYS: '@api_keys'
+  API_KEYS: '@api_keys',
+  PROVIDER_CONFIG: '@provider_config',
+  PROMPT_TEMPLATE: '@prompt_template',
+  OUTBOX: '@sync_outbox',
+  FAILED_OPERATIONS: '@sync_failed',
+  LAST_SYNC: '@last_sync_at'
 };
 
-/**
- * Generate a unique ID for new verbs
- * Uses timestamp + random number for uniqueness
- */
-const generateId = () => {
-  return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-};
-
-/**
- * Initialize app with default verbs (runs only once)
- * Returns true if initialization happened, false if already initialized
- */
-export const initializeDefaultVerbs = async () => {
-  try {
-    // Check if we've already initialized
-    const initialized = await AsyncStorage.getItem(STORAGE_KEYS.INITIALIZED);
-    
-    if (initialized === 'true') {
-      console.log('App already initialized with default verbs');
-      return false;
-    }
-
-    // Transform default verbs into our full data structure
-    const verbs = DEFAULT_VERBS.map(({ verb, translation }) => ({
-      id: generateId(),
-      verb,
-      translation,
-      addedAt: Date.now(),
-      isDefault: true,
-      practiceCount: 0
-    }));
-
-    // Save to AsyncStorage
-    await AsyncStorage.setItem(STORAGE_KEYS.VERBS, JSON.stringify(verbs));
-    await AsyncStorage.setItem(STORAGE_KEYS.INITIALIZED, 'true');
-    
-    console.log(`Initialized app with ${verbs.length} default verbs`);
-    return true;
-  } catch (error) {
-    console.error('Error initializing default verbs:', error);
-    throw error;
-  }
-};
-
-/**
- * Get all verbs from storage
- * Returns array of verb objects
- */
-export const getAllVerbs = async () => {
-  try {
-    const verbsJson = await AsyncStorage.getItem(STORAGE_KEYS.VERBS);
-    
-    if (!verbsJson) {
-      return [];
-    }
-    
-    return JSON.parse(verbsJson);
-  } catch (error) {
-    console.error('Error getting verbs:', error);
-    return [];
-  }
-};
-
-/**
- * Add a new verb to storage
- * Automatically converts to infinitive form (basic implementation)
- * Returns the newly created verb object
- */
-export const addVerb = async (verb, translation) => {
-  try {
-    // Get existing verbs
-    const verbs = await getAllVerbs();
-    
-    // Clean the verb (trim whitespace, lowercase)
-    const cleanedVerb = verb.trim().toLowerCase();
-    
-    // Check if verb already exists
-    const exists = verbs.some(v => v.verb.toLowerCase() === cleanedVerb);
-    if (exists) {
-      throw new Error(`Verb "${cleanedVerb}" already exists`);
-    }
-    
-    // Create new verb object
-    const newVerb = {
-      id: generateId(),
-      verb: cleanedVerb,
-      translation: translation.trim(),
-      addedAt: Date.now(),
-      isDefault: false,
-      practiceCount: 0
-    };
-    
-    // Add to array and save
-    verbs.push(newVerb);
-    await AsyncStorage.setItem(STORAGE_KEYS.VERBS, JSON.stringify(verbs));
-    
-    console.log(`Added new verb: ${cleanedVerb}`);
-    return newVerb;
-  } catch (error) {
-    console.error('Error adding verb:', error);
-    throw error;
-  }
-};
-
-/**
- * Delete a verb by ID
- * Cannot delete default verbs (safety feature)
- * Returns true if deleted, false if not found or is default
- */
-export const deleteVerb = async (verbId) => {
-  try {
-    const verbs = await getAllVerbs();
-    
-    // Find the verb
-    const verb = verbs.find(v => v.id === verbId);
-    
-    if (!verb) {
-      throw new Error('Verb not found');
-    }
-    
-    if (verb.isDefault) {
-      throw new Error('Cannot delete default verbs');
-    }
-    
-    // Filter out the verb
-    const updatedVerbs = verbs.filter(v => v.id !== verbId);
-    await AsyncStorage.setItem(STORAGE_KEYS.VERBS, JSON.stringify(updatedVerbs));
-    
-    console.log(`Deleted verb: ${verb.verb}`);
-    return true;
-  } catch (error) {
-    console.error('Error deleting verb:', error);
-    throw error;
-  }
-};
-
-/**
- * Get a random verb from storage
- * Returns a random verb object or null if no verbs
- */
-export const getRandomVerb = async () => {
-  try {
-    const verbs = await getAllVerbs();
-    
-    if (verbs.length === 0) {
-      return null;
-    }
-    
-    const randomIndex = Math.floor(Math.random() * verbs.length);
-    return verbs[randomIndex];
-  } catch (error) {
-    console.error('Error getting random verb:', error);
-    return null;
-  }
-};
-
-/**
- * Increment practice count for a verb
- * Updates the practiceCount field
- */
-export const incrementPracticeCount = async (verbId) => {
-  try {
-    const verbs = await getAllVerbs();
-    
-    // Find and update the verb
-    const updatedVerbs = verbs.map(verb => {
-      if (verb.id === verbId) {
-        return {
-          ...verb,
-          practiceCount: verb.practiceCount + 1
-        };
-      }
-      return verb;
-    });
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.VERBS, JSON.stringify(updatedVerbs));
-    return true;
-  } catch (error) {
-    console.error('Error incrementing practice count:', error);
-    throw error;
-  }
-};
+// Verbs are read and written through verbRepository.js, which also moves
+// verbs from the old '@verbs' key to the user's account
 
 /**
  * Clear all data (useful for development/testing)
@@ -309,3 +131,156 @@ export const deleteApiKey = async (provider) => {
   }
 };
 
+/**
+ * Get extra settings for a provider (e.g. { baseUrl, model } for 'local')
+ * @param {string} provider - Provider ID
+ * @returns {Promise<Object>} The saved settings, or an empty object
+ */
+export const getProviderConfig = async (provider) => {
+  try {
+    const configJson = await AsyncStorage.getItem(STORAGE_KEYS.PROVIDER_CONFIG);
+
+    if (!configJson) {
+      return {};
+    }
+
+    const config = JSON.parse(configJson);
+    return config[provider] || {};
+  } catch (error) {
+    console.error('Error getting provider config:', error);
+    return {};
+  }
+};
+
+/**
+ * Save extra settings for a provider
+ * @param {string} provider - Provider ID
+ * @param {Object} providerConfig - Settings to save (e.g. { baseUrl, model })
+ */
+export const saveProviderConfig = async (provider, providerConfig) => {
+  try {
+    const configJson = await AsyncStorage.getItem(STORAGE_KEYS.PROVIDER_CONFIG);
+    const config = configJson ? JSON.parse(configJson) : {};
+
+    config[provider] = providerConfig;
+
+    await AsyncStorage.setItem(STORAGE_KEYS.PROVIDER_CONFIG, JSON.stringify(config));
+    console.log(`Settings saved for provider: ${provider}`);
+    return true;
+  } catch (error) {
+    console.error('Error saving provider config:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the id of the prompt template chosen by the admins
+ * A local copy of the app-wide setting (see syncActivePromptTemplate),
+ * so evaluating a sentence doesn't need a round trip to the server
+ * @returns {Promise<string|null>} The template id, or null for the default
+ */
+export const getActivePromptId = async () => {
+  try {
+    return await AsyncStorage.getItem(STORAGE_KEYS.PROMPT_TEMPLATE);
+  } catch (error) {
+    console.error('Error getting prompt template:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember the active prompt template on this device
+ * @param {string} templateId - Template id from aiProviders/prompts.js
+ */
+export const saveActivePromptId = async (templateId) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.PROMPT_TEMPLATE, templateId);
+    return true;
+  } catch (error) {
+    console.error('Error saving prompt template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the operations waiting to be sent to the cloud (see utils/outbox.js)
+ * @returns {Promise<Array>} Operations, oldest first
+ */
+export const getOutbox = async () => {
+  try {
+    const outboxJson = await AsyncStorage.getItem(STORAGE_KEYS.OUTBOX);
+    return outboxJson ? JSON.parse(outboxJson) : [];
+  } catch (error) {
+    console.error('Error getting outbox:', error);
+    return [];
+  }
+};
+
+/**
+ * Replace the operations waiting to be sent
+ * @param {Array} operations - Operations, oldest first
+ */
+export const saveOutbox = async (operations) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.OUTBOX, JSON.stringify(operations));
+    return true;
+  } catch (error) {
+    console.error('Error saving outbox:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the operations set aside after the server kept rejecting them
+ * @returns {Promise<Array>} Operations, oldest first, with their lastError
+ */
+export const getFailedOperations = async () => {
+  try {
+    const failedJson = await AsyncStorage.getItem(STORAGE_KEYS.FAILED_OPERATIONS);
+    return failedJson ? JSON.parse(failedJson) : [];
+  } catch (error) {
+    console.error('Error getting failed operations:', error);
+    return [];
+  }
+};
+
+/**
+ * Replace the operations set aside from the outbox
+ * @param {Array} operations - Operations, oldest first
+ */
+export const saveFailedOperations = async (operations) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.FAILED_OPERATIONS, JSON.stringify(operations));
+    return true;
+  } catch (error) {
+    console.error('Error saving failed operations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get when the outbox was last emptied
+ * @returns {Promise<string|null>} ISO date, or null if it never synced
+ */
+export const getLastSyncTime = async () => {
+  try {
+    return await AsyncStorage.getItem(STORAGE_KEYS.LAST_SYNC);
+  } catch (error) {
+    console.error('Error getting last sync time:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember when the outbox was last emptied
+ * @param {string} isoDate
+ */
+export const saveLastSyncTime = async (isoDate) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEYS.LAST_SYNC, isoDate);
+    return true;
+  } catch (error) {
+    console.error('Error saving last sync time:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,267 @@
+/**
+ * Sync Service
+ *
+ * Saves practice attempts through the outbox (utils/outbox.js) and sends
+ * them to Supabase:
+ * - right after each attempt
+ * - when the app comes back to the foreground
+ * - when the browser reports the connection is back (web)
+ * - on a retry timer (with backoff) while something is still waiting
+ *
+ * HomeScreen shows the pending count, last sync time and the operations the
+ * server kept rejecting (set aside by the outbox) from getSyncStatus.
+ * Guests (utils/guestMode.js) have nothing to sync: their attempts are saved
+ * on the device straight away.
+ */
+
+import { AppState, Platform } from 'react-native';
+import { supabase } from './supabase';
+import {
+  getOutbox,
+  saveOutbox,
+  getFailedOperations,
+  saveFailedOperations,
+  getLastSyncTime,
+  saveLastSyncTime,
+} from './storage';
+import { recordPractice, savePracticeSession } from './cloudStorage';
+import { VERB_BACKENDS, getVerbStore } from './verbRepository';
+import { isGuestMode } from './guestMode';
+import { refreshDataStore } from './dataStore';
+import {
+  OPERATION_TYPES,
+  createOperation,
+  countPending,
+  replayOperations,
+  mergeOutbox,
+} from './outbox';
+
+const FIRST_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// How each operation type is sent; the operation id makes the server skip repeats
+const HANDLERS = {
+  [OPERATION_TYPES.PRACTICE_ATTEMPT]: operation =>
+    recordPractice({ session: operation.payload, operationId: operation.id }),
+  [OPERATION_TYPES.PRACTICE_COUNT]: operation =>
+    getVerbStore(VERB_BACKENDS.SUPABASE).incrementPracticeCount(operation.payload.verbId, operation.id),
+  [OPERATION_TYPES.PRACTICE_SESSION]: operation =>
+    savePracticeSession({ ...operation.payload, clientId: operation.id }),
+};
+
+let outboxLock = Promise.resolve();
+let runningFlush = null;
+let queuedFlush = null;
+let lastError = null;
+let backgroundSync = false;
+let retryTimer = null;
+let retryDelay = FIRST_RETRY_DELAY_MS;
+const listeners = new Set();
+
+/**
+ * Run a read-modify-write of the outbox without another one in between
+ */
+function withOutboxLock(task) {
+  const run = outboxLock.then(task);
+  outboxLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Signed-in user, read from the saved session so it works offline
+ */
+async function getSignedInUserId() {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user?.id || null;
+}
+
+async function notifyListeners() {
+  if (listeners.size === 0) return;
+  const status = await getSyncStatus();
+  listeners.forEach(listener => listener(status));
+}
+
+function scheduleRetry() {
+  if (!backgroundSync || retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+}
+
+async function runFlush() {
+  const userId = await getSignedInUserId();
+  const snapshot = await getOutbox();
+  if (!userId || countPending(snapshot, userId) === 0) {
+    return { synced: 0, pending: 0, error: null };
+  }
+
+  const { remaining, failed, synced, error } = await replayOperations(snapshot, HANDLERS, userId);
+  const outbox = await withOutboxLock(async () => {
+    if (failed.length > 0) {
+      await saveFailedOperations([...(await getFailedOperations()), ...failed]);
+    }
+    const merged = mergeOutbox(snapshot, remaining, await getOutbox());
+    await saveOutbox(merged);
+    return merged;
+  });
+
+  const pending = countPending(outbox, userId);
+  lastError = error;
+  if (synced > 0 && !error) {
+    await saveLastSyncTime(new Date().toISOString());
+  }
+  if (pending > 0) {
+    scheduleRetry();
+  } else {
+    retryDelay = FIRST_RETRY_DELAY_MS;
+  }
+
+  await notifyListeners();
+  return { synced, pending, error };
+}
+
+// =====================================================
+// PUBLIC API
+// =====================================================
+
+/**
+ * Send the signed-in user's waiting operations
+ * Only one replay runs at a time; calls made during a replay get one more
+ * replay after it, so operations queued meanwhile are sent too.
+ *
+ * @returns {Promise<Object>} { synced, pending, error }
+ */
+export function flushOutbox() {
+  if (!runningFlush) {
+    runningFlush = runFlush()
+      .catch(err => {
+        console.error('Error syncing outbox:', err);
+        return { synced: 0, pending: null, error: err.message };
+      })
+      .finally(() => {
+        runningFlush = null;
+      });
+    return runningFlush;
+  }
+
+  if (!queuedFlush) {
+    queuedFlush = runningFlush.then(() => {
+      queuedFlush = null;
+      return flushOutbox();
+    });
+  }
+  return queuedFlush;
+}
+
+/**
+ * Record a practice attempt: the session, the verb's practice count and its
+ * review schedule. Queued in the outbox as one operation (saved on the
+ * server in one transaction), then sent right away if possible.
+ *
+ * @param {Object} session - Same fields as savePracticeSession's
+ * @returns {Promise<Object>} { success, synced, pending } - synced is false
+ *   when the attempt is only saved on this device for now
+ */
+export async function recordPracticeAttempt(session) {
+  try {
+    if (isGuestMode()) {
+      const saved = await recordPractice({ session: { ...session, createdAt: new Date().toISOString() } });
+      // No realtime events for the device's own storage
+      await refreshDataStore();
+      return saved.success ? { success: true, synced: true, pending: 0 } : saved;
+    }
+
+    const userId = await getSignedInUserId();
+    if (!userId) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    // Keep the time of the attempt, not the time it reaches the server
+    const now = new Date();
+    await withOutboxLock(async () => {
+      const outbox = await getOutbox();
+      await saveOutbox([
+        ...outbox,
+        createOperation(OPERATION_TYPES.PRACTICE_ATTEMPT, { ...session, createdAt: now.toISOString() }, userId, now),
+      ]);
+    });
+
+    const result = await flushOutbox();
+    return { success: true, synced: result.pending === 0, pending: result.pending };
+
+  } catch (err) {
+    console.error('Error recording practice attempt:', err);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Get what HomeScreen shows in its sync card
+ * @returns {Promise<Object>} { pending, failed, failedError, lastSyncAt,
+ *   lastError, syncing } - failed: operations set aside after the server kept
+ *   rejecting them; failedError: the latest one's error
+ */
+export async function getSyncStatus() {
+  const [userId, outbox, failedOperations, lastSyncAt] = await Promise.all([
+    getSignedInUserId(),
+    getOutbox(),
+    getFailedOperations(),
+    getLastSyncTime(),
+  ]);
+  const failed = failedOperations.filter(operation => operation.userId === userId);
+
+  return {
+    pending: userId ? countPending(outbox, userId) : 0,
+    failed: userId ? failed.length : 0,
+    failedError: failed.length > 0 ? failed[failed.length - 1].lastError : null,
+    lastSyncAt,
+    lastError,
+    syncing: runningFlush !== null,
+  };
+}
+
+/**
+ * Be told when the sync status changes (after each replay)
+ * @param {Function} listener - Called with getSyncStatus()'s result
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToSyncStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Replay the outbox now, whenever the app comes to the foreground, when the
+ * browser goes back online, and on a timer while operations are waiting
+ * @returns {Function} Stop (call on sign-out)
+ */
+export function startBackgroundSync() {
+  backgroundSync = true;
+
+  const subscription = AppState.addEventListener('change', state => {
+    if (state === 'active') {
+      flushOutbox();
+    }
+  });
+
+  const onOnline = () => flushOutbox();
+  const watchBrowser = Platform.OS === 'web' && typeof window !== 'undefined' && window.addEventListener;
+  if (watchBrowser) {
+    window.addEventListener('online', onOnline);
+  }
+
+  flushOutbox();
+
+  return () => {
+    backgroundSync = false;
+    subscription.remove();
+    if (watchBrowser) {
+      window.removeEventListener('online', onOnline);
+    }
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryDelay = FIRST_RETRY_DELAY_MS;
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * Verb Repository
+ *
+ * The one place to read and change the user's verbs. Two interchangeable
+ * backends implement the same interface and return the same shapes:
+ * - 'supabase': the signed-in user's `user_verbs` rows (verbStores/supabaseVerbStore.js)
+ * - 'local':    verbs kept on the device (verbStores/localVerbStore.js)
+ *
+ * App.js picks the backend; screens and services only call the functions
+ * below. Every function resolves to { success, error?, ... }:
+ *   initializeVerbs()                         → { count }
+ *   getVerbs()                                → { verbs }  (sorted by verb)
+ *   getRandomVerb()                           → { verb }
+ *   addVerb(verb, translation)                → { verb }
+ *   deleteVerb(verbId)                        → {}
+ *   incrementPracticeCount(verbId, operationId) → {}
+ *
+ * Verbs are shaped like `user_verbs` rows:
+ *   { id, verb, translation, is_default, practice_count, last_practiced_at, created_at }
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as localVerbStore from './verbStores/localVerbStore';
+import * as supabaseVerbStore from './verbStores/supabaseVerbStore';
+
+export const VERB_BACKENDS = {
+  LOCAL: 'local',
+  SUPABASE: 'supabase',
+};
+
+const STORES = {
+  [VERB_BACKENDS.LOCAL]: localVerbStore,
+  [VERB_BACKENDS.SUPABASE]: supabaseVerbStore,
+};
+
+// Keys written by earlier versions, which kept every verb on the device
+const LEGACY_KEYS = {
+  VERBS: '@verbs',
+  INITIALIZED: '@initialized',
+};
+
+let activeBackend = VERB_BACKENDS.SUPABASE;
+
+// =====================================================
+// BACKEND SELECTION
+// =====================================================
+
+/**
+ * Choose where verbs are read and written
+ * @param {string} backend - One of VERB_BACKENDS
+ */
+export const setVerbBackend = (backend) => {
+  if (!STORES[backend]) {
+    throw new Error(`Unknown verb backend: ${backend}`);
+  }
+  activeBackend = backend;
+};
+
+/**
+ * @returns {string} The active backend (one of VERB_BACKENDS)
+ */
+export const getVerbBackend = () => activeBackend;
+
+/**
+ * Get a backend's store, for code that must talk to one backend whichever
+ * is active (e.g. the outbox, which only syncs to Supabase)
+ * @param {string} backend - One of VERB_BACKENDS (defaults to the active one)
+ */
+export const getVerbStore = (backend = activeBackend) => STORES[backend];
+
+// =====================================================
+// VERBS
+// =====================================================
+
+export const initializeVerbs = () => getVerbStore().initializeVerbs();
+
+export const getVerbs = () => getVerbStore().getVerbs();
+
+export const getRandomVerb = () => getVerbStore().getRandomVerb();
+
+export const addVerb = (verb, translation) => getVerbStore().addVerb(verb, translation);
+
+export const deleteVerb = (verbId) => getVerbStore().deleteVerb(verbId);
+
+export const incrementPracticeCount = (verbId, operationId) =>
+  getVerbStore().incrementPracticeCount(verbId, operationId);
+
+// =====================================================
+// LEGACY MIGRATION
+// =====================================================
+
+/**
+ * Upload verbs left in the legacy `@verbs` key to the signed-in user's
+ * `user_verbs`, then delete the key so this only happens once
+ * Verbs the user already has are skipped. If the upload fails the key is
+ * kept, and the next sign-in tries again.
+ *
+ * @returns {Promise<Object>} { success, imported, skipped }
+ */
+export const migrateLegacyVerbs = async () => {
+  try {
+    const verbsJson = await AsyncStorage.getItem(LEGACY_KEYS.VERBS);
+    if (!verbsJson) {
+      return { success: true, imported: 0, skipped: 0 };
+    }
+
+    let legacyVerbs = [];
+    try {
+      legacyVerbs = JSON.parse(verbsJson);
+    } catch (parseError) {
+      console.warn('Legacy verbs are unreadable, discarding them');
+    }
+
+    // Old shape: { id, verb, translation, addedAt, isDefault, practiceCount }
+    const verbs = (Array.isArray(legacyVerbs) ? legacyVerbs : [])
+      .filter(v => v && typeof v.verb === 'string' && typeof v.translation === 'string')
+      .map(v => ({
+        verb: v.verb,
+        translation: v.translation,
+        is_default: v.isDefault === true,
+        practice_count: v.practiceCount || 0,
+      }));
+
+    const result = verbs.length > 0
+      ? await supabaseVerbStore.importVerbs(verbs)
+      : { success: true, imported: 0, skipped: 0 };
+    if (!result.success) {
+      return result;
+    }
+
+    await AsyncStorage.removeItem(LEGACY_KEYS.VERBS);
+    await AsyncStorage.removeItem(LEGACY_KEYS.INITIALIZED);
+
+    console.log(`Migrated legacy verbs: ${result.imported} imported, ${result.skipped} already there`);
+    return { success: true, imported: result.imported, skipped: result.skipped };
+
+  } catch (err) {
+    console.error('Error migrating legacy verbs:', err);
+    return { success: false, error: err.message };
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Local Verb Store
+ * Verbs kept on the device in AsyncStorage, for use without an account.
+ * Same interface and return shapes as supabaseVerbStore.js (see verbRepository.js):
+ * rows look like `user_verbs` rows, minus user_id.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_VERBS } from '../../data/defaultVerbs';
+import { generateUUID } from '../outbox';
+
+const STORAGE_KEYS = {
+  VERBS: '@local_verbs',
+};
+
+const readVerbs = async () => {
+  const verbsJson = await AsyncStorage.getItem(STORAGE_KEYS.VERBS);
+  return verbsJson ? JSON.parse(verbsJson) : null;
+};
+
+const writeVerbs = async (verbs) => {
+  await AsyncStorage.setItem(STORAGE_KEYS.VERBS, JSON.stringify(verbs));
+};
+
+const createVerb = (verb, translation, isDefault) => ({
+  id: generateUUID(),
+  verb,
+  translation,
+  is_default: isDefault,
+  practice_count: 0,
+  last_practiced_at: null,
+  created_at: new Date().toISOString(),
+});
+
+const byVerb = (a, b) => a.verb.localeCompare(b.verb);
+
+/**
+ * Fill the store with the default verbs (runs only once)
+ * @returns {Promise<Object>} { success, count }
+ */
+export const initializeVerbs = async () => {
+  try {
+    const existing = await readVerbs();
+    if (existing) {
+      return { success: true, message: 'Verbs already initialized', count: existing.length };
+    }
+
+    const verbs = DEFAULT_VERBS.map(({ verb, translation }) => createVerb(verb, translation, true));
+    await writeVerbs(verbs);
+
+    console.log(`Initialized ${verbs.length} local verbs`);
+    return { success: true, count: verbs.length };
+
+  } catch (err) {
+    console.error('Error initializing local verbs:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Get all verbs on this device
+ * @returns {Promise<Object>} { success, verbs } sorted by verb
+ */
+export const getVerbs = async () => {
+  try {
+    const verbs = (await readVerbs()) || [];
+    return { success: true, verbs: [...verbs].sort(byVerb) };
+
+  } catch (err) {
+    console.error('Error getting local verbs:', err);
+    return { success: false, error: err.message, verbs: [] };
+  }
+};
+
+/**
+ * Get a random verb for practice
+ * @returns {Promise<Object>} { success, verb }
+ */
+export const getRandomVerb = async () => {
+  try {
+    const verbs = (await readVerbs()) || [];
+    if (verbs.length === 0) {
+      return { success: false, error: 'No verbs available' };
+    }
+
+    return { success: true, verb: verbs[Math.floor(Math.random() * verbs.length)] };
+
+  } catch (err) {
+    console.error('Error getting random verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Add a custom verb
+ * @returns {Promise<Object>} { success, verb }
+ */
+export const addVerb = async (verb, translation) => {
+  try {
+    const verbs = (await readVerbs()) || [];
+    const cleanedVerb = verb.trim().toLowerCase();
+
+    if (verbs.some(v => v.verb === cleanedVerb)) {
+      return { success: false, error: 'This verb already exists in your list' };
+    }
+
+    const newVerb = createVerb(cleanedVerb, translation.trim(), false);
+    await writeVerbs([...verbs, newVerb]);
+
+    return { success: true, verb: newVerb };
+
+  } catch (err) {
+    console.error('Error adding verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Delete a verb
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteVerb = async (verbId) => {
+  try {
+    const verbs = (await readVerbs()) || [];
+    await writeVerbs(verbs.filter(v => v.id !== verbId));
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error deleting verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Increment practice count for a verb
+ * @param {string} verbId
+ * @returns {Promise<Object>} { success }
+ */
+export const incrementPracticeCount = async (verbId) => {
+  try {
+    const verbs = (await readVerbs()) || [];
+    const now = new Date().toISOString();
+    await writeVerbs(verbs.map(v => (
+      v.id === verbId
+        ? { ...v, practice_count: (v.practice_count || 0) + 1, last_practiced_at: now }
+        : v
+    )));
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error incrementing practice count:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Delete every verb on this device (not part of the shared interface:
+ * used once a guest's verbs have moved to their account)
+ */
+export const clearVerbs = async () => {
+  await AsyncStorage.removeItem(STORAGE_KEYS.VERBS);
+};
@@ -0,0 +1,295 @@
+/**
+ * Supabase Verb Store
+ * The signed-in user's verbs, in the `user_verbs` table.
+ * Same interface and return shapes as localVerbStore.js (see verbRepository.js).
+ */
+
+import { supabase } from '../supabase';
+import { generateUUID } from '../outbox';
+
+/**
+ * Initialize user's verbs from default verbs
+ * Called when a new user signs up or first opens the app
+ * @returns {Promise<Object>} { success, count }
+ */
+export const initializeVerbs = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      console.log('No user logged in, skipping verb initialization');
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    // Check if user already has verbs
+    const { count, error: countError } = await supabase
+      .from('user_verbs')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    if (countError) throw countError;
+
+    // If user already has verbs, skip initialization
+    if (count > 0) {
+      console.log(`User already has ${count} verbs, skipping initialization`);
+      return { success: true, message: 'Verbs already initialized', count };
+    }
+
+    // Get all default verbs
+    const { data: defaultVerbs, error: defaultError } = await supabase
+      .from('default_verbs')
+      .select('verb, translation');
+
+    if (defaultError) throw defaultError;
+
+    // Create user verbs from defaults
+    const userVerbs = defaultVerbs.map(v => ({
+      user_id: user.id,
+      verb: v.verb,
+      translation: v.translation,
+      is_default: true,
+      practice_count: 0,
+    }));
+
+    // Insert all verbs for the user
+    const { error: insertError } = await supabase
+      .from('user_verbs')
+      .insert(userVerbs);
+
+    if (insertError) throw insertError;
+
+    console.log(`Initialized ${userVerbs.length} verbs for user`);
+    return { success: true, count: userVerbs.length };
+
+  } catch (err) {
+    console.error('Error initializing user verbs:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Get all verbs for the current user
+ * @returns {Promise<Object>} { success, verbs } sorted by verb
+ */
+export const getVerbs = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated', verbs: [] };
+    }
+
+    const { data, error } = await supabase
+      .from('user_verbs')
+      .select('*')
+      .eq('user_id', user.id)
+      .order('verb', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, verbs: data || [] };
+
+  } catch (err) {
+    console.error('Error getting user verbs:', err);
+    return { success: false, error: err.message, verbs: [] };
+  }
+};
+
+/**
+ * Get a random verb for practice
+ * @returns {Promise<Object>} { success, verb }
+ */
+export const getRandomVerb = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    // Get count of user's verbs
+    const { count, error: countError } = await supabase
+      .from('user_verbs')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+
+    if (countError) throw countError;
+    if (!count || count === 0) {
+      return { success: false, error: 'No verbs available' };
+    }
+
+    // Get a random offset
+    const randomOffset = Math.floor(Math.random() * count);
+
+    // Fetch one random verb
+    const { data, error } = await supabase
+      .from('user_verbs')
+      .select('*')
+      .eq('user_id', user.id)
+      .range(randomOffset, randomOffset)
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, verb: data };
+
+  } catch (err) {
+    console.error('Error getting random verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Add a custom verb for the current user
+ * @returns {Promise<Object>} { success, verb }
+ */
+export const addVerb = async (verb, translation) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    // Check if verb already exists for this user
+    const { data: existing } = await supabase
+      .from('user_verbs')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('verb', verb.trim().toLowerCase())
+      .single();
+
+    if (existing) {
+      return { success: false, error: 'This verb already exists in your list' };
+    }
+
+    // Insert new verb
+    const { data, error } = await supabase
+      .from('user_verbs')
+      .insert([{
+        user_id: user.id,
+        verb: verb.trim().toLowerCase(),
+        translation: translation.trim(),
+        is_default: false,
+        practice_count: 0,
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, verb: data };
+
+  } catch (err) {
+    console.error('Error adding verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Delete a verb for the current user
+ * @returns {Promise<Object>} { success }
+ */
+export const deleteVerb = async (verbId) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const { error } = await supabase
+      .from('user_verbs')
+      .delete()
+      .eq('id', verbId)
+      .eq('user_id', user.id); // Extra safety: only delete own verbs
+
+    if (error) throw error;
+
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error deleting verb:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Increment practice count for a verb
+ * Done by the record_practice database function (supabase/add_record_practice.sql),
+ * once per operation id, so an outbox replay doesn't count it twice
+ *
+ * @param {string} verbId
+ * @param {string} operationId - Client-generated UUID (see utils/outbox.js)
+ * @returns {Promise<Object>} { success }
+ */
+export const incrementPracticeCount = async (verbId, operationId = generateUUID()) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const { error } = await supabase.rpc('record_practice', {
+      p_operation_id: operationId,
+      p_verb_id: verbId,
+      p_session: null,
+      p_count: true,
+    });
+
+    if (error) throw error;
+
+    return { success: true };
+
+  } catch (err) {
+    console.error('Error incrementing practice count:', err);
+    return { success: false, error: err.message };
+  }
+};
+
+/**
+ * Add verbs from another store to the current user's list
+ * Verbs the user already has are skipped; the others keep their practice count.
+ *
+ * @param {Array} verbs - Verbs in the common shape ({ verb, translation, is_default, practice_count })
+ * @returns {Promise<Object>} { success, imported, skipped }
+ */
+export const importVerbs = async (verbs) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('user_verbs')
+      .select('verb')
+      .eq('user_id', user.id);
+
+    if (existingError) throw existingError;
+
+    const known = new Set((existing || []).map(row => row.verb));
+    const rows = [];
+    verbs.forEach(verb => {
+      const name = verb.verb.trim().toLowerCase();
+      if (known.has(name)) return;
+      known.add(name);
+      rows.push({
+        user_id: user.id,
+        verb: name,
+        translation: verb.translation.trim(),
+        is_default: verb.is_default === true,
+        practice_count: verb.practice_count || 0,
+      });
+    });
+
+    if (rows.length > 0) {
+      const { error } = await supabase
+        .from('user_verbs')
+        .insert(rows);
+
+      if (error) throw error;
+    }
+
+    return { success: true, imported: rows.length, skipped: verbs.length - rows.length };
+
+  } catch (err) {
+    console.error('Error importing verbs:', err);
+    return { success: false, error: err.message };
+  }
+};